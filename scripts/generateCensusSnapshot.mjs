@@ -0,0 +1,119 @@
+import { existsSync, readFileSync, writeFileSync } from "fs";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import {
+  CENSUS_SNAPSHOT_MANIFEST,
+  CENSUS_SNAPSHOT_FORMAT_VERSION,
+  CENSUS_DATASETS,
+  CENSUS_GEOGRAPHIES,
+  listDatasetRequests,
+  buildDatasetUrl,
+  parseDatasetResponse,
+  mergeDatasetRecords,
+  getCensusDisplayFields,
+} from "../src/utils/censusVariables.js";
+import { filterBayAreaRecords } from "../src/utils/geoutils.js";
+
+// Generates Bay Area census snapshots so the browser doesn't need to call
+// api.census.gov. Runs the same catalog queries as fetchCensusTractsData and
+// fetchZipcodeData, keeps only Bay Area tracts and ZCTAs, and writes
+// versioned JSON files plus a manifest into public/.
+//
+// Usage: CENSUS_API_KEY=... npm run census:snapshot
+//
+// The src/utils modules it imports have no module type of their own because
+// the app's bundler loads them, so the npm script turns off Node's warning
+// about reparsing them as ES modules.
+
+const publicDir = join(dirname(fileURLToPath(import.meta.url)), "..", "public");
+
+const apiKey = process.env.CENSUS_API_KEY || process.env.REACT_APP_CENSUS_API_KEY;
+
+// Function to load the Bay Area ZIP codes from the ZIP code GeoJSON, used to
+// filter ZCTAs exactly rather than by ZIP prefix
+function loadBayAreaZipCodes() {
+  const zipGeojsonPath = join(publicDir, "BayAreaZipCodes.geojson");
+  if (!existsSync(zipGeojsonPath)) {
+    console.warn("BayAreaZipCodes.geojson not found, filtering ZCTAs by ZIP prefix instead");
+    return null;
+  }
+
+  const geojsonData = JSON.parse(readFileSync(zipGeojsonPath, "utf-8"));
+  const zipCodes = new Set();
+  geojsonData.features.forEach((feature) => {
+    const zip = feature.properties.ZIP_CODE || feature.properties.GEOID || feature.properties.ZCTA5CE20;
+    if (zip) {
+      zipCodes.add(String(zip).padStart(5, "0"));
+    }
+  });
+  return zipCodes;
+}
+
+// Function to fetch and merge every catalog dataset for one geography
+async function fetchGeography(geography) {
+  const { label } = CENSUS_GEOGRAPHIES[geography];
+  const datasetRecords = [];
+
+  // Requests run one at a time to stay well under the API rate limits
+  for (const { dataset, vintage } of listDatasetRequests()) {
+    const url = buildDatasetUrl(dataset, geography, apiKey, vintage);
+    console.log(`Fetching ${vintage} ${dataset} for ${label}s...`);
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`${vintage} ${dataset} ${label} request failed with status ${response.status}`);
+    }
+
+    datasetRecords.push(parseDatasetResponse(dataset, geography, await response.json(), vintage));
+  }
+
+  return mergeDatasetRecords(datasetRecords);
+}
+
+async function generateCensusSnapshot() {
+  if (!apiKey) {
+    console.error("Set CENSUS_API_KEY (or REACT_APP_CENSUS_API_KEY) to generate a census snapshot.");
+    process.exit(1);
+  }
+
+  const generatedAt = new Date().toISOString();
+  const vintages = {};
+  Object.keys(CENSUS_DATASETS).forEach((dataset) => {
+    vintages[dataset] = CENSUS_DATASETS[dataset].vintages;
+  });
+  const latestVintage = Math.max(...Object.values(vintages).flat());
+  const bayAreaZipCodes = loadBayAreaZipCodes();
+
+  const files = {};
+  for (const geography of Object.keys(CENSUS_GEOGRAPHIES)) {
+    const records = filterBayAreaRecords(geography, await fetchGeography(geography), bayAreaZipCodes);
+    const fileName = `census_snapshot_${geography}_${latestVintage}.json`;
+
+    writeFileSync(
+      join(publicDir, fileName),
+      JSON.stringify({ formatVersion: CENSUS_SNAPSHOT_FORMAT_VERSION, geography, generatedAt, vintages, records }),
+      "utf-8"
+    );
+
+    files[geography] = fileName;
+    console.log(`Saved ${Object.keys(records).length} ${CENSUS_GEOGRAPHIES[geography].label}s to ${fileName}`);
+  }
+
+  // The manifest tells the app which snapshot files to load and which
+  // catalog fields they contain
+  const manifest = {
+    formatVersion: CENSUS_SNAPSHOT_FORMAT_VERSION,
+    generatedAt,
+    vintages,
+    fields: getCensusDisplayFields().filter((field) => !field.computed).map((field) => field.code),
+    files,
+  };
+
+  writeFileSync(join(publicDir, CENSUS_SNAPSHOT_MANIFEST), JSON.stringify(manifest, null, 2), "utf-8");
+  console.log(`Census snapshot manifest saved to ${CENSUS_SNAPSHOT_MANIFEST}`);
+}
+
+generateCensusSnapshot().catch((error) => {
+  console.error("Error generating census snapshot:", error);
+  process.exit(1);
+});
@@ -0,0 +1,139 @@
+import { createServer } from "http";
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "fs";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import { mergeAdoptionChanges, validateAdoptionChanges } from "../src/utils/adoptionStore.js";
+
+// Small API that stores adoption edits made in the app in a JSON file, so
+// every coordinator sees the same edits. Point the app at it with
+// REACT_APP_ADOPTION_API_URL (e.g. http://localhost:4000).
+//
+// The API has no authentication of its own: anyone who can reach it can read
+// and change adoptions. Outside local development, run it behind a proxy or
+// gateway that authenticates coordinators. Browsers may only call it from
+// ADOPTION_API_ORIGIN (default http://localhost:3000, the development server).
+//
+// Usage: npm run adoption:api
+//
+//   GET /adoptions          -> { adoptions: { [tractId]: record } }
+//   GET /adoptions/history  -> { history: [entry, ...] } (oldest first)
+//   PUT /adoptions          <- { changes: [{ tractId, status, adoptedBy, ..., note, previous }], updatedBy }
+//                           -> { saved: { [tractId]: record }, entries: [entry, ...] }
+
+const serverDir = dirname(fileURLToPath(import.meta.url));
+
+const port = parseInt(process.env.ADOPTION_API_PORT, 10) || 4000;
+const dataFile = process.env.ADOPTION_DATA_FILE || join(serverDir, "data", "adoptions.json");
+const historyFile = process.env.ADOPTION_HISTORY_FILE || join(serverDir, "data", "adoption_history.json");
+const allowedOrigin = process.env.ADOPTION_API_ORIGIN || "http://localhost:3000";
+
+// Function to read a stored JSON file
+function readJson(file, fallback) {
+  if (!existsSync(file)) {
+    return fallback;
+  }
+  return JSON.parse(readFileSync(file, "utf-8"));
+}
+
+// Function to write a JSON file back to disk
+function writeJson(file, value) {
+  mkdirSync(dirname(file), { recursive: true });
+  writeFileSync(file, JSON.stringify(value, null, 2), "utf-8");
+}
+
+// Function to send a JSON response; the app is served from another origin in development
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": allowedOrigin,
+    "Vary": "Origin",
+    "Access-Control-Allow-Methods": "GET, PUT, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+// Function to read and parse a JSON request body
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => {
+      data += chunk;
+    });
+    req.on("end", () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+const server = createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+
+  if (req.method === "OPTIONS") {
+    sendJson(res, 204);
+    return;
+  }
+
+  if (pathname === "/adoptions/history") {
+    if (req.method === "GET") {
+      sendJson(res, 200, { history: readJson(historyFile, []) });
+    } else {
+      sendJson(res, 405, { error: "Method not allowed" });
+    }
+    return;
+  }
+
+  if (pathname !== "/adoptions") {
+    sendJson(res, 404, { error: "Not found" });
+    return;
+  }
+
+  try {
+    if (req.method === "GET") {
+      sendJson(res, 200, { adoptions: readJson(dataFile, {}) });
+      return;
+    }
+
+    if (req.method === "PUT") {
+      let body;
+      try {
+        body = await readBody(req);
+      } catch (error) {
+        // A body that isn't JSON is the client's mistake, not the server's
+        if (error instanceof SyntaxError) {
+          sendJson(res, 400, { error: `Request body is not valid JSON: ${error.message}` });
+          return;
+        }
+        throw error;
+      }
+
+      const { changes, updatedBy } = body || {};
+      const invalid = validateAdoptionChanges(changes);
+      if (invalid) {
+        sendJson(res, 400, { error: invalid });
+        return;
+      }
+
+      const { adoptions, saved, entries } = mergeAdoptionChanges(readJson(dataFile, {}), changes, updatedBy);
+      writeJson(dataFile, adoptions);
+      writeJson(historyFile, [...readJson(historyFile, []), ...entries]);
+      console.log(`Saved ${Object.keys(saved).length} adoption edits from ${updatedBy || "Unknown"}`);
+      sendJson(res, 200, { saved, entries });
+      return;
+    }
+
+    sendJson(res, 405, { error: "Method not allowed" });
+  } catch (error) {
+    console.error("Error handling adoption request:", error);
+    sendJson(res, 500, { error: "Could not process the request" });
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Adoption API listening on http://localhost:${port} for ${allowedOrigin} (data in ${dataFile}, history in ${historyFile})`);
+});
@@ -0,0 +1,326 @@
+import React, { useState } from "react";
+import { PARTNER_TYPES, getTractPartners, formatPartnerNames } from "../utils/partnerUtils";
+import { ADOPTION_STATES, DEFAULT_ADOPTION_STATE, RENEWAL_WINDOW_DAYS } from "../utils/adoptionStates";
+import { CONFLICT_RESOLUTIONS } from "../utils/adoptionStatusUtils";
+
+// "Adopted by" plus one comma-separated partner list per partner type
+const EDITOR_FIELDS = [
+  { key: "adoptedBy", label: "Adopted by" },
+  ...Object.entries(PARTNER_TYPES).map(([type, { pluralLabel, editField }]) => ({
+    key: editField,
+    label: pluralLabel,
+    partnerType: type,
+  })),
+];
+
+// The Sheet uses "N/A" for empty fields; show those as blank inputs
+const toInputValue = (value) => (!value || value === "N/A" ? "" : value);
+
+// Starting form values: the tract's current values, or blanks when editing several tracts
+const getInitialValues = (tractIds, adoptionStatusMap, partnerModel) => {
+  const tractId = tractIds.length === 1 ? tractIds[0] : null;
+  const current = tractId ? adoptionStatusMap[tractId] || {} : null;
+  // The recorded state, not "Renewal Due" shown for adoptions nearing expiry
+  const values = {
+    status: current ? current.recordedStatus || current.status || DEFAULT_ADOPTION_STATE : "",
+    expiresOn: current ? current.expiresOn || "" : "",
+  };
+  EDITOR_FIELDS.forEach(({ key, partnerType }) => {
+    if (!current) {
+      values[key] = "";
+    } else if (partnerType) {
+      values[key] = formatPartnerNames(getTractPartners(partnerModel, tractId, partnerType));
+    } else {
+      values[key] = toInputValue(current[key]);
+    }
+  });
+  return values;
+};
+
+/**
+ * Dialog for coordinators to change the adoption status, adopter and linked
+ * partners of one or more tracts. With several tracts, blank fields keep each
+ * tract's current value. A tract claimed by several adopters can be resolved
+ * here by picking the primary adopter or marking it co-adopted.
+ */
+const AdoptionEditor = ({ tractIds, adoptionStatusMap, partnerModel, onSave, onClose }) => {
+  const isBulk = tractIds.length > 1;
+  const [initialValues] = useState(() => getInitialValues(tractIds, adoptionStatusMap, partnerModel));
+  const [values, setValues] = useState(initialValues);
+  // Conflicting claims on a single tract, and how the coordinator resolves them:
+  // "" leaves them as they are, "co_adopted" or the index of the primary claimant
+  const claimants = isBulk ? [] : adoptionStatusMap[tractIds[0]]?.claimants || [];
+  const contested = !isBulk && Boolean(adoptionStatusMap[tractIds[0]]?.contested);
+  const [resolutionChoice, setResolutionChoice] = useState("");
+  const [note, setNote] = useState("");
+  const [updatedBy, setUpdatedBy] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const setValue = (key, value) => {
+    setValues(prev => ({ ...prev, [key]: value }));
+  };
+
+  // Resolving a conflict also sets who the tract is adopted by
+  const chooseResolution = (choice) => {
+    setResolutionChoice(choice);
+    if (choice === "co_adopted") {
+      setValue("adoptedBy", claimants.map(({ name }) => name).join(", "));
+    } else if (choice !== "") {
+      setValue("adoptedBy", claimants[choice].name);
+    } else {
+      setValue("adoptedBy", initialValues.adoptedBy);
+    }
+  };
+
+  const buildResolution = () => {
+    if (resolutionChoice === "") return undefined;
+    const adopters = resolutionChoice === "co_adopted"
+      ? claimants.map(({ name }) => name)
+      : [claimants[resolutionChoice].name];
+    return {
+      type: resolutionChoice === "co_adopted" ? "co_adopted" : "primary",
+      adopters,
+      claimants: claimants.map(({ name }) => name),
+    };
+  };
+
+  // Only send fields the coordinator changed so untouched fields keep following the Sheet
+  const buildChanges = () => {
+    const changedFields = {};
+    Object.keys(values).forEach(key => {
+      if (values[key] === initialValues[key]) return;
+      if (isBulk && values[key] === "") return;
+      changedFields[key] = values[key] === "" ? "N/A" : values[key];
+    });
+    const resolution = buildResolution();
+    if (resolution) {
+      changedFields.resolution = resolution;
+    }
+
+    // A note on its own is still worth recording in the history
+    if (Object.keys(changedFields).length === 0 && !note.trim()) return [];
+    return tractIds.map(tractId => ({ tractId, ...changedFields, note: note.trim() || undefined }));
+  };
+
+  const handleSave = async () => {
+    const changes = buildChanges();
+    if (changes.length === 0) {
+      onClose();
+      return;
+    }
+    if (!updatedBy.trim()) {
+      setError("Enter your name so others can see who made the change.");
+      return;
+    }
+
+    setSaving(true);
+    setError("");
+    try {
+      await onSave(changes, updatedBy.trim());
+      onClose();
+    } catch (saveError) {
+      console.error("Error saving adoption edits:", saveError);
+      setError("The changes could not be saved. Please try again.");
+      setSaving(false);
+    }
+  };
+
+  const inputStyle = {
+    width: "100%",
+    padding: "8px",
+    margin: "5px 0 10px 0",
+    borderRadius: "5px",
+    border: "1px solid #ccc",
+    boxSizing: "border-box",
+  };
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        top: 0,
+        left: 0,
+        width: "100%",
+        height: "100%",
+        backgroundColor: "rgba(0, 0, 0, 0.4)",
+        zIndex: 2000,
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+      }}
+    >
+      <div
+        style={{
+          backgroundColor: "white",
+          padding: "20px",
+          borderRadius: "10px",
+          boxShadow: "0 4px 8px rgba(0, 0, 0, 0.2)",
+          width: "360px",
+          maxHeight: "90vh",
+          overflowY: "auto",
+          fontSize: "13px",
+        }}
+      >
+        <h3 style={{ marginTop: 0 }}>
+          {isBulk ? `Edit Adoption (${tractIds.length} tracts)` : `Edit Adoption: ${tractIds[0]}`}
+        </h3>
+        {isBulk && (
+          <p style={{ color: "#666", fontSize: "12px" }}>
+            Blank fields keep each tract's current value.
+          </p>
+        )}
+
+        {claimants.length > 1 && (
+          <div
+            style={{
+              backgroundColor: "rgba(217, 70, 239, 0.1)",
+              border: "1px solid rgb(192, 38, 211)",
+              borderRadius: "5px",
+              padding: "8px",
+              marginBottom: "10px",
+            }}
+          >
+            <div style={{ fontWeight: "bold", marginBottom: "5px" }}>
+              {contested ? "Conflicting claims" : "Claims"}
+            </div>
+            <label style={{ display: "block", marginBottom: "4px" }}>
+              <input
+                type="radio"
+                checked={resolutionChoice === ""}
+                onChange={() => chooseResolution("")}
+              />{" "}
+              {contested ? "Leave unresolved" : "Keep as is"}
+            </label>
+            {claimants.map(({ name, row }, index) => (
+              <label key={name} style={{ display: "block", marginBottom: "4px" }}>
+                <input
+                  type="radio"
+                  checked={resolutionChoice === index}
+                  onChange={() => chooseResolution(index)}
+                />{" "}
+                {CONFLICT_RESOLUTIONS.primary.label}: {name} <span style={{ color: "#666" }}>(row {row})</span>
+              </label>
+            ))}
+            <label style={{ display: "block" }}>
+              <input
+                type="radio"
+                checked={resolutionChoice === "co_adopted"}
+                onChange={() => chooseResolution("co_adopted")}
+              />{" "}
+              {CONFLICT_RESOLUTIONS.co_adopted.label} by all
+            </label>
+          </div>
+        )}
+
+        <label style={{ fontWeight: "bold" }}>
+          Adoption Status:
+          <select value={values.status} onChange={(e) => setValue("status", e.target.value)} style={inputStyle}>
+            {isBulk && <option value="">Keep current</option>}
+            {Object.entries(ADOPTION_STATES).map(([state, { label }]) => (
+              <option key={state} value={state}>{label}</option>
+            ))}
+          </select>
+        </label>
+
+        <label style={{ fontWeight: "bold" }}>
+          Adoption expires:
+          <input
+            type="date"
+            value={values.expiresOn}
+            onChange={(e) => setValue("expiresOn", e.target.value)}
+            style={inputStyle}
+          />
+          <div style={{ color: "#666", fontSize: "12px", fontWeight: "normal", marginTop: "-6px", marginBottom: "10px" }}>
+            Optional. The tract is flagged for renewal {RENEWAL_WINDOW_DAYS} days before.
+          </div>
+        </label>
+
+        {EDITOR_FIELDS.map(({ key, label, partnerType }) => (
+          <label key={key} style={{ fontWeight: "bold" }}>
+            {label}:
+            <input
+              type="text"
+              value={values[key]}
+              onChange={(e) => setValue(key, e.target.value)}
+              placeholder={partnerType ? "Comma-separated names" : ""}
+              list={partnerType ? `partner-names-${partnerType}` : undefined}
+              style={inputStyle}
+            />
+            {partnerType && (
+              <datalist id={`partner-names-${partnerType}`}>
+                {Object.values(partnerModel?.partners || {})
+                  .filter(partner => partner.type === partnerType)
+                  .map(partner => <option key={partner.id} value={partner.name} />)}
+              </datalist>
+            )}
+          </label>
+        ))}
+
+        <label style={{ fontWeight: "bold" }}>
+          Note:
+          <textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="Optional, kept in the tract's history"
+            rows={2}
+            style={inputStyle}
+          />
+        </label>
+
+        <label style={{ fontWeight: "bold" }}>
+          Your name:
+          <input
+            type="text"
+            value={updatedBy}
+            onChange={(e) => setUpdatedBy(e.target.value)}
+            style={inputStyle}
+          />
+        </label>
+
+        {error && (
+          <div style={{ color: "red", fontSize: "12px", marginBottom: "8px" }}>{error}</div>
+        )}
+
+        <div style={{ display: "flex", gap: "10px" }}>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving}
+            style={{
+              flex: 1,
+              padding: "8px",
+              backgroundColor: "#007BFF",
+              color: "white",
+              border: "none",
+              borderRadius: "5px",
+              cursor: saving ? "wait" : "pointer",
+              fontWeight: "bold",
+            }}
+          >
+            {saving ? "Saving..." : "Save"}
+          </button>
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={saving}
+            style={{
+              flex: 1,
+              padding: "8px",
+              backgroundColor: "#6c757d",
+              color: "white",
+              border: "none",
+              borderRadius: "5px",
+              cursor: "pointer",
+              fontWeight: "bold",
+            }}
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdoptionEditor;
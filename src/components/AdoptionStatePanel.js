@@ -0,0 +1,100 @@
+import React, { useState } from "react";
+import { ADOPTION_STATES, NOT_IN_CSV_CLASS, RENEWAL_DUE_STATE, LAPSED_STATE, RENEWAL_WINDOW_DAYS } from "../utils/adoptionStates";
+import { CONTESTED_CLASS } from "../utils/adoptionStatusUtils";
+
+// Filter key for tracts that aren't in the Sheet
+export const NOT_IN_CSV_FILTER = "not_in_csv";
+
+/**
+ * Legend of adoption lifecycle states with the number of tracts in each,
+ * and checkboxes to filter the map to chosen states. Contested tracts,
+ * claimed by more than one adopter, are listed and filtered separately.
+ */
+const AdoptionStatePanel = ({ enabled, counts, notInCsvCount, filter, setFilter }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  const toggleFilter = (state) => {
+    setFilter(filter.includes(state)
+      ? filter.filter(key => key !== state)
+      : [...filter, state]);
+  };
+
+  const entries = [
+    ...Object.entries(ADOPTION_STATES).map(([state, { label, color }]) => ({ key: state, label, color, count: counts[state] || 0 })),
+    { key: CONTESTED_CLASS.value, label: CONTESTED_CLASS.label, color: CONTESTED_CLASS.color, count: counts[CONTESTED_CLASS.value] || 0 },
+    { key: NOT_IN_CSV_FILTER, ...NOT_IN_CSV_CLASS, count: notInCsvCount },
+  ];
+
+  return (
+    <div
+      style={{
+        backgroundColor: "white",
+        padding: "15px",
+        borderRadius: "10px",
+        boxShadow: "0 4px 8px rgba(0, 0, 0, 0.2)",
+        width: "250px",
+      }}
+    >
+      <div
+        onClick={() => setExpanded(!expanded)}
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          fontWeight: "bold",
+          cursor: "pointer",
+        }}
+      >
+        <span>Adoption States</span>
+        <span>{expanded ? "▲" : "▼"}</span>
+      </div>
+
+      {expanded && !enabled && (
+        <p style={{ fontSize: "12px", color: "#666", margin: "10px 0 0 0" }}>
+          Adoption states are tracked per census tract. Switch to the census tract view to filter by them.
+        </p>
+      )}
+
+      {expanded && enabled && (
+        <div style={{ marginTop: "10px", fontSize: "13px" }}>
+          <div style={{ color: "#666", fontSize: "12px", marginBottom: "5px" }}>
+            Tick states to show only those tracts.
+            {ADOPTION_STATES[RENEWAL_DUE_STATE] && ` Adoptions expiring within ${RENEWAL_WINDOW_DAYS} days show as ${ADOPTION_STATES[RENEWAL_DUE_STATE].label}.`}
+            {ADOPTION_STATES[LAPSED_STATE] && ` Expired adoptions show as ${ADOPTION_STATES[LAPSED_STATE].label}.`}
+          </div>
+          {entries.map(({ key, label, color, count }) => (
+            <label key={key} style={{ display: "flex", alignItems: "center", gap: "6px", marginBottom: "4px" }}>
+              <input
+                type="checkbox"
+                checked={filter.includes(key)}
+                onChange={() => toggleFilter(key)}
+              />
+              <span style={{ width: "12px", height: "12px", backgroundColor: color, border: "1px solid #333" }} />
+              <span>{label}: {count}</span>
+            </label>
+          ))}
+          {filter.length > 0 && (
+            <button
+              type="button"
+              onClick={() => setFilter([])}
+              style={{
+                width: "100%",
+                marginTop: "5px",
+                padding: "8px",
+                backgroundColor: "#6c757d",
+                color: "white",
+                border: "none",
+                borderRadius: "5px",
+                cursor: "pointer",
+                fontWeight: "bold",
+              }}
+            >
+              Show all
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdoptionStatePanel;
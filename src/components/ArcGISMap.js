@@ -1,161 +1,509 @@
-import React, { useEffect, useRef, useState, useCallback } from "react";
+import React, { useEffect, useRef, useState, useCallback, useMemo } from "react";
 import Map from "@arcgis/core/Map";
 import MapView from "@arcgis/core/views/MapView";
 import GeoJSONLayer from "@arcgis/core/layers/GeoJSONLayer";
+import FeatureLayer from "@arcgis/core/layers/FeatureLayer";
+import * as reactiveUtils from "@arcgis/core/core/reactiveUtils";
 import "@arcgis/core/assets/esri/themes/light/main.css";
 import { performSearch } from "../utils/searchUtil";
-import axios from "axios";
-import Papa from "papaparse";
-import { fetchCensusTractsData, fetchZipcodeData, injectCensusDataIntoLayer } from "../utils/censusDataUtils";
+import {
+  fetchCensusTractsData,
+  fetchZipcodeData,
+  loadCensusSnapshot,
+  injectCensusDataIntoLayer,
+  normalizeZipCode
+} from "../utils/censusDataUtils";
+import { buildCensusPopupRows, CENSUS_VARIABLES, CENSUS_CHANGE_FIELDS, NEED_SCORE_FIELD } from "../utils/censusVariables";
+import {
+  DEFAULT_COLOR_RAMP,
+  createChangeRenderer,
+  createNeedScoreRenderer,
+  createHotSpotRenderer,
+  createChoroplethRenderer,
+  createBivariateRenderer,
+  createBoundaryRenderer,
+  createCountyOutlineRenderer,
+  getRendererLegend
+} from "../utils/rendererUtils";
+import { DEFAULT_CLASSIFICATION_METHOD, DEFAULT_CLASS_COUNT } from "../utils/classificationUtils";
+import {
+  DEFAULT_BIVARIATE_NEED,
+  DEFAULT_BIVARIATE_ADOPTION,
+  HIGH_NEED_NO_ADOPTION,
+  classifyBivariate,
+  getBivariateCellIds
+} from "../utils/bivariateUtils";
+import { loadNeedWeights, saveNeedWeights, applyNeedScores } from "../utils/needIndexUtils";
+import {
+  HOT_SPOT_FIELDS,
+  loadTractGeometry,
+  loadTractAdjacency,
+  runHotSpotAnalysis,
+  clearHotSpotResults,
+  buildHotSpotPopupRow
+} from "../utils/hotSpotUtils";
+import { loadTractZipCrosswalk, aggregateTractsToZip } from "../utils/crosswalkUtils";
 import SearchComponent from "./SearchComponent";
 import PolygonSelection from "./PolygonSelection";
+import ColorByControl from "./ColorByControl";
+import NeedIndexPanel from "./NeedIndexPanel";
+import HotSpotPanel from "./HotSpotPanel";
+import ImportValidationPanel from "./ImportValidationPanel";
+import DataSourcePanel from "./DataSourcePanel";
+import PartnerLayerPanel from "./PartnerLayerPanel";
+import AdoptionStatePanel, { NOT_IN_CSV_FILTER } from "./AdoptionStatePanel";
+import CoverageDashboard from "./CoverageDashboard";
+import RecommendationPanel from "./RecommendationPanel";
+import LayerPanel from "./LayerPanel";
+import BivariatePanel from "./BivariatePanel";
+import {
+  MAP_LAYERS,
+  loadLayerSettings,
+  saveLayerSettings,
+  moveLayer,
+  swapLayers,
+  swapLayerSettings,
+  createBoundaryLabelingInfo
+} from "../utils/layerUtils";
+import { buildCountyOutlines } from "../utils/geoutils";
+import {
+  ZIP_ID_FIELDS,
+  loadZipGeometry,
+  buildZipCentroids,
+  buildZipCounties,
+  buildTractCities,
+  getCountyWhere,
+  getZipIdField
+} from "../utils/countyUtils";
+import { validateImports } from "../utils/importValidationUtils";
+import { DATA_SOURCES, loadDataset } from "../utils/dataSources";
+import { locatePartners } from "../utils/geocoder";
+import { buildTractCentroids } from "../utils/recommendationUtils";
+import {
+  PARTNER_LAYER_FIELDS,
+  createPartnerGraphics,
+  createPartnerRenderer,
+  createPartnerClusterReduction,
+  createPartnerPopupHtml
+} from "../utils/partnerLayerUtils";
+import AdoptionEditor from "./AdoptionEditor";
+import {
+  PARTNER_TYPES,
+  importPartnersFromSheet,
+  applyPartnerEdits,
+  getPartnerTracts,
+  getZipPartners,
+  createPartnerListHtml
+} from "../utils/partnerUtils";
+import { fetchAdoptionEdits, fetchAdoptionHistory, saveAdoptionEdits } from "../utils/adoptionStore";
 import { 
   processAdoptionStatus, 
+  applyAdoptionEdits,
+  countAdoptionStates,
+  CONTESTED_CLASS,
   createAdoptionStatusRenderer,
-  createAdoptionStatusPopupTemplate 
+  createAdoptionStatusPopupTemplate,
+  createZipAdoptionRenderer,
+  createZipAdoptionStatusHtml
 } from "../utils/adoptionStatusUtils";
+import { DEFAULT_ADOPTION_STATE, isAdoptedState, getAdoptionStateLabel } from "../utils/adoptionStates";
 
-// CSV fetch functions using PapaParse
-async function getSheetData() {
-  // Poverty CSV remains unchanged
-  const sheetUrl =
-    "https://docs.google.com/spreadsheets/d/e/2PACX-1vR2x0Lik-Flp1e9x-BL2Lrz-bt1lBnmfjyq-xaJre8U3nb-RmRRHHqZ5XyMczrfaA-UJDEmsMhBAJ_7/pub?output=csv";
-  try {
-    const response = await axios.get(sheetUrl);
-    const parsed = Papa.parse(response.data, { 
-      header: true, 
-      skipEmptyLines: true,
-      transformHeader: (header) => header.trim() 
-    });
-    
-    console.log("Poverty data loaded:", parsed.data.length, "rows");
-    console.log("CSV Headers:", parsed.meta.fields);
-    
-    // Check if we have the required columns
-    const hasCensusTract = parsed.meta.fields.includes("Census Tract");
-    const hasAdoptionStatus = parsed.meta.fields.includes("Adoption Status");
-    
-    console.log("Has Census Tract column:", hasCensusTract);
-    console.log("Has Adoption Status column:", hasAdoptionStatus);
-    
-    return parsed.data;
-  } catch (error) {
-    console.error("Error fetching poverty CSV data:", error);
-    return [];
-  }
-}
-
-async function getChurchData() {
-  // Updated Church CSV with ?output=csv link
-  const churchCsvUrl =
-    "https://docs.google.com/spreadsheets/d/e/2PACX-1vQefnw4KOV5sBhvRHI-ptUNjDlBxWSE678iwq8mxuGGTbf2Odgc-w6x_H2UPs1g3cGf9DM9U4rdYNoA/pub?output=csv";
-  try {
-    const response = await axios.get(churchCsvUrl);
-    const parsed = Papa.parse(response.data, { 
-      header: true, 
-      skipEmptyLines: true,
-      transformHeader: (header) => header.trim() 
-    });
-    
-    // Log the headers to verify we're getting the right columns
-    console.log("Church data headers:", parsed.meta.fields);
-    
-    // Create a map of zip codes to arrays of church names for faster lookups
-    const churchesByZip = {};
-    parsed.data.forEach(church => {
-      const zipCode = church["Zip Code"];
-      const name = church["Name"];
-      
-      if (!zipCode || !name) return;
-      
-      // Convert any zip code to string and normalize it
-      const zipStr = zipCode.toString().trim();
-      
-      if (!churchesByZip[zipStr]) {
-        churchesByZip[zipStr] = [];
-      }
-      
-      churchesByZip[zipStr].push(name);
-    });
-    
-    console.log("Church data organized by ZIP code. Available ZIPs:", Object.keys(churchesByZip));
-    
-    // Return both the raw data and the lookup map
-    return {
-      rawData: parsed.data,
-      churchesByZip: churchesByZip
-    };
-  } catch (error) {
-    console.error("Error fetching Church CSV data:", error);
-    return {
-      rawData: [],
-      churchesByZip: {}
-    };
+// Renderer used until census or adoption data is available
+const DEFAULT_LAYER_RENDERER = {
+  type: "simple",
+  symbol: {
+    type: "simple-fill",
+    color: "rgba(128, 128, 128, 0.3)", // Gray for default
+    outline: {
+      color: "black",
+      width: 1,
+    },
   }
-}
+};
+
+// Options for the "Color by" control; census indicators are drawn as class-breaks choropleths
+const COLOR_BY_OPTIONS = [
+  { value: "adoption", label: "Adoption Status" },
+  { value: NEED_SCORE_FIELD.code, label: NEED_SCORE_FIELD.label },
+  { value: "hotspots", label: "Hot Spots" },
+  { value: "bivariate", label: "Need vs. Adoption" },
+  ...CENSUS_VARIABLES.map(variable => ({
+    value: variable.code,
+    label: variable.label,
+    group: "Census Indicators",
+    choropleth: true
+  })),
+  ...CENSUS_CHANGE_FIELDS.map(field => ({ value: field.code, label: field.label, group: "Change Over Time" }))
+];
+
+// Where clause limiting a tract or ZIP layer to a county, or null for every county
+const getLayerCountyWhere = (layer, geography, county, zipCounties) => {
+  const idField = geography === "censusTracts"
+    ? "GEOID"
+    : layer.censusIdField || getZipIdField((layer.fields || []).map(field => field.name));
+  return getCountyWhere(county, geography, idField, zipCounties);
+};
+
+// Popup action that opens the adoption editor for the clicked tract
+const EDIT_ADOPTION_ACTION = {
+  id: "edit-adoption",
+  title: "Edit Adoption",
+  className: "esri-icon-edit"
+};
 
 const ArcGISMap = () => {
   const viewDivRef = useRef(null);
   const [map, setMap] = useState(null);
   const [view, setView] = useState(null);
   const [selectedLayer, setSelectedLayer] = useState("censusTracts"); // "censusTracts" or "zipCodes"
+  // The geography not selected, which the layer panel can show as borders
+  const otherGeography = selectedLayer === "censusTracts" ? "zipCodes" : "censusTracts";
   const [searchField, setSearchField] = useState("");
   const [searchValue, setSearchValue] = useState("");
   const geoJsonLayerRef = useRef(null);
   const [layerLoaded, setLayerLoaded] = useState(false);
   const [searchStatus, setSearchStatus] = useState("");
-  // eslint-disable-next-line no-unused-vars
   const [povertyData, setPovertyData] = useState([]);
-  // eslint-disable-next-line no-unused-vars
   const [churchData, setChurchData] = useState([]);
-  const [churchesByZip, setChurchesByZip] = useState({});
+  // Where each dataset was loaded from; uploads replace the configured source
+  const [dataSources, setDataSources] = useState(DATA_SOURCES);
+  // Set once both spreadsheets have been fetched, so validation runs on complete data
+  const [sheetsLoaded, setSheetsLoaded] = useState(false);
+  // GEOIDs in the tract GeoJSON, or null until loaded (or if they can't be)
+  const [tractGeoids, setTractGeoids] = useState(null);
+  // Center point of each tract, or null until loaded, for tract suggestions
+  const [tractCentroids, setTractCentroids] = useState(null);
   // New state for census data
   const [censusTractData, setCensusTractData] = useState({});
   const [zipCodeData, setZipCodeData] = useState({});
-  // New state for adoption status map
-  const [adoptionStatusMap, setAdoptionStatusMap] = useState({});
+  const [censusRefreshing, setCensusRefreshing] = useState(false);
+  // Incremented whenever census data has been attached to the current layer
+  const [censusLayerVersion, setCensusLayerVersion] = useState(0);
+  // "adoption", the need score or a change field code from CENSUS_CHANGE_FIELDS
+  const [colorBy, setColorBy] = useState("adoption");
+  // Classification of census indicator choropleths, and the legend of the current renderer
+  const [choropleth, setChoropleth] = useState({
+    method: DEFAULT_CLASSIFICATION_METHOD,
+    classCount: DEFAULT_CLASS_COUNT,
+    ramp: DEFAULT_COLOR_RAMP
+  });
+  const [colorByLegend, setColorByLegend] = useState(null);
+  // Measures crossed by the need-versus-adoption map, and whether it shows
+  // only high need tracts with no adoption
+  const [bivariate, setBivariate] = useState({
+    needCode: DEFAULT_BIVARIATE_NEED,
+    adoptionMeasure: DEFAULT_BIVARIATE_ADOPTION
+  });
+  const [bivariateFilter, setBivariateFilter] = useState(false);
+  // Tracts to select in the polygon selection tool ({ tractIds, requestId }), or null
+  const [selectionRequest, setSelectionRequest] = useState(null);
+  // Need score weights; the ref lets layer loading use the latest weights
+  const [needWeights, setNeedWeights] = useState(loadNeedWeights);
+  const needWeightsRef = useRef(needWeights);
+  // Hot spot analysis settings ({ code, method }) or null, and the tract count per label
+  const [hotSpotConfig, setHotSpotConfig] = useState(null);
+  const hotSpotConfigRef = useRef(null);
+  const [hotSpotCounts, setHotSpotCounts] = useState(null);
+  const [hotSpotRunning, setHotSpotRunning] = useState(false);
+  // Hot spot labels to show; empty shows every tract
+  const [hotSpotFilter, setHotSpotFilter] = useState([]);
+  // Adoption states to show; empty shows every tract
+  const [adoptionStateFilter, setAdoptionStateFilter] = useState([]);
+  // Edits made in the app on top of the adoption Sheet
+  const [adoptionEdits, setAdoptionEdits] = useState({});
+  const [adoptionHistory, setAdoptionHistory] = useState([]);
+  // Tracts open in the adoption editor, or null when it is closed
+  const [editingTractIds, setEditingTractIds] = useState(null);
+  // Adoption status and partners read by popups when they open, so edits
+  // show without reloading the layer
+  const adoptionDataRef = useRef({ adoptionStatusMap: {}, partnerModel: null });
+  // ZIP census data for the layer, read when it loads; adoption edits update
+  // the loaded layer in place
+  const zipLayerDataRef = useRef({});
+  // Tract shown in the popup, for the popup's edit action
+  const popupTractIdRef = useRef(null);
+  // Layer type the view was last zoomed to, so reloading a layer keeps the extent
+  const fittedLayerRef = useRef(null);
+  // Tract-to-ZIP crosswalk, or null when public/ has no crosswalk file
+  const [tractZipCrosswalk, setTractZipCrosswalk] = useState(null);
+  // Partner point layer, partner locations keyed by partner ID, and the
+  // highlight of the clicked partner's tracts
+  const partnerLayerRef = useRef(null);
+  const partnerHighlightRef = useRef(null);
+  const [partnerLocations, setPartnerLocations] = useState({});
+  // Visibility, opacity and order of the layers in the layer panel
+  const [layers, setLayers] = useState(loadLayerSettings);
+  const showPartners = layers.settings.partners.visible;
+  // County outlines built from the tract boundaries, and their layer
+  const [countyOutlines, setCountyOutlines] = useState(null);
+  const countyLayerRef = useRef(null);
+  // Border-only layers of the geography that isn't the data layer, keyed by geography
+  const boundaryLayersRef = useRef({});
+  // Builds the popup section on the other geography's feature under a click,
+  // kept in a ref so new data doesn't reload the layer
+  const otherGeographyContentRef = useRef(null);
+  // Incremented whenever layers are added to the map, so they get ordered again
+  const [mapLayersVersion, setMapLayersVersion] = useState(0);
+  // County the map, search and selection are limited to; "" for every county
+  const [countyFilter, setCountyFilter] = useState("");
+  // ZIP code boundaries, for working out which counties each ZIP code reaches
+  const [zipGeometry, setZipGeometry] = useState(null);
+
+  // Partners imported from the Sheet and church directory, and the Sheet's adoption status
+  const importedPartners = useMemo(
+    () => importPartnersFromSheet(povertyData, churchData),
+    [povertyData, churchData]
+  );
+  const sheetAdoptionMap = useMemo(() => {
+    if (povertyData.length === 0) return {};
+    const statusMap = processAdoptionStatus(povertyData, importedPartners);
+    console.log("Adoption status processed from CSV data");
+    return statusMap;
+  }, [povertyData, importedPartners]);
+
+  // Problems found in the spreadsheets, for the data checks panel
+  const importValidation = useMemo(() => {
+    if (!sheetsLoaded) return null;
+    return validateImports({ adoptionRows: povertyData, churchRows: churchData, tractGeoids, partnerModel: importedPartners });
+  }, [sheetsLoaded, povertyData, churchData, tractGeoids, importedPartners]);
+
+  // Partner links with the app's edits applied
+  const partnerModel = useMemo(
+    () => applyPartnerEdits(importedPartners, adoptionEdits),
+    [importedPartners, adoptionEdits]
+  );
 
-  // Fetch CSV data on mount
+  // Adoption status with the app's edits applied; edits win over the Sheet
+  const adoptionStatusMap = useMemo(() => {
+    if (Object.keys(sheetAdoptionMap).length === 0 && Object.keys(adoptionEdits).length === 0) {
+      return {};
+    }
+    return applyAdoptionEdits(sheetAdoptionMap, adoptionEdits, adoptionHistory);
+  }, [sheetAdoptionMap, adoptionEdits, adoptionHistory]);
+
+  // Need-versus-adoption class of each tract while that map is shown. The
+  // census data lives on the layer, so censusLayerVersion marks its changes.
+  const [bivariateClasses, setBivariateClasses] = useState(null);
   useEffect(() => {
-    getSheetData()
-      .then(data => {
-        setPovertyData(data);
-        // Process the adoption status from the CSV data
-        const statusMap = processAdoptionStatus(data);
-        setAdoptionStatusMap(statusMap);
-        console.log("Adoption status processed from CSV data");
-      })
-      .catch(console.error);
+    const featureCensusData = geoJsonLayerRef.current?.featureCensusData;
+    if (colorBy !== "bivariate" || selectedLayer !== "censusTracts" || !layerLoaded || !featureCensusData) {
+      setBivariateClasses(null);
+      return;
+    }
+    setBivariateClasses(classifyBivariate(featureCensusData, { ...bivariate, adoptionStatusMap, partnerModel }));
+  }, [colorBy, bivariate, adoptionStatusMap, partnerModel, censusLayerVersion, selectedLayer, layerLoaded]);
+
+  // Counties reached by each ZIP code, or null until the boundaries are loaded
+  const zipCounties = useMemo(
+    () => (zipGeometry && tractCentroids ? buildZipCounties(zipGeometry, tractCentroids, tractZipCrosswalk) : null),
+    [zipGeometry, tractCentroids, tractZipCrosswalk]
+  );
+
+  // Center of each ZIP code, for suggesting tracts to partners known only by ZIP code
+  const zipCentroids = useMemo(() => (zipGeometry ? buildZipCentroids(zipGeometry) : null), [zipGeometry]);
+
+  // City of each tract, from the ZIP code its center falls in, for coverage by city
+  const tractCities = useMemo(
+    () => (zipGeometry && tractCentroids ? buildTractCities(zipGeometry, tractCentroids) : null),
+    [zipGeometry, tractCentroids]
+  );
+
+  // Tracts per adoption state, and map tracts missing from the Sheet, for the adoption state legend
+  const adoptionStateCounts = useMemo(() => countAdoptionStates(adoptionStatusMap), [adoptionStatusMap]);
+  const notInCsvCount = useMemo(
+    () => (tractGeoids || []).filter(tractId => !adoptionStatusMap[tractId]).length,
+    [tractGeoids, adoptionStatusMap]
+  );
+
+  // ZIP census data for the layer: built from tract data through the crosswalk
+  // when available so ZIP and tract figures agree, with ZCTA data as fallback
+  const zipLayerData = useMemo(() => {
+    if (!tractZipCrosswalk || Object.keys(censusTractData).length === 0) {
+      return zipCodeData;
+    }
+    return {
+      ...zipCodeData,
+      ...aggregateTractsToZip(censusTractData, tractZipCrosswalk, adoptionStatusMap)
+    };
+  }, [tractZipCrosswalk, censusTractData, zipCodeData, adoptionStatusMap]);
+
+  // Load census tract and ZIP code data from the bundled snapshot when one is
+  // present, otherwise from the Census API; forceRefresh bypasses both caches
+  const loadCensusData = useCallback(async (forceRefresh = false) => {
+    const apiKey = process.env.REACT_APP_CENSUS_API_KEY;
     
-    getChurchData().then(data => {
-      setChurchData(data.rawData);
-      setChurchesByZip(data.churchesByZip);
-      console.log("Church data loaded:", data.rawData.length, "records");
-    }).catch(console.error);
-
-    // Fetch census data
-    ;const apiKey = process.env.REACT_APP_CENSUS_API_KEY; 
-    if (apiKey) {
-      // Fetch census tract data
-      fetchCensusTractsData(apiKey)
-        .then(data => {
-          setCensusTractData(data);
-          console.log("Census tract data loaded:", Object.keys(data).length, "records");
-        })
-        .catch(console.error);
+    setCensusRefreshing(true);
+    try {
+      if (!forceRefresh || !apiKey) {
+        const [tractSnapshot, zipSnapshot] = await Promise.all([
+          loadCensusSnapshot("tract"),
+          loadCensusSnapshot("zcta")
+        ]);
+        
+        if (tractSnapshot && zipSnapshot) {
+          setCensusTractData(tractSnapshot);
+          setZipCodeData(zipSnapshot);
+          console.log("Census data loaded from snapshot");
+          return;
+        }
+      }
       
-      // Fetch ZIP code data
-      fetchZipcodeData(apiKey)
-        .then(data => {
-          setZipCodeData(data);
-          console.log("ZIP code data loaded:", Object.keys(data).length, "records");
-        })
-        .catch(console.error);
-    } else {
-      console.warn("Census API key not found. Set REACT_APP_CENSUS_API_KEY in your environment.");
+      if (!apiKey) {
+        console.warn("Census API key not found. Set REACT_APP_CENSUS_API_KEY in your environment.");
+        return;
+      }
+      
+      const [tractData, zipData] = await Promise.all([
+        fetchCensusTractsData(apiKey, { forceRefresh }),
+        fetchZipcodeData(apiKey, { forceRefresh })
+      ]);
+      
+      setCensusTractData(tractData);
+      console.log("Census tract data loaded:", Object.keys(tractData).length, "records");
+      
+      setZipCodeData(zipData);
+      console.log("ZIP code data loaded:", Object.keys(zipData).length, "records");
+    } catch (error) {
+      console.error(error);
+    } finally {
+      setCensusRefreshing(false);
     }
   }, []);
 
+  // Manually refresh census data from the API, replacing cached responses
+  const refreshCensusData = () => {
+    loadCensusData(true);
+  };
+
+  // Run a hot spot analysis on the tract layer's census data; returns the label counts
+  const analyzeHotSpots = async (geoJsonLayer, config) => {
+    const adjacency = await loadTractAdjacency();
+    return runHotSpotAnalysis(geoJsonLayer.featureCensusData, adjacency, config.code, config.method);
+  };
+
+  // Run the analysis chosen in the hot spot panel and color the map by its labels
+  const runHotSpots = async (config) => {
+    const geoJsonLayer = geoJsonLayerRef.current;
+    if (!geoJsonLayer?.featureCensusData || selectedLayer !== "censusTracts") return;
+    
+    setHotSpotRunning(true);
+    try {
+      const counts = await analyzeHotSpots(geoJsonLayer, config);
+      hotSpotConfigRef.current = config;
+      setHotSpotConfig(config);
+      setHotSpotCounts(counts);
+      setHotSpotFilter([]);
+      setColorBy("hotspots");
+      setCensusLayerVersion(version => version + 1);
+    } catch (error) {
+      console.error("Error running hot spot analysis:", error);
+    } finally {
+      setHotSpotRunning(false);
+    }
+  };
+
+  // Remove hot spot labels, the filter and the hot spot coloring
+  const clearHotSpots = () => {
+    const geoJsonLayer = geoJsonLayerRef.current;
+    if (geoJsonLayer?.featureCensusData) {
+      clearHotSpotResults(geoJsonLayer.featureCensusData);
+    }
+    hotSpotConfigRef.current = null;
+    setHotSpotConfig(null);
+    setHotSpotCounts(null);
+    setHotSpotFilter([]);
+    setColorBy(prev => prev === "hotspots" ? "adoption" : prev);
+    setCensusLayerVersion(version => version + 1);
+  };
+
+  // Save adoption edits from the editor; the map recolors from the new status
+  const saveAdoption = async (changes, updatedBy) => {
+    // The history records what each tract changed from, and whether its
+    // state counts as adopted before and after
+    const changesWithPrevious = changes.map(change => {
+      const current = adoptionStatusMap[change.tractId];
+      const status = current?.recordedStatus || DEFAULT_ADOPTION_STATE;
+      return {
+        ...change,
+        adopted: change.status !== undefined ? isAdoptedState(change.status) : undefined,
+        previous: {
+          status,
+          adopted: isAdoptedState(current?.status || status),
+          adoptedBy: current?.adoptedBy || null
+        }
+      };
+    });
+    
+    const { saved, entries } = await saveAdoptionEdits(changesWithPrevious, updatedBy);
+    setAdoptionEdits(prev => ({ ...prev, ...saved }));
+    setAdoptionHistory(prev => [...prev, ...entries]);
+    console.log(`Saved adoption edits for ${Object.keys(saved).length} tracts`);
+  };
+
+  // Center the map on a suggested tract
+  const showTract = (centroid) => {
+    if (!view || !centroid) return;
+    view.goTo({ center: [centroid.longitude, centroid.latitude], zoom: 14 }).catch(console.warn);
+  };
+
+  // Apply new need score weights from the settings panel and remember them
+  const applyNeedWeights = (weights) => {
+    setNeedWeights(weights);
+    saveNeedWeights(weights);
+  };
+
+  // Load a dataset from a different source, e.g. an uploaded file. When it
+  // fails, loadDataset throws and the current rows and source are kept.
+  const changeDataSource = async (dataset, source) => {
+    const rows = await loadDataset(dataset, source);
+    setDataSources(prev => ({ ...prev, [dataset]: source }));
+    if (dataset === "adoption") {
+      setPovertyData(rows);
+    } else {
+      setChurchData(rows);
+    }
+  };
+
+  // Fetch adoption and church data on mount
+  useEffect(() => {
+    // Columns and values are checked by validateImports once both datasets are in;
+    // a dataset that fails to load starts out empty
+    Promise.all(["adoption", "church"].map(dataset =>
+      loadDataset(dataset).catch(error => {
+        console.error(error.message);
+        return [];
+      })
+    ))
+      .then(([sheetRows, churchRows]) => {
+        setPovertyData(sheetRows);
+        setChurchData(churchRows);
+        setSheetsLoaded(true);
+      })
+      .catch(console.error);
+    
+    // Tract IDs in the sheet are checked against the tract boundaries
+    loadTractAdjacency()
+      .then(adjacency => setTractGeoids(Object.keys(adjacency)))
+      .catch(error => console.warn("Tract boundaries unavailable for validation:", error));
+    loadTractGeometry()
+      .then(geojson => {
+        setTractCentroids(buildTractCentroids(geojson));
+        setCountyOutlines(buildCountyOutlines(geojson));
+      })
+      .catch(error => console.warn("Tract boundaries unavailable for suggestions and county outlines:", error));
+    loadZipGeometry(MAP_LAYERS.zipCodes.url)
+      .then(setZipGeometry)
+      .catch(error => console.warn("ZIP code boundaries unavailable for the county filter, coverage by city and ZIP-only suggestions:", error));
+    
+    fetchAdoptionEdits().then(setAdoptionEdits).catch(console.error);
+    fetchAdoptionHistory().then(setAdoptionHistory).catch(console.error);
+
+    loadTractZipCrosswalk().then(setTractZipCrosswalk).catch(console.error);
+
+    // Fetch census data (served from the IndexedDB cache when fresh)
+    loadCensusData();
+  }, [loadCensusData]);
+
   // Create the map and view on mount
   useEffect(() => {
     const newMap = new Map({ basemap: "topo-vector" });
@@ -182,7 +530,15 @@ const ArcGISMap = () => {
       setView(mapView);
     });
 
+    // Open the adoption editor from the tract popup
+    const popupActionHandle = reactiveUtils.on(() => mapView.popup, "trigger-action", (event) => {
+      if (event.action.id === EDIT_ADOPTION_ACTION.id && popupTractIdRef.current) {
+        setEditingTractIds([popupTractIdRef.current]);
+      }
+    });
+
     return () => {
+      popupActionHandle.remove();
       mapView?.destroy();
     };
   }, []);
@@ -191,25 +547,19 @@ const ArcGISMap = () => {
   const generateCensusTractContent = useCallback((graphic) => {
     const attrs = graphic.attributes || {};
     
-    // US Census API fields
-    const totalPopulation = attrs.P1_001N || "N/A";
-    const employmentRate = attrs.DP03_0004PE || "N/A";
-    const totalHouseholds = attrs.DP02_0001E || "N/A";
-    const medianHouseholdIncome = attrs.S1901_C01_012E || "N/A";
-    
+    // Census indicator rows come from the variable catalog
     // We'll add adoption status in the layer's popup template content function
     return `
       <div style="text-align: left;">
         <b>Census Tract:</b> ${attrs.NAMELSAD || "Unknown"}<br>
-        <b>Total Population:</b> ${totalPopulation}<br>
-        <b>Employment Rate:</b> ${employmentRate}%<br>
-        <b>Total Households:</b> ${totalHouseholds}<br>
-        <b>Median Household Income:</b> $${medianHouseholdIncome}<br>
+        ${buildCensusPopupRows(attrs)}
+        ${buildHotSpotPopupRow(attrs)}
         <b>Adoption Status:</b> <span id="adoption-status-placeholder"></span><br>
         <b>Adopted by:</b> <span id="adopted-by-placeholder"></span><br>
         <b>Churches:</b> <span id="churches-placeholder"></span><br>
         <b>Non-Profits:</b> <span id="nonprofits-placeholder"></span><br>
         <b>Local Business:</b> <span id="business-placeholder"></span>
+        <span id="history-placeholder"></span>
       </div>
     `;
   }, []);
@@ -219,12 +569,6 @@ const ArcGISMap = () => {
     // Get all attributes from the feature
     const attrs = feature.graphic ? feature.graphic.attributes : feature.attributes || {};
     
-    // Get attributes for the display
-    const totalPopulation = attrs.P1_001N || "N/A";
-    const employmentRate = attrs.DP03_0004PE || "N/A";
-    const totalHouseholds = attrs.DP02_0001E || "N/A";
-    const medianHouseholdIncome = attrs.S1901_C01_012E || "N/A";
-    
     // Try different ways to get the ZIP code
     let zipCode = null;
     if (attrs.ZIP_CODE !== undefined && attrs.ZIP_CODE !== null) {
@@ -244,32 +588,79 @@ const ArcGISMap = () => {
       }
     }
     
-    // Get church names for this ZIP from our precomputed lookup
-    let churchNames = "No churches found";
-    if (zipCode && churchesByZip[zipCode] && churchesByZip[zipCode].length > 0) {
-      churchNames = churchesByZip[zipCode].join(", ");
-      console.log(`Found ${churchesByZip[zipCode].length} churches for ZIP ${zipCode}`);
-    } else {
-      console.log(`No churches found for ZIP ${zipCode}`);
-    }
+    // List the partners located in this ZIP, by type
+    const partnerRows = Object.entries(PARTNER_TYPES).map(([type, { pluralLabel }]) => {
+      const partners = getZipPartners(adoptionDataRef.current.partnerModel, zipCode, type);
+      const partnerList = partners.length > 0
+        ? createPartnerListHtml(partners)
+        : `No ${pluralLabel.toLowerCase()} found`;
+      return `<b>${pluralLabel}:</b> ${partnerList}`;
+    });
 
     return `
       <div style="text-align: left;">
         <h3>ZIP Code: ${zipCode || "N/A"}</h3>
-        <b>Total Population:</b> ${totalPopulation}<br>
-        <b>Employment Rate:</b> ${employmentRate}%<br>
-        <b>Total Households:</b> ${totalHouseholds}<br>
-        <b>Median Household Income:</b> $${medianHouseholdIncome}<br>
-        <b>Adoption Status:</b> <span id="adoption-status-placeholder"></span><br>
-        <b>Churches:</b> ${churchNames}
+        ${buildCensusPopupRows(attrs)}
+        <b>Adoption Status:</b> ${createZipAdoptionStatusHtml(attrs)}<br>
+        ${partnerRows.join("<br>")}
       </div>
     `;
-  }, [churchesByZip]);
+  }, []);
+
+  // Popup section for the combined view: the ZIP code around a clicked tract,
+  // or the tract around a clicked point of a ZIP code
+  const generateOtherGeographyContent = useCallback((attrs, clickedAttrs) => {
+    if (selectedLayer === "censusTracts") {
+      const zipField = ZIP_ID_FIELDS.find(field => attrs[field] != null);
+      const zipCode = zipField ? normalizeZipCode(attrs[zipField]) : null;
+      const share = tractZipCrosswalk?.[zipCode]?.find(({ tract }) => tract === clickedAttrs.GEOID)?.ratio;
+      return `
+        <b>ZIP Code:</b> ${zipCode || "N/A"}${attrs.PO_NAME ? ` (${attrs.PO_NAME})` : ""}<br>
+        ${share !== undefined ? `<b>Share of this tract in the ZIP:</b> ${Math.round(share * 100)}%<br>` : ""}
+        ${tractZipCrosswalk ? `<b>ZIP Adoption:</b> ${createZipAdoptionStatusHtml(zipLayerData[zipCode] || {})}` : ""}
+      `;
+    }
+    
+    const adoption = adoptionStatusMap[attrs.GEOID];
+    return `
+      <b>Census Tract:</b> ${attrs.NAMELSAD || "Unknown"} (${attrs.GEOID || "N/A"})<br>
+      <b>Tract Adoption Status:</b> ${adoption ? getAdoptionStateLabel(adoption.status) : "Not in the adoption sheet"}
+    `;
+  }, [selectedLayer, tractZipCrosswalk, zipLayerData, adoptionStatusMap]);
+  
+  useEffect(() => {
+    otherGeographyContentRef.current = generateOtherGeographyContent;
+  }, [generateOtherGeographyContent]);
+
+  useEffect(() => {
+    adoptionDataRef.current = { adoptionStatusMap, partnerModel };
+  }, [adoptionStatusMap, partnerModel]);
+  
+  // Keep the loaded ZIP layer's data, including its adoption shares, current
+  // without reloading it; the renderer effect recolors it
+  useEffect(() => {
+    zipLayerDataRef.current = zipLayerData;
+    
+    const geoJsonLayer = geoJsonLayerRef.current;
+    if (geoJsonLayer?.id !== "zipCodes" || !geoJsonLayer.featureCensusData) return;
+    
+    geoJsonLayer.featureCensusData.forEach((values, id) => {
+      const updated = zipLayerData[normalizeZipCode(id)];
+      if (updated && updated !== values) {
+        geoJsonLayer.featureCensusData.set(id, updated);
+      }
+    });
+    applyNeedScores(geoJsonLayer.featureCensusData, needWeightsRef.current);
+    setCensusLayerVersion(version => version + 1);
+  }, [zipLayerData]);
 
   // Load the GeoJSON layer and define the popup template based on selectedLayer
   useEffect(() => {
     if (!map || !view) return;
-    map.removeAll();
+    // The previous data layer was removed by this effect's cleanup; nothing
+    // may touch the layer until the new one has loaded
+    setLayerLoaded(false);
+    let replaced = false;
 
     // Determine GeoJSON URL based on selected layer
     const geojsonUrl =
@@ -280,10 +671,10 @@ const ArcGISMap = () => {
     // Define popup template based on layer type
     const popupTemplate =
       selectedLayer === "censusTracts"
-        ? {
+        ? createAdoptionStatusPopupTemplate({
             title: "{NAMELSAD}", // This displays the census tract identifier
             content: generateCensusTractContent
-          }
+          }, adoptionDataRef)
         : {
             title: "Zip Code: {ZIP_CODE}",
             content: generateZipCodeContent
@@ -292,88 +683,78 @@ const ArcGISMap = () => {
     // Create the GeoJSON layer with a basic renderer
     // Initially use a simple renderer, we'll update it after the layer loads
     const geoJsonLayer = new GeoJSONLayer({
+      id: selectedLayer,
       url: geojsonUrl,
       outFields: ["*"],
-      renderer: {
-        type: "simple",
-        symbol: {
-          type: "simple-fill",
-          color: "rgba(128, 128, 128, 0.3)", // Gray for default
-          outline: {
-            color: "black",
-            width: 1,
-          },
-        }
-      },
+      renderer: DEFAULT_LAYER_RENDERER,
       popupTemplate,
     });
 
     // When layer loads, enrich it with census data and handle the view
     geoJsonLayer.when(() => {
+      // A layer swapped out while it was still loading is left alone
+      if (replaced) return;
       geoJsonLayerRef.current = geoJsonLayer;
       
       // Use a try-catch block to handle any errors during processing
       try {
-        // Enrich the GeoJSON layer with census data after it loads
-        const apiKey = process.env.REACT_APP_CENSUS_API_KEY;
-        
-        if (apiKey) {
-          if (selectedLayer === "censusTracts" && Object.keys(censusTractData).length > 0) {
-            // For census tracts, use GEOID field to match with census data
-            injectCensusDataIntoLayer(geoJsonLayer, censusTractData, false)
-              .then(() => {
-                console.log("GeoJSON layer enriched with census tract data");
-                
-                // Apply adoption status renderer if we have status data
-                if (Object.keys(adoptionStatusMap).length > 0) {
-                  // Create a renderer based on adoption status
-                  const adoptionRenderer = createAdoptionStatusRenderer(adoptionStatusMap);
-                  console.log(`Created renderer with ${adoptionRenderer.uniqueValueInfos.length} adopted tracts`);
-                  
-                  // Apply the renderer to the layer
-                  geoJsonLayer.renderer = adoptionRenderer;
-                  
-                  // Update the popup template with adoption status
-                  geoJsonLayer.popupTemplate = createAdoptionStatusPopupTemplate(
-                    geoJsonLayer.popupTemplate, 
-                    adoptionStatusMap
-                  );
-                  
-                  // Force a refresh of the layer
-                  const currentVisibility = geoJsonLayer.visible;
-                  geoJsonLayer.visible = false;
-                  setTimeout(() => {
-                    geoJsonLayer.visible = currentVisibility;
-                  }, 100);
-                }
-              })
-              .catch(console.error);
-          } else if (selectedLayer === "zipCodes" && Object.keys(zipCodeData).length > 0) {
-            // For ZIP codes, use ZIP_CODE field to match with census data
-            injectCensusDataIntoLayer(geoJsonLayer, zipCodeData, true)
-              .then(() => {
-                console.log("GeoJSON layer enriched with ZIP code data");
-                
-                // For ZIP codes we need a different approach since we don't have direct ZIP to adoption mapping
-                // We could implement this based on your requirements
-              })
-              .catch(console.error);
-          }
+        // Enrich the GeoJSON layer with census data after it loads; the data
+        // may come from a snapshot, so no API key is required here
+        if (selectedLayer === "censusTracts" && Object.keys(censusTractData).length > 0) {
+          // For census tracts, use GEOID field to match with census data
+          injectCensusDataIntoLayer(geoJsonLayer, censusTractData, false)
+            .then(() => {
+              console.log("GeoJSON layer enriched with census tract data");
+              
+              applyNeedScores(geoJsonLayer.featureCensusData, needWeightsRef.current);
+              
+              // Labels from an earlier hot spot run don't survive reloading the layer
+              if (hotSpotConfigRef.current) {
+                return analyzeHotSpots(geoJsonLayer, hotSpotConfigRef.current).then(setHotSpotCounts);
+              }
+            })
+            .then(() => {
+              // Let the renderer effect color the layer now that census data is attached
+              setCensusLayerVersion(version => version + 1);
+            })
+            .catch(console.error);
+        } else if (selectedLayer === "zipCodes" && Object.keys(zipLayerDataRef.current).length > 0) {
+          // For ZIP codes, use ZIP_CODE field to match with census data
+          injectCensusDataIntoLayer(geoJsonLayer, zipLayerDataRef.current, true)
+            .then(() => {
+              console.log("GeoJSON layer enriched with ZIP code data");
+              
+              applyNeedScores(geoJsonLayer.featureCensusData, needWeightsRef.current);
+              
+              // ZIP adoption shares come from the tract crosswalk in zipLayerData
+              setCensusLayerVersion(version => version + 1);
+            })
+            .catch(console.error);
         }
       } catch (error) {
         console.error("Error processing layer:", error);
       }
       
       setLayerLoaded(true);
-      view.goTo(geoJsonLayer.fullExtent).catch(console.warn);
+      
+      // Only zoom when switching layers, not when the same layer reloads with new data
+      if (fittedLayerRef.current !== selectedLayer) {
+        fittedLayerRef.current = selectedLayer;
+        view.goTo(geoJsonLayer.fullExtent).catch(console.warn);
+      }
     })
     .catch((error) => console.error("Error loading GeoJSON layer:", error));
 
     map.add(geoJsonLayer);
+    // The layer panel effect moves the new layer to its place in the panel order
+    setMapLayersVersion(version => version + 1);
 
     // Use hitTest to open the popup on click with customized handling and error protection
-    view.on("click", (event) => {
-      view.hitTest(event).then((response) => {
+    const clickHandle = view.on("click", (event) => {
+      view.hitTest(event).then(async (response) => {
+        // Clicks on partner points open the partner layer's own popup
+        if (response.results.some(res => res.graphic?.layer && res.graphic.layer === partnerLayerRef.current)) return;
+        
         const result = response.results.find(
           (res) => res.graphic?.layer === geoJsonLayer
         );
@@ -413,6 +794,31 @@ const ArcGISMap = () => {
               content = "<p>No content defined</p>";
             }
             
+            // In the combined view, add the other geography's feature under the click
+            const boundaryLayer = boundaryLayersRef.current[selectedLayer === "censusTracts" ? "zipCodes" : "censusTracts"];
+            if (boundaryLayer?.visible && map.layers.includes(boundaryLayer)) {
+              const { features } = await boundaryLayer.queryFeatures({
+                geometry: event.mapPoint,
+                spatialRelationship: "intersects",
+                outFields: ["*"],
+                returnGeometry: false
+              }).catch(error => {
+                console.warn("Could not find the feature under the click in the other geography:", error);
+                return { features: [] };
+              });
+              if (features.length > 0) {
+                content += `
+                  <div style="text-align: left; border-top: 1px solid #ccc; margin-top: 8px; padding-top: 8px;">
+                    ${otherGeographyContentRef.current(features[0].attributes, g.attributes)}
+                  </div>
+                `;
+              }
+            }
+            
+            // Tract popups offer the adoption editor
+            popupTractIdRef.current = selectedLayer === "censusTracts" ? g.attributes.GEOID : null;
+            view.popup.actions = popupTractIdRef.current ? [EDIT_ADOPTION_ACTION] : [];
+            
             // Set popup properties safely
             view.popup.title = title;
             view.popup.content = content;
@@ -433,7 +839,331 @@ const ArcGISMap = () => {
         console.error("Error in hitTest:", error);
       });
     });
-  }, [selectedLayer, map, view, generateCensusTractContent, generateZipCodeContent, censusTractData, zipCodeData, adoptionStatusMap]);
+    
+    return () => {
+      clickHandle.remove();
+      // Only the data layer is swapped; borders, county outlines and partners stay on the map
+      replaced = true;
+      map.remove(geoJsonLayer);
+      if (geoJsonLayerRef.current === geoJsonLayer) {
+        geoJsonLayerRef.current = null;
+      }
+    };
+    // Adoption and partner data reach the popups through adoptionDataRef and
+    // ZIP data through zipLayerDataRef, so saving an edit doesn't reload the layer
+  }, [selectedLayer, map, view, generateCensusTractContent, generateZipCodeContent, censusTractData, zipCodeData, tractZipCrosswalk]);
+
+  // Place partners from their coordinates or geocoded addresses
+  useEffect(() => {
+    locatePartners(partnerModel.partners).then(setPartnerLocations).catch(console.error);
+  }, [partnerModel]);
+
+  // Plot located partners as a clustered point layer above the polygons
+  useEffect(() => {
+    if (!map) return;
+    
+    const graphics = createPartnerGraphics(partnerModel, partnerLocations);
+    const partnerLayer = graphics.length > 0
+      ? new FeatureLayer({
+          id: "partners",
+          title: "Partners",
+          source: graphics,
+          fields: PARTNER_LAYER_FIELDS,
+          objectIdField: "ObjectID",
+          geometryType: "point",
+          spatialReference: { wkid: 4326 },
+          renderer: createPartnerRenderer(),
+          featureReduction: createPartnerClusterReduction(),
+          popupTemplate: {
+            title: "{name}",
+            content: (feature) => {
+              const partner = partnerModel.partners[feature.graphic.attributes.partnerId];
+              if (!partner) return "Partner not found";
+              return createPartnerPopupHtml(
+                partner,
+                getPartnerTracts(partnerModel, partner.id),
+                selectedLayer === "censusTracts"
+              );
+            }
+          }
+        })
+      : null;
+    
+    if (partnerLayerRef.current) {
+      map.remove(partnerLayerRef.current);
+    }
+    partnerLayerRef.current = partnerLayer;
+    if (partnerLayer) {
+      setMapLayersVersion(version => version + 1);
+    }
+    // Its visibility is applied with the other layer settings when it is added
+  }, [map, partnerModel, partnerLocations, selectedLayer]);
+
+  // Hidden partners no longer highlight their tracts
+  useEffect(() => {
+    if (!showPartners) {
+      partnerHighlightRef.current?.remove();
+      partnerHighlightRef.current = null;
+    }
+  }, [showPartners]);
+
+  // Draw the county outlines as a line layer once they are built
+  useEffect(() => {
+    if (!countyOutlines) return;
+    
+    const url = URL.createObjectURL(new Blob([JSON.stringify(countyOutlines)], { type: "application/json" }));
+    const countyLayer = new GeoJSONLayer({
+      id: "counties",
+      title: MAP_LAYERS.counties.label,
+      url,
+      renderer: createCountyOutlineRenderer(),
+      popupEnabled: false
+    });
+    countyLayer.when(() => URL.revokeObjectURL(url)).catch(console.warn);
+    countyLayerRef.current = countyLayer;
+    setMapLayersVersion(version => version + 1);
+  }, [countyOutlines]);
+
+  // Add the panel's layers to the map and apply their order, visibility and opacity
+  useEffect(() => {
+    if (!map) return;
+    
+    // The geography that isn't the data layer is drawn as borders over it
+    if (!boundaryLayersRef.current[otherGeography]) {
+      boundaryLayersRef.current[otherGeography] = new GeoJSONLayer({
+        id: `${otherGeography}Borders`,
+        title: MAP_LAYERS[otherGeography].label,
+        url: MAP_LAYERS[otherGeography].url,
+        renderer: createBoundaryRenderer(MAP_LAYERS[otherGeography].label),
+        labelingInfo: createBoundaryLabelingInfo(otherGeography),
+        popupEnabled: false
+      });
+    }
+    if (boundaryLayersRef.current[selectedLayer]) {
+      map.remove(boundaryLayersRef.current[selectedLayer]);
+    }
+    
+    const layersByKey = {
+      [selectedLayer]: map.findLayerById(selectedLayer),
+      [otherGeography]: boundaryLayersRef.current[otherGeography],
+      counties: countyLayerRef.current,
+      partners: partnerLayerRef.current
+    };
+    
+    // The panel lists the top layer first; the map draws later layers on top
+    [...layers.order].reverse()
+      .filter(key => layersByKey[key])
+      .forEach((key, index) => {
+        const layer = layersByKey[key];
+        if (!map.layers.includes(layer)) {
+          map.add(layer);
+        }
+        map.reorder(layer, index);
+        layer.visible = layers.settings[key].visible;
+        layer.opacity = layers.settings[key].opacity;
+        if (key === otherGeography) {
+          layer.labelsVisible = layers.settings[key].labels;
+        }
+      });
+    
+    saveLayerSettings(layers, selectedLayer);
+  }, [map, selectedLayer, otherGeography, layers, mapLayersVersion]);
+
+  // While a partner is shown in the popup, highlight the tracts it has adopted
+  useEffect(() => {
+    if (!view) return;
+    
+    const clearHighlight = () => {
+      partnerHighlightRef.current?.remove();
+      partnerHighlightRef.current = null;
+    };
+    
+    const highlightTracts = async (tractIds) => {
+      const geoJsonLayer = geoJsonLayerRef.current;
+      if (selectedLayer !== "censusTracts" || !geoJsonLayer || tractIds.length === 0) return;
+      
+      const ids = tractIds.map(tractId => `'${String(tractId).replace(/'/g, "''")}'`).join(",");
+      const layerView = await view.whenLayerView(geoJsonLayer);
+      const { features } = await geoJsonLayer.queryFeatures({
+        where: `GEOID IN (${ids})`,
+        outFields: [geoJsonLayer.objectIdField],
+        returnGeometry: false
+      });
+      clearHighlight();
+      partnerHighlightRef.current = layerView.highlight(features);
+      console.log(`Highlighted ${features.length} tracts adopted by the partner`);
+    };
+    
+    const selectionHandle = reactiveUtils.watch(
+      () => view.popup?.visible && view.popup.selectedFeature,
+      (graphic) => {
+        clearHighlight();
+        const partnerLayer = partnerLayerRef.current;
+        if (!graphic || !partnerLayer || graphic.layer !== partnerLayer) return;
+        
+        // Partner popups don't offer the tract editor
+        popupTractIdRef.current = null;
+        view.popup.actions = [];
+        
+        if (graphic.isAggregate) return;
+        highlightTracts(getPartnerTracts(partnerModel, graphic.attributes.partnerId))
+          .catch(error => console.error("Error highlighting partner tracts:", error));
+      }
+    );
+    
+    return () => {
+      selectionHandle.remove();
+      clearHighlight();
+    };
+  }, [view, partnerModel, selectedLayer]);
+
+  // Rescore the current layer when the need score weights change
+  useEffect(() => {
+    needWeightsRef.current = needWeights;
+    
+    const geoJsonLayer = geoJsonLayerRef.current;
+    if (!geoJsonLayer?.featureCensusData) return;
+    
+    applyNeedScores(geoJsonLayer.featureCensusData, needWeights);
+    
+    // Hot spots of the need score have to be recomputed from the new scores
+    const hotSpotRun = hotSpotConfigRef.current?.code === NEED_SCORE_FIELD.code && geoJsonLayer.censusIdField === "GEOID"
+      ? analyzeHotSpots(geoJsonLayer, hotSpotConfigRef.current).then(setHotSpotCounts)
+      : Promise.resolve();
+    
+    hotSpotRun
+      .then(() => setCensusLayerVersion(version => version + 1))
+      .catch(console.error);
+  }, [needWeights]);
+
+  // Apply the renderer for the selected "Color by" mode once census data is attached
+  useEffect(() => {
+    const geoJsonLayer = geoJsonLayerRef.current;
+    if (!layerLoaded || !geoJsonLayer) return;
+    
+    try {
+      let renderer = DEFAULT_LAYER_RENDERER;
+      
+      if (colorBy === "adoption") {
+        // Tracts are colored by their own status, ZIP codes by the share of
+        // residents living in adopted tracts (needs the tract crosswalk)
+        if (selectedLayer === "censusTracts" && Object.keys(adoptionStatusMap).length > 0) {
+          renderer = createAdoptionStatusRenderer(adoptionStatusMap);
+          console.log(`Created renderer with ${renderer.uniqueValueInfos.length} adopted tracts`);
+        } else if (selectedLayer === "zipCodes" && tractZipCrosswalk && geoJsonLayer.featureCensusData) {
+          renderer = createZipAdoptionRenderer(
+            geoJsonLayer.featureCensusData,
+            geoJsonLayer.censusIdField
+          );
+        }
+      } else if (colorBy === "hotspots") {
+        // Hot spot labels only exist on the tract layer after a run
+        if (selectedLayer === "censusTracts" && hotSpotConfig && geoJsonLayer.featureCensusData) {
+          renderer = createHotSpotRenderer(
+            geoJsonLayer.featureCensusData,
+            geoJsonLayer.censusIdField,
+            hotSpotConfig
+          );
+        }
+      } else if (colorBy === "bivariate") {
+        // Adoption is tracked by tract, so the comparison is tract-only
+        if (bivariateClasses) {
+          renderer = createBivariateRenderer(bivariateClasses, geoJsonLayer.censusIdField, bivariate);
+        }
+      } else if (colorBy === NEED_SCORE_FIELD.code && geoJsonLayer.featureCensusData) {
+        renderer = createNeedScoreRenderer(
+          geoJsonLayer.featureCensusData,
+          geoJsonLayer.censusIdField
+        );
+      } else if (CENSUS_VARIABLES.some(variable => variable.code === colorBy)) {
+        if (geoJsonLayer.featureCensusData) {
+          renderer = createChoroplethRenderer(
+            geoJsonLayer.featureCensusData,
+            geoJsonLayer.censusIdField,
+            colorBy,
+            choropleth
+          );
+        }
+      } else if (geoJsonLayer.featureCensusData) {
+        renderer = createChangeRenderer(
+          geoJsonLayer.featureCensusData,
+          geoJsonLayer.censusIdField,
+          colorBy
+        );
+      }
+      
+      geoJsonLayer.renderer = renderer;
+      setColorByLegend(getRendererLegend(renderer));
+      
+      // Force a refresh of the layer
+      const currentVisibility = geoJsonLayer.visible;
+      geoJsonLayer.visible = false;
+      setTimeout(() => {
+        geoJsonLayer.visible = currentVisibility;
+      }, 100);
+    } catch (error) {
+      console.error("Error applying layer renderer:", error);
+    }
+  }, [colorBy, choropleth, bivariate, bivariateClasses, censusLayerVersion, adoptionStatusMap, tractZipCrosswalk, hotSpotConfig, selectedLayer, layerLoaded]);
+
+  // Show only tracts with the hot spot labels and adoption states ticked in
+  // their panels, and with the bivariate filter on only high need tracts with
+  // no adoption; with several in use a tract must match all of them. The
+  // county filter applies to tracts and ZIP codes alike.
+  useEffect(() => {
+    const geoJsonLayer = geoJsonLayerRef.current;
+    if (!layerLoaded || !geoJsonLayer) return;
+    
+    const countyWhere = getLayerCountyWhere(geoJsonLayer, selectedLayer, countyFilter, zipCounties);
+    const bivariateFiltering = bivariateFilter && Boolean(bivariateClasses);
+    const filtering = hotSpotFilter.length > 0 || adoptionStateFilter.length > 0 || bivariateFiltering;
+    if (selectedLayer !== "censusTracts" || !filtering || !geoJsonLayer.featureCensusData) {
+      geoJsonLayer.definitionExpression = countyWhere;
+      return;
+    }
+    
+    const matchingIds = [];
+    geoJsonLayer.featureCensusData.forEach((values, id) => {
+      if (hotSpotFilter.length > 0 && !hotSpotFilter.includes(values[HOT_SPOT_FIELDS.class])) return;
+      
+      const adoption = adoptionStatusMap[id];
+      const matchesAdoption = adoptionStateFilter.includes(adoption?.status || NOT_IN_CSV_FILTER) ||
+        (adoption?.contested && adoptionStateFilter.includes(CONTESTED_CLASS.value));
+      if (adoptionStateFilter.length > 0 && !matchesAdoption) return;
+      
+      if (bivariateFiltering && bivariateClasses.classById[id] !== HIGH_NEED_NO_ADOPTION) return;
+      
+      matchingIds.push(`'${String(id).replace(/'/g, "''")}'`);
+    });
+    
+    const tractWhere = matchingIds.length > 0
+      ? `${geoJsonLayer.censusIdField} IN (${matchingIds.join(",")})`
+      : "1=0";
+    geoJsonLayer.definitionExpression = countyWhere ? `(${countyWhere}) AND (${tractWhere})` : tractWhere;
+    console.log(`Tract filters match ${matchingIds.length} tracts${countyWhere ? ` before the ${countyFilter} County filter` : ""}`);
+  }, [hotSpotFilter, adoptionStateFilter, bivariateFilter, bivariateClasses, adoptionStatusMap, countyFilter, zipCounties, censusLayerVersion, selectedLayer, layerLoaded]);
+
+  // Limit the borders of the other geography to the chosen county
+  useEffect(() => {
+    const boundaryLayer = boundaryLayersRef.current[otherGeography];
+    if (!boundaryLayer) return;
+    
+    boundaryLayer.when(() => {
+      boundaryLayer.definitionExpression = getLayerCountyWhere(boundaryLayer, otherGeography, countyFilter, zipCounties);
+    }).catch(console.warn);
+  }, [countyFilter, zipCounties, otherGeography, mapLayersVersion]);
+
+  // Zoom to the chosen county, using its outline
+  useEffect(() => {
+    const countyLayer = countyLayerRef.current;
+    if (!view || !countyFilter || !countyLayer) return;
+    
+    const query = countyLayer.createQuery();
+    query.where = `county = '${countyFilter.replace(/'/g, "''")}'`;
+    countyLayer.queryExtent(query)
+      .then(({ extent }) => extent && view.goTo(extent.expand(1.1)))
+      .catch(error => console.warn("Could not zoom to county:", error));
+  }, [view, countyFilter, countyOutlines]);
 
   // Handle search functionality using performSearch utility
   const handleSearch = async (e) => {
@@ -470,6 +1200,7 @@ const ArcGISMap = () => {
       searchField,
       searchValue,
       setSearchValue, // Pass the setter function to allow clearing the input
+      filterWhere: getLayerCountyWhere(geoJsonLayerRef.current, selectedLayer, countyFilter, zipCounties),
     });
     
     if (!result.success) {
@@ -482,8 +1213,50 @@ const ArcGISMap = () => {
     }
   };
 
+  // Send the high need, no adoption tracts to the selection tool for a report
+  const selectBivariateTracts = () => {
+    if (!bivariateClasses) return;
+    setSelectionRequest({
+      tractIds: getBivariateCellIds(bivariateClasses, HIGH_NEED_NO_ADOPTION),
+      requestId: Date.now()
+    });
+  };
+
+  // Change a layer's visibility or opacity from the layer panel
+  const changeLayerSettings = (key, changes) => {
+    setLayers(prev => ({
+      ...prev,
+      settings: { ...prev.settings, [key]: { ...prev.settings[key], ...changes } }
+    }));
+  };
+
+  // Move a layer dragged in the layer panel to the position of another
+  const reorderLayer = (key, targetKey) => {
+    setLayers(prev => ({ ...prev, order: moveLayer(prev.order, key, targetKey) }));
+  };
+
+  // Legend of each layer in the panel, from the renderer it is drawn with
+  const layerLegends = useMemo(() => ({
+    [selectedLayer]: colorByLegend,
+    [otherGeography]: getRendererLegend(createBoundaryRenderer(MAP_LAYERS[otherGeography].label)),
+    counties: getRendererLegend(createCountyOutlineRenderer()),
+    partners: getRendererLegend(createPartnerRenderer())
+  }), [selectedLayer, otherGeography, colorByLegend]);
+  const layersAvailable = {
+    [selectedLayer]: layerLoaded,
+    [otherGeography]: true,
+    counties: Boolean(countyOutlines),
+    partners: Object.keys(partnerLocations).length > 0
+  };
+
   // Toggle between census tract view and zip code view
   const toggleLayer = () => {
+    // The two geographies swap places and settings, so the one drawn as
+    // borders stays on top and keeps whether borders were shown or hidden
+    setLayers(prev => ({
+      settings: swapLayerSettings(prev.settings, selectedLayer, otherGeography),
+      order: swapLayers(prev.order, selectedLayer, otherGeography)
+    }));
     setSelectedLayer((prev) =>
       prev === "censusTracts" ? "zipCodes" : "censusTracts"
     );
@@ -507,14 +1280,150 @@ const ArcGISMap = () => {
         selectedLayer={selectedLayer}
         searchStatus={searchStatus}
         toggleLayer={toggleLayer}
+        onRefreshCensusData={refreshCensusData}
+        censusRefreshing={censusRefreshing}
+        county={countyFilter}
+        setCounty={setCountyFilter}
+        showBoth={layers.settings[otherGeography].visible}
+        setShowBoth={(visible) => changeLayerSettings(otherGeography, { visible })}
       />
       
+      {/* Map controls, stacked down the right side */}
+      <div
+        style={{
+          position: "absolute",
+          top: "20px",
+          right: "20px",
+          zIndex: 1000,
+          display: "flex",
+          flexDirection: "column",
+          gap: "10px",
+          maxHeight: "calc(100vh - 40px)",
+          overflowY: "auto",
+        }}
+      >
+        {/* Color By Control */}
+        <ColorByControl
+          colorBy={colorBy}
+          setColorBy={setColorBy}
+          options={COLOR_BY_OPTIONS}
+          choropleth={choropleth}
+          setChoropleth={setChoropleth}
+        />
+        
+        {/* Need vs. Adoption Legend and Filter */}
+        {colorBy === "bivariate" && (
+          <BivariatePanel
+            enabled={selectedLayer === "censusTracts" && layerLoaded}
+            settings={bivariate}
+            setSettings={setBivariate}
+            classification={bivariateClasses}
+            filter={bivariateFilter}
+            setFilter={setBivariateFilter}
+            onSelect={selectBivariateTracts}
+          />
+        )}
+        
+        {/* Layer List and Legend */}
+        <LayerPanel
+          order={layers.order}
+          settings={layers.settings}
+          selectedLayer={selectedLayer}
+          legends={layerLegends}
+          available={layersAvailable}
+          onChange={changeLayerSettings}
+          onReorder={reorderLayer}
+        />
+        
+        {/* Need Score Weights Panel */}
+        <NeedIndexPanel
+          weights={needWeights}
+          onApply={applyNeedWeights}
+        />
+        
+        {/* Hot Spot Analysis Panel */}
+        <HotSpotPanel
+          enabled={selectedLayer === "censusTracts" && layerLoaded}
+          running={hotSpotRunning}
+          config={hotSpotConfig}
+          counts={hotSpotCounts}
+          filter={hotSpotFilter}
+          setFilter={setHotSpotFilter}
+          onRun={runHotSpots}
+          onClear={clearHotSpots}
+        />
+        
+        {/* Partner Point Layer Toggle */}
+        <PartnerLayerPanel
+          visible={showPartners}
+          setVisible={(visible) => changeLayerSettings("partners", { visible })}
+          partnerModel={partnerModel}
+          partnerLocations={partnerLocations}
+        />
+        
+        {/* Adoption State Legend and Filter */}
+        <AdoptionStatePanel
+          enabled={selectedLayer === "censusTracts"}
+          counts={adoptionStateCounts}
+          notInCsvCount={notInCsvCount}
+          filter={adoptionStateFilter}
+          setFilter={setAdoptionStateFilter}
+        />
+        
+        {/* Adoption Coverage by County and City */}
+        <CoverageDashboard
+          adoptionStatusMap={adoptionStatusMap}
+          censusTractData={censusTractData}
+          partnerModel={partnerModel}
+          needWeights={needWeights}
+          tractCities={tractCities}
+        />
+        
+        {/* Tract Suggestions for Partners */}
+        <RecommendationPanel
+          partnerModel={partnerModel}
+          partnerLocations={partnerLocations}
+          tractCentroids={tractCentroids}
+          crosswalk={tractZipCrosswalk}
+          zipCentroids={zipCentroids}
+          censusTractData={censusTractData}
+          adoptionStatusMap={adoptionStatusMap}
+          needWeights={needWeights}
+          onAccept={saveAdoption}
+          onShowTract={showTract}
+        />
+        
+        {/* Spreadsheet Data Checks */}
+        <ImportValidationPanel validation={importValidation} />
+        
+        {/* Adoption and Church Data Sources */}
+        <DataSourcePanel sources={dataSources} onChange={changeDataSource} />
+      </div>
+      
       {/* Polygon Selection Component */}
       {layerLoaded && geoJsonLayerRef.current && (
         <PolygonSelection 
           map={map} 
           view={view} 
           geoJsonLayer={geoJsonLayerRef.current} 
+          onEditAdoption={selectedLayer === "censusTracts" ? setEditingTractIds : null}
+          adoptionStatusMap={adoptionStatusMap}
+          partnerModel={partnerModel}
+          adoptionHistory={selectedLayer === "censusTracts" ? adoptionHistory : null}
+          selectionRequest={selectedLayer === "censusTracts" ? selectionRequest : null}
+          filterWhere={getLayerCountyWhere(geoJsonLayerRef.current, selectedLayer, countyFilter, zipCounties)}
+          zipCounties={zipCounties}
+        />
+      )}
+      
+      {/* Adoption Editor */}
+      {editingTractIds && editingTractIds.length > 0 && (
+        <AdoptionEditor
+          tractIds={editingTractIds}
+          adoptionStatusMap={adoptionStatusMap}
+          partnerModel={partnerModel}
+          onSave={saveAdoption}
+          onClose={() => setEditingTractIds(null)}
         />
       )}
     </div>
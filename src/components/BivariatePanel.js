@@ -0,0 +1,142 @@
+import React from "react";
+import {
+  BIVARIATE_NEED_MEASURES,
+  BIVARIATE_ADOPTION_MEASURES,
+  BIVARIATE_COLORS,
+  NEED_CLASS_LABELS,
+  HIGH_NEED_NO_ADOPTION,
+  getBivariateClassValue
+} from "../utils/bivariateUtils";
+
+const selectStyle = {
+  width: "100%",
+  padding: "4px",
+  marginTop: "3px",
+  borderRadius: "5px",
+  border: "1px solid #ccc",
+};
+
+/**
+ * Settings and 3×3 legend of the need-versus-adoption map. Each legend cell
+ * shows its tract count; the high need, no adoption cell can be shown on its
+ * own and sent to the selection tool for a report.
+ */
+const BivariatePanel = ({ enabled, settings, setSettings, classification, filter, setFilter, onSelect }) => {
+  const adoption = BIVARIATE_ADOPTION_MEASURES[settings.adoptionMeasure];
+  const counts = classification?.counts || {};
+  const targetCount = counts[HIGH_NEED_NO_ADOPTION] || 0;
+
+  return (
+    <div
+      style={{
+        backgroundColor: "white",
+        padding: "15px",
+        borderRadius: "10px",
+        boxShadow: "0 4px 8px rgba(0, 0, 0, 0.2)",
+        width: "250px",
+        fontSize: "12px",
+      }}
+    >
+      <div style={{ fontWeight: "bold", fontSize: "14px", marginBottom: "8px" }}>Need vs. Adoption</div>
+
+      {!enabled && (
+        <p style={{ color: "#666", margin: 0 }}>Switch to the census tract layer to compare need with adoption.</p>
+      )}
+
+      {enabled && (
+        <>
+          <label>
+            Need measure
+            <select
+              value={settings.needCode}
+              onChange={(e) => setSettings(prev => ({ ...prev, needCode: e.target.value }))}
+              style={selectStyle}
+            >
+              {BIVARIATE_NEED_MEASURES.map(({ code, label }) => (
+                <option key={code} value={code}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <label style={{ display: "block", marginTop: "6px" }}>
+            Adoption measure
+            <select
+              value={settings.adoptionMeasure}
+              onChange={(e) => setSettings(prev => ({ ...prev, adoptionMeasure: e.target.value }))}
+              style={selectStyle}
+            >
+              {Object.entries(BIVARIATE_ADOPTION_MEASURES).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </label>
+
+          {/* 3×3 legend: need increases to the right, adoption upwards */}
+          <div style={{ display: "flex", alignItems: "flex-end", gap: "4px", marginTop: "10px" }}>
+            <div style={{ writingMode: "vertical-rl", transform: "rotate(180deg)", color: "#444" }}>
+              {adoption.label} →
+            </div>
+            <div>
+              {[2, 1, 0].map(adoptionClass => (
+                <div key={adoptionClass} style={{ display: "flex" }}>
+                  {[0, 1, 2].map(needClass => {
+                    const value = getBivariateClassValue(needClass, adoptionClass);
+                    return (
+                      <div
+                        key={value}
+                        title={`${NEED_CLASS_LABELS[needClass]}, ${adoption.classes[adoptionClass].toLowerCase()}`}
+                        style={{
+                          width: "40px",
+                          height: "30px",
+                          backgroundColor: BIVARIATE_COLORS[adoptionClass][needClass],
+                          display: "flex",
+                          alignItems: "center",
+                          justifyContent: "center",
+                          outline: value === HIGH_NEED_NO_ADOPTION ? "2px solid black" : "none",
+                          outlineOffset: "-2px",
+                        }}
+                      >
+                        {counts[value] || 0}
+                      </div>
+                    );
+                  })}
+                </div>
+              ))}
+              <div style={{ color: "#444", marginTop: "2px" }}>Need →</div>
+            </div>
+          </div>
+          <div style={{ color: "#666", marginTop: "4px" }}>
+            Need classes are thirds of the tracts. Counts are tracts per cell.
+          </div>
+
+          <label style={{ display: "flex", alignItems: "center", gap: "6px", marginTop: "8px", cursor: "pointer" }}>
+            <input
+              type="checkbox"
+              checked={filter}
+              onChange={(e) => setFilter(e.target.checked)}
+            />
+            Show only high need, no adoption ({targetCount})
+          </label>
+
+          <button
+            onClick={onSelect}
+            disabled={targetCount === 0}
+            style={{
+              width: "100%",
+              marginTop: "8px",
+              padding: "6px",
+              backgroundColor: targetCount === 0 ? "#ccc" : "#007BFF",
+              color: "white",
+              border: "none",
+              borderRadius: "4px",
+              cursor: targetCount === 0 ? "default" : "pointer",
+            }}
+          >
+            Select these {targetCount} tracts for a report
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BivariatePanel;
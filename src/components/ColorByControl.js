@@ -0,0 +1,115 @@
+import React from "react";
+import { CLASSIFICATION_METHODS, CLASS_COUNT_OPTIONS } from "../utils/classificationUtils";
+import { COLOR_RAMPS, getRampColors } from "../utils/rendererUtils";
+
+const settingSelectStyle = {
+  width: "100%",
+  padding: "4px",
+  marginTop: "3px",
+  borderRadius: "5px",
+  border: "1px solid #ccc",
+};
+
+/**
+ * "Color by" select with optional groups. For census indicator choropleths
+ * it also offers the classification method, class count and color ramp; the
+ * classes are listed in the layer panel's legend.
+ */
+const ColorByControl = ({ colorBy, setColorBy, options, choropleth, setChoropleth }) => {
+  const groups = [...new Set(options.map(option => option.group || null))];
+  const isChoropleth = options.some(option => option.value === colorBy && option.choropleth);
+
+  const renderOptions = (groupOptions) => groupOptions.map(option => (
+    <option key={option.value} value={option.value}>
+      {option.label}
+    </option>
+  ));
+
+  const setSetting = (key, value) => {
+    setChoropleth(prev => ({ ...prev, [key]: value }));
+  };
+
+  return (
+    <div
+      style={{
+        backgroundColor: "white",
+        padding: "15px",
+        borderRadius: "10px",
+        boxShadow: "0 4px 8px rgba(0, 0, 0, 0.2)",
+        width: "250px",
+      }}
+    >
+      <label style={{ fontWeight: "bold" }}>
+        Color By:
+        <select
+          value={colorBy}
+          onChange={(e) => setColorBy(e.target.value)}
+          style={{
+            width: "100%",
+            padding: "10px",
+            marginTop: "10px",
+            borderRadius: "5px",
+            border: "1px solid #ccc",
+          }}
+        >
+          {groups.map(group => {
+            const groupOptions = options.filter(option => (option.group || null) === group);
+            return group
+              ? <optgroup key={group} label={group}>{renderOptions(groupOptions)}</optgroup>
+              : renderOptions(groupOptions);
+          })}
+        </select>
+      </label>
+
+      {isChoropleth && choropleth && (
+        <div style={{ marginTop: "10px", fontSize: "12px" }}>
+          <label>
+            Classification
+            <select
+              value={choropleth.method}
+              onChange={(e) => setSetting("method", e.target.value)}
+              style={settingSelectStyle}
+            >
+              {Object.entries(CLASSIFICATION_METHODS).map(([method, { label }]) => (
+                <option key={method} value={method}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <div style={{ display: "flex", gap: "8px", marginTop: "6px" }}>
+            <label style={{ flex: 1 }}>
+              Classes
+              <select
+                value={choropleth.classCount}
+                onChange={(e) => setSetting("classCount", parseInt(e.target.value, 10))}
+                style={settingSelectStyle}
+              >
+                {CLASS_COUNT_OPTIONS.map(count => (
+                  <option key={count} value={count}>{count}</option>
+                ))}
+              </select>
+            </label>
+            <label style={{ flex: 2 }}>
+              Colors
+              <select
+                value={choropleth.ramp}
+                onChange={(e) => setSetting("ramp", e.target.value)}
+                style={settingSelectStyle}
+              >
+                {Object.entries(COLOR_RAMPS).map(([ramp, { label }]) => (
+                  <option key={ramp} value={ramp}>{label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <div style={{ display: "flex", height: "6px", marginTop: "6px" }}>
+            {getRampColors(choropleth.ramp, choropleth.classCount, 1).map(color => (
+              <span key={color} style={{ flex: 1, backgroundColor: color }} />
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ColorByControl;
@@ -0,0 +1,183 @@
+import React, { useMemo, useState } from "react";
+import {
+  HIGH_NEED_SCORE,
+  summarizeCoverage,
+  getCoverageShare,
+  createCoverageCsv
+} from "../utils/coverageUtils";
+
+// Measures the chart can show: the covered share of each county's or city's total
+const COVERAGE_CHARTS = {
+  tracts: { label: "Tracts adopted", part: "adoptedTracts", whole: "totalTracts" },
+  population: { label: "Population covered", part: "adoptedPopulation", whole: "population" },
+  households: { label: "Households covered", part: "adoptedHouseholds", whole: "households" },
+  highNeed: { label: "High-need tracts unadopted", part: "unadoptedHighNeedTracts", whole: "highNeedTracts" },
+};
+
+// Areas the dashboard can break coverage down by
+const COVERAGE_GROUPS = {
+  counties: { label: "By county", nameField: "county" },
+  cities: { label: "By city", nameField: "city" },
+};
+
+/**
+ * Downloads text as a file
+ * @param {string} text - File contents
+ * @param {string} filename - File name
+ */
+const downloadText = (text, filename) => {
+  const url = URL.createObjectURL(new Blob([text], { type: "text/csv;charset=utf-8" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Dashboard of adoption coverage per Bay Area county or city: tracts
+ * adopted, residents and households covered, high-need tracts still
+ * unadopted and top partners, with a bar chart and CSV export. Cities come
+ * from the ZIP codes the tracts fall in, so they wait for tractCities.
+ */
+const CoverageDashboard = ({ adoptionStatusMap, censusTractData, partnerModel, needWeights, tractCities }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [chart, setChart] = useState("tracts");
+  const [groupBy, setGroupBy] = useState("counties");
+
+  const coverage = useMemo(
+    () => (expanded
+      ? summarizeCoverage({ adoptionStatusMap, censusTractData, partnerModel, needWeights, tractCities })
+      : null),
+    [expanded, adoptionStatusMap, censusTractData, partnerModel, needWeights, tractCities]
+  );
+
+  const exportCsv = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadText(createCoverageCsv(coverage, groupBy), `adoption_coverage_${groupBy}_${date}.csv`);
+  };
+
+  const { label, part, whole } = COVERAGE_CHARTS[chart];
+  const { nameField } = COVERAGE_GROUPS[groupBy];
+  const summaries = coverage?.[groupBy];
+  const barColor = chart === "highNeed" ? "rgb(220, 38, 38)" : "rgb(22, 163, 74)";
+
+  return (
+    <div
+      style={{
+        backgroundColor: "white",
+        padding: "15px",
+        borderRadius: "10px",
+        boxShadow: "0 4px 8px rgba(0, 0, 0, 0.2)",
+        width: "250px",
+      }}
+    >
+      <div
+        onClick={() => setExpanded(!expanded)}
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          fontWeight: "bold",
+          cursor: "pointer",
+        }}
+      >
+        <span>Adoption Coverage</span>
+        <span>{expanded ? "▲" : "▼"}</span>
+      </div>
+
+      {expanded && coverage && (
+        <div style={{ marginTop: "10px", fontSize: "12px" }}>
+          <div style={{ marginBottom: "8px" }}>
+            <b>Bay Area:</b> {coverage.totals.adoptedTracts} of {coverage.totals.totalTracts} tracts adopted,{" "}
+            {Math.round(coverage.totals.adoptedPopulation).toLocaleString()} residents and{" "}
+            {Math.round(coverage.totals.adoptedHouseholds).toLocaleString()} households covered,{" "}
+            {coverage.totals.unadoptedHighNeedTracts} high-need tracts unadopted.
+          </div>
+
+          <div style={{ display: "flex", gap: "6px", marginBottom: "8px" }}>
+            <select
+              value={chart}
+              onChange={(e) => setChart(e.target.value)}
+              style={{ flex: 2, padding: "4px", minWidth: 0 }}
+            >
+              {Object.entries(COVERAGE_CHARTS).map(([key, option]) => (
+                <option key={key} value={key}>{option.label}</option>
+              ))}
+            </select>
+            <select
+              value={groupBy}
+              onChange={(e) => setGroupBy(e.target.value)}
+              style={{ flex: 1, padding: "4px", minWidth: 0 }}
+            >
+              {Object.entries(COVERAGE_GROUPS).map(([key, option]) => (
+                <option key={key} value={key}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {!summaries && (
+            <div style={{ color: "#666", marginBottom: "8px" }}>Cities appear once the ZIP code boundaries load.</div>
+          )}
+
+          {/* Bar chart of the chosen share per county or city */}
+          <div style={{ maxHeight: "250px", overflowY: "auto" }}>
+            {(summaries || []).map(summary => {
+              const share = getCoverageShare(summary[part], summary[whole]);
+              return (
+                <div key={summary[nameField]} style={{ marginBottom: "5px" }}>
+                  <div style={{ display: "flex", justifyContent: "space-between" }}>
+                    <span title={groupBy === "cities" ? summary.county : undefined}>{summary[nameField]}</span>
+                    <span style={{ color: "#666" }}>
+                      {Math.round(summary[part]).toLocaleString()} / {Math.round(summary[whole]).toLocaleString()}
+                    </span>
+                  </div>
+                  <div
+                    title={`${label}: ${share.toFixed(1)}%`}
+                    style={{ height: "8px", backgroundColor: "#eee", borderRadius: "4px", overflow: "hidden" }}
+                  >
+                    <div style={{ width: `${share}%`, height: "100%", backgroundColor: barColor }} />
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          <div style={{ fontWeight: "bold", margin: "10px 0 4px 0" }}>Top Partners</div>
+          <div style={{ maxHeight: "150px", overflowY: "auto" }}>
+            {(summaries || []).filter(summary => summary.topPartners.length > 0).map(summary => (
+              <div key={summary[nameField]} style={{ marginBottom: "4px" }}>
+                <b>{summary[nameField]}:</b>{" "}
+                {summary.topPartners.map(partner => `${partner.name} (${partner.tracts})`).join(", ")}
+              </div>
+            ))}
+            {coverage.totals.topPartners.length === 0 && (
+              <div style={{ color: "#666" }}>No partners have adopted tracts yet.</div>
+            )}
+          </div>
+
+          <div style={{ color: "#666", margin: "8px 0" }}>
+            High need means a need score of {HIGH_NEED_SCORE} or more with the current weights.
+          </div>
+
+          <button
+            onClick={exportCsv}
+            disabled={!summaries}
+            style={{
+              width: "100%",
+              padding: "6px",
+              backgroundColor: summaries ? "#4CAF50" : "#ccc",
+              color: "white",
+              border: "none",
+              borderRadius: "4px",
+              cursor: summaries ? "pointer" : "default",
+            }}
+          >
+            Export CSV
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CoverageDashboard;
@@ -0,0 +1,108 @@
+import React, { useState } from "react";
+import { DATASETS, DATA_SOURCES, describeDataSource } from "../utils/dataSources";
+
+/**
+ * Panel showing where the adoption and church data came from, with an upload
+ * to load either dataset from a local CSV or XLSX file instead. When a source
+ * fails to load, the current data stays and the error is shown under it.
+ */
+const DataSourcePanel = ({ sources, onChange }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [loading, setLoading] = useState(null);
+  const [errors, setErrors] = useState({});
+
+  const changeSource = async (dataset, source) => {
+    setLoading(dataset);
+    setErrors(prev => ({ ...prev, [dataset]: null }));
+    try {
+      await onChange(dataset, source);
+    } catch (error) {
+      setErrors(prev => ({ ...prev, [dataset]: error.message }));
+    } finally {
+      setLoading(null);
+    }
+  };
+
+  const handleUpload = (dataset, e) => {
+    const file = e.target.files[0];
+    // Let the same file be chosen again after it is edited
+    e.target.value = "";
+    if (!file) return;
+    // Uploads keep the configured column mapping
+    changeSource(dataset, { ...DATA_SOURCES[dataset], type: "file", file });
+  };
+
+  return (
+    <div
+      style={{
+        backgroundColor: "white",
+        padding: "15px",
+        borderRadius: "10px",
+        boxShadow: "0 4px 8px rgba(0, 0, 0, 0.2)",
+        width: "250px",
+      }}
+    >
+      <div
+        onClick={() => setExpanded(!expanded)}
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          fontWeight: "bold",
+          cursor: "pointer",
+        }}
+      >
+        <span>Data Sources</span>
+        <span>{expanded ? "▲" : "▼"}</span>
+      </div>
+
+      {expanded && (
+        <div style={{ marginTop: "10px", fontSize: "12px" }}>
+          {Object.entries(DATASETS).map(([dataset, { label }]) => (
+            <div key={dataset} style={{ marginBottom: "10px" }}>
+              <div style={{ fontWeight: "bold" }}>{label}</div>
+              <div style={{ color: "#666", marginBottom: "4px", wordBreak: "break-word" }}>
+                {loading === dataset ? "Loading..." : describeDataSource(sources[dataset])}
+              </div>
+              {errors[dataset] && (
+                <div style={{ color: "#dc3545", marginBottom: "4px", wordBreak: "break-word" }}>
+                  {errors[dataset]}. The current data was kept.
+                </div>
+              )}
+              <input
+                type="file"
+                accept=".csv,.xlsx"
+                disabled={loading !== null}
+                onChange={(e) => handleUpload(dataset, e)}
+                style={{ width: "100%", fontSize: "12px" }}
+              />
+              {sources[dataset] !== DATA_SOURCES[dataset] && (
+                <button
+                  type="button"
+                  onClick={() => changeSource(dataset, DATA_SOURCES[dataset])}
+                  disabled={loading !== null}
+                  style={{
+                    marginTop: "4px",
+                    padding: "4px 8px",
+                    backgroundColor: "#6c757d",
+                    color: "white",
+                    border: "none",
+                    borderRadius: "5px",
+                    cursor: "pointer",
+                    fontSize: "12px",
+                  }}
+                >
+                  Use {describeDataSource(DATA_SOURCES[dataset])}
+                </button>
+              )}
+            </div>
+          ))}
+          <div style={{ color: "#666" }}>
+            Uploaded files are only used in this browser session and aren't saved.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DataSourcePanel;
@@ -0,0 +1,152 @@
+import React, { useState } from "react";
+import { getCensusDisplayFields, NEED_SCORE_FIELD } from "../utils/censusVariables";
+import { HOT_SPOT_METHODS, HOT_SPOT_CLASSES, HOT_SPOT_SIGNIFICANCE } from "../utils/hotSpotUtils";
+
+/**
+ * Panel to run a hot spot analysis on a census indicator, list how many
+ * tracts got each label and filter the map to chosen labels
+ */
+const HotSpotPanel = ({
+  enabled,
+  running,
+  config,
+  counts,
+  filter,
+  setFilter,
+  onRun,
+  onClear
+}) => {
+  const [expanded, setExpanded] = useState(false);
+  const [indicator, setIndicator] = useState(config?.code || NEED_SCORE_FIELD.code);
+  const [method, setMethod] = useState(config?.method || "gi");
+
+  const toggleFilter = (classKey) => {
+    setFilter(filter.includes(classKey)
+      ? filter.filter(key => key !== classKey)
+      : [...filter, classKey]);
+  };
+
+  const selectStyle = {
+    width: "100%",
+    padding: "8px",
+    margin: "5px 0 10px 0",
+    borderRadius: "5px",
+    border: "1px solid #ccc",
+  };
+
+  return (
+    <div
+      style={{
+        backgroundColor: "white",
+        padding: "15px",
+        borderRadius: "10px",
+        boxShadow: "0 4px 8px rgba(0, 0, 0, 0.2)",
+        width: "250px",
+      }}
+    >
+      <div
+        onClick={() => setExpanded(!expanded)}
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          fontWeight: "bold",
+          cursor: "pointer",
+        }}
+      >
+        <span>Hot Spot Analysis</span>
+        <span>{expanded ? "▲" : "▼"}</span>
+      </div>
+
+      {expanded && !enabled && (
+        <p style={{ fontSize: "12px", color: "#666", margin: "10px 0 0 0" }}>
+          Hot spot analysis works on census tracts. Switch to the census tract view to run it.
+        </p>
+      )}
+
+      {expanded && enabled && (
+        <div style={{ marginTop: "10px", fontSize: "13px" }}>
+          <label style={{ fontWeight: "bold" }}>
+            Indicator:
+            <select value={indicator} onChange={(e) => setIndicator(e.target.value)} style={selectStyle}>
+              {getCensusDisplayFields().map(variable => (
+                <option key={variable.code} value={variable.code}>
+                  {variable.label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label style={{ fontWeight: "bold" }}>
+            Method:
+            <select value={method} onChange={(e) => setMethod(e.target.value)} style={selectStyle}>
+              {Object.entries(HOT_SPOT_METHODS).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </label>
+
+          <div style={{ display: "flex", gap: "10px" }}>
+            <button
+              type="button"
+              onClick={() => onRun({ code: indicator, method })}
+              disabled={running}
+              style={{
+                flex: 1,
+                padding: "8px",
+                backgroundColor: "#007BFF",
+                color: "white",
+                border: "none",
+                borderRadius: "5px",
+                cursor: running ? "wait" : "pointer",
+                fontWeight: "bold",
+              }}
+            >
+              {running ? "Running..." : "Run"}
+            </button>
+            {config && (
+              <button
+                type="button"
+                onClick={onClear}
+                style={{
+                  flex: 1,
+                  padding: "8px",
+                  backgroundColor: "#6c757d",
+                  color: "white",
+                  border: "none",
+                  borderRadius: "5px",
+                  cursor: "pointer",
+                  fontWeight: "bold",
+                }}
+              >
+                Clear
+              </button>
+            )}
+          </div>
+
+          {config && counts && (
+            <div style={{ marginTop: "10px" }}>
+              <div style={{ color: "#666", fontSize: "12px", marginBottom: "5px" }}>
+                Significant at p &lt; {HOT_SPOT_SIGNIFICANCE}. Tick labels to show only those tracts.
+              </div>
+              {Object.entries(HOT_SPOT_CLASSES)
+                .filter(([classKey]) => config.method === "moran" || !["high_low", "low_high"].includes(classKey))
+                .map(([classKey, { label, color }]) => (
+                  <label key={classKey} style={{ display: "flex", alignItems: "center", gap: "6px", marginBottom: "4px" }}>
+                    <input
+                      type="checkbox"
+                      checked={filter.includes(classKey)}
+                      onChange={() => toggleFilter(classKey)}
+                    />
+                    <span style={{ width: "12px", height: "12px", backgroundColor: color, border: "1px solid #333" }} />
+                    <span>{label}: {counts[classKey] || 0}</span>
+                  </label>
+                ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HotSpotPanel;
@@ -0,0 +1,93 @@
+import React, { useState } from "react";
+import { VALIDATION_SEVERITIES, VALIDATION_SOURCES } from "../utils/importValidationUtils";
+
+// Issues listed per sheet before the rest are summarized
+const MAX_LISTED_ISSUES = 50;
+
+/**
+ * Panel listing problems found in the adoption and church spreadsheets, so
+ * data managers can fix the sheets
+ */
+const ImportValidationPanel = ({ validation }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  if (!validation) return null;
+
+  const { issues, counts, tractCheck } = validation;
+
+  return (
+    <div
+      style={{
+        backgroundColor: "white",
+        padding: "15px",
+        borderRadius: "10px",
+        boxShadow: "0 4px 8px rgba(0, 0, 0, 0.2)",
+        width: "250px",
+      }}
+    >
+      <div
+        onClick={() => setExpanded(!expanded)}
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          fontWeight: "bold",
+          cursor: "pointer",
+        }}
+      >
+        <span>
+          Data Checks{" "}
+          {counts.error > 0 && (
+            <span style={{ color: VALIDATION_SEVERITIES.error.color }}>({counts.error} errors)</span>
+          )}
+          {counts.error === 0 && counts.warning > 0 && (
+            <span style={{ color: VALIDATION_SEVERITIES.warning.color }}>({counts.warning} warnings)</span>
+          )}
+        </span>
+        <span>{expanded ? "▲" : "▼"}</span>
+      </div>
+
+      {expanded && (
+        <div style={{ marginTop: "10px", fontSize: "12px" }}>
+          {issues.length === 0 && (
+            <p style={{ color: "green", margin: 0 }}>No problems found in the spreadsheets.</p>
+          )}
+          {!tractCheck && (
+            <p style={{ color: "#666", margin: "0 0 8px 0" }}>
+              Tract IDs were not checked against the map because the tract boundaries could not be loaded.
+            </p>
+          )}
+
+          {Object.entries(VALIDATION_SOURCES).map(([source, { label }]) => {
+            const sourceIssues = issues.filter(issue => issue.source === source);
+            if (sourceIssues.length === 0) return null;
+
+            return (
+              <div key={source} style={{ marginBottom: "10px" }}>
+                <div style={{ fontWeight: "bold", marginBottom: "4px" }}>
+                  {label} ({sourceIssues.length})
+                </div>
+                <div style={{ maxHeight: "200px", overflowY: "auto" }}>
+                  {sourceIssues.slice(0, MAX_LISTED_ISSUES).map((issue, index) => (
+                    <div key={index} style={{ marginBottom: "4px" }}>
+                      <span style={{ color: VALIDATION_SEVERITIES[issue.severity].color, fontWeight: "bold" }}>
+                        {VALIDATION_SEVERITIES[issue.severity].label}
+                      </span>
+                      {issue.row && <span style={{ color: "#666" }}> (row {issue.row})</span>}: {issue.message}
+                    </div>
+                  ))}
+                  {sourceIssues.length > MAX_LISTED_ISSUES && (
+                    <div style={{ color: "#666" }}>
+                      ...and {sourceIssues.length - MAX_LISTED_ISSUES} more
+                    </div>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportValidationPanel;
@@ -0,0 +1,158 @@
+import React, { useState } from "react";
+import { MAP_LAYERS } from "../utils/layerUtils";
+
+/**
+ * Legend swatch matching a renderer symbol: a filled square for polygons, a
+ * dot for points and a bar for lines
+ */
+const LegendSwatch = ({ color, outline, symbolType }) => {
+  if (symbolType === "simple-line") {
+    return <span style={{ width: "14px", height: "3px", backgroundColor: color, flexShrink: 0 }} />;
+  }
+  return (
+    <span
+      style={{
+        width: "12px",
+        height: "12px",
+        backgroundColor: color,
+        border: `${outline && color === "rgba(0, 0, 0, 0)" ? 2 : 1}px solid ${outline || "#999"}`,
+        borderRadius: symbolType === "simple-marker" ? "50%" : "0",
+        flexShrink: 0,
+      }}
+    />
+  );
+};
+
+/**
+ * Lists the map layers, top first, with visibility and opacity controls and
+ * the legend of each visible layer built from its renderer. The geography
+ * drawn as borders can also be labeled. Rows can be dragged by their handle
+ * to change the drawing order.
+ */
+const LayerPanel = ({ order, settings, selectedLayer, legends, available, onChange, onReorder }) => {
+  const [expanded, setExpanded] = useState(true);
+  const [draggedKey, setDraggedKey] = useState(null);
+
+  return (
+    <div
+      style={{
+        backgroundColor: "white",
+        padding: "15px",
+        borderRadius: "10px",
+        boxShadow: "0 4px 8px rgba(0, 0, 0, 0.2)",
+        width: "250px",
+      }}
+    >
+      <div
+        onClick={() => setExpanded(!expanded)}
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          fontWeight: "bold",
+          cursor: "pointer",
+        }}
+      >
+        <span>Layers and Legend</span>
+        <span>{expanded ? "▲" : "▼"}</span>
+      </div>
+
+      {expanded && (
+        <div style={{ marginTop: "10px", fontSize: "12px" }}>
+          {order.map(key => {
+            const { visible, opacity } = settings[key];
+            const legend = legends[key];
+            const isGeography = key === "censusTracts" || key === "zipCodes";
+            const role = isGeography ? (key === selectedLayer ? "data" : "borders only") : null;
+
+            return (
+              <div
+                key={key}
+                onDragOver={(e) => e.preventDefault()}
+                onDrop={(e) => {
+                  e.preventDefault();
+                  if (draggedKey) onReorder(draggedKey, key);
+                  setDraggedKey(null);
+                }}
+                style={{
+                  borderTop: "1px solid #eee",
+                  padding: "6px 0",
+                  opacity: draggedKey === key ? 0.5 : 1,
+                }}
+              >
+                <div style={{ display: "flex", alignItems: "center", gap: "6px" }}>
+                  {/* Only the handle starts a drag, so the opacity slider still slides */}
+                  <span
+                    draggable
+                    onDragStart={(e) => {
+                      // Firefox only starts a drag that carries data
+                      e.dataTransfer.setData("text/plain", key);
+                      setDraggedKey(key);
+                    }}
+                    onDragEnd={() => setDraggedKey(null)}
+                    title="Drag to reorder"
+                    style={{ color: "#999", cursor: "grab" }}
+                  >
+                    ⋮⋮
+                  </span>
+                  <label style={{ display: "flex", alignItems: "center", gap: "4px", flex: 1, cursor: "pointer" }}>
+                    <input
+                      type="checkbox"
+                      checked={visible}
+                      disabled={!available[key]}
+                      onChange={(e) => onChange(key, { visible: e.target.checked })}
+                    />
+                    <span style={{ fontWeight: "bold", color: available[key] ? "inherit" : "#999" }}>
+                      {MAP_LAYERS[key].label}
+                    </span>
+                    {role && <span style={{ color: "#666" }}>({role})</span>}
+                  </label>
+                </div>
+
+                {!available[key] && (
+                  <div style={{ color: "#999", marginLeft: "18px" }}>Not available yet</div>
+                )}
+
+                {available[key] && visible && (
+                  <div style={{ marginLeft: "18px" }}>
+                    <label style={{ display: "flex", alignItems: "center", gap: "6px", margin: "4px 0" }}>
+                      Opacity
+                      <input
+                        type="range"
+                        min="0"
+                        max="1"
+                        step="0.1"
+                        value={opacity}
+                        onChange={(e) => onChange(key, { opacity: parseFloat(e.target.value) })}
+                        style={{ flex: 1 }}
+                      />
+                      <span style={{ width: "30px", textAlign: "right" }}>{Math.round(opacity * 100)}%</span>
+                    </label>
+                    {role === "borders only" && (
+                      <label style={{ display: "flex", alignItems: "center", gap: "4px", marginBottom: "4px", cursor: "pointer" }}>
+                        <input
+                          type="checkbox"
+                          checked={settings[key].labels}
+                          onChange={(e) => onChange(key, { labels: e.target.checked })}
+                        />
+                        Labels
+                      </label>
+                    )}
+                    {legend?.title && <div style={{ color: "#444", marginBottom: "3px" }}>{legend.title}</div>}
+                    {(legend?.items || []).map(item => (
+                      <div key={item.label} style={{ display: "flex", alignItems: "center", gap: "6px", marginBottom: "3px" }}>
+                        <LegendSwatch {...item} />
+                        <span>{item.label || MAP_LAYERS[key].label}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LayerPanel;
@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from "react";
+import {
+  NEED_INDICATORS,
+  MAX_NEED_WEIGHT,
+  getDefaultNeedWeights
+} from "../utils/needIndexUtils";
+
+/**
+ * Settings panel for the need score weights. Slider changes are kept as a
+ * draft until "Apply" so the map is only rescored once.
+ */
+const NeedIndexPanel = ({ weights, onApply }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [draftWeights, setDraftWeights] = useState(weights);
+
+  // Start from the applied weights whenever they change
+  useEffect(() => {
+    setDraftWeights(weights);
+  }, [weights]);
+
+  const setDraftWeight = (code, value) => {
+    setDraftWeights(prev => ({ ...prev, [code]: parseFloat(value) }));
+  };
+
+  const hasChanges = NEED_INDICATORS.some(
+    variable => draftWeights[variable.code] !== weights[variable.code]
+  );
+  const hasActiveWeight = NEED_INDICATORS.some(variable => draftWeights[variable.code] > 0);
+
+  return (
+    <div
+      style={{
+        backgroundColor: "white",
+        padding: "15px",
+        borderRadius: "10px",
+        boxShadow: "0 4px 8px rgba(0, 0, 0, 0.2)",
+        width: "250px",
+      }}
+    >
+      <div
+        onClick={() => setExpanded(!expanded)}
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          fontWeight: "bold",
+          cursor: "pointer",
+        }}
+      >
+        <span>Need Score Weights</span>
+        <span>{expanded ? "▲" : "▼"}</span>
+      </div>
+
+      {expanded && (
+        <div style={{ marginTop: "10px" }}>
+          <p style={{ fontSize: "12px", color: "#666", margin: "0 0 10px 0" }}>
+            Each indicator is ranked across the visible tracts or ZIP codes and
+            combined by weight into a 0–100 score. A weight of 0 leaves it out.
+          </p>
+
+          {NEED_INDICATORS.map(variable => (
+            <label key={variable.code} style={{ display: "block", fontSize: "13px", marginBottom: "8px" }}>
+              <div style={{ display: "flex", justifyContent: "space-between" }}>
+                <span>
+                  {variable.label}
+                  {!variable.need.higherIsNeed && (
+                    <span style={{ color: "#666" }}> (lower = more need)</span>
+                  )}
+                </span>
+                <span style={{ fontWeight: "bold" }}>{draftWeights[variable.code]}</span>
+              </div>
+              <input
+                type="range"
+                min="0"
+                max={MAX_NEED_WEIGHT}
+                step="1"
+                value={draftWeights[variable.code]}
+                onChange={(e) => setDraftWeight(variable.code, e.target.value)}
+                style={{ width: "100%" }}
+              />
+            </label>
+          ))}
+
+          {!hasActiveWeight && (
+            <div style={{ color: "red", fontSize: "12px", marginBottom: "8px" }}>
+              Give at least one indicator a weight above 0.
+            </div>
+          )}
+
+          <div style={{ display: "flex", gap: "10px" }}>
+            <button
+              type="button"
+              onClick={() => onApply(draftWeights)}
+              disabled={!hasChanges || !hasActiveWeight}
+              style={{
+                flex: 1,
+                padding: "8px",
+                backgroundColor: hasChanges && hasActiveWeight ? "#007BFF" : "#ccc",
+                color: "white",
+                border: "none",
+                borderRadius: "5px",
+                cursor: hasChanges && hasActiveWeight ? "pointer" : "default",
+                fontWeight: "bold",
+              }}
+            >
+              Apply
+            </button>
+            <button
+              type="button"
+              onClick={() => setDraftWeights(getDefaultNeedWeights())}
+              style={{
+                flex: 1,
+                padding: "8px",
+                backgroundColor: "#6c757d",
+                color: "white",
+                border: "none",
+                borderRadius: "5px",
+                cursor: "pointer",
+                fontWeight: "bold",
+              }}
+            >
+              Reset
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NeedIndexPanel;
@@ -0,0 +1,64 @@
+import React from "react";
+import { PARTNER_TYPES } from "../utils/partnerUtils";
+import { PARTNER_SYMBOLS } from "../utils/partnerLayerUtils";
+
+// Swatch shapes matching the marker styles
+const SWATCH_RADIUS = { circle: "50%", square: "0", diamond: "0" };
+
+/**
+ * Toggle and legend for the partner point layer, with how many partners of
+ * each type could be placed on the map
+ */
+const PartnerLayerPanel = ({ visible, setVisible, partnerModel, partnerLocations }) => {
+  const partners = Object.values(partnerModel?.partners || {});
+
+  return (
+    <div
+      style={{
+        backgroundColor: "white",
+        padding: "15px",
+        borderRadius: "10px",
+        boxShadow: "0 4px 8px rgba(0, 0, 0, 0.2)",
+        width: "250px",
+      }}
+    >
+      <label style={{ display: "flex", alignItems: "center", gap: "6px", fontWeight: "bold", cursor: "pointer" }}>
+        <input
+          type="checkbox"
+          checked={visible}
+          onChange={(e) => setVisible(e.target.checked)}
+        />
+        Partner Locations
+      </label>
+
+      {visible && (
+        <div style={{ marginTop: "10px", fontSize: "13px" }}>
+          {Object.entries(PARTNER_TYPES).map(([type, { pluralLabel }]) => {
+            const ofType = partners.filter(partner => partner.type === type);
+            const placed = ofType.filter(partner => partnerLocations[partner.id]).length;
+            const { color, style } = PARTNER_SYMBOLS[type];
+            return (
+              <div key={type} style={{ display: "flex", alignItems: "center", gap: "6px", marginBottom: "4px" }}>
+                <span
+                  style={{
+                    width: "10px",
+                    height: "10px",
+                    backgroundColor: color,
+                    borderRadius: SWATCH_RADIUS[style],
+                    transform: style === "diamond" ? "rotate(45deg)" : "none",
+                  }}
+                />
+                <span>{pluralLabel}: {placed} of {ofType.length} placed</span>
+              </div>
+            );
+          })}
+          <div style={{ color: "#666", fontSize: "12px", marginTop: "5px" }}>
+            Partners need coordinates or an address to be placed. Click a partner to highlight the tracts it has adopted.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PartnerLayerPanel;
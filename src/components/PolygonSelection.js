@@ -1,10 +1,29 @@
 import React, { useState, useRef, useEffect, useCallback } from "react";
+import { getCensusDisplayFields, formatVariableWithMoe } from "../utils/censusVariables";
+import { HOT_SPOT_CLASSES, HOT_SPOT_FIELDS, formatHotSpotLabel } from "../utils/hotSpotUtils";
+import { ADOPTION_ACTIONS } from "../utils/adoptionStore";
+import {
+  ADOPTION_REPORT_PERIODS,
+  getReportPeriodRange,
+  summarizeAdoptionChanges
+} from "../utils/adoptionStatusUtils";
+import { PARTNER_TYPES, getTractPartners, getPartnerTracts, formatPartnerNames } from "../utils/partnerUtils";
+import { getAdoptionStateLabel } from "../utils/adoptionStates";
+import { escapeHtml } from "../utils/htmlUtils";
+import { summarizeCountyRollup } from "../utils/reportUtils";
 
-const PolygonSelection = ({ map, view, geoJsonLayer }) => {
+const PolygonSelection = ({ map, view, geoJsonLayer, onEditAdoption, adoptionStatusMap, partnerModel, adoptionHistory, selectionRequest, filterWhere, zipCounties }) => {
   const [selectionMode, setSelectionMode] = useState(false);
+  const [reportPeriod, setReportPeriod] = useState("quarter");
   const [selectedFeatureIds, setSelectedFeatureIds] = useState([]);
   const [isSelecting, setIsSelecting] = useState(false);
   const originalRendererRef = useRef(null);
+  // The county filter, read when a selection request arrives; changing the
+  // county alone doesn't select again
+  const filterWhereRef = useRef(filterWhere);
+  useEffect(() => {
+    filterWhereRef.current = filterWhere;
+  }, [filterWhere]);
 
   // Helper function to get feature ID
   const getFeatureId = useCallback((feature) => {
@@ -127,12 +146,16 @@ const PolygonSelection = ({ map, view, geoJsonLayer }) => {
       if (!newMode) {
         clearSelection();
       } else {
+        // Capture the renderer active now, since the map may have changed it since mount
+        if (geoJsonLayer) {
+          originalRendererRef.current = geoJsonLayer.renderer;
+        }
         console.log("Selection mode activated");
       }
       
       return newMode;
     });
-  }, [clearSelection]);
+  }, [clearSelection, geoJsonLayer]);
 
   // Handle clicks on the map for feature selection
   const handleMapClick = useCallback(async (event) => {
@@ -199,6 +222,43 @@ const PolygonSelection = ({ map, view, geoJsonLayer }) => {
     };
   }, [view, selectionMode, handleMapClick]);
   
+  // Select the tracts sent from another panel ({ tractIds, requestId }),
+  // replacing the current selection
+  useEffect(() => {
+    if (!selectionRequest || !geoJsonLayer) return;
+    
+    const { tractIds } = selectionRequest;
+    if (tractIds.length === 0) return;
+    
+    const query = geoJsonLayer.createQuery();
+    query.where = `GEOID IN (${tractIds.map(id => `'${String(id).replace(/'/g, "''")}'`).join(",")})`;
+    if (filterWhereRef.current) {
+      query.where = `(${filterWhereRef.current}) AND (${query.where})`;
+    }
+    query.outFields = ["*"];
+    
+    geoJsonLayer.queryFeatures(query)
+      .then(results => {
+        const featureIds = results.features.map(getFeatureId).filter(Boolean);
+        console.log(`Selecting ${featureIds.length} of ${tractIds.length} requested tracts`);
+        
+        setSelectionMode(prevMode => {
+          // Capture the renderer active now, as when selection mode is switched on
+          if (!prevMode) {
+            originalRendererRef.current = geoJsonLayer.renderer;
+          }
+          return true;
+        });
+        setSelectedFeatureIds(featureIds);
+      })
+      .catch(error => console.error("Error selecting requested tracts:", error));
+  }, [selectionRequest, geoJsonLayer, getFeatureId]);
+  
+  // Features outside a newly chosen county can't stay selected
+  useEffect(() => {
+    setSelectedFeatureIds(prevIds => (prevIds.length > 0 ? [] : prevIds));
+  }, [filterWhere]);
+  
   // Restore original renderer when component unmounts
   useEffect(() => {
     return () => {
@@ -228,6 +288,37 @@ const PolygonSelection = ({ map, view, geoJsonLayer }) => {
       const results = await geoJsonLayer.queryFeatures(query);
       const selectedFeatures = results.features;
       
+      // Census values live on the layer rather than in feature attributes
+      const censusData = geoJsonLayer.featureCensusData;
+      const censusIdField = geoJsonLayer.censusIdField;
+      if (censusData && censusIdField) {
+        selectedFeatures.forEach(feature => {
+          const values = censusData.get(feature.attributes[censusIdField]);
+          if (values) {
+            Object.assign(feature.attributes, values);
+          }
+        });
+      }
+      
+      // Adoption status and its last in-app edit, for tracts
+      selectedFeatures.forEach(feature => {
+        const adoption = adoptionStatusMap?.[feature.attributes.GEOID];
+        if (adoption) {
+          const notes = [
+            adoption.expiresOn && `expires ${adoption.expiresOn}`,
+            adoption.contested && `contested by ${adoption.claimants.map(({ name }) => name).join(", ")}`,
+            adoption.coAdopted && "co-adopted"
+          ].filter(Boolean);
+          feature.attributes.adoption_status = notes.length > 0
+            ? `${getAdoptionStateLabel(adoption.status)} (${notes.join("; ")})`
+            : getAdoptionStateLabel(adoption.status);
+          feature.attributes.lastUpdatedBy = adoption.lastUpdatedBy;
+          feature.attributes.lastUpdateDate = adoption.lastUpdateDate
+            ? new Date(adoption.lastUpdateDate).toLocaleString()
+            : undefined;
+        }
+      });
+      
       // Create a popup window with HTML content for report data
       const reportWindow = window.open('', '_blank', 'width=800,height=600');
       
@@ -264,15 +355,122 @@ const PolygonSelection = ({ map, view, geoJsonLayer }) => {
           </div>
       `;
       
+      // List hot spot labels when a hot spot analysis has been run
+      const hasHotSpots = selectedFeatures.some(feature => feature.attributes[HOT_SPOT_FIELDS.class]);
+      if (hasHotSpots) {
+        const hotSpotCounts = {};
+        selectedFeatures.forEach(feature => {
+          const classKey = feature.attributes[HOT_SPOT_FIELDS.class];
+          if (classKey) {
+            hotSpotCounts[classKey] = (hotSpotCounts[classKey] || 0) + 1;
+          }
+        });
+        
+        htmlContent += `
+          <h2>Hot Spot Analysis</h2>
+          <div class="summary">
+            ${Object.entries(hotSpotCounts).map(([classKey, count]) =>
+              `<p><strong>${HOT_SPOT_CLASSES[classKey].label}:</strong> ${count}</p>`
+            ).join("")}
+          </div>
+        `;
+      }
+      
+      // Selected features rolled up by county
+      const countyRollup = summarizeCountyRollup(selectedFeatures, zipCounties, adoptionStatusMap);
+      const hasZipCodes = selectedFeatures.some(feature => !feature.attributes.GEOID);
+      htmlContent += `
+        <h2>County Rollup</h2>
+        ${hasZipCodes ? "<p>ZIP codes crossing county lines are counted in the county holding most of them.</p>" : ""}
+        ${countyRollup.map(({ county, featureCount, adoptedTracts, totals }) => `
+          <h3>${county}</h3>
+          <div class="summary">
+            <p><strong>Selected features:</strong> ${featureCount}</p>
+            ${hasZipCodes ? "" : `<p><strong>Adopted tracts:</strong> ${adoptedTracts}</p>`}
+            ${Object.entries(totals)
+              .filter(([label]) => label !== "featureCount")
+              .map(([label, value]) =>
+                `<p><strong>${label}:</strong> ${typeof value === "number" ? value.toLocaleString() : value}</p>`
+              ).join("")}
+          </div>
+        `).join("")}
+      `;
+      
+      // Partners linked to the selected tracts
+      const selectedTractIds = selectedFeatures.map(feature => feature.attributes.GEOID).filter(Boolean);
+      const linkedPartners = {};
+      selectedTractIds.forEach(tractId => {
+        getTractPartners(partnerModel, tractId).forEach(partner => {
+          linkedPartners[partner.id] = partner;
+        });
+      });
+      const hasPartners = Object.keys(linkedPartners).length > 0;
+      
+      if (hasPartners) {
+        htmlContent += `
+          <h2>Partners</h2>
+          <table>
+            <tr><th>Partner</th><th>Type</th><th>Contact</th><th>Address</th><th>ZIP</th><th>Selected Tracts</th></tr>
+            ${Object.values(linkedPartners).map(partner => `
+              <tr>
+                <td>${escapeHtml(partner.name)}</td>
+                <td>${PARTNER_TYPES[partner.type].label}</td>
+                <td>${escapeHtml(partner.contact || "N/A")}</td>
+                <td>${escapeHtml(partner.address || "N/A")}</td>
+                <td>${escapeHtml(partner.zip || "N/A")}</td>
+                <td>${getPartnerTracts(partnerModel, partner.id).filter(tractId => selectedTractIds.includes(tractId)).length}</td>
+              </tr>
+            `).join("")}
+          </table>
+        `;
+      }
+      
+      // Adoption changes for the selected tracts in the chosen period
+      if (adoptionHistory) {
+        const range = getReportPeriodRange(reportPeriod);
+        const { entries, counts } = summarizeAdoptionChanges(adoptionHistory, range, selectedTractIds);
+        const rangeText = range.start
+          ? `${range.start.toLocaleDateString()} – ${range.end.toLocaleDateString()}`
+          : "all recorded changes";
+        
+        htmlContent += `
+          <h2>Adoption Changes: ${range.label}</h2>
+          <div class="summary">
+            <p><strong>Period:</strong> ${rangeText}</p>
+            ${Object.entries(ADOPTION_ACTIONS).map(([action, { label }]) =>
+              `<p><strong>Tracts ${label.toLowerCase()}:</strong> ${counts[action]}</p>`
+            ).join("")}
+          </div>
+        `;
+        
+        if (entries.length > 0) {
+          htmlContent += `
+            <table>
+              <tr><th>Date</th><th>Tract</th><th>Change</th><th>Partner</th><th>By</th><th>Note</th></tr>
+              ${entries.map(entry => `
+                <tr>
+                  <td>${new Date(entry.date).toLocaleDateString()}</td>
+                  <td>${escapeHtml(entry.tractId)}</td>
+                  <td>${escapeHtml(ADOPTION_ACTIONS[entry.action]?.label || entry.action)}</td>
+                  <td>${escapeHtml(entry.partner || "N/A")}</td>
+                  <td>${escapeHtml(entry.user)}</td>
+                  <td>${escapeHtml(entry.note)}</td>
+                </tr>
+              `).join("")}
+            </table>
+          `;
+        }
+      }
+      
       // Add summary table
       htmlContent += `
         <h2>Summary of Selected Features</h2>
         <table>
           <tr>
             <th>Feature</th>
-            <th>Population</th>
-            <th>Employment Rate</th>
-            <th>Median Income</th>
+            ${getCensusDisplayFields().map(variable => `<th>${variable.label}</th>`).join("")}
+            ${hasHotSpots ? "<th>Hot Spot</th>" : ""}
+            ${hasPartners ? "<th>Partners</th>" : ""}
           </tr>
       `;
       
@@ -295,10 +493,12 @@ const PolygonSelection = ({ map, view, geoJsonLayer }) => {
         
         htmlContent += `
           <tr>
-            <td>${featureName}</td>
-            <td>${feature.attributes.P1_001N || 'N/A'}</td>
-            <td>${feature.attributes.DP03_0004PE ? `${feature.attributes.DP03_0004PE}%` : 'N/A'}</td>
-            <td>${feature.attributes.S1901_C01_012E ? `$${feature.attributes.S1901_C01_012E}` : 'N/A'}</td>
+            <td>${escapeHtml(featureName)}</td>
+            ${getCensusDisplayFields().map(variable =>
+              `<td>${formatVariableWithMoe(variable, feature.attributes)}</td>`
+            ).join("")}
+            ${hasHotSpots ? `<td>${formatHotSpotLabel(feature.attributes) || "Not analyzed"}</td>` : ""}
+            ${hasPartners ? `<td>${escapeHtml(formatPartnerNames(getTractPartners(partnerModel, feature.attributes.GEOID)) || "None")}</td>` : ""}
           </tr>
         `;
       });
@@ -312,13 +512,14 @@ const PolygonSelection = ({ map, view, geoJsonLayer }) => {
                           feature.attributes.ZIP_CODE || 
                           `Feature ${index + 1}`;
         
-        htmlContent += `<h2>Details for: ${featureName}</h2>`;
+        htmlContent += `<h2>Details for: ${escapeHtml(featureName)}</h2>`;
         htmlContent += `<table><tr><th>Attribute</th><th>Value</th></tr>`;
         
         // Add rows for each attribute
         Array.from(allKeys).forEach(key => {
           if (feature.attributes[key] !== undefined && feature.attributes[key] !== null) {
-            htmlContent += `<tr><td>${key}</td><td>${feature.attributes[key]}</td></tr>`;
+            // Values include partner and claimant names from the Sheet
+            htmlContent += `<tr><td>${escapeHtml(key)}</td><td>${escapeHtml(feature.attributes[key])}</td></tr>`;
           }
         });
         
@@ -340,7 +541,27 @@ const PolygonSelection = ({ map, view, geoJsonLayer }) => {
       console.error("Error generating report:", error);
       alert("There was an error generating the report. Please try again.");
     }
-  }, [geoJsonLayer, selectedFeatureIds]);
+  }, [geoJsonLayer, selectedFeatureIds, adoptionStatusMap, partnerModel, adoptionHistory, reportPeriod, zipCounties]);
+
+  // Open the adoption editor for the selected tracts
+  const editAdoption = useCallback(async () => {
+    try {
+      const query = geoJsonLayer.createQuery();
+      const idField = geoJsonLayer.objectIdField || "OBJECTID";
+      query.where = `${idField} IN (${selectedFeatureIds.join(',')})`;
+      query.outFields = ["GEOID"];
+      
+      const results = await geoJsonLayer.queryFeatures(query);
+      const tractIds = results.features
+        .map(feature => feature.attributes.GEOID)
+        .filter(Boolean);
+      
+      onEditAdoption(tractIds);
+    } catch (error) {
+      console.error("Error reading selected tracts:", error);
+      alert("There was an error reading the selected tracts. Please try again.");
+    }
+  }, [geoJsonLayer, selectedFeatureIds, onEditAdoption]);
 
   return (
     <div style={{ position: "absolute", bottom: "30px", left: "20px", zIndex: 1000, display: "flex", gap: "10px" }}>
@@ -392,6 +613,36 @@ const PolygonSelection = ({ map, view, geoJsonLayer }) => {
           Generate Report ({selectedFeatureIds.length})
         </button>
       )}
+      
+      {adoptionHistory && selectedFeatureIds.length > 0 && (
+        <select
+          value={reportPeriod}
+          onChange={(e) => setReportPeriod(e.target.value)}
+          title="Period for the report's adoption changes"
+          style={{ padding: "8px", borderRadius: "5px", border: "1px solid #ccc" }}
+        >
+          {Object.entries(ADOPTION_REPORT_PERIODS).map(([key, { label }]) => (
+            <option key={key} value={key}>Changes: {label}</option>
+          ))}
+        </select>
+      )}
+      
+      {onEditAdoption && selectedFeatureIds.length > 0 && (
+        <button
+          onClick={editAdoption}
+          style={{
+            padding: "10px 15px",
+            backgroundColor: "#6f42c1",
+            color: "white",
+            border: "none",
+            borderRadius: "5px",
+            cursor: "pointer",
+            fontWeight: "bold"
+          }}
+        >
+          Edit Adoption ({selectedFeatureIds.length})
+        </button>
+      )}
     </div>
   );
 };
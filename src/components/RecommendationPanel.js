@@ -0,0 +1,176 @@
+import React, { useMemo, useState } from "react";
+import { PARTNER_TYPES, getPartnerTracts } from "../utils/partnerUtils";
+import {
+  RECOMMENDATION_RADIUS_MILES,
+  recommendTracts,
+  createRecommendationChange
+} from "../utils/recommendationUtils";
+
+/**
+ * Suggests tracts for a partner to adopt, nearest and neediest first, with
+ * the reasons for each. Accepting a suggestion saves the tract as adopted by
+ * the partner, like an edit in the adoption editor.
+ */
+const RecommendationPanel = ({
+  partnerModel,
+  partnerLocations,
+  tractCentroids,
+  crosswalk,
+  zipCentroids,
+  censusTractData,
+  adoptionStatusMap,
+  needWeights,
+  onAccept,
+  onShowTract
+}) => {
+  const [expanded, setExpanded] = useState(false);
+  const [partnerId, setPartnerId] = useState("");
+  const [updatedBy, setUpdatedBy] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  // Partners without tracts first, since they are the ones looking for one
+  const partners = useMemo(
+    () => Object.values(partnerModel?.partners || {})
+      .map(partner => ({ ...partner, tractCount: getPartnerTracts(partnerModel, partner.id).length }))
+      .sort((a, b) => (a.tractCount > 0) - (b.tractCount > 0) || a.name.localeCompare(b.name)),
+    [partnerModel]
+  );
+  const partner = partnerModel?.partners[partnerId];
+
+  const result = useMemo(() => {
+    if (!expanded || !partner || !tractCentroids) return null;
+    return recommendTracts({
+      partner,
+      partnerLocations,
+      tractCentroids,
+      crosswalk,
+      zipCentroids,
+      censusTractData,
+      adoptionStatusMap,
+      needWeights
+    });
+  }, [expanded, partner, partnerLocations, tractCentroids, crosswalk, zipCentroids, censusTractData, adoptionStatusMap, needWeights]);
+
+  const accept = async (recommendation) => {
+    if (!updatedBy.trim()) {
+      setError("Enter your name so others can see who made the change.");
+      return;
+    }
+    setSaving(true);
+    setError("");
+    try {
+      await onAccept([createRecommendationChange(recommendation, partner, partnerModel)], updatedBy.trim());
+    } catch (saveError) {
+      console.error("Error saving accepted suggestion:", saveError);
+      setError("The adoption could not be saved. Please try again.");
+    }
+    setSaving(false);
+  };
+
+  return (
+    <div
+      style={{
+        backgroundColor: "white",
+        padding: "15px",
+        borderRadius: "10px",
+        boxShadow: "0 4px 8px rgba(0, 0, 0, 0.2)",
+        width: "250px",
+      }}
+    >
+      <div
+        onClick={() => setExpanded(!expanded)}
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          fontWeight: "bold",
+          cursor: "pointer",
+        }}
+      >
+        <span>Suggest Tracts</span>
+        <span>{expanded ? "▲" : "▼"}</span>
+      </div>
+
+      {expanded && (
+        <div style={{ marginTop: "10px", fontSize: "12px" }}>
+          <select
+            value={partnerId}
+            onChange={(e) => setPartnerId(e.target.value)}
+            style={{ width: "100%", padding: "4px", marginBottom: "8px" }}
+          >
+            <option value="">Choose a partner...</option>
+            {partners.map(option => (
+              <option key={option.id} value={option.id}>
+                {option.name} ({PARTNER_TYPES[option.type]?.label}{option.tractCount === 0 ? ", no tracts yet" : ""})
+              </option>
+            ))}
+          </select>
+
+          {!tractCentroids && (
+            <p style={{ color: "#666", margin: 0 }}>Loading tract boundaries...</p>
+          )}
+
+          {result && !result.origin && (
+            <p style={{ color: "#666", margin: 0 }}>
+              {partner.name} has no coordinates, geocoded address or Bay Area ZIP code, so nearby tracts can't be found.
+            </p>
+          )}
+
+          {result?.origin && result.recommendations.length === 0 && (
+            <p style={{ color: "#666", margin: 0 }}>
+              No unadopted tracts within {RECOMMENDATION_RADIUS_MILES} miles.
+            </p>
+          )}
+
+          {result?.recommendations.length > 0 && (
+            <>
+              <input
+                type="text"
+                value={updatedBy}
+                onChange={(e) => setUpdatedBy(e.target.value)}
+                placeholder="Your name"
+                style={{ width: "100%", padding: "4px", marginBottom: "8px", boxSizing: "border-box" }}
+              />
+              {result.recommendations.map((recommendation, index) => (
+                <div
+                  key={recommendation.tractId}
+                  style={{ borderTop: "1px solid #eee", padding: "6px 0" }}
+                >
+                  <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+                    <span
+                      onClick={() => onShowTract(tractCentroids[recommendation.tractId])}
+                      title="Show on the map"
+                      style={{ fontWeight: "bold", color: "#1d4ed8", cursor: "pointer" }}
+                    >
+                      {index + 1}. Tract {recommendation.tractId}
+                    </span>
+                    <button
+                      onClick={() => accept(recommendation)}
+                      disabled={saving}
+                      style={{
+                        padding: "2px 8px",
+                        backgroundColor: "#4CAF50",
+                        color: "white",
+                        border: "none",
+                        borderRadius: "4px",
+                        cursor: saving ? "default" : "pointer",
+                      }}
+                    >
+                      Accept
+                    </button>
+                  </div>
+                  <ul style={{ margin: "4px 0 0 0", paddingLeft: "16px", color: "#444" }}>
+                    {recommendation.reasons.map(reason => <li key={reason}>{reason}</li>)}
+                  </ul>
+                </div>
+              ))}
+              {error && <p style={{ color: "red", margin: "4px 0 0 0" }}>{error}</p>}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecommendationPanel;
@@ -1,4 +1,6 @@
 import React from "react";
+import { CENSUS_VARIABLES, CENSUS_CHANGE_FIELDS, NEED_SCORE_FIELD } from "../utils/censusVariables";
+import { BAY_AREA_COUNTY_FIPS } from "../utils/geoutils";
 
 const SearchComponent = ({
     searchField,
@@ -8,7 +10,13 @@ const SearchComponent = ({
     onSearch,
     selectedLayer,
     searchStatus,
-    toggleLayer
+    toggleLayer,
+    onRefreshCensusData,
+    censusRefreshing,
+    county,
+    setCounty,
+    showBoth,
+    setShowBoth
 }) => (
     <div style={{ position: "absolute", bottom: "100px", left: "20px", zIndex: 1000 }}>
         <form
@@ -23,6 +31,27 @@ const SearchComponent = ({
                 width: "250px",
             }}
         >
+            {/* County Filter: limits the map, search and selection to one county */}
+            <label style={{ marginBottom: "10px", fontWeight: "bold" }}>
+                County:
+                <select
+                    value={county}
+                    onChange={(e) => setCounty(e.target.value)}
+                    style={{
+                        width: "100%",
+                        padding: "10px",
+                        margin: "10px 0",
+                        borderRadius: "5px",
+                        border: "1px solid #ccc",
+                    }}
+                >
+                    <option value="">All Bay Area counties</option>
+                    {Object.keys(BAY_AREA_COUNTY_FIPS).map(name => (
+                        <option key={name} value={name}>{name}</option>
+                    ))}
+                </select>
+            </label>
+
             <label style={{ marginBottom: "10px", fontWeight: "bold" }}>
                 Search By:
                 <select
@@ -37,12 +66,21 @@ const SearchComponent = ({
                     }}
                 >
                     <option value="">-- Please select an option --</option>
+                    <option value={NEED_SCORE_FIELD.code}>{NEED_SCORE_FIELD.label}</option>
                     {selectedLayer === "censusTracts" ? (
                         <>
-                            <option value="P1_001N">Total Population</option>
-                            <option value="DP03_0004PE">Employment Rate</option>
-                            <option value="DP02_0001E">Total Households</option>
-                            <option value="S1901_C01_012E">Median Household Income</option>
+                            {CENSUS_VARIABLES.map(variable => (
+                                <option key={variable.code} value={variable.code}>
+                                    {variable.label}
+                                </option>
+                            ))}
+                            <optgroup label="Change Over Time">
+                                {CENSUS_CHANGE_FIELDS.map(field => (
+                                    <option key={field.code} value={field.code}>
+                                        {field.label}
+                                    </option>
+                                ))}
+                            </optgroup>
                         </>
                     ) : (
                         <>
@@ -59,7 +97,7 @@ const SearchComponent = ({
                     type="text"
                     value={searchValue}
                     onChange={(e) => setSearchValue(e.target.value)}
-                    placeholder="Enter search value"
+                    placeholder={selectedLayer === "censusTracts" || searchField === NEED_SCORE_FIELD.code ? "e.g. 50000 or > 20" : "Enter search value"}
                     style={{
                         width: "100%",
                         padding: "10px",
@@ -106,6 +144,37 @@ const SearchComponent = ({
                     : "Switch to Census Tract View"}
             </button>
 
+            {/* Combined View: the other geography's labeled borders over this one */}
+            <label style={{ display: "flex", alignItems: "center", gap: "6px", marginTop: "10px", cursor: "pointer" }}>
+                <input
+                    type="checkbox"
+                    checked={showBoth}
+                    onChange={(e) => setShowBoth(e.target.checked)}
+                />
+                {selectedLayer === "censusTracts"
+                    ? "Show ZIP codes over tracts"
+                    : "Show tracts over ZIP codes"}
+            </label>
+
+            {/* Census Data Refresh Button */}
+            <button
+                type="button"
+                onClick={onRefreshCensusData}
+                disabled={censusRefreshing}
+                style={{
+                    padding: "10px",
+                    marginTop: "10px",
+                    backgroundColor: "white",
+                    color: "#007BFF",
+                    border: "1px solid #007BFF",
+                    borderRadius: "5px",
+                    cursor: censusRefreshing ? "wait" : "pointer",
+                    fontWeight: "bold",
+                }}
+            >
+                {censusRefreshing ? "Refreshing Census Data..." : "Refresh Census Data"}
+            </button>
+
             {searchStatus && (
                 <div style={{ marginTop: "10px", color: "red", fontWeight: "bold" }}>
                     {searchStatus}
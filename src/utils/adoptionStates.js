@@ -0,0 +1,233 @@
+// src/utils/adoptionStates.js
+
+/**
+ * Adoption lifecycle states, in legend order. Each state has a label, a map
+ * color, whether tracts in it count as adopted (for adoption totals and ZIP
+ * shares), whether an adoption is in progress (for the need-versus-adoption
+ * map) and extra "Adoption Status" values in the Sheet that mean it.
+ * Add, relabel or recolor states here, or per deployment through
+ * REACT_APP_ADOPTION_STATES, a JSON object in the same shape that is merged
+ * over these, e.g. {"graduated": {"label": "Completed"}}.
+ */
+const DEFAULT_ADOPTION_STATES = {
+  prospect: {
+    label: "Prospect",
+    color: "rgba(96, 165, 250, 0.4)",
+    countsAsAdopted: false,
+    inProgress: true,
+    sheetValues: ["prospective"],
+  },
+  in_conversation: {
+    label: "In Conversation",
+    color: "rgba(167, 139, 250, 0.4)",
+    countsAsAdopted: false,
+    inProgress: true,
+    sheetValues: ["in discussion", "in progress"],
+  },
+  adopted: {
+    label: "Adopted",
+    color: "rgba(34, 197, 94, 0.4)",
+    countsAsAdopted: true,
+    sheetValues: [],
+  },
+  renewal_due: {
+    label: "Renewal Due",
+    color: "rgba(250, 204, 21, 0.5)",
+    countsAsAdopted: true,
+    sheetValues: ["renewal"],
+  },
+  lapsed: {
+    label: "Lapsed",
+    color: "rgba(251, 146, 60, 0.4)",
+    countsAsAdopted: false,
+    sheetValues: ["expired"],
+  },
+  graduated: {
+    label: "Graduated",
+    color: "rgba(45, 212, 191, 0.4)",
+    countsAsAdopted: false,
+    sheetValues: ["complete", "completed"],
+  },
+  not_adopted: {
+    label: "Not Adopted",
+    color: "rgba(255, 99, 71, 0.4)", // Tomato red for not adopted but in CSV
+    countsAsAdopted: false,
+    sheetValues: ["available"],
+  },
+};
+
+/**
+ * Merges REACT_APP_ADOPTION_STATES over the default states
+ * @returns {Object} Adoption states keyed by state
+ */
+function loadAdoptionStates() {
+  const override = process.env.REACT_APP_ADOPTION_STATES;
+  if (!override) return DEFAULT_ADOPTION_STATES;
+
+  try {
+    const states = { ...DEFAULT_ADOPTION_STATES };
+    Object.entries(JSON.parse(override)).forEach(([key, state]) => {
+      states[key] = { countsAsAdopted: false, inProgress: false, sheetValues: [], ...states[key], ...state };
+    });
+    return states;
+  } catch (error) {
+    console.warn("Ignoring invalid REACT_APP_ADOPTION_STATES:", error);
+    return DEFAULT_ADOPTION_STATES;
+  }
+}
+
+export const ADOPTION_STATES = loadAdoptionStates();
+
+// State for Sheet tracts with no other state, the state flagged when adoptions
+// near expiry and the state they fall to once the expiry date has passed
+export const DEFAULT_ADOPTION_STATE = "not_adopted";
+export const RENEWAL_DUE_STATE = "renewal_due";
+export const LAPSED_STATE = "lapsed";
+
+// Adoptions expiring within this many days are flagged for renewal
+export const RENEWAL_WINDOW_DAYS = parseInt(process.env.REACT_APP_RENEWAL_WINDOW_DAYS, 10) || 60;
+
+// Legend entry for tracts that aren't in the Sheet at all
+export const NOT_IN_CSV_CLASS = {
+  label: "Not In CSV",
+  color: "rgba(255, 69, 58, 0.4)",
+};
+
+/**
+ * Normalizes a status for matching ("In Conversation" -> "in_conversation")
+ * @param {string} value - Status text
+ * @returns {string} Lowercase with spaces and hyphens as underscores
+ */
+function normalizeStateText(value) {
+  return String(value).trim().toLowerCase().replace(/[\s-]+/g, "_");
+}
+
+/**
+ * Finds the state an "Adoption Status" value refers to, by key, label or
+ * one of the state's sheetValues
+ * @param {string} value - Status text from the Sheet or an edit
+ * @returns {string|null} State key, or null when blank or unknown
+ */
+export function parseAdoptionState(value) {
+  if (value === undefined || value === null || !String(value).trim()) return null;
+
+  const normalized = normalizeStateText(value);
+  const match = Object.entries(ADOPTION_STATES).find(([key, state]) =>
+    key === normalized ||
+    normalizeStateText(state.label) === normalized ||
+    (state.sheetValues || []).some(sheetValue => normalizeStateText(sheetValue) === normalized)
+  );
+  return match ? match[0] : null;
+}
+
+/**
+ * Works out the state a Sheet row gives its tract. A blank status means
+ * adopted when the tract has linked partners, or its own ID in a partner
+ * column, as older rows record it that way; unknown statuses fall back to
+ * DEFAULT_ADOPTION_STATE.
+ * @param {string} status - The row's "Adoption Status" cell
+ * @param {boolean} hasPartners - Whether the tract has partners in the Sheet
+ * @returns {string} State key
+ */
+export function getRowAdoptionState(status, hasPartners) {
+  const state = parseAdoptionState(status);
+  if (state) return state;
+  const isBlank = status === undefined || status === null || !String(status).trim();
+  return isBlank && hasPartners ? "adopted" : DEFAULT_ADOPTION_STATE;
+}
+
+/**
+ * Returns whether tracts in a state count as adopted
+ * @param {string} state - State key
+ * @returns {boolean} True for adopted states
+ */
+export function isAdoptedState(state) {
+  return Boolean(ADOPTION_STATES[state]?.countsAsAdopted);
+}
+
+/**
+ * Returns whether tracts in a state are on their way to adoption
+ * @param {string} state - State key
+ * @returns {boolean} True for in-progress states such as Prospect
+ */
+export function isInProgressState(state) {
+  return Boolean(ADOPTION_STATES[state]?.inProgress);
+}
+
+/**
+ * Returns a state's display label
+ * @param {string} state - State key
+ * @returns {string} Label, or the key itself for unknown states
+ */
+export function getAdoptionStateLabel(state) {
+  return ADOPTION_STATES[state]?.label || state || "Unknown";
+}
+
+/**
+ * Formats a calendar date as YYYY-MM-DD, or null when the parts don't make a
+ * real date (e.g. February 30)
+ * @param {number} year - Full year
+ * @param {number} month - Month, 1-12
+ * @param {number} day - Day of the month
+ * @returns {string|null} Date as YYYY-MM-DD
+ */
+function formatCalendarDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parses an expiry date from the Sheet or an edit. The date is a calendar
+ * day, so "2026-06-30" and "6/30/2026" stay June 30 in every time zone.
+ * @param {string} value - Date text, e.g. "2026-06-30" or "6/30/2026"
+ * @returns {string|null} Date as YYYY-MM-DD, or null when blank or invalid
+ */
+export function parseExpiryDate(value) {
+  if (!value || value === "N/A") return null;
+
+  const text = String(value).trim();
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (iso) return formatCalendarDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+  const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (us) return formatCalendarDate(Number(us[3]), Number(us[1]), Number(us[2]));
+
+  // Other formats, e.g. "June 30, 2026", are read as a local date
+  const date = new Date(text);
+  if (isNaN(date.getTime())) return null;
+  return formatCalendarDate(date.getFullYear(), date.getMonth() + 1, date.getDate());
+}
+
+/**
+ * Returns the state to show for a tract: adopted tracts whose adoption
+ * expires within RENEWAL_WINDOW_DAYS are flagged as due for renewal, and
+ * those past their expiry date have lapsed
+ * @param {string} state - Recorded state key
+ * @param {string} expiresOn - Expiry date (YYYY-MM-DD), the adoption's last day, or null
+ * @param {Date} now - Current date; its local calendar day is compared
+ * @returns {string} State key
+ */
+export function getEffectiveAdoptionState(state, expiresOn, now = new Date()) {
+  if (!expiresOn || !isAdoptedState(state)) return state;
+
+  const today = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+  const daysLeft = Math.round((new Date(expiresOn).getTime() - today) / (24 * 60 * 60 * 1000));
+  if (daysLeft < 0 && ADOPTION_STATES[LAPSED_STATE]) return LAPSED_STATE;
+  if (daysLeft <= RENEWAL_WINDOW_DAYS && ADOPTION_STATES[RENEWAL_DUE_STATE]) return RENEWAL_DUE_STATE;
+  return state;
+}
+
+/**
+ * Builds the badge HTML for a state in popups
+ * @param {string} state - State key, or null for tracts not in the Sheet
+ * @returns {string} HTML fragment
+ */
+export function createAdoptionStateBadge(state) {
+  const { label, color } = ADOPTION_STATES[state] || NOT_IN_CSV_CLASS;
+  // Tint the badge with the map color and outline it in the solid color
+  const background = color.replace(/[\d.]+\)$/, "0.25)");
+  const border = color.replace(/[\d.]+\)$/, "1)");
+  return `<span style="background-color: ${background}; border: 1px solid ${border}; font-weight: bold; padding: 2px 6px; border-radius: 4px;">${label}</span>`;
+}
@@ -0,0 +1,47 @@
+import {
+  RENEWAL_WINDOW_DAYS,
+  parseAdoptionState,
+  isAdoptedState,
+  parseExpiryDate,
+  getEffectiveAdoptionState
+} from './adoptionStates';
+
+// Late in the local day, when the UTC date is already tomorrow in US time zones
+const now = new Date(2026, 0, 1, 23, 30);
+const daysFromNow = days => new Date(Date.UTC(2026, 0, 1 + days)).toISOString().slice(0, 10);
+
+test('reads states by key, label or Sheet value', () => {
+  expect(parseAdoptionState('In Conversation')).toBe('in_conversation');
+  expect(parseAdoptionState('in-progress')).toBe('in_conversation');
+  expect(parseAdoptionState('Expired')).toBe('lapsed');
+  expect(parseAdoptionState(' ')).toBeNull();
+  expect(parseAdoptionState('Maybe')).toBeNull();
+});
+
+test('parses expiry dates as calendar days', () => {
+  expect(parseExpiryDate('2026-06-30')).toBe('2026-06-30');
+  expect(parseExpiryDate('6/30/2026')).toBe('2026-06-30');
+  expect(parseExpiryDate('1/1/2027')).toBe('2027-01-01');
+  expect(parseExpiryDate('2/30/2026')).toBeNull();
+  expect(parseExpiryDate('N/A')).toBeNull();
+  expect(parseExpiryDate('next spring')).toBeNull();
+});
+
+test('flags adoptions expiring within the renewal window', () => {
+  expect(getEffectiveAdoptionState('adopted', daysFromNow(RENEWAL_WINDOW_DAYS + 1), now)).toBe('adopted');
+  expect(getEffectiveAdoptionState('adopted', daysFromNow(RENEWAL_WINDOW_DAYS), now)).toBe('renewal_due');
+  expect(getEffectiveAdoptionState('adopted', daysFromNow(0), now)).toBe('renewal_due');
+  expect(getEffectiveAdoptionState('adopted', null, now)).toBe('adopted');
+  expect(isAdoptedState('renewal_due')).toBe(true);
+});
+
+test('lapses adoptions the day after they expire', () => {
+  expect(getEffectiveAdoptionState('adopted', daysFromNow(-1), now)).toBe('lapsed');
+  expect(getEffectiveAdoptionState('renewal_due', daysFromNow(-30), now)).toBe('lapsed');
+});
+
+test('leaves lapsed and other unadopted states alone', () => {
+  expect(getEffectiveAdoptionState('lapsed', daysFromNow(-30), now)).toBe('lapsed');
+  expect(getEffectiveAdoptionState('prospect', daysFromNow(10), now)).toBe('prospect');
+  expect(isAdoptedState('lapsed')).toBe(false);
+});
@@ -1,174 +1,432 @@
 // src/utils/adoptionStatusUtils.js
 
+import { createClassRenderer } from "./rendererUtils";
+import { CROSSWALK_WEIGHTS, ZIP_ADOPTION_FIELDS } from "./crosswalkUtils";
+import { ADOPTION_ACTIONS } from "./adoptionStore";
+import { escapeHtml } from "./htmlUtils";
+import {
+    ADOPTION_STATES,
+    DEFAULT_ADOPTION_STATE,
+    NOT_IN_CSV_CLASS,
+    parseAdoptionState,
+    getRowAdoptionState,
+    isAdoptedState,
+    getAdoptionStateLabel,
+    parseExpiryDate,
+    getEffectiveAdoptionState,
+    createAdoptionStateBadge
+} from "./adoptionStates";
+import {
+    PARTNER_TYPES,
+    splitPartnerCell,
+    importPartnersFromSheet,
+    getTractPartners,
+    formatPartnerNames,
+    createPartnerListHtml
+} from "./partnerUtils";
+
 /**
- * Checks if a census tract ID appears in a comma-separated list of tracts
- * @param {string} tractId - The census tract ID to check
- * @param {string} commaSeparatedList - List of tract IDs separated by commas
- * @returns {boolean} True if the tract ID is in the list
+ * Report periods for the adoption changes section
  */
-export function isTractInList(tractId, commaSeparatedList) {
-    if (!tractId || !commaSeparatedList) return false;
-    
-    // Standardize the tract ID format
-    const standardizedTractId = String(tractId).trim();
+export const ADOPTION_REPORT_PERIODS = {
+    quarter: { label: "This quarter" },
+    last_quarter: { label: "Last quarter" },
+    last_30_days: { label: "Last 30 days" },
+    year: { label: "This year" },
+    all: { label: "All time" }
+};
+
+/**
+ * Map and legend class for tracts claimed by more than one adopter
+ */
+export const CONTESTED_CLASS = {
+    value: "contested",
+    label: "Contested",
+    color: "rgba(217, 70, 239, 0.5)"
+};
+
+/**
+ * Ways a coordinator can settle a contested tract
+ */
+export const CONFLICT_RESOLUTIONS = {
+    primary: { label: "Primary adopter" },
+    co_adopted: { label: "Co-adopted" }
+};
+
+/**
+ * Normalizes a partner name for comparing claims, so case, spacing and
+ * punctuation differences don't count as different partners
+ * @param {string} name - Partner name
+ * @returns {string} Normalized name
+ */
+function normalizePartnerName(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+/**
+ * Returns who an adoption row names as the tract's adopter: its "Adopted by"
+ * value, or the partners listed in the row when that is blank
+ * @param {Object} row - CSV row
+ * @returns {Object|null} { name, partners } with the adopter name(s) as written
+ *   and the normalized name of each partner
+ */
+function getRowClaimant(row) {
+    const adoptedBy = row["Adopted by"]?.trim();
+    const names = adoptedBy && adoptedBy !== "N/A"
+        ? splitPartnerCell(adoptedBy).names
+        : Object.values(PARTNER_TYPES).flatMap(({ sheetColumn }) => splitPartnerCell(row[sheetColumn]).names);
+    if (names.length === 0) return null;
     
-    // Split the list and trim each entry
-    const tracts = commaSeparatedList.split(',').map(tract => tract.trim());
+    return {
+        name: adoptedBy && adoptedBy !== "N/A" ? adoptedBy : names.join(", "),
+        partners: [...new Set(names.map(normalizePartnerName))]
+    };
+}
+
+/**
+ * Returns whether a tract's claims conflict: two claimants name no partner
+ * in common. Claims sharing a partner ("Grace Fellowship" and "Grace
+ * Fellowship, Food Pantry") describe the same adoption.
+ * @param {Array} claimants - [{ name, row, partners }] from getRowClaimant
+ * @returns {boolean} True when some pair of claimants doesn't overlap
+ */
+export function hasConflictingClaims(claimants) {
+    return claimants.some((claimant, index) =>
+        claimants.slice(index + 1).some(other =>
+            !other.partners.some(partner => claimant.partners.includes(partner))
+        )
+    );
+}
+
+/**
+ * Returns whether a saved resolution still settles a tract's claims; a
+ * claimant added to the Sheet after it was resolved reopens the conflict
+ * @param {Object} resolution - { type, adopters, claimants } from an adoption edit
+ * @param {Array} claimants - The tract's current claimants
+ * @returns {boolean} True when every claimant was considered
+ */
+export function isResolutionCurrent(resolution, claimants) {
+    if (!resolution || !CONFLICT_RESOLUTIONS[resolution.type]) return false;
+    const considered = (resolution.claimants || []).map(name => name.toLowerCase());
+    return claimants.every(({ name }) => considered.includes(name.toLowerCase()));
+}
+
+/**
+ * Builds the popup warning for a contested tract
+ * @param {Object} statusInfo - The tract's adoption status
+ * @returns {string} HTML fragment, empty when the tract isn't contested
+ */
+export function createConflictWarningHtml(statusInfo) {
+    if (!statusInfo?.contested) return "";
     
-    // Check if the tract ID is in the list
-    return tracts.some(tract => tract === standardizedTractId);
+    const claims = statusInfo.claimants.map(({ name, row }) => `${escapeHtml(name)} (row ${row})`).join(", ");
+    return `<div style="background-color: rgba(217, 70, 239, 0.15); border: 1px solid rgb(192, 38, 211); border-radius: 4px; padding: 4px 6px; margin: 4px 0;">` +
+        `<b>&#9888; Contested:</b> claimed by ${claims}. Use Edit Adoption to pick the primary adopter or mark it co-adopted.</div>`;
 }
-  
+
 /**
- * Processes CSV data to determine adoption status for census tracts
+ * Processes CSV data to determine the adoption state of census tracts. The
+ * "Adoption Status" column names a state from ADOPTION_STATES; when it is
+ * blank, a tract with partners linked in the partner model is adopted. An
+ * "Adoption Expires" date flags adopted tracts for renewal as it nears.
+ * Adopted rows naming different adopters for the same tract are all kept as
+ * claimants; when two of them share no partner the tract is marked contested
+ * until a coordinator resolves it.
  * @param {Array} povertyData - The CSV data with tract information
+ * @param {Object} partnerModel - Partner model (from importPartnersFromSheet)
  * @returns {Object} Map of tract IDs to adoption status
  */
-export function processAdoptionStatus(povertyData) {
+export function processAdoptionStatus(povertyData, partnerModel = importPartnersFromSheet(povertyData)) {
     const adoptionStatusMap = {};
-    
-    // Create a set of all adopted census tracts and a set of all tracts in the CSV
-    const adoptedTracts = new Set();
     const allCsvTracts = new Set();
+    const listedTractIds = new Set(partnerModel.listedTractIds || []);
     
-    // First pass: identify all tracts in the CSV and those marked as adopted
-    povertyData.forEach(row => {
+    povertyData.forEach((row, index) => {
         // Process the "Census Tract" column for each row
         const censusTract = row["Census Tract"];
-        if (censusTract && censusTract.trim()) {
-            const tractId = censusTract.trim();
-            
-            // Add this tract to our set of all tracts in the CSV
-            allCsvTracts.add(tractId);
-            
-            // Check if this tract is marked as adopted in the Adoption Status column
-            const isAdopted = row["Adoption Status"]?.toLowerCase() === "adopted";
-            
-            if (isAdopted) {
-                adoptedTracts.add(tractId);
-            }
-            
-            // Check all comma-separated lists for this tract ID
-            const churchesList = row["Churches"] || "";
-            const nonProfitsList = row["Non-Profits"] || "";
-            const businessList = row["Local Business"] || "";
-            
-            // If the tract ID appears in any of these lists, mark it as adopted
-            if (isTractInList(tractId, churchesList) || 
-                isTractInList(tractId, nonProfitsList) || 
-                isTractInList(tractId, businessList)) {
-                adoptedTracts.add(tractId);
-            }
+        if (!censusTract || !censusTract.trim()) return;
+        
+        const tractId = censusTract.trim();
+        allCsvTracts.add(tractId);
+        
+        // Unknown statuses fall back to the default state (validation flags them)
+        const partners = getTractPartners(partnerModel, tractId);
+        const state = getRowAdoptionState(row["Adoption Status"], partners.length > 0 || listedTractIds.has(tractId));
+        
+        // Every adopted row claims the tract for its adopter; keep them all
+        // so tracts claimed by different adopters can be flagged
+        const existing = adoptionStatusMap[tractId];
+        const claimants = existing ? existing.claimants : [];
+        const claimant = isAdoptedState(state) ? getRowClaimant(row) : null;
+        if (claimant && !claimants.some(({ name }) => name.toLowerCase() === claimant.name.toLowerCase())) {
+            claimants.push({ ...claimant, row: index + 2 }); // Row 1 is the header
         }
+        
+        // When a tract is listed more than once, the first adopted row wins
+        if (existing && isAdoptedState(existing.recordedStatus)) return;
+        
+        const expiresOn = parseExpiryDate(row["Adoption Expires"]);
+        adoptionStatusMap[tractId] = {
+            status: getEffectiveAdoptionState(state, expiresOn),
+            recordedStatus: state,
+            expiresOn,
+            inCsv: true, // This tract is in the CSV
+            adoptedBy: isAdoptedState(state)
+                ? (claimant?.name || formatPartnerNames(partners) || "Unknown")
+                : "N/A",
+            claimants,
+            contested: false
+        };
     });
     
+    Object.keys(adoptionStatusMap).forEach(tractId => {
+        adoptionStatusMap[tractId].contested = hasConflictingClaims(adoptionStatusMap[tractId].claimants);
+    });
+    
+    // Store the sets for use in the renderer
+    adoptionStatusMap.__meta = {
+        allCsvTracts: Array.from(allCsvTracts),
+        adoptedTracts: Array.from(allCsvTracts).filter(tractId => isAdoptedState(adoptionStatusMap[tractId].status))
+    };
+    
     console.log(`Found ${allCsvTracts.size} total tracts in CSV data`);
-    console.log(`Found ${adoptedTracts.size} adopted tracts from CSV data`);
+    console.log(`Found ${adoptionStatusMap.__meta.adoptedTracts.length} adopted tracts from CSV data`);
+    console.log(`Found ${Object.values(adoptionStatusMap).filter(statusInfo => statusInfo.contested).length} contested tracts in CSV data`);
     
-    // Second pass: create the adoption status map for all tracts
-    povertyData.forEach(row => {
-        const censusTract = row["Census Tract"];
-        if (censusTract && censusTract.trim()) {
-            const tractId = censusTract.trim();
-            
-            // Check if this tract is in our adoptedTracts set
-            const isAdopted = adoptedTracts.has(tractId);
-            
-            // Create the adoption status info
-            adoptionStatusMap[tractId] = {
-                status: isAdopted ? "adopted" : "not_adopted",
-                inCsv: true, // This tract is in the CSV
-                adoptedBy: isAdopted ? (row["Adopted by"] || "Unknown") : "N/A",
-                churches: row["Churches"] || "N/A",
-                nonProfits: row["Non-Profits"] || "N/A",
-                localBusiness: row["Local Business"] || "N/A"
-            };
+    return adoptionStatusMap;
+}
+  
+/**
+ * Overlays adoption edits made in the app on the status read from the Sheet.
+ * Edits win over the Sheet; fields an edit leaves unset keep the Sheet value.
+ * Partner fields of an edit are applied to the partner model instead
+ * (see applyPartnerEdits).
+ * @param {Object} sheetStatusMap - Map from processAdoptionStatus
+ * @param {Object} adoptionEdits - Edit records keyed by tract ID (from fetchAdoptionEdits)
+ * @param {Array} adoptionHistory - History entries (from fetchAdoptionHistory)
+ * @returns {Object} Map of tract IDs to adoption status, with a refreshed __meta
+ */
+export function applyAdoptionEdits(sheetStatusMap, adoptionEdits, adoptionHistory = []) {
+    const adoptionStatusMap = { ...sheetStatusMap };
+    const meta = sheetStatusMap.__meta || { allCsvTracts: [], adoptedTracts: [] };
+    
+    Object.values(adoptionEdits || {}).forEach(edit => {
+        const current = sheetStatusMap[edit.tractId] || {
+            status: DEFAULT_ADOPTION_STATE,
+            recordedStatus: DEFAULT_ADOPTION_STATE,
+            expiresOn: null,
+            inCsv: false,
+            adoptedBy: "N/A",
+            claimants: [],
+            contested: false
+        };
+        
+        const state = parseAdoptionState(edit.status) || current.recordedStatus;
+        const expiresOn = edit.expiresOn !== undefined ? parseExpiryDate(edit.expiresOn) : current.expiresOn;
+        
+        // Same rule as the Sheet: only adopted tracts have an adopter
+        const adoptedBy = edit.adoptedBy ?? current.adoptedBy;
+        
+        // A resolution settles the claims it was made for (see isResolutionCurrent)
+        const resolved = isResolutionCurrent(edit.resolution, current.claimants);
+        
+        adoptionStatusMap[edit.tractId] = {
+            ...current,
+            status: getEffectiveAdoptionState(state, expiresOn),
+            recordedStatus: state,
+            expiresOn,
+            adoptedBy: isAdoptedState(state) ? (adoptedBy && adoptedBy !== "N/A" ? adoptedBy : "Unknown") : "N/A",
+            contested: current.contested && !resolved,
+            coAdopted: resolved && edit.resolution.type === "co_adopted",
+            lastUpdatedBy: edit.updatedBy,
+            lastUpdateDate: edit.updatedAt
+        };
+    });
+    
+    // Attach each tract's history, newest first, for popups and reports
+    const historyByTract = {};
+    adoptionHistory.forEach(entry => {
+        if (!historyByTract[entry.tractId]) {
+            historyByTract[entry.tractId] = [];
+        }
+        historyByTract[entry.tractId].unshift(entry);
+    });
+    Object.entries(historyByTract).forEach(([tractId, history]) => {
+        if (adoptionStatusMap[tractId]) {
+            adoptionStatusMap[tractId] = { ...adoptionStatusMap[tractId], history };
         }
     });
     
-    // Store the sets for use in the renderer
+    // Recount adopted tracts now that edits may have changed them
     adoptionStatusMap.__meta = {
-        allCsvTracts: Array.from(allCsvTracts),
-        adoptedTracts: Array.from(adoptedTracts)
+        allCsvTracts: meta.allCsvTracts,
+        adoptedTracts: Object.keys(adoptionStatusMap).filter(tractId =>
+            tractId !== "__meta" && isAdoptedState(adoptionStatusMap[tractId].status)
+        )
     };
     
-    console.log(`Created adoption status map with ${Object.keys(adoptionStatusMap).length - 1} tracts`); // -1 for __meta
+    console.log(`Applied ${Object.keys(adoptionEdits || {}).length} adoption edits`);
     
     return adoptionStatusMap;
 }
+
+/**
+ * Counts tracts in each adoption state
+ * @param {Object} adoptionStatusMap - Map of tract IDs to adoption status
+ * @returns {Object} Number of tracts per state key, and contested tracts under CONTESTED_CLASS.value
+ */
+export function countAdoptionStates(adoptionStatusMap) {
+    const counts = { [CONTESTED_CLASS.value]: 0 };
+    Object.entries(adoptionStatusMap).forEach(([tractId, statusInfo]) => {
+        if (tractId === "__meta") return;
+        counts[statusInfo.status] = (counts[statusInfo.status] || 0) + 1;
+        if (statusInfo.contested) {
+            counts[CONTESTED_CLASS.value]++;
+        }
+    });
+    return counts;
+}
+  
+/**
+ * Returns the date range covered by a report period
+ * @param {string} period - Key of ADOPTION_REPORT_PERIODS
+ * @param {Date} now - Current date
+ * @returns {Object} { start, end, label } with start null for all time
+ */
+export function getReportPeriodRange(period, now = new Date()) {
+    const label = ADOPTION_REPORT_PERIODS[period]?.label || ADOPTION_REPORT_PERIODS.all.label;
+    const quarterStartMonth = Math.floor(now.getMonth() / 3) * 3;
+    
+    switch (period) {
+        case "quarter":
+            return { start: new Date(now.getFullYear(), quarterStartMonth, 1), end: now, label };
+        case "last_quarter":
+            return {
+                start: new Date(now.getFullYear(), quarterStartMonth - 3, 1),
+                end: new Date(now.getFullYear(), quarterStartMonth, 1),
+                label
+            };
+        case "last_30_days":
+            return { start: new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000), end: now, label };
+        case "year":
+            return { start: new Date(now.getFullYear(), 0, 1), end: now, label };
+        default:
+            return { start: null, end: now, label };
+    }
+}
+
+/**
+ * Summarizes adoption history entries that fall in a period
+ * @param {Array} history - History entries
+ * @param {Object} range - { start, end } from getReportPeriodRange
+ * @param {Array} tractIds - Optional tract IDs to limit the summary to
+ * @returns {Object} { entries, counts } with entries newest first and the number of distinct tracts per action
+ */
+export function summarizeAdoptionChanges(history, range, tractIds = null) {
+    const tractSet = tractIds ? new Set(tractIds.map(String)) : null;
+    
+    const entries = history
+        .filter(entry => {
+            const date = new Date(entry.date);
+            if (range.start && date < range.start) return false;
+            if (range.end && date > range.end) return false;
+            return !tractSet || tractSet.has(String(entry.tractId));
+        })
+        .sort((a, b) => new Date(b.date) - new Date(a.date));
+    
+    const tractsByAction = {};
+    Object.keys(ADOPTION_ACTIONS).forEach(action => {
+        tractsByAction[action] = new Set();
+    });
+    entries.forEach(entry => tractsByAction[entry.action]?.add(entry.tractId));
+    
+    const counts = {};
+    Object.entries(tractsByAction).forEach(([action, tracts]) => {
+        counts[action] = tracts.size;
+    });
+    
+    return { entries, counts };
+}
+
+/**
+ * Builds a short adoption timeline for a tract popup. Notes, users and
+ * partners are free text saved through the adoption API, so they are escaped.
+ * @param {Array} history - The tract's history entries, newest first
+ * @param {number} limit - Number of entries to show
+ * @returns {string} HTML fragment, empty when there is no history
+ */
+export function createAdoptionTimelineHtml(history, limit = 5) {
+    if (!history || history.length === 0) return "";
+    
+    const items = history.slice(0, limit).map(entry => {
+        const date = new Date(entry.date).toLocaleDateString();
+        const label = escapeHtml(ADOPTION_ACTIONS[entry.action]?.label || entry.action);
+        const partner = entry.partner ? ` (${escapeHtml(entry.partner)})` : "";
+        const state = entry.changes?.status
+            ? ` → ${escapeHtml(getAdoptionStateLabel(parseAdoptionState(entry.changes.status)))}`
+            : "";
+        const note = entry.note ? `<br><i>${escapeHtml(entry.note)}</i>` : "";
+        return `<li>${date}: <b>${label}</b>${state}${partner} by ${escapeHtml(entry.user)}${note}</li>`;
+    });
+    
+    const more = history.length > limit
+        ? `<li style="color: #666;">${history.length - limit} earlier changes</li>`
+        : "";
+    
+    return `<br><b>History:</b><ul style="margin: 4px 0; padding-left: 18px;">${items.join("")}${more}</ul>`;
+}
   
 /**
- * Creates a renderer for the GeoJSON layer based on adoption status
+ * Creates a renderer for the GeoJSON layer based on adoption state, with
+ * one color and legend entry per state in ADOPTION_STATES and one for
+ * contested tracts
  * @param {Object} adoptionStatusMap - Map of tract IDs to adoption status info
  * @returns {Object} ArcGIS renderer object
  */
 export function createAdoptionStatusRenderer(adoptionStatusMap) {
-    // Create a unique value renderer that will color features based on their GEOID
-    const renderer = {
-        type: "unique-value",
-        field: "GEOID", // Use GEOID as the lookup field
-        defaultSymbol: {
-            type: "simple-fill",
-            color: "rgba(255, 69, 58, 0.4)", // Light red for tracts NOT in CSV
-            outline: {
-                color: "black", 
-                width: 0.5,
-            },
-        },
-        uniqueValueInfos: []
-    };
-    
-    // Add entries for adopted tracts (green)
+    const classById = {};
     Object.entries(adoptionStatusMap).forEach(([tractId, statusInfo]) => {
         // Skip the metadata entry
         if (tractId === "__meta") return;
-        
-        if (statusInfo.status === "adopted") {
-            renderer.uniqueValueInfos.push({
-                value: tractId,
-                symbol: {
-                    type: "simple-fill",
-                    color: "rgba(34, 197, 94, 0.4)", // Light green for adopted
-                    outline: {
-                        color: "black",
-                        width: 0.5,
-                    },
-                }
-            });
-        } else if (statusInfo.inCsv) {
-            // For tracts in CSV but not adopted (slightly different red)
-            renderer.uniqueValueInfos.push({
-                value: tractId,
-                symbol: {
-                    type: "simple-fill",
-                    color: "rgba(255, 99, 71, 0.4)", // Tomato red for not adopted but in CSV
-                    outline: {
-                        color: "black",
-                        width: 0.5,
-                    },
-                }
-            });
-        }
+        // Contested tracts stand out until resolved, whatever their state
+        classById[tractId] = statusInfo.contested ? CONTESTED_CLASS.value : statusInfo.status;
     });
     
-    return renderer;
+    return createClassRenderer({
+        idField: "GEOID",
+        classById,
+        classes: [
+            ...Object.entries(ADOPTION_STATES).map(([state, { label, color }]) => ({
+                value: state,
+                label,
+                color
+            })),
+            CONTESTED_CLASS
+        ],
+        title: "Adoption Status",
+        defaultColor: NOT_IN_CSV_CLASS.color,
+        defaultLabel: NOT_IN_CSV_CLASS.label
+    });
 }
   
 /**
- * Updates a popup template to display adoption status
+ * Updates a popup template to display adoption status. The adoption data is
+ * read when a popup opens, so saved edits show without reloading the layer.
  * @param {Object} originalTemplate - Original popup template
- * @param {Object} adoptionStatusMap - Map of tract IDs to adoption status
+ * @param {Object} adoptionDataRef - Ref whose current value is { adoptionStatusMap, partnerModel }:
+ *   tract IDs to adoption status, and the partner model for the tract's churches,
+ *   non-profits and businesses
  * @returns {Object} Updated popup template
  */
-export function createAdoptionStatusPopupTemplate(originalTemplate, adoptionStatusMap) {
+export function createAdoptionStatusPopupTemplate(originalTemplate, adoptionDataRef) {
     const originalContent = originalTemplate.content;
     const idField = "GEOID"; // Use GEOID for census tracts
-    const meta = adoptionStatusMap.__meta || { allCsvTracts: [] };
-    const allCsvTractsSet = new Set(meta.allCsvTracts);
     
     return {
         ...originalTemplate,
         content: (feature) => {
+            const { adoptionStatusMap, partnerModel } = adoptionDataRef.current;
+            
             // Get the original content
             let content = typeof originalContent === "function" 
                 ? originalContent(feature) 
@@ -181,35 +439,37 @@ export function createAdoptionStatusPopupTemplate(originalTemplate, adoptionStat
             // Get the tract number/name
             const tractName = feature.graphic.attributes.NAMELSAD || "Unknown Tract";
             
-            // Look up adoption status and determine if in CSV
-            let adoptionStatus = "not_adopted";
-            let inCsv = false;
+            // Look up adoption status; tracts missing from the map aren't in the CSV
+            let adoptionStatus = null;
             let adoptedBy = "N/A";
-            let churches = "N/A";
-            let nonProfits = "N/A";
-            let localBusiness = "N/A";
+            let expiry = "";
+            let lastEdit = "";
+            let timelineHtml = "";
+            let conflictHtml = "";
             
             if (featureId && adoptionStatusMap[featureId]) {
-                adoptionStatus = adoptionStatusMap[featureId].status;
-                inCsv = adoptionStatusMap[featureId].inCsv;
-                adoptedBy = adoptionStatusMap[featureId].adoptedBy;
-                churches = adoptionStatusMap[featureId].churches;
-                nonProfits = adoptionStatusMap[featureId].nonProfits;
-                localBusiness = adoptionStatusMap[featureId].localBusiness;
-            } else {
-                // If not explicitly in the adoptionStatusMap, check if in CSV list
-                inCsv = allCsvTractsSet.has(featureId);
+                const statusInfo = adoptionStatusMap[featureId];
+                adoptionStatus = statusInfo.status;
+                adoptedBy = escapeHtml(statusInfo.adoptedBy);
+                
+                if (statusInfo.expiresOn) {
+                    expiry = ` <span style="color: #666; font-size: 0.85em;">(expires ${new Date(statusInfo.expiresOn).toLocaleDateString(undefined, { timeZone: "UTC" })})</span>`;
+                }
+                
+                // Note who last changed this tract in the app
+                if (statusInfo.lastUpdateDate) {
+                    const editedOn = new Date(statusInfo.lastUpdateDate).toLocaleDateString();
+                    lastEdit = ` <span style="color: #666; font-size: 0.85em;">(edited by ${escapeHtml(statusInfo.lastUpdatedBy)} on ${editedOn})</span>`;
+                }
+                timelineHtml = createAdoptionTimelineHtml(statusInfo.history);
+                conflictHtml = createConflictWarningHtml(statusInfo);
+                if (statusInfo.coAdopted) {
+                    adoptedBy += " (co-adopted)";
+                }
             }
             
-            // Create styled adoption status HTML with appropriate message
-            let adoptionStatusHtml = "";
-            if (adoptionStatus === "adopted") {
-                adoptionStatusHtml = `<span style="background-color: rgba(34, 197, 94, 0.2); color: green; font-weight: bold; padding: 2px 6px; border-radius: 4px;">Adopted</span>`;
-            } else if (inCsv) {
-                adoptionStatusHtml = `<span style="background-color: rgba(255, 99, 71, 0.2); color: tomato; font-weight: bold; padding: 2px 6px; border-radius: 4px;">Not Adopted (In CSV)</span>`;
-            } else {
-                adoptionStatusHtml = `<span style="background-color: rgba(255, 69, 58, 0.2); color: red; font-weight: bold; padding: 2px 6px; border-radius: 4px;">Not In CSV</span>`;
-            }
+            // Badge in the state's map color, or "Not In CSV"
+            const adoptionStatusHtml = createAdoptionStateBadge(adoptionStatus) + expiry + lastEdit + conflictHtml;
             
             // Make sure the tract name is displayed prominently
             if (!content.includes(`<h3>${tractName}</h3>`)) {
@@ -225,17 +485,23 @@ export function createAdoptionStatusPopupTemplate(originalTemplate, adoptionStat
                 content = content.replace('<span id="adopted-by-placeholder"></span>', adoptedBy);
             }
             
-            // Replace other placeholders if they exist
-            if (content.includes('<span id="churches-placeholder"></span>')) {
-                content = content.replace('<span id="churches-placeholder"></span>', churches);
-            }
-            
-            if (content.includes('<span id="nonprofits-placeholder"></span>')) {
-                content = content.replace('<span id="nonprofits-placeholder"></span>', nonProfits);
-            }
+            // Replace partner placeholders with the tract's linked partners
+            const partnerPlaceholders = {
+                church: '<span id="churches-placeholder"></span>',
+                nonprofit: '<span id="nonprofits-placeholder"></span>',
+                business: '<span id="business-placeholder"></span>'
+            };
+            Object.keys(PARTNER_TYPES).forEach(type => {
+                if (content.includes(partnerPlaceholders[type])) {
+                    content = content.replace(
+                        partnerPlaceholders[type],
+                        createPartnerListHtml(getTractPartners(partnerModel, featureId, type))
+                    );
+                }
+            });
             
-            if (content.includes('<span id="business-placeholder"></span>')) {
-                content = content.replace('<span id="business-placeholder"></span>', localBusiness);
+            if (content.includes('<span id="history-placeholder"></span>')) {
+                content = content.replace('<span id="history-placeholder"></span>', timelineHtml);
             }
             
             return content;
@@ -243,12 +509,90 @@ export function createAdoptionStatusPopupTemplate(originalTemplate, adoptionStat
     };
 }
   
+/**
+ * Classifies a ZIP code by the share of its residents living in adopted tracts
+ * @param {*} share - Adopted share in percent (from aggregateTractsToZip)
+ * @returns {string|null} "none", "partial", "majority" or "full"
+ */
+export function getZipAdoptionClass(share) {
+    const value = parseFloat(share);
+    if (isNaN(value)) return null;
+    if (value <= 0) return "none";
+    if (value >= 100) return "full";
+    return value >= 50 ? "majority" : "partial";
+}
+
+/**
+ * Creates a renderer for the ZIP code layer based on the share of each ZIP's
+ * residents living in adopted tracts
+ * @param {Map} featureCensusData - ZIP census data keyed by feature ID (from injectCensusDataIntoLayer)
+ * @param {string} idField - Layer field holding the ZIP code
+ * @returns {Object} ArcGIS renderer object
+ */
+export function createZipAdoptionRenderer(featureCensusData, idField) {
+    const classById = {};
+    
+    featureCensusData.forEach((values, id) => {
+        const adoptionClass = getZipAdoptionClass(values[ZIP_ADOPTION_FIELDS.share]);
+        if (adoptionClass) {
+            classById[String(id)] = adoptionClass;
+        }
+    });
+    
+    console.log(`Created ZIP adoption renderer for ${Object.keys(classById).length} ZIP codes`);
+    
+    return createClassRenderer({
+        idField,
+        classById,
+        title: "Share of residents in adopted tracts",
+        defaultLabel: "No tract data",
+        classes: [
+            { value: "none", label: "Not adopted", color: "rgba(255, 69, 58, 0.4)" },
+            { value: "partial", label: "Under half adopted", color: "rgba(255, 159, 64, 0.4)" },
+            { value: "majority", label: "Half or more adopted", color: "rgba(163, 230, 53, 0.4)" },
+            { value: "full", label: "Fully adopted", color: "rgba(34, 197, 94, 0.4)" },
+        ],
+    });
+}
+
+/**
+ * Builds the adoption status HTML for a ZIP code popup
+ * @param {Object} attrs - ZIP feature attributes merged with aggregated census data
+ * @returns {string} HTML fragment
+ */
+export function createZipAdoptionStatusHtml(attrs) {
+    const share = parseFloat(attrs[ZIP_ADOPTION_FIELDS.share]);
+    if (isNaN(share)) {
+        return "N/A (no tract crosswalk data)";
+    }
+    
+    const adoptionClass = getZipAdoptionClass(share);
+    const weightLabel = CROSSWALK_WEIGHTS[attrs[ZIP_ADOPTION_FIELDS.weight]]?.label || "residents";
+    const color = adoptionClass === "none" ? "red" : adoptionClass === "full" ? "green" : "#b45309";
+    
+    return `<span style="color: ${color}; font-weight: bold;">${share.toFixed(0)}% of ${weightLabel}</span> live in adopted tracts ` +
+        `(${attrs[ZIP_ADOPTION_FIELDS.adoptedTracts]} of ${attrs[ZIP_ADOPTION_FIELDS.tractCount]} tracts)`;
+}
+  
 // Create a named export to satisfy linting
 const adoptionStatusUtils = {
-    isTractInList,
+    ADOPTION_REPORT_PERIODS,
+    CONTESTED_CLASS,
+    CONFLICT_RESOLUTIONS,
+    hasConflictingClaims,
+    isResolutionCurrent,
+    createConflictWarningHtml,
     processAdoptionStatus,
+    applyAdoptionEdits,
+    countAdoptionStates,
+    getReportPeriodRange,
+    summarizeAdoptionChanges,
+    createAdoptionTimelineHtml,
     createAdoptionStatusRenderer,
-    createAdoptionStatusPopupTemplate
+    createAdoptionStatusPopupTemplate,
+    getZipAdoptionClass,
+    createZipAdoptionRenderer,
+    createZipAdoptionStatusHtml
 };
   
 export default adoptionStatusUtils;
\ No newline at end of file
@@ -0,0 +1,45 @@
+import { processAdoptionStatus, hasConflictingClaims, createAdoptionTimelineHtml } from './adoptionStatusUtils';
+
+jest.mock('axios', () => ({ get: jest.fn(), put: jest.fn() }));
+
+const adoptedRow = (adoptedBy) => ({ 'Census Tract': '06001400100', 'Adoption Status': 'Adopted', 'Adopted by': adoptedBy });
+
+test('does not contest claims that share a partner', () => {
+  const statusMap = processAdoptionStatus([adoptedRow('Grace Fellowship'), adoptedRow('Grace Fellowship, Food Pantry')]);
+  const tract = statusMap['06001400100'];
+  expect(tract.claimants.map(({ name, row }) => [name, row])).toEqual([
+    ['Grace Fellowship', 2],
+    ['Grace Fellowship, Food Pantry', 3],
+  ]);
+  expect(tract.contested).toBe(false);
+});
+
+test('compares partner names ignoring case and punctuation', () => {
+  expect(hasConflictingClaims([
+    { partners: ['grace fellowship'] },
+    { partners: ['st mark s', 'grace fellowship'] },
+  ])).toBe(false);
+  const statusMap = processAdoptionStatus([adoptedRow('Grace  Fellowship.'), adoptedRow('grace fellowship')]);
+  expect(statusMap['06001400100'].contested).toBe(false);
+});
+
+test('contests claims naming no partner in common', () => {
+  const statusMap = processAdoptionStatus([adoptedRow('Grace Fellowship'), adoptedRow('Food Pantry, Eastside Shelter')]);
+  expect(statusMap['06001400100'].contested).toBe(true);
+  expect(statusMap['06001400100'].adoptedBy).toBe('Grace Fellowship');
+});
+
+test('escapes history notes, users and partners in the timeline', () => {
+  const html = createAdoptionTimelineHtml([{
+    date: '2024-05-01T12:00:00Z',
+    action: 'updated',
+    partner: '<b>Grace</b>',
+    user: '"><img src=x onerror=alert(1)>',
+    note: '<script>alert(1)</script>',
+  }]);
+  expect(html).not.toContain('<script');
+  expect(html).not.toContain('<img');
+  expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+  expect(html).toContain('&quot;&gt;&lt;img src=x onerror=alert(1)&gt;');
+  expect(html).toContain('(&lt;b&gt;Grace&lt;/b&gt;)');
+});
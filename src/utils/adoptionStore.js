@@ -0,0 +1,224 @@
+// src/utils/adoptionStore.js
+
+import axios from "axios";
+import { ADOPTION_STATES } from "./adoptionStates.js";
+
+/**
+ * Data store for adoption edits made in the app. Edits are overlaid on the
+ * adoption status read from the Google Sheet, so the Sheet remains a one-way
+ * import. Every save also appends to the adoption history. With
+ * REACT_APP_ADOPTION_API_URL set, edits go to the adoption API
+ * (server/adoptionApi.js); otherwise they are kept in this browser's
+ * localStorage.
+ */
+
+const ADOPTION_API_URL = process.env.REACT_APP_ADOPTION_API_URL;
+const ADOPTION_STORAGE_KEY = "povertyPockets.adoptions";
+const ADOPTION_HISTORY_STORAGE_KEY = "povertyPockets.adoptionHistory";
+
+// Fields a coordinator can change; fields left undefined keep their Sheet value
+// `resolution` settles a contested tract: { type: "primary" | "co_adopted", adopters, claimants }
+export const ADOPTION_EDIT_FIELDS = ["status", "expiresOn", "adoptedBy", "churches", "nonProfits", "localBusiness", "resolution"];
+
+// Kinds of adoption history entries
+export const ADOPTION_ACTIONS = {
+  adopted: { label: "Adopted" },
+  released: { label: "Released" },
+  resolved: { label: "Conflict Resolved" },
+  updated: { label: "Updated" },
+};
+
+/**
+ * Returns whether edits are shared through the adoption API
+ * @returns {boolean} True when REACT_APP_ADOPTION_API_URL is set
+ */
+export function isAdoptionApiConfigured() {
+  return Boolean(ADOPTION_API_URL);
+}
+
+/**
+ * Builds the history entry for one change. Whether a lifecycle state counts
+ * as adopted is configured in the browser (see adoptionStates.js), so the
+ * client sends it as change.adopted and change.previous.adopted; without
+ * them only the "adopted" state counts.
+ * @param {Object} change - Change with the tract's status before it in change.previous
+ * @param {Object} fields - Fields the change sets
+ * @param {string} user - Name of the coordinator making the change
+ * @param {string} date - ISO timestamp of the change
+ * @returns {Object} { tractId, action, date, user, partner, changes, note }
+ */
+function buildHistoryEntry(change, fields, user, date) {
+  const previous = change.previous || {};
+  const wasAdopted = previous.adopted ?? previous.status === "adopted";
+  const isAdopted = fields.status === undefined
+    ? wasAdopted
+    : change.adopted ?? fields.status === "adopted";
+
+  let action = "updated";
+  if (isAdopted && !wasAdopted) {
+    action = "adopted";
+  } else if (!isAdopted && wasAdopted) {
+    action = "released";
+  } else if (fields.resolution) {
+    action = "resolved";
+  }
+
+  // A release is credited to the partner that held the tract
+  const partner = action === "released"
+    ? previous.adoptedBy
+    : fields.adoptedBy ?? previous.adoptedBy;
+
+  return {
+    tractId: change.tractId,
+    action,
+    date,
+    user,
+    partner: partner && partner !== "N/A" ? partner : null,
+    changes: fields,
+    note: change.note || null,
+  };
+}
+
+/**
+ * Checks changes sent to the adoption store before they are merged: each must
+ * be an object with a string tractId, and a status, when given, must be one of
+ * ADOPTION_STATES
+ * @param {Array} changes - Changes as received from the app
+ * @returns {string|null} What is wrong with the first bad change, or null when all are valid
+ */
+export function validateAdoptionChanges(changes) {
+  if (!Array.isArray(changes) || changes.length === 0) {
+    return "Expected a non-empty changes array";
+  }
+
+  for (const [index, change] of changes.entries()) {
+    if (!change || typeof change !== "object" || Array.isArray(change)) {
+      return `Change ${index} is not an object`;
+    }
+    if (typeof change.tractId !== "string" || change.tractId === "") {
+      return `Change ${index} has no tractId string`;
+    }
+    if (change.status !== undefined && !Object.prototype.hasOwnProperty.call(ADOPTION_STATES, change.status)) {
+      return `Change ${index} has an unknown status: ${change.status}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Merges changes into the stored adoption records and appends them to the
+ * history. Shared with the adoption API so both stores behave the same.
+ * @param {Object} adoptions - Stored records keyed by tract ID
+ * @param {Array} changes - [{ tractId, status?, expiresOn?, adoptedBy?, churches?, nonProfits?, localBusiness?, resolution?, note?, previous? }]
+ * @param {string} updatedBy - Name of the coordinator making the change
+ * @param {string} updatedAt - ISO timestamp of the change
+ * @returns {Object} { adoptions, saved, entries } with the new store, the changed records and their history entries
+ */
+export function mergeAdoptionChanges(adoptions, changes, updatedBy, updatedAt = new Date().toISOString()) {
+  const next = { ...adoptions };
+  const saved = {};
+  const entries = [];
+  const user = updatedBy || "Unknown";
+
+  changes.forEach(change => {
+    if (!change.tractId) return;
+
+    const fields = {};
+    ADOPTION_EDIT_FIELDS.forEach(field => {
+      if (change[field] !== undefined) {
+        fields[field] = change[field];
+      }
+    });
+
+    const record = {
+      ...(next[change.tractId] || {}),
+      ...fields,
+      tractId: change.tractId,
+      updatedBy: user,
+      updatedAt
+    };
+
+    next[change.tractId] = record;
+    saved[change.tractId] = record;
+    entries.push(buildHistoryEntry(change, fields, user, updatedAt));
+  });
+
+  return { adoptions: next, saved, entries };
+}
+
+/**
+ * Reads a JSON value kept in localStorage
+ * @param {string} key - localStorage key
+ * @param {*} fallback - Value when nothing readable is stored
+ * @returns {*} Parsed value
+ */
+function readLocalValue(key, fallback) {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : fallback;
+  } catch (error) {
+    console.warn(`Could not read ${key} from localStorage:`, error);
+    return fallback;
+  }
+}
+
+/**
+ * Loads every adoption edit from the configured store
+ * @returns {Promise<Object>} Records keyed by tract ID
+ */
+export async function fetchAdoptionEdits() {
+  if (!isAdoptionApiConfigured()) {
+    return readLocalValue(ADOPTION_STORAGE_KEY, {});
+  }
+
+  try {
+    const response = await axios.get(`${ADOPTION_API_URL}/adoptions`);
+    return response.data?.adoptions || {};
+  } catch (error) {
+    console.error("Error loading adoption edits from the adoption API:", error);
+    return {};
+  }
+}
+
+/**
+ * Loads the adoption history from the configured store
+ * @returns {Promise<Array>} History entries, oldest first
+ */
+export async function fetchAdoptionHistory() {
+  if (!isAdoptionApiConfigured()) {
+    return readLocalValue(ADOPTION_HISTORY_STORAGE_KEY, []);
+  }
+
+  try {
+    const response = await axios.get(`${ADOPTION_API_URL}/adoptions/history`);
+    return response.data?.history || [];
+  } catch (error) {
+    console.error("Error loading adoption history from the adoption API:", error);
+    return [];
+  }
+}
+
+/**
+ * Saves adoption changes for one or more tracts
+ * @param {Array} changes - [{ tractId, status?, expiresOn?, adoptedBy?, churches?, nonProfits?, localBusiness?, note?, previous? }]
+ * @param {string} updatedBy - Name of the coordinator making the change
+ * @returns {Promise<Object>} { saved, entries } with the saved records keyed by tract ID and the new history entries
+ */
+export async function saveAdoptionEdits(changes, updatedBy) {
+  if (isAdoptionApiConfigured()) {
+    const response = await axios.put(`${ADOPTION_API_URL}/adoptions`, { changes, updatedBy });
+    return { saved: response.data?.saved || {}, entries: response.data?.entries || [] };
+  }
+
+  const { adoptions, saved, entries } = mergeAdoptionChanges(
+    readLocalValue(ADOPTION_STORAGE_KEY, {}),
+    changes,
+    updatedBy
+  );
+  localStorage.setItem(ADOPTION_STORAGE_KEY, JSON.stringify(adoptions));
+  localStorage.setItem(
+    ADOPTION_HISTORY_STORAGE_KEY,
+    JSON.stringify([...readLocalValue(ADOPTION_HISTORY_STORAGE_KEY, []), ...entries])
+  );
+  return { saved, entries };
+}
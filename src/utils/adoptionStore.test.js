@@ -0,0 +1,24 @@
+import { validateAdoptionChanges } from './adoptionStore';
+
+jest.mock('axios', () => ({ get: jest.fn(), put: jest.fn() }));
+
+test('accepts changes with a tract ID and a known or missing status', () => {
+  expect(validateAdoptionChanges([
+    { tractId: '06001400100', status: 'adopted' },
+    { tractId: '06001400200', note: 'Called the pastor' },
+  ])).toBeNull();
+});
+
+test('rejects changes that are not objects with a tract ID', () => {
+  expect(validateAdoptionChanges([])).toBe('Expected a non-empty changes array');
+  expect(validateAdoptionChanges([null])).toBe('Change 0 is not an object');
+  expect(validateAdoptionChanges([{ tractId: '06001400100' }, 'adopted'])).toBe('Change 1 is not an object');
+  expect(validateAdoptionChanges([{ tractId: 6001400100 }])).toBe('Change 0 has no tractId string');
+});
+
+test('rejects statuses that are not adoption states', () => {
+  expect(validateAdoptionChanges([{ tractId: '06001400100', status: 'Adopted' }]))
+    .toBe('Change 0 has an unknown status: Adopted');
+  expect(validateAdoptionChanges([{ tractId: '06001400100', status: null }]))
+    .toBe('Change 0 has an unknown status: null');
+});
@@ -0,0 +1,125 @@
+// src/utils/bivariateUtils.js
+
+import { NEED_SCORE_FIELD, getCensusVariable, parseCensusNumber } from "./censusVariables";
+import { NEED_INDICATORS } from "./needIndexUtils";
+import { isAdoptedState, isInProgressState } from "./adoptionStates";
+import { classifyValues, getClassIndex } from "./classificationUtils";
+import { getTractPartners } from "./partnerUtils";
+
+/**
+ * Need-versus-adoption map: each tract falls in one cell of a 3×3 grid
+ * crossing a need measure (in three quantile classes) with its adoption.
+ * The cell to act on is high need with no adoption.
+ */
+
+// Need measures offered: the need score and every need indicator
+export const BIVARIATE_NEED_MEASURES = [NEED_SCORE_FIELD, ...NEED_INDICATORS].map(variable => ({
+  code: variable.code,
+  label: variable.label,
+}));
+
+export const DEFAULT_BIVARIATE_NEED = "S1701_C03_001E";
+
+// Adoption measures, each in three classes from least to most adoption
+export const BIVARIATE_ADOPTION_MEASURES = {
+  status: {
+    label: "Adoption status",
+    classes: ["No adoption", "In progress", "Adopted"],
+  },
+  partners: {
+    label: "Partner density",
+    classes: ["No partners", "1 partner", "2+ partners"],
+  },
+};
+
+export const DEFAULT_BIVARIATE_ADOPTION = "status";
+
+export const NEED_CLASS_LABELS = ["Low need", "Medium need", "High need"];
+
+// Colors by [adoption class][need class]: need runs from grey to red, adoption from grey to blue
+export const BIVARIATE_COLORS = [
+  ["rgba(232, 232, 232, 0.7)", "rgba(228, 172, 172, 0.7)", "rgba(200, 90, 90, 0.7)"],
+  ["rgba(176, 213, 223, 0.7)", "rgba(173, 158, 165, 0.7)", "rgba(152, 83, 86, 0.7)"],
+  ["rgba(100, 172, 190, 0.7)", "rgba(98, 127, 140, 0.7)", "rgba(87, 66, 73, 0.7)"],
+];
+
+/**
+ * Returns the class value of a grid cell
+ * @param {number} needClass - 0 (low) to 2 (high)
+ * @param {number} adoptionClass - 0 (none) to 2 (most)
+ * @returns {string} Class value, e.g. "need_2_adoption_0"
+ */
+export function getBivariateClassValue(needClass, adoptionClass) {
+  return `need_${needClass}_adoption_${adoptionClass}`;
+}
+
+// The cell shown by the "high need, no adoption" filter
+export const HIGH_NEED_NO_ADOPTION = getBivariateClassValue(2, 0);
+
+/**
+ * Returns the adoption class of a tract
+ * @param {string} tractId - Tract GEOID
+ * @param {string} measure - Key of BIVARIATE_ADOPTION_MEASURES
+ * @param {Object} adoptionStatusMap - Adoption status keyed by tract
+ * @param {Object} partnerModel - Partner model
+ * @returns {number} 0 to 2
+ */
+function getAdoptionClass(tractId, measure, adoptionStatusMap, partnerModel) {
+  if (measure === "partners") {
+    return Math.min(getTractPartners(partnerModel, tractId).length, 2);
+  }
+
+  const status = adoptionStatusMap[tractId]?.status;
+  if (isAdoptedState(status)) return 2;
+  return isInProgressState(status) ? 1 : 0;
+}
+
+/**
+ * Puts every tract with a value for the need measure in a grid cell. Need
+ * classes are tertiles, oriented so the highest class is the most need
+ * (e.g. the lowest incomes).
+ * @param {Map} featureCensusData - Census data keyed by tract GEOID
+ * @param {Object} options - { needCode, adoptionMeasure, adoptionStatusMap, partnerModel }
+ * @returns {Object} { classById, counts, needBreaks } with counts keyed by class value
+ *   and needBreaks the tertile ranges from least to most need
+ */
+export function classifyBivariate(featureCensusData, { needCode, adoptionMeasure, adoptionStatusMap, partnerModel }) {
+  const variable = getCensusVariable(needCode) || NEED_SCORE_FIELD;
+  const higherIsNeed = variable.need ? variable.need.higherIsNeed : true;
+
+  const values = new Map();
+  featureCensusData.forEach((attrs, id) => {
+    const value = parseCensusNumber(attrs[needCode]);
+    if (value !== null) {
+      values.set(String(id), value);
+    }
+  });
+
+  const breaks = classifyValues(Array.from(values.values()), "quantile", 3);
+  const needBreaks = higherIsNeed ? breaks : [...breaks].reverse();
+
+  const classById = {};
+  const counts = {};
+  values.forEach((value, id) => {
+    const index = getClassIndex(breaks, value);
+    // With fewer than three distinct values, classes spread from low to high need
+    const rank = breaks.length > 1 ? Math.round((index * 2) / (breaks.length - 1)) : 1;
+    const needClass = higherIsNeed ? rank : 2 - rank;
+    const adoptionClass = getAdoptionClass(id, adoptionMeasure, adoptionStatusMap, partnerModel);
+    const classValue = getBivariateClassValue(needClass, adoptionClass);
+    classById[id] = classValue;
+    counts[classValue] = (counts[classValue] || 0) + 1;
+  });
+
+  return { classById, counts, needBreaks };
+}
+
+/**
+ * Lists the IDs of tracts in one grid cell
+ * @param {Object} classification - Result of classifyBivariate
+ * @param {string} classValue - Cell class value
+ * @returns {Array} Tract GEOIDs
+ */
+export function getBivariateCellIds(classification, classValue = HIGH_NEED_NO_ADOPTION) {
+  return Object.keys(classification.classById).filter(id => classification.classById[id] === classValue);
+}
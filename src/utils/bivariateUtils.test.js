@@ -0,0 +1,52 @@
+import { HIGH_NEED_NO_ADOPTION, getBivariateClassValue, classifyBivariate, getBivariateCellIds } from './bivariateUtils';
+
+jest.mock('axios', () => ({ get: jest.fn() }));
+
+const tractData = code => new Map(
+  [1, 2, 3, 4, 5, 6, 7, 8, 9].map(value => [`t${value}`, { [code]: String(value) }])
+);
+const adoptionStatusMap = { t8: { status: 'prospect' }, t9: { status: 'adopted' } };
+
+test('puts tracts in need tertiles and adoption classes', () => {
+  const { classById, counts, needBreaks } = classifyBivariate(tractData('S1701_C03_001E'), {
+    needCode: 'S1701_C03_001E', adoptionMeasure: 'status', adoptionStatusMap,
+  });
+  expect(needBreaks.map(({ max }) => max)).toEqual([3, 6, 9]);
+  expect(classById.t1).toBe(getBivariateClassValue(0, 0));
+  expect(classById.t5).toBe(getBivariateClassValue(1, 0));
+  expect(classById.t8).toBe(getBivariateClassValue(2, 1));
+  expect(classById.t9).toBe(getBivariateClassValue(2, 2));
+  expect(counts[HIGH_NEED_NO_ADOPTION]).toBe(1);
+});
+
+test('treats the lowest values as most need where lower means need', () => {
+  const classification = classifyBivariate(tractData('S1901_C01_012E'), {
+    needCode: 'S1901_C01_012E', adoptionMeasure: 'status', adoptionStatusMap,
+  });
+  expect(classification.needBreaks.map(({ max }) => max)).toEqual([9, 6, 3]);
+  expect(getBivariateCellIds(classification)).toEqual(['t1', 't2', 't3']);
+  expect(classification.classById.t9).toBe(getBivariateClassValue(0, 2));
+});
+
+test('classes adoption by partner count', () => {
+  const partnerModel = {
+    partners: { a: { id: 'a' }, b: { id: 'b' }, c: { id: 'c' } },
+    links: [{ partnerId: 'a', tractId: 't9' }, { partnerId: 'b', tractId: 't9' }, { partnerId: 'c', tractId: 't9' }, { partnerId: 'a', tractId: 't7' }],
+  };
+  const { classById } = classifyBivariate(tractData('S1701_C03_001E'), {
+    needCode: 'S1701_C03_001E', adoptionMeasure: 'partners', adoptionStatusMap: {}, partnerModel,
+  });
+  expect([classById.t7, classById.t8, classById.t9])
+    .toEqual([getBivariateClassValue(2, 1), getBivariateClassValue(2, 0), getBivariateClassValue(2, 2)]);
+});
+
+test('spreads fewer than three distinct values from low to high need', () => {
+  const data = new Map([['a', { S1701_C03_001E: '5' }], ['b', { S1701_C03_001E: '7' }], ['c', { S1701_C03_001E: null }]]);
+  const { classById } = classifyBivariate(data, { needCode: 'S1701_C03_001E', adoptionMeasure: 'status', adoptionStatusMap: {} });
+  expect(classById).toEqual({ a: getBivariateClassValue(0, 0), b: getBivariateClassValue(2, 0) });
+
+  const single = classifyBivariate(new Map([['a', { S1701_C03_001E: '5' }]]), {
+    needCode: 'S1701_C03_001E', adoptionMeasure: 'status', adoptionStatusMap: {},
+  });
+  expect(single.classById.a).toBe(getBivariateClassValue(1, 0));
+});
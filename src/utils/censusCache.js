@@ -0,0 +1,172 @@
+// src/utils/censusCache.js
+
+import { CENSUS_GEOGRAPHIES, CENSUS_SNAPSHOT_FORMAT_VERSION, getRequestCodes, listDatasetRequests } from "./censusVariables";
+
+/**
+ * Persistent IndexedDB cache for processed Census API responses.
+ * Entries are keyed by dataset, vintage and geography so a reload can skip
+ * the statewide/national requests entirely. The key also carries the record
+ * format version and the requested variable codes, so records cached before
+ * a catalog change are never served for the new catalog; those entries are
+ * deleted the next time the cache is written. Only Bay Area records are
+ * stored (see fetchDatasetRecords).
+ */
+
+const DB_NAME = "poverty-pockets";
+const DB_VERSION = 1;
+const STORE_NAME = "censusResponses";
+
+// Default expiry is one week; override with REACT_APP_CENSUS_CACHE_TTL_HOURS
+const DEFAULT_TTL_HOURS = 24 * 7;
+
+/**
+ * Returns the configured cache expiry in milliseconds
+ * @returns {number} Time-to-live in milliseconds
+ */
+export function getCensusCacheTtl() {
+  const hours = parseFloat(process.env.REACT_APP_CENSUS_CACHE_TTL_HOURS);
+  return (isNaN(hours) ? DEFAULT_TTL_HOURS : hours) * 60 * 60 * 1000;
+}
+
+/**
+ * Short, stable hash of a string (32-bit FNV-1a, base 36)
+ * @param {string} text - Text to hash
+ * @returns {string} Hash
+ */
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * Builds the cache key for one dataset request
+ * @param {string} dataset - Dataset id (e.g. "acs5/profile")
+ * @param {number|string} vintage - Data year
+ * @param {string} geography - Geography id (e.g. "tract" or "zcta")
+ * @returns {string} Cache key
+ */
+export function buildCensusCacheKey(dataset, vintage, geography) {
+  const codes = getRequestCodes(dataset, vintage).slice().sort().join(",");
+  return `${dataset}|${vintage}|${geography}|v${CENSUS_SNAPSHOT_FORMAT_VERSION}|${hashText(codes)}`;
+}
+
+/**
+ * Checks whether a cache key belongs to the current catalog: one of its
+ * dataset requests, with the current format version and variable codes
+ * @param {string} key - Cache key from buildCensusCacheKey
+ * @returns {boolean} True when the key can still be read
+ */
+export function isCurrentCensusCacheKey(key) {
+  return listDatasetRequests().some(({ dataset, vintage }) =>
+    Object.keys(CENSUS_GEOGRAPHIES).some(geography => buildCensusCacheKey(dataset, vintage, geography) === key)
+  );
+}
+
+/**
+ * Opens the cache database, creating the object store on first use
+ * @returns {Promise<IDBDatabase|null>} Database, or null when IndexedDB is unavailable
+ */
+function openCacheDb() {
+  if (typeof indexedDB === "undefined") {
+    return Promise.resolve(null);
+  }
+
+  return new Promise((resolve) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME, { keyPath: "key" });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      console.warn("Census cache unavailable:", request.error);
+      resolve(null);
+    };
+  });
+}
+
+/**
+ * Runs a single request against the cache store
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {Function} operation - Receives the object store and returns an IDBRequest
+ * @returns {Promise<*>} Request result, or null on failure
+ */
+async function runStoreRequest(mode, operation) {
+  const db = await openCacheDb();
+  if (!db) return null;
+
+  return new Promise((resolve) => {
+    try {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+
+      request.onsuccess = () => resolve(request.result ?? null);
+      request.onerror = () => {
+        console.warn("Census cache request failed:", request.error);
+        resolve(null);
+      };
+      transaction.oncomplete = () => db.close();
+    } catch (error) {
+      console.warn("Census cache request failed:", error);
+      db.close();
+      resolve(null);
+    }
+  });
+}
+
+/**
+ * Reads a cache entry regardless of its age
+ * @param {string} key - Cache key from buildCensusCacheKey
+ * @returns {Promise<Object|null>} Entry with { key, data, storedAt }, or null
+ */
+export async function readCensusCache(key) {
+  return runStoreRequest("readonly", store => store.get(key));
+}
+
+/**
+ * Stores processed census records under a key, deleting entries left over
+ * from earlier format versions or catalogs in the same transaction
+ * @param {string} key - Cache key from buildCensusCacheKey
+ * @param {Object} data - Processed census records
+ * @returns {Promise<void>}
+ */
+export async function writeCensusCache(key, data) {
+  await runStoreRequest("readwrite", store => {
+    const keysRequest = store.getAllKeys();
+    keysRequest.onsuccess = () => {
+      const staleKeys = keysRequest.result.filter(storedKey => !isCurrentCensusCacheKey(storedKey));
+      staleKeys.forEach(storedKey => store.delete(storedKey));
+      if (staleKeys.length > 0) {
+        console.log(`Removed ${staleKeys.length} outdated census cache entries`);
+      }
+    };
+    return store.put({ key, data, storedAt: Date.now() });
+  });
+}
+
+/**
+ * Checks whether a cache entry is still within the configured expiry
+ * @param {Object} entry - Cache entry from readCensusCache
+ * @param {number} ttl - Time-to-live in milliseconds
+ * @returns {boolean} True if the entry can be used without refetching
+ */
+export function isCensusCacheFresh(entry, ttl = getCensusCacheTtl()) {
+  return Boolean(entry && entry.storedAt && Date.now() - entry.storedAt < ttl);
+}
+
+/**
+ * Removes every cached census response
+ * @returns {Promise<void>}
+ */
+export async function clearCensusCache() {
+  await runStoreRequest("readwrite", store => store.clear());
+  console.log("Census cache cleared");
+}
@@ -0,0 +1,35 @@
+import { buildCensusCacheKey, isCurrentCensusCacheKey, isCensusCacheFresh } from './censusCache';
+import {
+  CENSUS_SNAPSHOT_FORMAT_VERSION,
+  CURRENT_ACS_VINTAGE,
+  BASELINE_ACS_VINTAGE
+} from './censusVariables';
+
+test('keys cache entries by the record format version', () => {
+  const key = buildCensusCacheKey('acs5/profile', CURRENT_ACS_VINTAGE, 'tract');
+  expect(key.startsWith(`acs5/profile|${CURRENT_ACS_VINTAGE}|tract|v${CENSUS_SNAPSHOT_FORMAT_VERSION}|`)).toBe(true);
+  expect(buildCensusCacheKey('acs5/profile', CURRENT_ACS_VINTAGE, 'tract')).toBe(key);
+});
+
+test('keys cache entries by the requested variable codes', () => {
+  // Past vintages request no margins of error, so their code lists differ
+  const current = buildCensusCacheKey('acs5/profile', CURRENT_ACS_VINTAGE, 'tract').split('|').pop();
+  const baseline = buildCensusCacheKey('acs5/profile', BASELINE_ACS_VINTAGE, 'tract').split('|').pop();
+  expect(current).not.toBe(baseline);
+});
+
+test('treats entries older than the expiry as stale', () => {
+  const hour = 60 * 60 * 1000;
+  expect(isCensusCacheFresh({ storedAt: Date.now() - hour }, 2 * hour)).toBe(true);
+  expect(isCensusCacheFresh({ storedAt: Date.now() - 3 * hour }, 2 * hour)).toBe(false);
+  expect(isCensusCacheFresh(null, 2 * hour)).toBe(false);
+});
+
+test('treats keys from other format versions or catalogs as outdated', () => {
+  const key = buildCensusCacheKey('acs5/profile', CURRENT_ACS_VINTAGE, 'tract');
+  const [dataset, vintage, geography, , hash] = key.split('|');
+  expect(isCurrentCensusCacheKey(key)).toBe(true);
+  expect(isCurrentCensusCacheKey([dataset, vintage, geography, `v${CENSUS_SNAPSHOT_FORMAT_VERSION - 1}`, hash].join('|'))).toBe(false);
+  expect(isCurrentCensusCacheKey([dataset, vintage, geography, `v${CENSUS_SNAPSHOT_FORMAT_VERSION}`, 'oldhash'].join('|'))).toBe(false);
+  expect(isCurrentCensusCacheKey('acs5/profile|2010|tract')).toBe(false);
+});
@@ -1,7 +1,27 @@
 import axios from "axios";
+import {
+  CENSUS_SNAPSHOT_MANIFEST,
+  CENSUS_SNAPSHOT_FORMAT_VERSION,
+  CENSUS_GEOGRAPHIES,
+  getCensusDisplayFields,
+  buildDatasetUrl,
+  parseDatasetResponse,
+  listDatasetRequests,
+  mergeDatasetRecords
+} from "./censusVariables";
+import {
+  buildCensusCacheKey,
+  readCensusCache,
+  writeCensusCache,
+  isCensusCacheFresh
+} from "./censusCache";
+import { filterBayAreaRecords } from "./geoutils";
 
-// Base URL for Census API
-const CENSUS_API_BASE = "https://api.census.gov/data";
+// How census data keys are normalized for each geography in CENSUS_GEOGRAPHIES
+const GEOGRAPHY_NORMALIZERS = {
+  tract: normalizeTractGeoid,
+  zcta: normalizeZipCode
+};
 
 /**
  * Normalize a Census Tract GEOID to ensure consistent format.
@@ -68,295 +88,170 @@ function processCensusData(censusData, normalizeFunction) {
 }
 
 /**
- * FIXED: Fetches census data for multiple census tracts in batch
+ * Fetches one dataset for a geography, serving it from the IndexedDB cache
+ * when a fresh entry exists. An expired entry is still used as a fallback
+ * when the Census API request fails.
+ * @param {string} dataset - Key into CENSUS_DATASETS
+ * @param {string} geography - Key into CENSUS_GEOGRAPHIES
+ * @param {string} apiKey - Census API key
+ * @param {number} vintage - Data year
+ * @param {boolean} forceRefresh - Skip the cache and refetch from the API
+ * @returns {Promise<Object>} Records keyed by GEOID or ZIP code
+ */
+async function fetchDatasetRecords(dataset, geography, apiKey, vintage, forceRefresh) {
+  const { label } = CENSUS_GEOGRAPHIES[geography];
+  const cacheKey = buildCensusCacheKey(dataset, vintage, geography);
+  const cached = await readCensusCache(cacheKey);
+
+  if (!forceRefresh && isCensusCacheFresh(cached)) {
+    console.log(`✅ Using cached ${vintage} ${dataset} ${label} data from ${new Date(cached.storedAt).toLocaleString()}`);
+    return cached.data;
+  }
+
+  const url = buildDatasetUrl(dataset, geography, apiKey, vintage);
+  console.log(`${vintage} ${dataset} URL (key hidden):`, url.replace(apiKey, 'API_KEY'));
+
+  try {
+    const response = await axios.get(url);
+    console.log(`${vintage} ${dataset} response length:`, response.data?.length || 0);
+
+    // The API answers for the whole state or country; only the Bay Area is mapped
+    const records = filterBayAreaRecords(geography, parseDatasetResponse(dataset, geography, response.data, vintage));
+    if (Object.keys(records).length > 0) {
+      await writeCensusCache(cacheKey, records);
+    }
+    return records;
+  } catch (err) {
+    console.error(`${vintage} ${dataset} ${label} request failed:`, err.response?.status, err.response?.data);
+
+    if (cached) {
+      console.warn(`Falling back to expired cached ${vintage} ${dataset} ${label} data`);
+      return cached.data;
+    }
+    return {};
+  }
+}
+
+/**
+ * Fetches every catalog dataset for a geography and merges the results
+ * @param {string} geography - Key into CENSUS_GEOGRAPHIES
+ * @param {string} apiKey - Census API key
+ * @param {Object} options - { forceRefresh } to bypass the cache
+ * @returns {Promise<Object>} Census data keyed by normalized geography ID
  */
-export const fetchCensusTractsData = async (apiKey) => {
+async function fetchCensusGeographyData(geography, apiKey, { forceRefresh = false } = {}) {
   if (!apiKey || apiKey.trim() === '') {
     console.error("❌ Census API key is missing!");
     return {};
   }
 
+  const { label } = CENSUS_GEOGRAPHIES[geography];
+
   try {
-    console.log("✅ Census API key found, length:", apiKey.length);
-    console.log("🔍 Fetching Census tract data...");
-    
-    // FIXED URLs - removed problematic characters and simplified
-    // Population count (Total Population) - 2020 Decennial Census
-    const populationUrl = `${CENSUS_API_BASE}/2020/dec/pl?get=NAME,P1_001N&for=tract:*&in=state:06&key=${apiKey}`;
-    
-    // Employment Rate and Total Households - 2022 ACS 5-year (more recent data)
-    const acsUrl = `${CENSUS_API_BASE}/2022/acs/acs5/profile?get=NAME,DP03_0004PE,DP02_0001E&for=tract:*&in=state:06&key=${apiKey}`;
-    
-    // Median Household Income - 2022 ACS 5-year Subject tables
-    const incomeUrl = `${CENSUS_API_BASE}/2022/acs/acs5/subject?get=NAME,S1901_C01_012E&for=tract:*&in=state:06&key=${apiKey}`;
-    
-    console.log("Sending Census API requests...");
-    console.log("Population URL (key hidden):", populationUrl.replace(apiKey, 'API_KEY'));
-    console.log("ACS URL (key hidden):", acsUrl.replace(apiKey, 'API_KEY'));
-    console.log("Income URL (key hidden):", incomeUrl.replace(apiKey, 'API_KEY'));
-    
-    // Make requests with proper error handling
-    const requests = [
-      axios.get(populationUrl).catch(err => {
-        console.error("Population request failed:", err.response?.status, err.response?.data);
-        return { data: [] };
-      }),
-      axios.get(acsUrl).catch(err => {
-        console.error("ACS request failed:", err.response?.status, err.response?.data);
-        return { data: [] };
-      }),
-      axios.get(incomeUrl).catch(err => {
-        console.error("Income request failed:", err.response?.status, err.response?.data);
-        return { data: [] };
-      })
-    ];
-    
-    const [populationRes, acsRes, incomeRes] = await Promise.all(requests);
-    
-    console.log("Received Census API responses, processing data...");
-    console.log("Population response length:", populationRes.data?.length || 0);
-    console.log("ACS response length:", acsRes.data?.length || 0);
-    console.log("Income response length:", incomeRes.data?.length || 0);
-    
-    // Process population data
-    const populationData = {};
-    if (populationRes.data && populationRes.data.length > 1) {
-      const popHeaders = populationRes.data[0];
-      const p1001nIdx = popHeaders.indexOf("P1_001N");
-      const stateIdx = popHeaders.indexOf("state");
-      const countyIdx = popHeaders.indexOf("county");
-      const tractIdx = popHeaders.indexOf("tract");
-      
-      console.log("Population headers:", popHeaders);
-      
-      for (let i = 1; i < populationRes.data.length; i++) {
-        const row = populationRes.data[i];
-        if (row && row.length === popHeaders.length) {
-          const geoid = row[stateIdx] + row[countyIdx] + row[tractIdx];
-          populationData[geoid] = {
-            P1_001N: row[p1001nIdx]
-          };
-        }
-      }
-    }
-    
-    // Process ACS data (employment and households)
-    const acsData = {};
-    if (acsRes.data && acsRes.data.length > 1) {
-      const acsHeaders = acsRes.data[0];
-      const empRateIdx = acsHeaders.indexOf("DP03_0004PE");
-      const householdsIdx = acsHeaders.indexOf("DP02_0001E");
-      const stateIdx = acsHeaders.indexOf("state");
-      const countyIdx = acsHeaders.indexOf("county");
-      const tractIdx = acsHeaders.indexOf("tract");
-      
-      console.log("ACS headers:", acsHeaders);
-      
-      for (let i = 1; i < acsRes.data.length; i++) {
-        const row = acsRes.data[i];
-        if (row && row.length === acsHeaders.length) {
-          const geoid = row[stateIdx] + row[countyIdx] + row[tractIdx];
-          acsData[geoid] = {
-            DP03_0004PE: row[empRateIdx],
-            DP02_0001E: row[householdsIdx]
-          };
-        }
-      }
-    }
-    
-    // Process Income data
-    const incomeData = {};
-    if (incomeRes.data && incomeRes.data.length > 1) {
-      const incHeaders = incomeRes.data[0];
-      const incomeIdx = incHeaders.indexOf("S1901_C01_012E");
-      const stateIdx = incHeaders.indexOf("state");
-      const countyIdx = incHeaders.indexOf("county");
-      const tractIdx = incHeaders.indexOf("tract");
-      
-      console.log("Income headers:", incHeaders);
-      
-      for (let i = 1; i < incomeRes.data.length; i++) {
-        const row = incomeRes.data[i];
-        if (row && row.length === incHeaders.length) {
-          const geoid = row[stateIdx] + row[countyIdx] + row[tractIdx];
-          incomeData[geoid] = {
-            S1901_C01_012E: row[incomeIdx]
-          };
-        }
-      }
-    }
-    
+    console.log(`🔍 Fetching ${label} data...`);
+
+    const datasetRecords = await Promise.all(
+      listDatasetRequests().map(({ dataset, vintage }) =>
+        fetchDatasetRecords(dataset, geography, apiKey, vintage, forceRefresh)
+      )
+    );
+
+    console.log(`Received ${label} data, merging datasets...`);
+
     // Merge all datasets
-    const mergedData = {};
-    
-    const allGeoids = new Set([
-      ...Object.keys(populationData),
-      ...Object.keys(acsData),
-      ...Object.keys(incomeData)
-    ]);
-    
-    allGeoids.forEach(geoid => {
-      mergedData[geoid] = {
-        ...(populationData[geoid] || {}),
-        ...(acsData[geoid] || {}),
-        ...(incomeData[geoid] || {})
-      };
-    });
-    
-    console.log(`✅ Raw census data fetched for ${Object.keys(mergedData).length} census tracts`);
-    
+    const mergedData = mergeDatasetRecords(datasetRecords);
+
+    console.log(`✅ Raw census data fetched for ${Object.keys(mergedData).length} ${label}s`);
+
     // Process the data to ensure consistent key format
-    const processedData = processCensusData(mergedData, normalizeTractGeoid);
-    
-    console.log(`✅ Processed census data for ${Object.keys(processedData).length} census tracts`);
-    
+    const processedData = processCensusData(mergedData, GEOGRAPHY_NORMALIZERS[geography]);
+
+    console.log(`✅ Processed census data for ${Object.keys(processedData).length} ${label}s`);
+
     // Log a sample of the data
     const sampleKeys = Object.keys(processedData).slice(0, 3);
     sampleKeys.forEach(key => {
-      console.log(`Sample data for GEOID ${key}:`, processedData[key]);
+      console.log(`Sample data for ${label} ${key}:`, processedData[key]);
     });
-    
+
     return processedData;
-    
+
   } catch (error) {
-    console.error("❌ Error fetching census data:", error);
+    console.error(`❌ Error fetching ${label} census data:`, error);
     if (error.response) {
       console.error("Response status:", error.response.status);
       console.error("Response data:", error.response.data);
     }
     return {};
   }
+}
+
+/**
+ * Fetches census data for all California census tracts in batch
+ * @param {string} apiKey - Census API key
+ * @param {Object} options - { forceRefresh } to bypass the cache
+ */
+export const fetchCensusTractsData = async (apiKey, options) => {
+  return fetchCensusGeographyData("tract", apiKey, options);
 };
 
 /**
- * FIXED: Fetches ZIP Code Tabulation Area (ZCTA) data from the Census API
+ * Fetches ZIP Code Tabulation Area (ZCTA) data from the Census API
+ * @param {string} apiKey - Census API key
+ * @param {Object} options - { forceRefresh } to bypass the cache
  */
-export const fetchZipcodeData = async (apiKey) => {
-  if (!apiKey || apiKey.trim() === '') {
-    console.error("❌ Census API key is missing!");
-    return {};
-  }
+export const fetchZipcodeData = async (apiKey, options) => {
+  return fetchCensusGeographyData("zcta", apiKey, options);
+};
+
+/**
+ * Loads the census snapshot generated by scripts/generateCensusSnapshot.mjs for
+ * a geography, so the app can skip the Census API entirely
+ * @param {string} geography - Key into CENSUS_GEOGRAPHIES ("tract" or "zcta")
+ * @returns {Promise<Object|null>} Census data keyed by normalized ID, or null if no usable snapshot exists
+ */
+export async function loadCensusSnapshot(geography) {
+  const { label } = CENSUS_GEOGRAPHIES[geography];
 
   try {
-    console.log("🔍 Fetching ZIP code data...");
-    
-    // FIXED URLs for ZIP code data
-    const populationUrl = `${CENSUS_API_BASE}/2020/dec/pl?get=NAME,P1_001N&for=zip%20code%20tabulation%20area:*&key=${apiKey}`;
-    const acsUrl = `${CENSUS_API_BASE}/2022/acs/acs5/profile?get=NAME,DP03_0004PE,DP02_0001E&for=zip%20code%20tabulation%20area:*&key=${apiKey}`;
-    const incomeUrl = `${CENSUS_API_BASE}/2022/acs/acs5/subject?get=NAME,S1901_C01_012E&for=zip%20code%20tabulation%20area:*&key=${apiKey}`;
-    
-    console.log("Sending ZIP code data requests...");
-    
-    const requests = [
-      axios.get(populationUrl).catch(err => {
-        console.error("ZIP Population request failed:", err.response?.status, err.response?.data);
-        return { data: [] };
-      }),
-      axios.get(acsUrl).catch(err => {
-        console.error("ZIP ACS request failed:", err.response?.status, err.response?.data);
-        return { data: [] };
-      }),
-      axios.get(incomeUrl).catch(err => {
-        console.error("ZIP Income request failed:", err.response?.status, err.response?.data);
-        return { data: [] };
-      })
-    ];
-    
-    const [populationRes, acsRes, incomeRes] = await Promise.all(requests);
-    
-    console.log("Received ZIP code API responses, processing data...");
-    
-    // Process population data
-    const populationData = {};
-    if (populationRes.data && populationRes.data.length > 1) {
-      const popHeaders = populationRes.data[0];
-      const p1001nIdx = popHeaders.indexOf("P1_001N");
-      const zctaIdx = popHeaders.indexOf("zip code tabulation area");
-      
-      for (let i = 1; i < populationRes.data.length; i++) {
-        const row = populationRes.data[i];
-        if (row && row.length === popHeaders.length) {
-          const zipCode = row[zctaIdx];
-          populationData[zipCode] = {
-            P1_001N: row[p1001nIdx]
-          };
-        }
-      }
+    const manifestRes = await axios.get(`${process.env.PUBLIC_URL}/${CENSUS_SNAPSHOT_MANIFEST}`);
+    const manifest = manifestRes.data;
+
+    // The dev server answers missing files with index.html, so check the shape
+    if (!manifest || typeof manifest !== "object" || !manifest.files) {
+      console.log("No census snapshot found, using the live Census API");
+      return null;
     }
-    
-    // Process ACS data
-    const acsData = {};
-    if (acsRes.data && acsRes.data.length > 1) {
-      const acsHeaders = acsRes.data[0];
-      const empRateIdx = acsHeaders.indexOf("DP03_0004PE");
-      const householdsIdx = acsHeaders.indexOf("DP02_0001E");
-      const zctaIdx = acsHeaders.indexOf("zip code tabulation area");
-      
-      for (let i = 1; i < acsRes.data.length; i++) {
-        const row = acsRes.data[i];
-        if (row && row.length === acsHeaders.length) {
-          const zipCode = row[zctaIdx];
-          acsData[zipCode] = {
-            DP03_0004PE: row[empRateIdx],
-            DP02_0001E: row[householdsIdx]
-          };
-        }
-      }
+
+    if (manifest.formatVersion !== CENSUS_SNAPSHOT_FORMAT_VERSION) {
+      console.warn(`Census snapshot format ${manifest.formatVersion} is not supported, using the live Census API`);
+      return null;
     }
-    
-    // Process Income data
-    const incomeData = {};
-    if (incomeRes.data && incomeRes.data.length > 1) {
-      const incHeaders = incomeRes.data[0];
-      const incomeIdx = incHeaders.indexOf("S1901_C01_012E");
-      const zctaIdx = incHeaders.indexOf("zip code tabulation area");
-      
-      for (let i = 1; i < incomeRes.data.length; i++) {
-        const row = incomeRes.data[i];
-        if (row && row.length === incHeaders.length) {
-          const zipCode = row[zctaIdx];
-          incomeData[zipCode] = {
-            S1901_C01_012E: row[incomeIdx]
-          };
-        }
-      }
+
+    // Snapshots generated before a catalog change won't have the new fields
+    const missingFields = getCensusDisplayFields()
+      .filter(field => !field.computed)
+      .map(field => field.code)
+      .filter(code => !(manifest.fields || []).includes(code));
+    if (missingFields.length > 0) {
+      console.warn("Census snapshot is missing catalog fields, using the live Census API:", missingFields);
+      return null;
     }
-    
-    // Merge datasets
-    const mergedData = {};
-    
-    const allZipCodes = new Set([
-      ...Object.keys(populationData),
-      ...Object.keys(acsData),
-      ...Object.keys(incomeData)
-    ]);
-    
-    allZipCodes.forEach(zipCode => {
-      mergedData[zipCode] = {
-        ...(populationData[zipCode] || {}),
-        ...(acsData[zipCode] || {}),
-        ...(incomeData[zipCode] || {})
-      };
-    });
-    
-    console.log(`✅ Raw ZIP code data fetched for ${Object.keys(mergedData).length} ZIPs`);
-    
-    const processedData = processCensusData(mergedData, normalizeZipCode);
-    
-    console.log(`✅ Processed ZIP code data for ${Object.keys(processedData).length} ZIPs`);
-    
-    const sampleKeys = Object.keys(processedData).slice(0, 3);
-    sampleKeys.forEach(key => {
-      console.log(`Sample data for ZIP ${key}:`, processedData[key]);
-    });
-    
-    return processedData;
-    
+
+    const fileName = manifest.files[geography];
+    if (!fileName) return null;
+
+    const snapshotRes = await axios.get(`${process.env.PUBLIC_URL}/${fileName}`);
+    const records = snapshotRes.data?.records || {};
+
+    console.log(`✅ Loaded ${label} census snapshot generated ${manifest.generatedAt}: ${Object.keys(records).length} records`);
+
+    return processCensusData(records, GEOGRAPHY_NORMALIZERS[geography]);
   } catch (error) {
-    console.error("❌ Error fetching ZIP code census data:", error);
-    return {};
+    console.log("No census snapshot found, using the live Census API");
+    return null;
   }
-};
+}
 
 /**
  * Modified version of injectCensusDataIntoLayer that doesn't use applyEdits
@@ -424,19 +319,15 @@ export async function injectCensusDataIntoLayer(layer, censusData, isZipCodeLaye
     
     console.log(`Matched census data for ${featureCensusData.size} features`);
     
-    // Store the census data on the layer for use in popups
+    // Store the census data on the layer for use in popups, renderers and search
     layer.featureCensusData = featureCensusData;
+    layer.censusIdField = idField;
     
     // Update the popup template to include census data
     if (layer.popupTemplate && featureCensusData.size > 0) {
       const originalContent = layer.popupTemplate.content;
       
       layer.popupTemplate.content = (feature) => {
-        // Get the original content first
-        let content = typeof originalContent === "function" 
-          ? originalContent(feature) 
-          : originalContent || "";
-          
         // Get the feature ID
         const featureId = feature.graphic.attributes[idField];
         
@@ -444,14 +335,17 @@ export async function injectCensusDataIntoLayer(layer, censusData, isZipCodeLaye
         const featureCensusValues = featureCensusData.get(featureId);
         
         if (featureCensusValues) {
-          // Apply census data to the feature's attributes for this popup only
+          // Apply census data to the feature's attributes for this popup only,
+          // before the original content reads them
           // This doesn't modify the layer's actual features
           Object.entries(featureCensusValues).forEach(([key, value]) => {
             feature.graphic.attributes[key] = value;
           });
         }
         
-        return content;
+        return typeof originalContent === "function" 
+          ? originalContent(feature) 
+          : originalContent || "";
       };
     }
     
@@ -0,0 +1,26 @@
+/**
+ * @jest-environment node
+ */
+import { spawnSync } from 'child_process';
+import path from 'path';
+import packageJson from '../../package.json';
+
+// The snapshot script loads src/utils modules as plain Node ES modules, so
+// every import they make must resolve without a bundler
+test('census snapshot script loads its modules under Node', () => {
+  const env = { ...process.env };
+  delete env.CENSUS_API_KEY;
+  delete env.REACT_APP_CENSUS_API_KEY;
+
+  // Same command as the census:snapshot npm script
+  const [, ...args] = packageJson.scripts['census:snapshot'].split(' ');
+  const result = spawnSync(process.execPath, args, {
+    cwd: path.join(__dirname, '../..'),
+    env,
+    encoding: 'utf-8',
+    timeout: 30000
+  });
+
+  expect(result.stderr).not.toMatch(/ERR_MODULE_NOT_FOUND|SyntaxError|Warning/);
+  expect(result.stderr).toMatch(/Set CENSUS_API_KEY/);
+});
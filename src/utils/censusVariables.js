@@ -0,0 +1,780 @@
+// src/utils/censusVariables.js
+
+/**
+ * ACS 5-year vintages loaded side by side for change-over-time fields.
+ * The latest is the current vintage and the earliest is the baseline;
+ * override with a comma-separated REACT_APP_ACS_VINTAGES (e.g. "2018,2023").
+ */
+export const ACS_VINTAGES = (process.env.REACT_APP_ACS_VINTAGES || "2018,2020,2022,2023")
+  .split(",")
+  .map(vintage => parseInt(vintage, 10))
+  .filter(vintage => !isNaN(vintage))
+  .sort((a, b) => a - b);
+
+export const CURRENT_ACS_VINTAGE = ACS_VINTAGES[ACS_VINTAGES.length - 1];
+export const BASELINE_ACS_VINTAGE = ACS_VINTAGES[0];
+
+/**
+ * Census datasets the app pulls from, keyed by the dataset id used in the
+ * variable catalog below. `path` is appended to the API base after the vintage.
+ * `vintages` lists every year fetched; years other than `vintage` only load
+ * the catalog variables marked with `trend`.
+ */
+export const CENSUS_DATASETS = {
+  "dec/pl": { vintage: 2020, vintages: [2020], path: "dec/pl", label: "2020 Decennial Census" },
+  "acs5/profile": {
+    vintage: CURRENT_ACS_VINTAGE,
+    vintages: ACS_VINTAGES,
+    path: "acs/acs5/profile",
+    label: `${CURRENT_ACS_VINTAGE} ACS 5-Year Data Profile`
+  },
+  "acs5/subject": {
+    vintage: CURRENT_ACS_VINTAGE,
+    vintages: ACS_VINTAGES,
+    path: "acs/acs5/subject",
+    label: `${CURRENT_ACS_VINTAGE} ACS 5-Year Subject Tables`
+  },
+};
+
+// Base URL for Census API
+const CENSUS_API_BASE = "https://api.census.gov/data";
+
+// Census snapshots written by scripts/generateCensusSnapshot.mjs; bump the
+// format version whenever the snapshot or record layout changes (the
+// browser's census cache keys on it too)
+export const CENSUS_SNAPSHOT_MANIFEST = "census_snapshot_manifest.json";
+export const CENSUS_SNAPSHOT_FORMAT_VERSION = 2;
+
+/**
+ * Geographies we request, with the API "for" clause and how to key each row
+ */
+export const CENSUS_GEOGRAPHIES = {
+  tract: {
+    label: "census tract",
+    forClause: "for=tract:*&in=state:06",
+    getId: (row, headers) =>
+      row[headers.indexOf("state")] + row[headers.indexOf("county")] + row[headers.indexOf("tract")]
+  },
+  zcta: {
+    label: "ZIP code",
+    forClause: "for=zip%20code%20tabulation%20area:*",
+    getId: (row, headers) => row[headers.indexOf("zip code tabulation area")]
+  }
+};
+
+/**
+ * Catalog of census indicators shown in the app. The fetchers, search fields,
+ * popups and reports are all generated from this list, so adding an indicator
+ * only requires adding an entry here.
+ *
+ * Each entry has:
+ * - code: Census variable code (or a derived field name)
+ * - dataset: Key into CENSUS_DATASETS
+ * - label: Human-readable label
+ * - unit: "count", "percent" or "currency"
+ * - aggregate: "sum" or "avg" when combining several features
+ * - moe (optional): true for ACS estimates that publish a margin of error
+ *   (the matching "M"/"PM" variable is fetched alongside the estimate)
+ * - trend (optional): { higherIsBetter } to load the variable for every
+ *   vintage of its dataset and compute the change since the baseline vintage
+ * - derive (optional): { from: [codes], compute: (...values) => value,
+ *   computeMoe: (values, moes) => moe } for fields calculated from other
+ *   variables of the same dataset
+ * - need (optional): { higherIsNeed, weight } to offer the indicator in the
+ *   need score, with its default weight (0 leaves it off until chosen)
+ */
+export const CENSUS_VARIABLES = [
+  {
+    code: "P1_001N",
+    dataset: "dec/pl",
+    label: "Total Population",
+    unit: "count",
+    aggregate: "sum",
+    need: { higherIsNeed: true, weight: 0 },
+  },
+  {
+    code: "DP03_0004PE",
+    dataset: "acs5/profile",
+    label: "Employment Rate",
+    unit: "percent",
+    aggregate: "avg",
+    moe: true,
+    trend: { higherIsBetter: true },
+    need: { higherIsNeed: false, weight: 0 },
+  },
+  {
+    code: "DP03_0009PE",
+    dataset: "acs5/profile",
+    label: "Unemployment Rate",
+    unit: "percent",
+    aggregate: "avg",
+    moe: true,
+    trend: { higherIsBetter: false },
+    need: { higherIsNeed: true, weight: 2 },
+  },
+  {
+    code: "DP02_0001E",
+    dataset: "acs5/profile",
+    label: "Total Households",
+    unit: "count",
+    aggregate: "sum",
+    moe: true,
+    need: { higherIsNeed: true, weight: 1 },
+  },
+  {
+    code: "S1901_C01_012E",
+    dataset: "acs5/subject",
+    label: "Median Household Income",
+    unit: "currency",
+    aggregate: "avg",
+    moe: true,
+    trend: { higherIsBetter: true },
+    need: { higherIsNeed: false, weight: 2 },
+  },
+  {
+    code: "S1701_C03_001E",
+    dataset: "acs5/subject",
+    label: "Poverty Rate",
+    unit: "percent",
+    aggregate: "avg",
+    moe: true,
+    trend: { higherIsBetter: false },
+    need: { higherIsNeed: true, weight: 3 },
+  },
+  {
+    // S1701 only publishes a count for the 200% ratio row, so derive the share
+    code: "POV200_PE",
+    dataset: "acs5/subject",
+    label: "Below 200% of Poverty Level",
+    unit: "percent",
+    aggregate: "avg",
+    moe: true,
+    need: { higherIsNeed: true, weight: 1 },
+    derive: {
+      from: ["S1701_C01_042E", "S1701_C01_001E"],
+      compute: (below200, universe) => {
+        const count = parseCensusNumber(below200);
+        const total = parseCensusNumber(universe);
+        return total > 0 && count !== null ? ((count / total) * 100).toFixed(1) : null;
+      },
+      computeMoe: ([below200, universe], [below200Moe, universeMoe]) =>
+        calculateProportionMoe(below200, universe, below200Moe, universeMoe),
+    },
+  },
+  {
+    code: "S1701_C03_002E",
+    dataset: "acs5/subject",
+    label: "Child Poverty Rate",
+    unit: "percent",
+    aggregate: "avg",
+    moe: true,
+    need: { higherIsNeed: true, weight: 1 },
+  },
+];
+
+/**
+ * Composite 0–100 need score, computed in the browser by needIndexUtils from
+ * the catalog entries marked `need`. It isn't fetched, so it's `computed`
+ * and never part of a snapshot.
+ */
+export const NEED_SCORE_FIELD = {
+  code: "NEED_SCORE",
+  label: "Need Score",
+  unit: "score",
+  aggregate: "avg",
+  computed: true,
+};
+
+/**
+ * Data states of a census value. The Census API reports suppressed or
+ * unavailable estimates as large negative annotation values; records replace
+ * them with null and keep the reason in a getStatusCode field.
+ */
+export const CENSUS_VALUE_STATES = {
+  AVAILABLE: "available",
+  MISSING: "missing",
+  SUPPRESSED: "suppressed",
+  NOT_APPLICABLE: "not_applicable",
+};
+
+// Display labels for values that aren't available
+export const CENSUS_VALUE_STATE_LABELS = {
+  [CENSUS_VALUE_STATES.MISSING]: "N/A",
+  [CENSUS_VALUE_STATES.SUPPRESSED]: "Data suppressed",
+  [CENSUS_VALUE_STATES.NOT_APPLICABLE]: "Not applicable",
+};
+
+// Census API annotation values and the state each one stands for
+const CENSUS_SENTINEL_STATES = {
+  "-999999999": CENSUS_VALUE_STATES.SUPPRESSED, // too few sample cases to show
+  "-888888888": CENSUS_VALUE_STATES.NOT_APPLICABLE, // not applicable or not available
+  "-666666666": CENSUS_VALUE_STATES.SUPPRESSED, // too few observations to compute
+  "-555555555": CENSUS_VALUE_STATES.NOT_APPLICABLE, // MOE of a controlled estimate
+  "-333333333": CENSUS_VALUE_STATES.NOT_APPLICABLE, // median in an open-ended interval
+  "-222222222": CENSUS_VALUE_STATES.SUPPRESSED, // MOE could not be computed
+};
+
+/**
+ * Returns the field holding the data state of an unavailable value
+ * @param {string} code - Variable code
+ * @returns {string} Field name (e.g. "S1901_C01_012E_STATUS")
+ */
+export function getStatusCode(code) {
+  return `${code}_STATUS`;
+}
+
+/**
+ * Splits a raw census value into a usable value and its data state
+ * @param {*} value - Raw value from the Census API or a census record
+ * @returns {Object} { value, state }; value is null unless the state is available
+ */
+export function normalizeCensusValue(value) {
+  if (value === undefined || value === null || value === "") {
+    return { value: null, state: CENSUS_VALUE_STATES.MISSING };
+  }
+
+  const sentinelState = CENSUS_SENTINEL_STATES[String(parseFloat(value))];
+  if (sentinelState) {
+    return { value: null, state: sentinelState };
+  }
+
+  return { value, state: CENSUS_VALUE_STATES.AVAILABLE };
+}
+
+/**
+ * Parses a census value as a number, treating annotation values as missing
+ * @param {*} value - Raw value
+ * @returns {number|null} Number, or null if not available
+ */
+export function parseCensusNumber(value) {
+  const number = parseFloat(normalizeCensusValue(value).value);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Returns the data state of a field for a feature
+ * @param {string} code - Field code
+ * @param {Object} attrs - Feature attributes merged with census data
+ * @returns {string} One of CENSUS_VALUE_STATES
+ */
+export function getCensusValueState(code, attrs) {
+  if (!attrs) return CENSUS_VALUE_STATES.MISSING;
+  return attrs[getStatusCode(code)] || normalizeCensusValue(attrs[code]).state;
+}
+
+/**
+ * Stores a raw API value in a record, replacing annotation values with null
+ * and recording why in the status field
+ * @param {Object} record - Census record being built
+ * @param {string} code - Field code
+ * @param {*} rawValue - Raw API value
+ */
+function setRecordValue(record, code, rawValue) {
+  const { value, state } = normalizeCensusValue(rawValue);
+  record[code] = value;
+
+  if (state !== CENSUS_VALUE_STATES.AVAILABLE && state !== CENSUS_VALUE_STATES.MISSING) {
+    record[getStatusCode(code)] = state;
+  }
+}
+
+// Coefficient of variation (in percent) above which an ACS estimate is flagged
+// as unreliable; override with REACT_APP_CV_THRESHOLD
+export const CV_RELIABILITY_THRESHOLD =
+  parseFloat(process.env.REACT_APP_CV_THRESHOLD) || 30;
+
+// ACS margins of error are published at the 90% confidence level
+const MOE_Z_SCORE = 1.645;
+
+/**
+ * Returns the margin-of-error variable code for an estimate code
+ * ("DP02_0001E" -> "DP02_0001M", "DP03_0004PE" -> "DP03_0004PM")
+ * @param {string} code - Estimate variable code
+ * @returns {string} Margin-of-error variable code
+ */
+export function getMoeCode(code) {
+  return code.endsWith("PE")
+    ? `${code.slice(0, -2)}PM`
+    : `${code.slice(0, -1)}M`;
+}
+
+/**
+ * Parses a margin of error, ignoring blanks and negative annotation values
+ * @param {*} value - Raw margin of error
+ * @returns {number|null} Margin of error, or null if not available
+ */
+function parseMoe(value) {
+  const moe = parseCensusNumber(value);
+  return moe === null || moe < 0 ? null : moe;
+}
+
+/**
+ * Calculates the margin of error of a derived proportion (in percent) using
+ * the Census Bureau's approximation for a ratio whose numerator is a subset
+ * of its denominator
+ * @param {*} numerator - Numerator estimate
+ * @param {*} denominator - Denominator estimate
+ * @param {*} numeratorMoe - Numerator margin of error
+ * @param {*} denominatorMoe - Denominator margin of error
+ * @returns {string|null} Margin of error in percentage points
+ */
+export function calculateProportionMoe(numerator, denominator, numeratorMoe, denominatorMoe) {
+  const num = parseCensusNumber(numerator);
+  const den = parseCensusNumber(denominator);
+  const numMoe = parseMoe(numeratorMoe);
+  const denMoe = parseMoe(denominatorMoe);
+
+  if (!(den > 0) || num === null || numMoe === null || denMoe === null) {
+    return null;
+  }
+
+  const proportion = num / den;
+  let radicand = numMoe ** 2 - proportion ** 2 * denMoe ** 2;
+
+  // Fall back to the ratio formula when the proportion formula goes negative
+  if (radicand < 0) {
+    radicand = numMoe ** 2 + proportion ** 2 * denMoe ** 2;
+  }
+
+  return ((Math.sqrt(radicand) / den) * 100).toFixed(1);
+}
+
+/**
+ * Combines margins of error for a sum of estimates (root-sum-of-squares)
+ * @param {Array} moes - Margins of error of the summed estimates
+ * @returns {number|null} Margin of error of the sum
+ */
+export function combineSumMoes(moes) {
+  const valid = moes.map(parseMoe).filter(moe => moe !== null);
+  if (valid.length === 0) return null;
+  return Math.sqrt(valid.reduce((sum, moe) => sum + moe ** 2, 0));
+}
+
+/**
+ * Calculates the coefficient of variation (in percent) of an estimate
+ * @param {*} estimate - Estimate value
+ * @param {*} moe - Margin of error at 90% confidence
+ * @returns {number|null} Coefficient of variation, or null if undefined
+ */
+export function calculateCoefficientOfVariation(estimate, moe) {
+  const value = parseCensusNumber(estimate);
+  const margin = parseMoe(moe);
+  if (margin === null || value === null || value === 0) return null;
+  return (margin / MOE_Z_SCORE / Math.abs(value)) * 100;
+}
+
+/**
+ * Describes the margin of error and reliability of an indicator for a feature
+ * @param {Object} variable - Catalog entry
+ * @param {Object} attrs - Feature attributes merged with census data
+ * @returns {Object} { moe, cv, unreliable }
+ */
+export function getEstimateReliability(variable, attrs) {
+  if (!variable.moe || !attrs) {
+    return { moe: null, cv: null, unreliable: false };
+  }
+
+  const moe = parseMoe(attrs[getMoeCode(variable.code)]);
+  const cv = calculateCoefficientOfVariation(attrs[variable.code], moe);
+
+  return {
+    moe,
+    cv,
+    unreliable: cv !== null && cv > CV_RELIABILITY_THRESHOLD
+  };
+}
+
+/**
+ * Returns the field holding a variable's value for a past vintage
+ * @param {string} code - Variable code
+ * @param {number} vintage - Data year
+ * @returns {string} Field name (e.g. "S1901_C01_012E_2018")
+ */
+export function getVintageCode(code, vintage) {
+  return `${code}_${vintage}`;
+}
+
+/**
+ * Returns the field holding a variable's change since the baseline vintage
+ * @param {string} code - Variable code
+ * @returns {string} Field name (e.g. "S1901_C01_012E_CHG")
+ */
+export function getChangeCode(code) {
+  return `${code}_CHG`;
+}
+
+/**
+ * Change-over-time fields generated from the catalog entries marked `trend`.
+ * They behave like catalog entries for search, popups and reports.
+ */
+export const CENSUS_CHANGE_FIELDS = CENSUS_VARIABLES
+  .filter(variable => variable.trend)
+  .map(variable => ({
+    code: getChangeCode(variable.code),
+    label: `Change in ${variable.label} (${BASELINE_ACS_VINTAGE}–${CURRENT_ACS_VINTAGE})`,
+    unit: variable.unit,
+    aggregate: "avg",
+    signed: true,
+    source: variable
+  }));
+
+/**
+ * Looks up a catalog entry or change field by its code
+ * @param {string} code - Variable code
+ * @returns {Object|undefined} Catalog entry
+ */
+export function getCensusVariable(code) {
+  return getCensusDisplayFields().find(variable => variable.code === code);
+}
+
+/**
+ * Lists every census field that can be searched, shown and reported
+ * @returns {Array} The need score, catalog entries, then change fields
+ */
+export function getCensusDisplayFields() {
+  return [NEED_SCORE_FIELD, ...CENSUS_VARIABLES, ...CENSUS_CHANGE_FIELDS];
+}
+
+/**
+ * Returns the catalog entries served by a dataset
+ * @param {string} dataset - Key into CENSUS_DATASETS
+ * @param {number} vintage - Data year; past vintages only serve trend variables
+ * @returns {Array} Catalog entries for that dataset
+ */
+export function getVariablesForDataset(dataset, vintage = CENSUS_DATASETS[dataset]?.vintage) {
+  const isPastVintage = vintage !== CENSUS_DATASETS[dataset]?.vintage;
+
+  return CENSUS_VARIABLES.filter(variable =>
+    variable.dataset === dataset && (!isPastVintage || variable.trend)
+  );
+}
+
+/**
+ * Lists the raw variable codes that must be requested from the API for a
+ * dataset, expanding derived fields into their inputs. Margins of error are
+ * only requested for the current vintage.
+ * @param {string} dataset - Key into CENSUS_DATASETS
+ * @param {number} vintage - Data year
+ * @returns {Array<string>} Unique variable codes
+ */
+export function getRequestCodes(dataset, vintage = CENSUS_DATASETS[dataset]?.vintage) {
+  const codes = new Set();
+  const isPastVintage = vintage !== CENSUS_DATASETS[dataset]?.vintage;
+
+  getVariablesForDataset(dataset, vintage).forEach(variable => {
+    const estimateCodes = variable.derive ? variable.derive.from : [variable.code];
+
+    estimateCodes.forEach(code => {
+      codes.add(code);
+      if (variable.moe && !isPastVintage) {
+        codes.add(getMoeCode(code));
+      }
+    });
+  });
+
+  return Array.from(codes);
+}
+
+/**
+ * Builds the record for one API response row, keyed by catalog code.
+ * Past vintages are keyed by getVintageCode so they can sit beside the
+ * current values in the same record. Annotation values become null with a
+ * getStatusCode field, and derived fields inherit the state of their inputs.
+ * @param {string} dataset - Key into CENSUS_DATASETS
+ * @param {Array} row - Census API response row
+ * @param {Array} headers - Census API response headers
+ * @param {number} vintage - Data year
+ * @returns {Object} Values keyed by variable code
+ */
+export function buildDatasetRecord(dataset, row, headers, vintage = CENSUS_DATASETS[dataset]?.vintage) {
+  const record = {};
+  const isPastVintage = vintage !== CENSUS_DATASETS[dataset]?.vintage;
+
+  getVariablesForDataset(dataset, vintage).forEach(variable => {
+    const valueCode = isPastVintage ? getVintageCode(variable.code, vintage) : variable.code;
+    const moeCode = getMoeCode(variable.code);
+
+    if (variable.derive) {
+      const inputs = variable.derive.from.map(code => normalizeCensusValue(row[headers.indexOf(code)]));
+      const unavailable = inputs.find(input =>
+        input.state === CENSUS_VALUE_STATES.SUPPRESSED || input.state === CENSUS_VALUE_STATES.NOT_APPLICABLE
+      );
+
+      if (unavailable) {
+        record[valueCode] = null;
+        record[getStatusCode(valueCode)] = unavailable.state;
+      } else {
+        record[valueCode] = variable.derive.compute(...inputs.map(input => input.value));
+      }
+
+      if (variable.moe && variable.derive.computeMoe && !isPastVintage) {
+        const inputMoes = variable.derive.from.map(code =>
+          normalizeCensusValue(row[headers.indexOf(getMoeCode(code))]).value
+        );
+        record[moeCode] = unavailable
+          ? null
+          : variable.derive.computeMoe(inputs.map(input => input.value), inputMoes);
+      }
+    } else {
+      setRecordValue(record, valueCode, row[headers.indexOf(variable.code)]);
+
+      if (variable.moe && !isPastVintage) {
+        record[moeCode] = normalizeCensusValue(row[headers.indexOf(moeCode)]).value;
+      }
+    }
+  });
+
+  return record;
+}
+
+/**
+ * Lists every dataset/vintage pair that serves at least one catalog variable,
+ * i.e. one Census API request per entry for each geography
+ * @returns {Array} [{ dataset, vintage }]
+ */
+export function listDatasetRequests() {
+  const requests = [];
+
+  Object.keys(CENSUS_DATASETS).forEach(dataset => {
+    CENSUS_DATASETS[dataset].vintages.forEach(vintage => {
+      if (getVariablesForDataset(dataset, vintage).length > 0) {
+        requests.push({ dataset, vintage });
+      }
+    });
+  });
+
+  return requests;
+}
+
+/**
+ * Builds the API URL for one dataset and geography from the variable catalog
+ * @param {string} dataset - Key into CENSUS_DATASETS
+ * @param {string} geography - Key into CENSUS_GEOGRAPHIES
+ * @param {string} apiKey - Census API key
+ * @param {number} vintage - Data year (defaults to the dataset's current vintage)
+ * @returns {string} Request URL
+ */
+export function buildDatasetUrl(dataset, geography, apiKey, vintage = CENSUS_DATASETS[dataset].vintage) {
+  const { path } = CENSUS_DATASETS[dataset];
+  const codes = getRequestCodes(dataset, vintage);
+  const { forClause } = CENSUS_GEOGRAPHIES[geography];
+  return `${CENSUS_API_BASE}/${vintage}/${path}?get=NAME,${codes.join(",")}&${forClause}&key=${apiKey}`;
+}
+
+/**
+ * Parses a Census API response into records keyed by geography ID
+ * @param {string} dataset - Key into CENSUS_DATASETS
+ * @param {string} geography - Key into CENSUS_GEOGRAPHIES
+ * @param {Array} data - Census API response (header row followed by data rows)
+ * @param {number} vintage - Data year (defaults to the dataset's current vintage)
+ * @returns {Object} Records keyed by GEOID or ZIP code
+ */
+export function parseDatasetResponse(dataset, geography, data, vintage = CENSUS_DATASETS[dataset].vintage) {
+  const records = {};
+  if (!data || data.length <= 1) return records;
+
+  const headers = data[0];
+  const { getId } = CENSUS_GEOGRAPHIES[geography];
+
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    if (row && row.length === headers.length) {
+      records[getId(row, headers)] = buildDatasetRecord(dataset, row, headers, vintage);
+    }
+  }
+
+  return records;
+}
+
+/**
+ * Merges per-dataset records into one record per geography ID and adds the
+ * change-over-time fields
+ * @param {Array<Object>} datasetRecords - Results of parseDatasetResponse
+ * @returns {Object} Merged records keyed by geography ID
+ */
+export function mergeDatasetRecords(datasetRecords) {
+  const mergedData = {};
+
+  const allIds = new Set(datasetRecords.flatMap(records => Object.keys(records)));
+
+  allIds.forEach(id => {
+    mergedData[id] = addChangeFields(Object.assign(
+      {},
+      ...datasetRecords.map(records => records[id] || {})
+    ));
+  });
+
+  return mergedData;
+}
+
+/**
+ * Adds change-since-baseline fields to a merged census record. The current
+ * value is compared with the baseline vintage; tracts whose GEOID changed
+ * between decennial geographies simply get no change value, and a suppressed
+ * value on either side makes the change suppressed too.
+ * @param {Object} record - Merged census record for one geography
+ * @returns {Object} The same record with change fields set
+ */
+export function addChangeFields(record) {
+  CENSUS_CHANGE_FIELDS.forEach(field => {
+    const baselineCode = getVintageCode(field.source.code, BASELINE_ACS_VINTAGE);
+    const current = parseCensusNumber(record[field.source.code]);
+    const baseline = parseCensusNumber(record[baselineCode]);
+
+    if (current === null || baseline === null || BASELINE_ACS_VINTAGE === CURRENT_ACS_VINTAGE) {
+      record[field.code] = null;
+
+      const sourceState = record[getStatusCode(field.source.code)] || record[getStatusCode(baselineCode)];
+      if (sourceState) {
+        record[getStatusCode(field.code)] = sourceState;
+      }
+      return;
+    }
+
+    const change = current - baseline;
+    record[field.code] = field.unit === "percent"
+      ? change.toFixed(1)
+      : String(Math.round(change));
+  });
+
+  return record;
+}
+
+/**
+ * Returns whether a change value represents an improvement for its field
+ * @param {Object} field - Change field from CENSUS_CHANGE_FIELDS
+ * @param {number} change - Change value
+ * @returns {boolean} True when the change moves in the better direction
+ */
+export function isChangeImprovement(field, change) {
+  return field.source.trend.higherIsBetter ? change > 0 : change < 0;
+}
+
+/**
+ * Formats a value according to the unit of its catalog entry
+ * @param {Object} variable - Catalog entry
+ * @param {*} value - Raw value
+ * @returns {string} Display value
+ */
+export function formatVariableValue(variable, value) {
+  const { state } = normalizeCensusValue(value);
+  if (state !== CENSUS_VALUE_STATES.AVAILABLE) {
+    return CENSUS_VALUE_STATE_LABELS[state];
+  }
+
+  // Signed fields (changes over time) show an explicit +/- prefix
+  if (variable.signed) {
+    const number = parseFloat(value);
+    const sign = number > 0 ? "+" : number < 0 ? "-" : "";
+    const magnitude = String(value).replace(/^[-+]/, "");
+
+    switch (variable.unit) {
+      case "percent":
+        return `${sign}${magnitude} pts`;
+      case "currency":
+        return `${sign}$${magnitude}`;
+      default:
+        return `${sign}${magnitude}`;
+    }
+  }
+
+  switch (variable.unit) {
+    case "percent":
+      return `${value}%`;
+    case "currency":
+      return `$${value}`;
+    case "score":
+      return `${value} / 100`;
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Formats a census field of a feature, showing why the value is unavailable
+ * (e.g. "Data suppressed") instead of an empty value
+ * @param {Object} variable - Catalog entry
+ * @param {Object} attrs - Feature attributes merged with census data
+ * @param {string} code - Field to format (defaults to the variable code)
+ * @returns {string} Display value
+ */
+export function formatCensusField(variable, attrs, code = variable.code) {
+  const state = getCensusValueState(code, attrs);
+  return state === CENSUS_VALUE_STATES.AVAILABLE
+    ? formatVariableValue(variable, attrs[code])
+    : CENSUS_VALUE_STATE_LABELS[state];
+}
+
+/**
+ * Builds a one-line summary of a trend variable across all vintages
+ * @param {Object} variable - Catalog entry with `trend`
+ * @param {Object} attrs - Feature attributes merged with census data
+ * @returns {string} e.g. "2018: $70000 → 2023: $85000 (+$15000)"
+ */
+export function formatTrendSummary(variable, attrs) {
+  const vintages = CENSUS_DATASETS[variable.dataset].vintages;
+
+  const values = vintages.map(vintage => {
+    const code = vintage === CURRENT_ACS_VINTAGE ? variable.code : getVintageCode(variable.code, vintage);
+    return `${vintage}: ${formatCensusField(variable, attrs, code)}`;
+  });
+
+  const changeField = getCensusVariable(getChangeCode(variable.code));
+  const changeText = getCensusValueState(changeField.code, attrs) === CENSUS_VALUE_STATES.AVAILABLE
+    ? ` (${formatVariableValue(changeField, attrs[changeField.code])})`
+    : "";
+
+  return `${values.join(" → ")}${changeText}`;
+}
+
+/**
+ * Formats an estimate with its margin of error as "value ± moe"
+ * @param {Object} variable - Catalog entry
+ * @param {Object} attrs - Feature attributes merged with census data
+ * @returns {string} Display value, suffixed with "(unreliable)" when the CV is too high
+ */
+export function formatVariableWithMoe(variable, attrs) {
+  const value = formatCensusField(variable, attrs);
+  const { moe, unreliable } = getEstimateReliability(variable, attrs);
+
+  if (getCensusValueState(variable.code, attrs) !== CENSUS_VALUE_STATES.AVAILABLE || moe === null) {
+    return value;
+  }
+
+  const moeText = `${value} ± ${formatVariableValue(variable, moe)}`;
+  return unreliable ? `${moeText} (unreliable)` : moeText;
+}
+
+/**
+ * Builds the popup HTML rows for every catalog indicator
+ * @param {Object} attrs - Feature attributes merged with census data
+ * @returns {string} HTML fragment with one line per indicator
+ */
+export function buildCensusPopupRows(attrs) {
+  const needScoreRow = getCensusValueState(NEED_SCORE_FIELD.code, attrs) === CENSUS_VALUE_STATES.AVAILABLE
+    ? `<b>${NEED_SCORE_FIELD.label}:</b> ${formatCensusField(NEED_SCORE_FIELD, attrs)}<br>\n        `
+    : "";
+
+  return needScoreRow + CENSUS_VARIABLES.map(variable => {
+    const state = getCensusValueState(variable.code, attrs);
+    const { moe, cv, unreliable } = getEstimateReliability(variable, attrs);
+
+    // Suppressed and not-applicable values get a muted label instead of a number
+    const value = state === CENSUS_VALUE_STATES.SUPPRESSED || state === CENSUS_VALUE_STATES.NOT_APPLICABLE
+      ? `<span style="color: #888; font-style: italic;">${CENSUS_VALUE_STATE_LABELS[state]}</span>`
+      : formatCensusField(variable, attrs);
+
+    const moeHtml = state === CENSUS_VALUE_STATES.AVAILABLE && moe !== null
+      ? ` <span style="color: #666;">± ${formatVariableValue(variable, moe)}</span>`
+      : "";
+    const reliabilityHtml = unreliable
+      ? ` <span title="Coefficient of variation ${cv.toFixed(0)}%" style="background-color: rgba(255, 193, 7, 0.3); color: #8a6d00; font-size: 11px; padding: 1px 4px; border-radius: 4px;">Unreliable</span>`
+      : "";
+
+    const trendHtml = variable.trend
+      ? `<span style="color: #666; font-size: 11px;">${formatTrendSummary(variable, attrs)}</span><br>`
+      : "";
+
+    return `<b>${variable.label}:</b> ${value}${moeHtml}${reliabilityHtml}<br>${trendHtml}`;
+  }).join("\n        ");
+}
@@ -0,0 +1,77 @@
+import {
+  getMoeCode,
+  getRequestCodes,
+  buildDatasetRecord,
+  combineSumMoes,
+  calculateProportionMoe,
+  calculateCoefficientOfVariation,
+  getEstimateReliability,
+  getCensusVariable,
+  addChangeFields,
+  getStatusCode,
+  formatCensusField
+} from './censusVariables';
+
+test('maps estimate codes to margin-of-error codes', () => {
+  expect(getMoeCode('DP02_0001E')).toBe('DP02_0001M');
+  expect(getMoeCode('DP03_0004PE')).toBe('DP03_0004PM');
+});
+
+test('requests margins of error for ACS variables and derived inputs', () => {
+  const codes = getRequestCodes('acs5/subject');
+  expect(codes).toEqual(expect.arrayContaining([
+    'S1901_C01_012E', 'S1901_C01_012M', 'S1701_C01_042E', 'S1701_C01_042M'
+  ]));
+  expect(codes).not.toContain('POV200_PE');
+  expect(getRequestCodes('dec/pl')).toEqual(['P1_001N']);
+});
+
+test('builds derived fields and their margins of error', () => {
+  const headers = ['S1701_C01_042E', 'S1701_C01_042M', 'S1701_C01_001E', 'S1701_C01_001M'];
+  const record = buildDatasetRecord('acs5/subject', ['400', '60', '1000', '80'], headers);
+  expect(record.POV200_PE).toBe('40.0');
+  expect(record.POV200_PM).toBe(calculateProportionMoe(400, 1000, 60, 80));
+});
+
+test('combines summed margins of error as root-sum-of-squares', () => {
+  expect(combineSumMoes([30, 40])).toBe(50);
+  expect(combineSumMoes([null, -555555555])).toBeNull();
+});
+
+test('flags estimates whose coefficient of variation exceeds the threshold', () => {
+  const income = getCensusVariable('S1901_C01_012E');
+  expect(calculateCoefficientOfVariation(1000, 1645)).toBeCloseTo(100);
+  expect(getEstimateReliability(income, { S1901_C01_012E: '80000', S1901_C01_012M: '5000' }).unreliable).toBe(false);
+  expect(getEstimateReliability(income, { S1901_C01_012E: '20000', S1901_C01_012M: '15000' }).unreliable).toBe(true);
+});
+
+test('computes change since the baseline vintage for trend variables', () => {
+  const record = addChangeFields({
+    S1901_C01_012E: '85000',
+    S1901_C01_012E_2018: '70000',
+    S1701_C03_001E: '9.5',
+    S1701_C03_001E_2018: '12.0'
+  });
+  expect(record.S1901_C01_012E_CHG).toBe('15000');
+  expect(record.S1701_C03_001E_CHG).toBe('-2.5');
+  expect(record.DP03_0004PE_CHG).toBeNull();
+  expect(getRequestCodes('acs5/subject', 2018)).toEqual(['S1901_C01_012E', 'S1701_C03_001E']);
+});
+
+test('replaces sentinel values with typed suppressed and not-applicable states', () => {
+  const headers = ['S1901_C01_012E', 'S1901_C01_012M', 'S1701_C01_042E', 'S1701_C01_042M',
+    'S1701_C01_001E', 'S1701_C01_001M', 'S1701_C03_001E', 'S1701_C03_001M'];
+  const row = ['-666666666', '-222222222', '-999999999', '-222222222', '1000', '80', '-888888888', '-555555555'];
+  const record = buildDatasetRecord('acs5/subject', row, headers);
+
+  expect(record.S1901_C01_012E).toBeNull();
+  expect(record.S1901_C01_012M).toBeNull();
+  expect(record[getStatusCode('S1901_C01_012E')]).toBe('suppressed');
+  expect(record[getStatusCode('POV200_PE')]).toBe('suppressed');
+  expect(record[getStatusCode('S1701_C03_001E')]).toBe('not_applicable');
+
+  const income = getCensusVariable('S1901_C01_012E');
+  expect(formatCensusField(income, record)).toBe('Data suppressed');
+  expect(formatCensusField(income, { S1901_C01_012E: '-666666666' })).toBe('Data suppressed');
+  expect(formatCensusField(income, {})).toBe('N/A');
+});
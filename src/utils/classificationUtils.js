@@ -0,0 +1,178 @@
+// src/utils/classificationUtils.js
+
+/**
+ * Data classification for choropleth maps: splits a set of values into
+ * classes, returned as ascending [min, max] ranges.
+ */
+
+export const CLASSIFICATION_METHODS = {
+  quantile: { label: "Quantile" },
+  equalInterval: { label: "Equal interval" },
+  naturalBreaks: { label: "Natural breaks (Jenks)" },
+  standardDeviation: { label: "Standard deviation" },
+};
+
+export const DEFAULT_CLASSIFICATION_METHOD = "quantile";
+
+// Number of classes the choropleth offers
+export const CLASS_COUNT_OPTIONS = [3, 4, 5, 6, 7];
+export const DEFAULT_CLASS_COUNT = 5;
+
+/**
+ * Turns ascending upper bounds into [min, max] ranges
+ * @param {Array} sorted - Values in ascending order
+ * @param {Array} upperBounds - Upper bound of each class, the last being the maximum
+ * @returns {Array} [{ min, max }]
+ */
+function toRanges(sorted, upperBounds) {
+  let min = sorted[0];
+  return upperBounds.map(max => {
+    const range = { min, max };
+    min = max;
+    return range;
+  });
+}
+
+/**
+ * Classes holding about the same number of values each
+ * @param {Array} sorted - Values in ascending order
+ * @param {number} classCount - Number of classes
+ * @returns {Array} Upper bounds
+ */
+function getQuantileBounds(sorted, classCount) {
+  const bounds = [];
+  for (let i = 1; i <= classCount; i++) {
+    bounds.push(sorted[Math.min(sorted.length - 1, Math.ceil((i * sorted.length) / classCount) - 1)]);
+  }
+  return bounds;
+}
+
+/**
+ * Classes of equal width between the minimum and maximum
+ * @param {Array} sorted - Values in ascending order
+ * @param {number} classCount - Number of classes
+ * @returns {Array} Upper bounds
+ */
+function getEqualIntervalBounds(sorted, classCount) {
+  const min = sorted[0];
+  const width = (sorted[sorted.length - 1] - min) / classCount;
+  const bounds = [];
+  for (let i = 1; i < classCount; i++) {
+    bounds.push(min + width * i);
+  }
+  bounds.push(sorted[sorted.length - 1]);
+  return bounds;
+}
+
+/**
+ * Jenks natural breaks: classes that minimize the variance within each class
+ * @param {Array} sorted - Values in ascending order
+ * @param {number} classCount - Number of classes
+ * @returns {Array} Upper bounds
+ */
+function getNaturalBreakBounds(sorted, classCount) {
+  const n = sorted.length;
+  // lowerClassLimits[i][j]: first value of the last class when the first i values form j classes
+  const lowerClassLimits = Array.from({ length: n + 1 }, () => new Array(classCount + 1).fill(0));
+  const variances = Array.from({ length: n + 1 }, () => new Array(classCount + 1).fill(Infinity));
+
+  for (let j = 1; j <= classCount; j++) {
+    lowerClassLimits[1][j] = 1;
+    variances[1][j] = 0;
+  }
+
+  for (let i = 2; i <= n; i++) {
+    let sum = 0;
+    let sumSquares = 0;
+    let variance = 0;
+
+    for (let m = 1; m <= i; m++) {
+      const lowerLimit = i - m + 1;
+      const value = sorted[lowerLimit - 1];
+      sum += value;
+      sumSquares += value * value;
+      variance = sumSquares - (sum * sum) / m;
+
+      if (lowerLimit > 1) {
+        for (let j = 2; j <= classCount; j++) {
+          if (variances[i][j] >= variance + variances[lowerLimit - 1][j - 1]) {
+            lowerClassLimits[i][j] = lowerLimit;
+            variances[i][j] = variance + variances[lowerLimit - 1][j - 1];
+          }
+        }
+      }
+    }
+
+    lowerClassLimits[i][1] = 1;
+    variances[i][1] = variance;
+  }
+
+  const bounds = [sorted[n - 1]];
+  let k = n;
+  for (let j = classCount; j > 1; j--) {
+    k = lowerClassLimits[k][j] - 1;
+    bounds.unshift(sorted[k - 1]);
+  }
+  return bounds;
+}
+
+/**
+ * Classes one standard deviation wide, the middle one centered on the mean;
+ * the outer classes run to the minimum and maximum
+ * @param {Array} sorted - Values in ascending order
+ * @param {number} classCount - Number of classes
+ * @returns {Array} Upper bounds
+ */
+function getStandardDeviationBounds(sorted, classCount) {
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+  const sd = Math.sqrt(sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / sorted.length);
+  const lowest = mean - (classCount / 2) * sd;
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+
+  // Bounds beyond the data are dropped, leaving fewer classes for skewed data
+  const bounds = [];
+  for (let i = 1; i < classCount; i++) {
+    const bound = lowest + i * sd;
+    if (bound > min && bound < max) bounds.push(bound);
+  }
+  bounds.push(max);
+  return bounds;
+}
+
+const CLASSIFIERS = {
+  quantile: getQuantileBounds,
+  equalInterval: getEqualIntervalBounds,
+  naturalBreaks: getNaturalBreakBounds,
+  standardDeviation: getStandardDeviationBounds,
+};
+
+/**
+ * Splits values into classes. Fewer classes are returned when there are
+ * fewer distinct values, or when bounds of a method coincide.
+ * @param {Array} values - Numbers to classify
+ * @param {string} method - Key of CLASSIFICATION_METHODS
+ * @param {number} classCount - Number of classes wanted
+ * @returns {Array} Ascending [{ min, max }]; a value belongs to the first class whose max it doesn't exceed
+ */
+export function classifyValues(values, method = DEFAULT_CLASSIFICATION_METHOD, classCount = DEFAULT_CLASS_COUNT) {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (sorted.length === 0) return [];
+
+  const count = Math.min(classCount, new Set(sorted).size);
+  const classifier = CLASSIFIERS[method] || CLASSIFIERS[DEFAULT_CLASSIFICATION_METHOD];
+  const bounds = classifier(sorted, count).filter((bound, index, all) => index === 0 || bound > all[index - 1]);
+
+  return toRanges(sorted, bounds);
+}
+
+/**
+ * Returns the index of the class a value falls in
+ * @param {Array} classes - Result of classifyValues
+ * @param {number} value - Value
+ * @returns {number} Class index
+ */
+export function getClassIndex(classes, value) {
+  const index = classes.findIndex(({ max }) => value <= max);
+  return index === -1 ? classes.length - 1 : index;
+}
@@ -0,0 +1,27 @@
+import { classifyValues, getClassIndex } from './classificationUtils';
+
+const clustered = [4, 102, 1, 5, 2, 100, 6, 3, 101];
+
+test('finds natural breaks between clusters', () => {
+  expect(classifyValues(clustered, 'naturalBreaks', 2)).toEqual([{ min: 1, max: 6 }, { min: 6, max: 102 }]);
+  expect(classifyValues([1, 2, 3, 10, 11, 12, 30, 31, 32], 'naturalBreaks', 3).map(({ max }) => max)).toEqual([3, 12, 32]);
+});
+
+test('puts about the same number of values in each quantile', () => {
+  expect(classifyValues(clustered, 'quantile', 2)).toEqual([{ min: 1, max: 5 }, { min: 5, max: 102 }]);
+  expect(classifyValues(clustered, 'quantile', 3).map(({ max }) => max)).toEqual([3, 6, 102]);
+});
+
+test('splits the range evenly for equal intervals', () => {
+  expect(classifyValues(clustered, 'equalInterval', 2)).toEqual([{ min: 1, max: 51.5 }, { min: 51.5, max: 102 }]);
+});
+
+test('returns fewer classes for fewer distinct values and ignores non-numbers', () => {
+  expect(classifyValues([5, 5, 5, 7, NaN, null], 'quantile', 5)).toEqual([{ min: 5, max: 5 }, { min: 5, max: 7 }]);
+  expect(classifyValues([], 'quantile', 5)).toEqual([]);
+});
+
+test('places values in the first class whose max they do not exceed', () => {
+  const classes = [{ min: 1, max: 3 }, { min: 3, max: 12 }, { min: 12, max: 32 }];
+  expect([0, 3, 4, 12, 32, 100].map(value => getClassIndex(classes, value))).toEqual([0, 0, 1, 1, 2, 2]);
+});
@@ -0,0 +1,207 @@
+// src/utils/countyUtils.js
+
+import axios from "axios";
+import { normalizeZipCode } from "./censusDataUtils";
+import {
+  BAY_AREA_COUNTY_FIPS,
+  getTractCounty,
+  getDistanceMiles,
+  getPolygonCentroid,
+  isPointInGeometry,
+  getBoundingBox
+} from "./geoutils";
+
+/**
+ * County filter and county lookups. Tracts belong to the county in their
+ * GEOID; ZIP codes can cross county lines, so each ZIP lists every county it
+ * reaches, the one holding most of it first. Tracts also take the city of
+ * the ZIP code their center falls in, for coverage by city.
+ */
+
+// Feature properties that can hold a ZIP code, in order of preference
+export const ZIP_ID_FIELDS = ["ZIP_CODE", "ZIP", "ZIPCODE", "ZCTA"];
+
+// ZIP code property naming the post office city
+export const ZIP_CITY_FIELD = "PO_NAME";
+
+// A ZIP code containing no tract center takes the county of the nearest one within this distance
+const NEAREST_TRACT_MILES = 2;
+
+// Rollup group for features whose county isn't known
+export const UNKNOWN_COUNTY = "Unknown county";
+
+let zipGeometryPromise = null;
+
+/**
+ * Loads the ZIP code boundaries, once per session
+ * @param {string} url - ZIP code GeoJSON, e.g. MAP_LAYERS.zipCodes.url
+ * @returns {Promise<Object>} ZIP code FeatureCollection
+ */
+export function loadZipGeometry(url) {
+  if (!zipGeometryPromise) {
+    zipGeometryPromise = axios
+      .get(url)
+      .then(response => response.data)
+      .catch(error => {
+        zipGeometryPromise = null;
+        throw error;
+      });
+  }
+  return zipGeometryPromise;
+}
+
+/**
+ * Picks the ZIP code field among a layer's fields
+ * @param {Array} fieldNames - Field names of the layer
+ * @returns {string} Field name, "ZIP_CODE" if none match
+ */
+export function getZipIdField(fieldNames) {
+  return ZIP_ID_FIELDS.find(field => fieldNames.includes(field)) || "ZIP_CODE";
+}
+
+/**
+ * Builds the center point of every ZIP code, for placing partners known
+ * only by their ZIP code
+ * @param {Object} zipGeoJSON - ZIP code FeatureCollection (from loadZipGeometry)
+ * @returns {Object} { latitude, longitude } keyed by ZIP code
+ */
+export function buildZipCentroids(zipGeoJSON) {
+  const centroids = {};
+  (zipGeoJSON.features || []).forEach(feature => {
+    const properties = feature.properties || {};
+    const zip = normalizeZipCode(properties[ZIP_ID_FIELDS.find(field => properties[field] != null)]);
+    if (!zip || !feature.geometry) return;
+    const centroid = getPolygonCentroid(feature.geometry);
+    if (centroid) {
+      centroids[zip] = centroid;
+    }
+  });
+  return centroids;
+}
+
+/**
+ * Works out the counties each ZIP code reaches. With the tract-to-ZIP
+ * crosswalk, counties are weighted by the crosswalk ratios; otherwise by the
+ * tract centers inside the ZIP code.
+ * @param {Object} zipGeoJSON - ZIP code FeatureCollection (from loadZipGeometry)
+ * @param {Object} tractCentroids - Tract centers (from buildTractCentroids)
+ * @param {Object} crosswalk - Tract-to-ZIP crosswalk, or null
+ * @returns {Object} County names keyed by ZIP code, the county with most of the ZIP first
+ */
+export function buildZipCounties(zipGeoJSON, tractCentroids, crosswalk) {
+  const centroids = Object.entries(tractCentroids || {});
+  const zipCounties = {};
+
+  (zipGeoJSON.features || []).forEach(feature => {
+    const properties = feature.properties || {};
+    const zip = normalizeZipCode(properties[ZIP_ID_FIELDS.find(field => properties[field] != null)]);
+    if (!zip || !feature.geometry) return;
+
+    const weights = {};
+    const addWeight = (tractId, weight) => {
+      const county = getTractCounty(tractId);
+      if (county) {
+        weights[county] = (weights[county] || 0) + weight;
+      }
+    };
+
+    if (crosswalk?.[zip]) {
+      crosswalk[zip].forEach(({ tract, ratio }) => addWeight(tract, ratio));
+    } else {
+      const box = getBoundingBox(feature.geometry);
+      centroids.forEach(([tractId, { latitude, longitude }]) => {
+        if (longitude < box.xmin || longitude > box.xmax || latitude < box.ymin || latitude > box.ymax) return;
+        if (isPointInGeometry([longitude, latitude], feature.geometry)) {
+          addWeight(tractId, 1);
+        }
+      });
+
+      // Small ZIP codes may not contain a tract center
+      if (Object.keys(weights).length === 0) {
+        const center = { latitude: (box.ymin + box.ymax) / 2, longitude: (box.xmin + box.xmax) / 2 };
+        let nearest = null;
+        centroids.forEach(([tractId, centroid]) => {
+          const distance = getDistanceMiles(center, centroid);
+          if (distance <= NEAREST_TRACT_MILES && (!nearest || distance < nearest.distance)) {
+            nearest = { tractId, distance };
+          }
+        });
+        if (nearest) addWeight(nearest.tractId, 1);
+      }
+    }
+
+    const counties = Object.keys(weights).sort((a, b) => weights[b] - weights[a]);
+    if (counties.length > 0) {
+      zipCounties[zip] = counties;
+    }
+  });
+
+  return zipCounties;
+}
+
+/**
+ * Works out the city of each tract from the ZIP code its center falls in.
+ * The ZIP code boundaries carry the post office name, the closest thing to
+ * a city the data has.
+ * @param {Object} zipGeoJSON - ZIP code FeatureCollection (from loadZipGeometry)
+ * @param {Object} tractCentroids - Tract centers (from buildTractCentroids)
+ * @returns {Object} City names keyed by tract GEOID; tracts outside every ZIP code are left out
+ */
+export function buildTractCities(zipGeoJSON, tractCentroids) {
+  const zipAreas = (zipGeoJSON.features || [])
+    .filter(feature => feature.geometry && feature.properties?.[ZIP_CITY_FIELD])
+    .map(feature => ({
+      city: feature.properties[ZIP_CITY_FIELD].trim(),
+      geometry: feature.geometry,
+      box: getBoundingBox(feature.geometry),
+    }));
+
+  const tractCities = {};
+  Object.entries(tractCentroids || {}).forEach(([tractId, { latitude, longitude }]) => {
+    const area = zipAreas.find(({ geometry, box }) =>
+      longitude >= box.xmin && longitude <= box.xmax && latitude >= box.ymin && latitude <= box.ymax &&
+      isPointInGeometry([longitude, latitude], geometry)
+    );
+    if (area) {
+      tractCities[tractId] = area.city;
+    }
+  });
+
+  return tractCities;
+}
+
+/**
+ * Builds the definition expression limiting a layer to a county
+ * @param {string} county - County name, or "" for every county
+ * @param {string} geography - "censusTracts" or "zipCodes"
+ * @param {string} idField - Tract GEOID or ZIP code field of the layer
+ * @param {Object} zipCounties - Result of buildZipCounties, or null until built
+ * @returns {string|null} SQL where clause, or null when nothing is filtered
+ */
+export function getCountyWhere(county, geography, idField, zipCounties) {
+  if (!county || !BAY_AREA_COUNTY_FIPS[county]) return null;
+
+  if (geography === "censusTracts") {
+    return `${idField} LIKE '${BAY_AREA_COUNTY_FIPS[county]}%'`;
+  }
+
+  // ZIP codes can't be filtered until their counties are known
+  if (!zipCounties) return null;
+  const zips = Object.keys(zipCounties).filter(zip => zipCounties[zip].includes(county));
+  return zips.length > 0 ? `${idField} IN (${zips.map(zip => `'${zip}'`).join(",")})` : "1=0";
+}
+
+/**
+ * Finds the county of a tract or ZIP code feature
+ * @param {Object} attributes - Feature attributes
+ * @param {Object} zipCounties - Result of buildZipCounties, or null
+ * @returns {string|null} County name, the main one for ZIP codes
+ */
+export function getFeatureCounty(attributes, zipCounties) {
+  if (attributes.GEOID && getTractCounty(attributes.GEOID)) {
+    return getTractCounty(attributes.GEOID);
+  }
+  const field = ZIP_ID_FIELDS.find(name => attributes[name] != null);
+  const zip = field ? normalizeZipCode(attributes[field]) : null;
+  return zip ? zipCounties?.[zip]?.[0] || null : null;
+}
@@ -0,0 +1,79 @@
+import {
+  buildZipCentroids,
+  buildZipCounties,
+  buildTractCities,
+  getCountyWhere,
+  getFeatureCounty
+} from './countyUtils';
+
+jest.mock('axios', () => ({ get: jest.fn() }));
+
+// Two square ZIP codes side by side, the second with a hole
+const zipGeoJSON = {
+  features: [
+    {
+      properties: { ZIP_CODE: '94601', PO_NAME: 'Oakland ' },
+      geometry: { type: 'Polygon', coordinates: [[[-122, 37], [-121, 37], [-121, 38], [-122, 38], [-122, 37]]] },
+    },
+    {
+      properties: { ZIP_CODE: '94702', PO_NAME: 'Berkeley' },
+      geometry: {
+        type: 'Polygon',
+        coordinates: [
+          [[-121, 37], [-120, 37], [-120, 38], [-121, 38], [-121, 37]],
+          [[-120.6, 37.4], [-120.4, 37.4], [-120.4, 37.6], [-120.6, 37.6], [-120.6, 37.4]],
+        ],
+      },
+    },
+  ],
+};
+
+test('gives each tract the city of the ZIP code its center falls in', () => {
+  const tractCities = buildTractCities(zipGeoJSON, {
+    '06001400100': { latitude: 37.5, longitude: -121.5 },
+    '06001400200': { latitude: 37.2, longitude: -120.2 },
+    '06001400300': { latitude: 37.5, longitude: -120.5 },
+    '06001400400': { latitude: 39, longitude: -121.5 },
+  });
+  expect(tractCities).toEqual({ '06001400100': 'Oakland', '06001400200': 'Berkeley' });
+});
+
+test('centers each ZIP code on its boundary', () => {
+  const centroids = buildZipCentroids(zipGeoJSON);
+  expect(Object.keys(centroids)).toEqual(['94601', '94702']);
+  expect(centroids['94601'].latitude).toBeCloseTo(37.5);
+  expect(centroids['94601'].longitude).toBeCloseTo(-121.5);
+});
+
+test('lists the counties of each ZIP code by their tract centers, most first', () => {
+  const zipCounties = buildZipCounties(zipGeoJSON, {
+    '06001400100': { latitude: 37.2, longitude: -121.8 },
+    '06001400200': { latitude: 37.8, longitude: -121.2 },
+    '06013300100': { latitude: 37.5, longitude: -121.5 },
+    // In the hole of 94702, so only the nearest-tract fallback reaches it
+    '06097150100': { latitude: 37.5, longitude: -120.5 },
+  }, null);
+  expect(zipCounties).toEqual({ '94601': ['Alameda', 'Contra Costa'], '94702': ['Sonoma'] });
+});
+
+test('weights ZIP counties by crosswalk ratios when there is a crosswalk', () => {
+  const crosswalk = { '94601': [{ tract: '06075010100', ratio: 0.3 }, { tract: '06081600100', ratio: 0.7 }] };
+  expect(buildZipCounties(zipGeoJSON, {}, crosswalk)).toEqual({ '94601': ['San Mateo', 'San Francisco'] });
+});
+
+test('limits tracts by GEOID prefix and ZIP codes by the counties they reach', () => {
+  const zipCounties = { '94601': ['Alameda', 'Contra Costa'], '94702': ['Alameda'], '94901': ['Marin'] };
+  expect(getCountyWhere('Alameda', 'censusTracts', 'GEOID', zipCounties)).toBe("GEOID LIKE '06001%'");
+  expect(getCountyWhere('Contra Costa', 'zipCodes', 'ZIP_CODE', zipCounties)).toBe("ZIP_CODE IN ('94601')");
+  expect(getCountyWhere('Alameda', 'zipCodes', 'ZIP', zipCounties)).toBe("ZIP IN ('94601','94702')");
+  expect(getCountyWhere('Napa', 'zipCodes', 'ZIP_CODE', zipCounties)).toBe('1=0');
+  expect(getCountyWhere('Alameda', 'zipCodes', 'ZIP_CODE', null)).toBeNull();
+  expect(getCountyWhere('', 'censusTracts', 'GEOID', zipCounties)).toBeNull();
+});
+
+test('finds the county of a tract, or the main county of a ZIP code', () => {
+  const zipCounties = { '94601': ['Contra Costa', 'Alameda'] };
+  expect(getFeatureCounty({ GEOID: '06013300100' }, zipCounties)).toBe('Contra Costa');
+  expect(getFeatureCounty({ ZIP_CODE: 94601 }, zipCounties)).toBe('Contra Costa');
+  expect(getFeatureCounty({ ZIP_CODE: '99999' }, zipCounties)).toBeNull();
+});
@@ -0,0 +1,235 @@
+// src/utils/coverageUtils.js
+
+import Papa from "papaparse";
+import { NEED_SCORE_FIELD, parseCensusNumber } from "./censusVariables";
+import { normalizeTractGeoid } from "./censusDataUtils";
+import { CROSSWALK_WEIGHTS } from "./crosswalkUtils";
+import { BAY_AREA_COUNTY_FIPS, getTractCounty } from "./geoutils";
+import { applyNeedScores } from "./needIndexUtils";
+import { isAdoptedState } from "./adoptionStates";
+import { PARTNER_TYPES, getTractPartners } from "./partnerUtils";
+
+/**
+ * Adoption coverage per Bay Area county and per city, for the coverage dashboard
+ */
+
+// Tracts scoring at least this on the need score (0-100) count as high need
+export const HIGH_NEED_SCORE = parseFloat(process.env.REACT_APP_HIGH_NEED_SCORE) || 75;
+
+// Partners listed per county or city
+export const TOP_PARTNER_COUNT = 3;
+
+// City group for tracts whose center isn't inside any ZIP code
+export const UNKNOWN_CITY = "Unknown city";
+
+/**
+ * Creates an empty coverage summary
+ * @param {Object} fields - Fields naming the area, e.g. { county, fips }
+ * @returns {Object} Summary with zero counts
+ */
+function createCoverageSummary(fields) {
+  return {
+    ...fields,
+    totalTracts: 0,
+    adoptedTracts: 0,
+    population: 0,
+    adoptedPopulation: 0,
+    households: 0,
+    adoptedHouseholds: 0,
+    highNeedTracts: 0,
+    unadoptedHighNeedTracts: 0,
+    partnerTracts: {},
+    topPartners: [],
+  };
+}
+
+/**
+ * Creates an empty county summary
+ * @param {string} county - County name
+ * @returns {Object} Summary with zero counts
+ */
+function createCountySummary(county) {
+  return createCoverageSummary({ county, fips: BAY_AREA_COUNTY_FIPS[county] });
+}
+
+/**
+ * Creates an empty city summary; its county is the one holding most of its tracts
+ * @param {string} city - City name
+ * @returns {Object} Summary with zero counts
+ */
+function createCitySummary(city) {
+  return createCoverageSummary({ city, county: null, countyTracts: {} });
+}
+
+/**
+ * Adds a tract to a coverage summary
+ * @param {Object} summary - County or city summary
+ * @param {Object} tract - { population, households, needScore, adopted, partners }
+ */
+function addTractToSummary(summary, { population, households, needScore, adopted, partners }) {
+  summary.totalTracts++;
+  summary.population += population;
+  summary.households += households;
+
+  if (needScore !== null && needScore >= HIGH_NEED_SCORE) {
+    summary.highNeedTracts++;
+    if (!adopted) summary.unadoptedHighNeedTracts++;
+  }
+
+  if (!adopted) return;
+  summary.adoptedTracts++;
+  summary.adoptedPopulation += population;
+  summary.adoptedHouseholds += households;
+
+  partners.forEach(partner => {
+    summary.partnerTracts[partner.id] = (summary.partnerTracts[partner.id] || 0) + 1;
+  });
+}
+
+/**
+ * Lists the partners with the most adopted tracts in a summary
+ * @param {Object} partnerTracts - Adopted tract counts keyed by partner ID
+ * @param {Object} partnerModel - Partners and their tract links
+ * @returns {Array} Up to TOP_PARTNER_COUNT partners, each with its tract count
+ */
+function getTopPartners(partnerTracts, partnerModel) {
+  return Object.entries(partnerTracts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, TOP_PARTNER_COUNT)
+    .map(([partnerId, tracts]) => ({ ...partnerModel.partners[partnerId], tracts }));
+}
+
+/**
+ * Summarizes adoption coverage per county and per city: adopted tracts,
+ * residents and households living in them, high-need tracts still unadopted
+ * and the partners with the most adopted tracts. Need scores are computed
+ * across all Bay Area tracts with the given weights.
+ * @param {Object} options - { adoptionStatusMap, censusTractData, partnerModel, needWeights, tractCities },
+ *   tractCities from buildTractCities or null until the ZIP code boundaries are loaded
+ * @returns {Object} { counties, cities, totals } with one summary per county, one per city
+ *   (null without tractCities) and one for the Bay Area
+ */
+export function summarizeCoverage({ adoptionStatusMap, censusTractData, partnerModel, needWeights, tractCities }) {
+  // Score a copy so the app's census records are left alone
+  const tractData = new Map();
+  Object.entries(censusTractData || {}).forEach(([geoid, values]) => {
+    if (getTractCounty(normalizeTractGeoid(geoid))) {
+      tractData.set(normalizeTractGeoid(geoid), values);
+    }
+  });
+  applyNeedScores(tractData, needWeights);
+
+  // Tracts in the Sheet without census data still count towards the totals
+  const tractIds = new Set(tractData.keys());
+  Object.keys(adoptionStatusMap).forEach(tractId => {
+    if (tractId !== "__meta" && getTractCounty(tractId)) {
+      tractIds.add(tractId);
+    }
+  });
+
+  const counties = {};
+  Object.keys(BAY_AREA_COUNTY_FIPS).forEach(county => {
+    counties[county] = createCountySummary(county);
+  });
+
+  const cities = {};
+
+  tractIds.forEach(tractId => {
+    const county = getTractCounty(tractId);
+    const values = tractData.get(tractId) || {};
+    const adopted = isAdoptedState(adoptionStatusMap[tractId]?.status);
+    const tract = {
+      population: parseCensusNumber(values[CROSSWALK_WEIGHTS.population.code]) || 0,
+      households: parseCensusNumber(values[CROSSWALK_WEIGHTS.households.code]) || 0,
+      needScore: parseCensusNumber(values[NEED_SCORE_FIELD.code]),
+      adopted,
+      partners: adopted ? getTractPartners(partnerModel, tractId) : [],
+    };
+
+    addTractToSummary(counties[county], tract);
+
+    if (tractCities) {
+      const city = tractCities[tractId] || UNKNOWN_CITY;
+      if (!cities[city]) {
+        cities[city] = createCitySummary(city);
+      }
+      cities[city].countyTracts[county] = (cities[city].countyTracts[county] || 0) + 1;
+      addTractToSummary(cities[city], tract);
+    }
+  });
+
+  const totals = createCountySummary("Bay Area");
+
+  Object.values(counties).forEach(summary => {
+    summary.topPartners = getTopPartners(summary.partnerTracts, partnerModel);
+
+    Object.keys(totals).forEach(key => {
+      if (typeof totals[key] === "number") {
+        totals[key] += summary[key];
+      }
+    });
+    Object.entries(summary.partnerTracts).forEach(([partnerId, tracts]) => {
+      totals.partnerTracts[partnerId] = (totals.partnerTracts[partnerId] || 0) + tracts;
+    });
+  });
+
+  totals.topPartners = getTopPartners(totals.partnerTracts, partnerModel);
+
+  Object.values(cities).forEach(summary => {
+    summary.county = Object.keys(summary.countyTracts)
+      .sort((a, b) => summary.countyTracts[b] - summary.countyTracts[a])[0];
+    summary.topPartners = getTopPartners(summary.partnerTracts, partnerModel);
+  });
+
+  console.log(`Coverage: ${totals.adoptedTracts} of ${totals.totalTracts} Bay Area tracts adopted`);
+
+  return {
+    counties: Object.values(counties),
+    // Alphabetical, with tracts outside every ZIP code last
+    cities: tractCities
+      ? Object.values(cities).sort((a, b) =>
+        (a.city === UNKNOWN_CITY) - (b.city === UNKNOWN_CITY) || a.city.localeCompare(b.city)
+      )
+      : null,
+    totals,
+  };
+}
+
+/**
+ * Returns a share as a percentage
+ * @param {number} part - Part
+ * @param {number} whole - Whole
+ * @returns {number} Percentage, 0 when the whole is 0
+ */
+export function getCoverageShare(part, whole) {
+  return whole > 0 ? (part / whole) * 100 : 0;
+}
+
+/**
+ * Builds a CSV of the coverage summary, one row per county or city plus the Bay Area total
+ * @param {Object} coverage - Result of summarizeCoverage
+ * @param {string} groupBy - "counties" or "cities"
+ * @returns {string} CSV text
+ */
+export function createCoverageCsv(coverage, groupBy = "counties") {
+  const byCity = groupBy === "cities" && coverage.cities;
+  const rows = [...(byCity ? coverage.cities : coverage.counties), coverage.totals].map(summary => ({
+    ...(byCity ? { "City": summary.city || "" } : {}),
+    "County": summary.county,
+    "County FIPS": summary.fips || BAY_AREA_COUNTY_FIPS[summary.county] || "",
+    "Adopted Tracts": summary.adoptedTracts,
+    "Total Tracts": summary.totalTracts,
+    "Adopted Tracts (%)": getCoverageShare(summary.adoptedTracts, summary.totalTracts).toFixed(1),
+    "Population Covered": Math.round(summary.adoptedPopulation),
+    "Population (%)": getCoverageShare(summary.adoptedPopulation, summary.population).toFixed(1),
+    "Households Covered": Math.round(summary.adoptedHouseholds),
+    "Households (%)": getCoverageShare(summary.adoptedHouseholds, summary.households).toFixed(1),
+    [`High-Need Tracts (score >= ${HIGH_NEED_SCORE})`]: summary.highNeedTracts,
+    "High-Need Tracts Unadopted": summary.unadoptedHighNeedTracts,
+    "Top Partners": summary.topPartners
+      .map(partner => `${partner.name} (${PARTNER_TYPES[partner.type]?.label || partner.type}, ${partner.tracts} tracts)`)
+      .join("; "),
+  }));
+
+  return Papa.unparse(rows);
+}
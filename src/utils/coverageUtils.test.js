@@ -0,0 +1,48 @@
+import { UNKNOWN_CITY, summarizeCoverage, createCoverageCsv } from './coverageUtils';
+
+jest.mock('axios', () => ({ get: jest.fn() }));
+
+const censusTractData = {
+  '06001400100': { S1701_C03_001E: '30', P1_001N: '1000', DP02_0001E: '400' },
+  '06001400200': { S1701_C03_001E: '10', P1_001N: '2000', DP02_0001E: '700' },
+  '06013300100': { S1701_C03_001E: '20', P1_001N: '1500', DP02_0001E: '500' },
+};
+const partnerModel = {
+  partners: { 'church-grace': { id: 'church-grace', name: 'Grace', type: 'church' } },
+  links: [{ partnerId: 'church-grace', tractId: '06001400100' }],
+};
+const options = {
+  adoptionStatusMap: { '06001400100': { status: 'adopted' } },
+  censusTractData,
+  partnerModel,
+  needWeights: { S1701_C03_001E: 1 },
+};
+const tractCities = { '06001400100': 'Oakland', '06001400200': 'Berkeley' };
+
+test('summarizes coverage per county', () => {
+  const { counties, cities, totals } = summarizeCoverage(options);
+  const alameda = counties.find(summary => summary.county === 'Alameda');
+  expect(alameda).toMatchObject({
+    totalTracts: 2, adoptedTracts: 1, population: 3000, adoptedPopulation: 1000,
+    highNeedTracts: 1, unadoptedHighNeedTracts: 0,
+  });
+  expect(alameda.topPartners).toEqual([expect.objectContaining({ name: 'Grace', tracts: 1 })]);
+  expect(totals).toMatchObject({ totalTracts: 3, adoptedTracts: 1, households: 1600 });
+  expect(cities).toBeNull();
+});
+
+test('groups tracts by city, with tracts outside every ZIP code last', () => {
+  const { cities } = summarizeCoverage({ ...options, tractCities });
+  expect(cities.map(summary => summary.city)).toEqual(['Berkeley', 'Oakland', UNKNOWN_CITY]);
+  expect(cities[1]).toMatchObject({ county: 'Alameda', totalTracts: 1, adoptedTracts: 1, adoptedHouseholds: 400 });
+  expect(cities[2]).toMatchObject({ county: 'Contra Costa', totalTracts: 1, adoptedTracts: 0 });
+});
+
+test('exports the chosen grouping as CSV rows', () => {
+  const coverage = summarizeCoverage({ ...options, tractCities });
+  const [header, ...rows] = createCoverageCsv(coverage, 'cities').split('\r\n');
+  expect(header.startsWith('City,County,County FIPS,')).toBe(true);
+  expect(rows[1].startsWith('Oakland,Alameda,06001,1,1,100.0,')).toBe(true);
+  expect(rows).toHaveLength(4);
+  expect(createCoverageCsv(coverage).split('\r\n')[0].startsWith('County,')).toBe(true);
+});
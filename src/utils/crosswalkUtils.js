@@ -0,0 +1,262 @@
+// src/utils/crosswalkUtils.js
+
+import axios from "axios";
+import Papa from "papaparse";
+import {
+  CENSUS_DATASETS,
+  CURRENT_ACS_VINTAGE,
+  getCensusDisplayFields,
+  getMoeCode,
+  getStatusCode,
+  getVintageCode,
+  parseCensusNumber,
+  combineSumMoes
+} from "./censusVariables";
+import { normalizeTractGeoid, normalizeZipCode } from "./censusDataUtils";
+import { isBayAreaTract } from "./geoutils";
+import { isAdoptedState } from "./adoptionStates";
+
+/**
+ * Local tract-to-ZIP relationship file in public/. Either the HUD USPS
+ * TRACT_ZIP crosswalk saved as CSV (TRACT, ZIP, RES_RATIO columns) or the
+ * Census 2020 ZCTA-to-tract relationship file can be used; override the file
+ * name with REACT_APP_TRACT_ZIP_CROSSWALK.
+ */
+export const TRACT_ZIP_CROSSWALK_FILE =
+  process.env.REACT_APP_TRACT_ZIP_CROSSWALK || "tract_zip_crosswalk.csv";
+
+/**
+ * Tract totals that can weight averaged indicators and adoption shares.
+ * Choose one with REACT_APP_CROSSWALK_WEIGHT ("population" by default).
+ */
+export const CROSSWALK_WEIGHTS = {
+  population: { code: "P1_001N", label: "residents" },
+  households: { code: "DP02_0001E", label: "households" },
+};
+
+export const CROSSWALK_WEIGHT = CROSSWALK_WEIGHTS[process.env.REACT_APP_CROSSWALK_WEIGHT]
+  ? process.env.REACT_APP_CROSSWALK_WEIGHT
+  : "population";
+
+// Fields added to ZIP records built from tract data
+export const ZIP_ADOPTION_FIELDS = {
+  share: "ADOPTED_SHARE",
+  adoptedTracts: "ADOPTED_TRACTS",
+  tractCount: "TRACT_COUNT",
+  weight: "CROSSWALK_WEIGHT",
+};
+
+/**
+ * Reads the share of a tract that falls in a ZIP code from one crosswalk row
+ * @param {Object} row - Crosswalk row with upper-cased headers
+ * @returns {number} Ratio between 0 and 1, or NaN if the row has none
+ */
+function getRowRatio(row) {
+  // HUD crosswalk: share of the tract's residential (or all) addresses in the ZIP
+  if (row.RES_RATIO !== undefined && row.RES_RATIO !== "") {
+    return parseFloat(row.RES_RATIO);
+  }
+  if (row.TOT_RATIO !== undefined && row.TOT_RATIO !== "") {
+    return parseFloat(row.TOT_RATIO);
+  }
+
+  // Census relationship file: share of the tract's land area in the ZCTA
+  const part = parseFloat(row.AREALAND_PART);
+  const total = parseFloat(row.AREALAND_TRACT_20);
+  return total > 0 ? part / total : NaN;
+}
+
+/**
+ * Groups crosswalk rows by ZIP code, keeping only Bay Area tracts
+ * @param {Array} rows - Parsed crosswalk rows with upper-cased headers
+ * @returns {Object} Map of ZIP code to [{ tract, ratio }]
+ */
+export function parseCrosswalkRows(rows) {
+  const crosswalk = {};
+
+  rows.forEach(row => {
+    const tract = normalizeTractGeoid(row.TRACT || row.GEOID_TRACT_20);
+    const zip = normalizeZipCode(row.ZIP || row.GEOID_ZCTA5_20);
+    const ratio = getRowRatio(row);
+
+    if (!tract || !zip || !(ratio > 0) || !isBayAreaTract(tract)) return;
+
+    if (!crosswalk[zip]) {
+      crosswalk[zip] = [];
+    }
+    crosswalk[zip].push({ tract, ratio });
+  });
+
+  return crosswalk;
+}
+
+/**
+ * Loads the tract-to-ZIP crosswalk from public/
+ * @returns {Promise<Object|null>} Map of ZIP code to [{ tract, ratio }], or null if the file is missing
+ */
+export async function loadTractZipCrosswalk() {
+  try {
+    const response = await axios.get(`${process.env.PUBLIC_URL}/${TRACT_ZIP_CROSSWALK_FILE}`, {
+      responseType: "text"
+    });
+
+    // The dev server answers missing files with index.html
+    if (typeof response.data !== "string" || response.data.trim().startsWith("<")) {
+      console.log("No tract-to-ZIP crosswalk found, ZIP codes use ZCTA census data");
+      return null;
+    }
+
+    const parsed = Papa.parse(response.data, {
+      header: true,
+      skipEmptyLines: true,
+      transformHeader: (header) => header.trim().toUpperCase()
+    });
+
+    const crosswalk = parseCrosswalkRows(parsed.data);
+    console.log(`Tract-to-ZIP crosswalk loaded: ${Object.keys(crosswalk).length} Bay Area ZIP codes from ${parsed.data.length} rows`);
+
+    return Object.keys(crosswalk).length > 0 ? crosswalk : null;
+  } catch (error) {
+    console.log("No tract-to-ZIP crosswalk found, ZIP codes use ZCTA census data");
+    return null;
+  }
+}
+
+/**
+ * Lists the fields to aggregate: every fetched display field plus the past
+ * vintages of trend indicators, so ZIP popups can show the same trend lines
+ * as tracts. Computed fields such as the need score are scored per layer.
+ * @returns {Array} Field descriptors with { code, unit, aggregate, moe }
+ */
+function getAggregatedFields() {
+  const fields = getCensusDisplayFields().filter(field => !field.computed);
+
+  getCensusDisplayFields()
+    .filter(variable => variable.trend)
+    .forEach(variable => {
+      CENSUS_DATASETS[variable.dataset].vintages
+        .filter(vintage => vintage !== CURRENT_ACS_VINTAGE)
+        .forEach(vintage => {
+          fields.push({ ...variable, code: getVintageCode(variable.code, vintage), moe: false });
+        });
+    });
+
+  return fields;
+}
+
+/**
+ * Formats an aggregated number the way census records store it
+ * @param {Object} field - Field descriptor
+ * @param {number} value - Aggregated value
+ * @returns {string} Stored value
+ */
+function formatAggregate(field, value) {
+  return field.unit === "percent" ? value.toFixed(1) : String(Math.round(value));
+}
+
+/**
+ * Builds ZIP-level census records from tract records using the crosswalk.
+ * Counts are split by each tract's ratio and summed. Rates, medians and
+ * changes are averaged, weighted by the tract's residents (or households)
+ * living in the ZIP. The adoption share is the weighted share of those
+ * residents living in adopted tracts.
+ * @param {Object} tractData - Census records keyed by tract GEOID
+ * @param {Object} crosswalk - Result of loadTractZipCrosswalk
+ * @param {Object} adoptionStatusMap - Map of tract IDs to adoption status
+ * @param {string} weightBy - Key into CROSSWALK_WEIGHTS
+ * @returns {Object} Census records keyed by ZIP code
+ */
+export function aggregateTractsToZip(tractData, crosswalk, adoptionStatusMap = {}, weightBy = CROSSWALK_WEIGHT) {
+  const weightCode = CROSSWALK_WEIGHTS[weightBy].code;
+  const fields = getAggregatedFields();
+
+  const adoptedTracts = new Set(
+    Object.entries(adoptionStatusMap)
+      .filter(([tractId, statusInfo]) => tractId !== "__meta" && isAdoptedState(statusInfo.status))
+      .map(([tractId]) => normalizeTractGeoid(tractId))
+  );
+
+  const zipData = {};
+
+  Object.entries(crosswalk).forEach(([zip, parts]) => {
+    // Each tract part carries the residents (or households) of that tract living in the ZIP
+    const tractParts = parts
+      .filter(({ tract }) => tractData[tract])
+      .map(({ tract, ratio }) => ({
+        tract,
+        ratio,
+        values: tractData[tract],
+        weight: (parseCensusNumber(tractData[tract][weightCode]) || 0) * ratio
+      }));
+
+    if (tractParts.length === 0) return;
+
+    const record = {};
+
+    fields.forEach(field => {
+      const available = tractParts.filter(part => parseCensusNumber(part.values[field.code]) !== null);
+
+      if (available.length === 0) {
+        // Keep the suppressed state when no tract in the ZIP has a value
+        const suppressed = tractParts.find(part => part.values[getStatusCode(field.code)]);
+        record[field.code] = null;
+        if (suppressed) {
+          record[getStatusCode(field.code)] = suppressed.values[getStatusCode(field.code)];
+        }
+        return;
+      }
+
+      const moeOf = part => parseCensusNumber(part.values[getMoeCode(field.code)]);
+
+      if (field.aggregate === "sum") {
+        const total = available.reduce(
+          (sum, part) => sum + parseCensusNumber(part.values[field.code]) * part.ratio, 0
+        );
+        record[field.code] = formatAggregate(field, total);
+
+        if (field.moe) {
+          const moe = combineSumMoes(available.map(part => moeOf(part) === null ? null : moeOf(part) * part.ratio));
+          record[getMoeCode(field.code)] = moe === null ? null : formatAggregate(field, moe);
+        }
+        return;
+      }
+
+      const weighted = available.filter(part => part.weight > 0);
+      const totalWeight = weighted.reduce((sum, part) => sum + part.weight, 0);
+      if (totalWeight === 0) {
+        record[field.code] = null;
+        return;
+      }
+
+      const average = weighted.reduce(
+        (sum, part) => sum + parseCensusNumber(part.values[field.code]) * part.weight, 0
+      ) / totalWeight;
+      record[field.code] = formatAggregate(field, average);
+
+      // MOE of a weighted mean, treating the weights as fixed
+      if (field.moe) {
+        const moe = combineSumMoes(weighted.map(part =>
+          moeOf(part) === null ? null : moeOf(part) * part.weight / totalWeight
+        ));
+        record[getMoeCode(field.code)] = moe === null ? null : formatAggregate(field, moe);
+      }
+    });
+
+    const totalWeight = tractParts.reduce((sum, part) => sum + part.weight, 0);
+    const adoptedParts = tractParts.filter(part => adoptedTracts.has(part.tract));
+    const adoptedWeight = adoptedParts.reduce((sum, part) => sum + part.weight, 0);
+
+    record[ZIP_ADOPTION_FIELDS.share] = totalWeight > 0
+      ? ((adoptedWeight / totalWeight) * 100).toFixed(1)
+      : null;
+    record[ZIP_ADOPTION_FIELDS.adoptedTracts] = String(adoptedParts.length);
+    record[ZIP_ADOPTION_FIELDS.tractCount] = String(tractParts.length);
+    record[ZIP_ADOPTION_FIELDS.weight] = weightBy;
+
+    zipData[zip] = record;
+  });
+
+  console.log(`Aggregated tract census data into ${Object.keys(zipData).length} ZIP codes (weighted by ${CROSSWALK_WEIGHTS[weightBy].label})`);
+
+  return zipData;
+}
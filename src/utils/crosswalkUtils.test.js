@@ -0,0 +1,46 @@
+import { parseCrosswalkRows, aggregateTractsToZip, ZIP_ADOPTION_FIELDS } from './crosswalkUtils';
+
+jest.mock('axios', () => ({ get: jest.fn() }));
+
+const tractData = {
+  '06001400100': { P1_001N: '1000', DP02_0001E: '400', DP02_0001M: '30', S1701_C03_001E: '20', S1701_C03_001M: '3' },
+  '06001400200': { P1_001N: '3000', DP02_0001E: '1000', DP02_0001M: '40', S1701_C03_001E: '10', S1701_C03_001M: '4' },
+};
+const crosswalk = {
+  '94601': [{ tract: '06001400100', ratio: 1 }, { tract: '06001400200', ratio: 0.5 }],
+  '94999': [{ tract: '06001999999', ratio: 1 }],
+};
+const adoptionStatusMap = { '06001400100': { status: 'adopted' }, __meta: {} };
+
+test('reads HUD and Census relationship rows, keeping Bay Area tracts', () => {
+  expect(parseCrosswalkRows([
+    { TRACT: '06001400100', ZIP: '94601', RES_RATIO: '0.75' },
+    { GEOID_TRACT_20: '06001400200', GEOID_ZCTA5_20: '94601', AREALAND_PART: '250', AREALAND_TRACT_20: '1000' },
+    { TRACT: '06037101110', ZIP: '90001', RES_RATIO: '1' },
+    { TRACT: '06001400300', ZIP: '94601', RES_RATIO: '0' },
+  ])).toEqual({
+    '94601': [{ tract: '06001400100', ratio: 0.75 }, { tract: '06001400200', ratio: 0.25 }],
+  });
+});
+
+test('splits counts by ratio and combines their margins of error', () => {
+  const zip = aggregateTractsToZip(tractData, crosswalk, adoptionStatusMap, 'population')['94601'];
+  expect(zip.P1_001N).toBe('2500');
+  expect(zip.DP02_0001E).toBe('900');
+  expect(zip.DP02_0001M).toBe('36');
+});
+
+test('averages rates weighted by the residents living in the ZIP code', () => {
+  const zipData = aggregateTractsToZip(tractData, crosswalk, adoptionStatusMap, 'population');
+  expect(zipData['94601'].S1701_C03_001E).toBe('14.0');
+  expect(zipData['94999']).toBeUndefined();
+  expect(aggregateTractsToZip(tractData, crosswalk, adoptionStatusMap, 'households')['94601'].S1701_C03_001E).toBe('14.4');
+});
+
+test('computes the weighted adoption share', () => {
+  const zip = aggregateTractsToZip(tractData, crosswalk, adoptionStatusMap, 'population')['94601'];
+  expect(zip[ZIP_ADOPTION_FIELDS.share]).toBe('40.0');
+  expect(zip[ZIP_ADOPTION_FIELDS.adoptedTracts]).toBe('1');
+  expect(zip[ZIP_ADOPTION_FIELDS.tractCount]).toBe('2');
+  expect(zip[ZIP_ADOPTION_FIELDS.weight]).toBe('population');
+});
@@ -0,0 +1,243 @@
+// src/utils/dataSources.js
+
+import axios from "axios";
+import Papa from "papaparse";
+import readXlsxFile from "read-excel-file";
+
+/**
+ * Data source adapters for the adoption and church datasets. Each dataset can
+ * come from a published Google Sheet, an uploaded CSV or XLSX file, a JSON
+ * endpoint or a fixture bundled in public/fixtures, and every adapter returns
+ * the same rows: one object per row keyed by the column names the app reads.
+ */
+
+// Logical datasets; numericColumns are zero-padded to their width when a
+// typed source (XLSX or JSON) returns them as numbers
+export const DATASETS = {
+  adoption: { label: "Adoption sheet", numericColumns: { "Census Tract": 11 } },
+  church: { label: "Church directory", numericColumns: { "Zip Code": 5 } },
+};
+
+export const DATA_SOURCE_TYPES = {
+  googleSheet: { label: "Google Sheet" },
+  file: { label: "Uploaded file" },
+  json: { label: "JSON endpoint" },
+  fixture: { label: "Bundled fixture" },
+};
+
+/**
+ * Where each dataset is loaded from. Override per deployment with
+ * REACT_APP_DATA_SOURCES, a JSON object merged over these, e.g.
+ * {"adoption": {"type": "fixture"}} for an offline demo, or
+ * {"adoption": {"type": "json", "url": "https://example.org/adoptions", "rowsPath": "rows"}}.
+ * `columns` maps the app's column names to the source's, e.g.
+ * {"Census Tract": "GEOID"}, for sources that name their columns differently.
+ */
+const DEFAULT_DATA_SOURCES = {
+  adoption: {
+    type: "googleSheet",
+    url: "https://docs.google.com/spreadsheets/d/e/2PACX-1vR2x0Lik-Flp1e9x-BL2Lrz-bt1lBnmfjyq-xaJre8U3nb-RmRRHHqZ5XyMczrfaA-UJDEmsMhBAJ_7/pub?output=csv",
+    fixture: "fixtures/adoptions.csv",
+    columns: {},
+  },
+  church: {
+    type: "googleSheet",
+    url: "https://docs.google.com/spreadsheets/d/e/2PACX-1vQefnw4KOV5sBhvRHI-ptUNjDlBxWSE678iwq8mxuGGTbf2Odgc-w6x_H2UPs1g3cGf9DM9U4rdYNoA/pub?output=csv",
+    fixture: "fixtures/churches.csv",
+    columns: {},
+  },
+};
+
+/**
+ * Merges REACT_APP_DATA_SOURCES over the default sources
+ * @returns {Object} Source configuration keyed by dataset
+ */
+function loadDataSources() {
+  const override = process.env.REACT_APP_DATA_SOURCES;
+  if (!override) return DEFAULT_DATA_SOURCES;
+
+  try {
+    const sources = { ...DEFAULT_DATA_SOURCES };
+    Object.entries(JSON.parse(override)).forEach(([dataset, source]) => {
+      sources[dataset] = { ...sources[dataset], ...source };
+    });
+    return sources;
+  } catch (error) {
+    console.warn("Ignoring invalid REACT_APP_DATA_SOURCES:", error);
+    return DEFAULT_DATA_SOURCES;
+  }
+}
+
+export const DATA_SOURCES = loadDataSources();
+
+/**
+ * Parses CSV text into rows keyed by the trimmed header
+ * @param {string|File} input - CSV text or an uploaded file
+ * @returns {Promise<Array>} Rows
+ */
+function parseCsv(input) {
+  return new Promise((resolve, reject) => {
+    Papa.parse(input, {
+      header: true,
+      skipEmptyLines: true,
+      transformHeader: (header) => header.trim(),
+      complete: (results) => resolve(results.data),
+      error: reject,
+    });
+  });
+}
+
+/**
+ * Converts a typed cell value from an XLSX or JSON source to the text a CSV
+ * export would have
+ * @param {*} value - Cell value
+ * @returns {string} Cell text
+ */
+function cellToText(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value);
+}
+
+/**
+ * Parses the first worksheet of an XLSX file; its first row holds the headers
+ * @param {File} file - Uploaded file
+ * @returns {Promise<Array>} Rows
+ */
+async function parseXlsx(file) {
+  const [headerRow = [], ...dataRows] = await readXlsxFile(file);
+  const headers = headerRow.map(header => cellToText(header).trim());
+
+  return dataRows
+    .filter(cells => cells.some(cell => cell !== null && cell !== ""))
+    .map(cells => {
+      const row = {};
+      headers.forEach((header, index) => {
+        if (header) row[header] = cells[index];
+      });
+      return row;
+    });
+}
+
+/**
+ * Finds the rows in a JSON response: the response itself, or the array at
+ * rowsPath (dot-separated) inside it
+ * @param {*} data - Response body
+ * @param {string} rowsPath - Path to the rows, e.g. "data.rows"
+ * @returns {Array} Rows
+ */
+function getJsonRows(data, rowsPath) {
+  const rows = rowsPath
+    ? rowsPath.split(".").reduce((value, key) => value?.[key], data)
+    : data;
+  if (!Array.isArray(rows)) {
+    throw new Error(`JSON response has no rows${rowsPath ? ` at "${rowsPath}"` : ""}`);
+  }
+  return rows;
+}
+
+/**
+ * Adapters, keyed by source type, that fetch a dataset's raw rows
+ */
+const ADAPTERS = {
+  googleSheet: async (source) => {
+    const response = await axios.get(source.url, { responseType: "text" });
+    return parseCsv(response.data);
+  },
+  file: async (source) => {
+    return /\.xlsx$/i.test(source.file.name) ? parseXlsx(source.file) : parseCsv(source.file);
+  },
+  json: async (source) => {
+    const response = await axios.get(source.url);
+    return getJsonRows(response.data, source.rowsPath);
+  },
+  fixture: async (source) => {
+    const response = await axios.get(`${process.env.PUBLIC_URL}/${source.fixture}`, { responseType: "text" });
+    // The dev server answers missing files with index.html
+    if (typeof response.data !== "string" || response.data.trim().startsWith("<")) {
+      throw new Error(`Fixture ${source.fixture} not found in public/`);
+    }
+    return /\.json$/i.test(source.fixture)
+      ? getJsonRows(JSON.parse(response.data), source.rowsPath)
+      : parseCsv(response.data);
+  },
+};
+
+/**
+ * Renames source columns to the app's column names and turns every value into
+ * text, so rows from any source look like rows from the Google Sheet
+ * @param {Array} rows - Raw rows
+ * @param {Object} columns - App column name to source column name
+ * @param {Object} numericColumns - App column name to zero-padded width
+ * @returns {Array} Rows keyed by the app's column names
+ */
+export function mapColumns(rows, columns = {}, numericColumns = {}) {
+  const renamed = Object.entries(columns);
+
+  return rows.map(raw => {
+    const row = {};
+    Object.entries(raw).forEach(([key, value]) => {
+      row[key] = cellToText(value);
+    });
+
+    renamed.forEach(([appColumn, sourceColumn]) => {
+      if (sourceColumn in row) {
+        row[appColumn] = row[sourceColumn];
+        delete row[sourceColumn];
+      }
+    });
+
+    // Spreadsheet apps store IDs such as GEOIDs as numbers and drop leading zeros
+    Object.entries(numericColumns).forEach(([column, width]) => {
+      const sourceColumn = columns[column] || column;
+      if (typeof raw[sourceColumn] === "number") {
+        row[column] = row[column].padStart(width, "0");
+      }
+    });
+
+    return row;
+  });
+}
+
+/**
+ * Describes a source for display, e.g. "Uploaded file: adoptions.xlsx"
+ * @param {Object} source - Source configuration
+ * @returns {string} Description
+ */
+export function describeDataSource(source) {
+  const label = DATA_SOURCE_TYPES[source.type]?.label || source.type;
+  if (source.type === "file") return `${label}: ${source.file.name}`;
+  if (source.type === "fixture") return `${label}: ${source.fixture}`;
+  return label;
+}
+
+/**
+ * Loads a dataset through the adapter for its source. A source that fails or
+ * has no rows is an error, so callers can keep the rows they already have.
+ * @param {string} dataset - Key of DATASETS
+ * @param {Object} source - Source configuration; defaults to DATA_SOURCES[dataset]
+ * @returns {Promise<Array>} Rows keyed by the app's column names
+ * @throws {Error} With a message to show the coordinator when loading fails
+ */
+export async function loadDataset(dataset, source = DATA_SOURCES[dataset]) {
+  const { label, numericColumns } = DATASETS[dataset];
+  const adapter = ADAPTERS[source?.type];
+  if (!adapter) {
+    throw new Error(`Unknown data source type for ${label}: ${source?.type}`);
+  }
+
+  let rows;
+  try {
+    rows = mapColumns(await adapter(source), source.columns, numericColumns);
+  } catch (error) {
+    console.error(`Error loading ${label} from ${describeDataSource(source)}:`, error);
+    throw new Error(`Could not read ${label} from ${describeDataSource(source)}: ${error.message}`);
+  }
+  if (rows.length === 0) {
+    throw new Error(`${describeDataSource(source)} has no ${label} rows`);
+  }
+
+  console.log(`${label} loaded from ${describeDataSource(source)}:`, rows.length, "rows");
+  console.log(`${label} headers:`, Object.keys(rows[0]));
+  return rows;
+}
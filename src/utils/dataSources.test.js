@@ -0,0 +1,54 @@
+import axios from 'axios';
+import readXlsxFile from 'read-excel-file';
+import { DATASETS, DATA_SOURCES, mapColumns, describeDataSource, loadDataset } from './dataSources';
+
+jest.mock('axios', () => ({ get: jest.fn() }));
+jest.mock('read-excel-file', () => jest.fn());
+
+test('renames source columns to the app\'s and turns values into text', () => {
+  const rows = mapColumns(
+    [{ GEOID: '06001400100', Status: 'Adopted', Expires: new Date('2026-06-30T00:00:00Z'), Notes: null }],
+    { 'Census Tract': 'GEOID', 'Adoption Status': 'Status' }
+  );
+  expect(rows).toEqual([
+    { 'Census Tract': '06001400100', 'Adoption Status': 'Adopted', Expires: '2026-06-30', Notes: '' },
+  ]);
+});
+
+test('restores leading zeros of IDs stored as numbers', () => {
+  const { numericColumns } = DATASETS.adoption;
+  expect(mapColumns([{ GEOID: 6001400100 }], { 'Census Tract': 'GEOID' }, numericColumns))
+    .toEqual([{ 'Census Tract': '06001400100' }]);
+  expect(mapColumns([{ 'Zip Code': 4601 }, { 'Zip Code': '94601' }], {}, DATASETS.church.numericColumns))
+    .toEqual([{ 'Zip Code': '04601' }, { 'Zip Code': '94601' }]);
+});
+
+test('loads JSON rows at the configured path through the column mapping', async () => {
+  axios.get.mockResolvedValueOnce({ data: { data: { rows: [{ tract: 6001400100, status: 'Adopted' }] } } });
+  const source = {
+    type: 'json',
+    url: 'https://example.org/adoptions',
+    rowsPath: 'data.rows',
+    columns: { 'Census Tract': 'tract', 'Adoption Status': 'status' },
+  };
+  expect(await loadDataset('adoption', source)).toEqual([{ 'Census Tract': '06001400100', 'Adoption Status': 'Adopted' }]);
+  expect(axios.get).toHaveBeenCalledWith('https://example.org/adoptions');
+});
+
+test('rejects when a source fails, is empty or is unknown', async () => {
+  axios.get.mockResolvedValueOnce({ data: { rows: 'none' } });
+  await expect(loadDataset('church', { type: 'json', url: 'https://example.org/churches', rowsPath: 'rows' }))
+    .rejects.toThrow('Could not read Church directory from JSON endpoint: JSON response has no rows at "rows"');
+  axios.get.mockResolvedValueOnce({ data: [] });
+  await expect(loadDataset('church', { type: 'json', url: 'https://example.org/churches' }))
+    .rejects.toThrow('JSON endpoint has no Church directory rows');
+  await expect(loadDataset('church', { type: 'ftp' })).rejects.toThrow('Unknown data source type for Church directory: ftp');
+  expect(describeDataSource({ type: 'fixture', fixture: 'fixtures/churches.csv' })).toBe('Bundled fixture: fixtures/churches.csv');
+});
+
+test('rejects a malformed uploaded file with the reason', async () => {
+  readXlsxFile.mockRejectedValueOnce(new Error('invalid zip data'));
+  const file = { name: 'adoptions.xlsx' };
+  await expect(loadDataset('adoption', { ...DATA_SOURCES.adoption, type: 'file', file }))
+    .rejects.toThrow('Could not read Adoption sheet from Uploaded file: adoptions.xlsx: invalid zip data');
+});
@@ -0,0 +1,152 @@
+// src/utils/geocoder.js
+
+import axios from "axios";
+
+/**
+ * Geocoding for partner addresses, so partners without coordinates in the
+ * church directory can still be plotted. Geocoders are pluggable: choose one
+ * with REACT_APP_GEOCODER, or add one with registerGeocoder. Results are
+ * cached in localStorage so each address is only looked up once.
+ */
+
+const GEOCODE_CACHE_KEY = "povertyPockets.geocodes";
+
+// Address table in public/, for offline use: { "<address>, <zip>": { latitude, longitude } }
+const GEOCODER_TABLE_FILE = process.env.REACT_APP_GEOCODER_TABLE || "partner_locations.json";
+
+// Base URL of a self-hosted geocoder with a Nominatim-style /search endpoint
+const GEOCODER_URL = process.env.REACT_APP_GEOCODER_URL;
+
+/**
+ * Normalizes an address for lookups ("100 Main St,  94601" -> "100 main st, 94601")
+ * @param {string} address - Address text
+ * @returns {string} Lowercase address with single spaces
+ */
+function normalizeAddress(address) {
+  return address.trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+let addressTable = null;
+
+/**
+ * Loads the address table once
+ * @returns {Promise<Object>} Locations keyed by normalized address
+ */
+async function loadAddressTable() {
+  if (addressTable) return addressTable;
+
+  try {
+    const response = await axios.get(`${process.env.PUBLIC_URL}/${GEOCODER_TABLE_FILE}`);
+    // The dev server answers missing files with index.html
+    const entries = typeof response.data === "object" ? Object.entries(response.data) : [];
+    addressTable = Object.fromEntries(entries.map(([address, location]) => [normalizeAddress(address), location]));
+  } catch (error) {
+    addressTable = {};
+  }
+  console.log(`Geocoder address table has ${Object.keys(addressTable).length} addresses`);
+  return addressTable;
+}
+
+/**
+ * Geocoders by key; geocode(address) resolves to { latitude, longitude } or null
+ */
+const GEOCODERS = {
+  table: {
+    label: "Address table",
+    geocode: async (address) => (await loadAddressTable())[normalizeAddress(address)] || null,
+  },
+  nominatim: {
+    label: "Nominatim",
+    geocode: async (address) => {
+      if (!GEOCODER_URL) return null;
+      const response = await axios.get(`${GEOCODER_URL}/search`, {
+        params: { q: address, format: "json", limit: 1 },
+      });
+      const [match] = response.data || [];
+      return match ? { latitude: parseFloat(match.lat), longitude: parseFloat(match.lon) } : null;
+    },
+  },
+};
+
+/**
+ * Adds or replaces a geocoder
+ * @param {string} key - Geocoder key, as used in REACT_APP_GEOCODER
+ * @param {Object} geocoder - { label, geocode(address) }
+ */
+export function registerGeocoder(key, geocoder) {
+  GEOCODERS[key] = geocoder;
+}
+
+/**
+ * Returns the geocoder chosen with REACT_APP_GEOCODER; the address table by default
+ * @returns {Object} Geocoder
+ */
+export function getGeocoder() {
+  return GEOCODERS[process.env.REACT_APP_GEOCODER] || GEOCODERS.table;
+}
+
+/**
+ * Builds the address to geocode for a partner
+ * @param {Object} partner - Partner from the partner model
+ * @returns {string|null} Address with ZIP, or null when the partner has no address
+ */
+export function getPartnerAddress(partner) {
+  if (!partner.address) return null;
+  return partner.zip ? `${partner.address}, ${partner.zip}` : partner.address;
+}
+
+/**
+ * Finds a location for every partner: its own coordinates when it has them,
+ * otherwise its geocoded address
+ * @param {Object} partners - Partners keyed by ID (partner model's partners)
+ * @param {Object} geocoder - Geocoder to use for addresses
+ * @returns {Promise<Object>} { latitude, longitude } keyed by partner ID, for partners that could be placed
+ */
+export async function locatePartners(partners, geocoder = getGeocoder()) {
+  let cache = {};
+  try {
+    cache = JSON.parse(localStorage.getItem(GEOCODE_CACHE_KEY)) || {};
+  } catch (error) {
+    console.warn("Could not read the geocode cache:", error);
+  }
+
+  const locations = {};
+  let geocoded = 0;
+
+  for (const partner of Object.values(partners)) {
+    if (partner.latitude !== null && partner.longitude !== null) {
+      locations[partner.id] = { latitude: partner.latitude, longitude: partner.longitude };
+      continue;
+    }
+
+    const address = getPartnerAddress(partner);
+    if (!address) continue;
+
+    const key = normalizeAddress(address);
+    if (!cache[key]) {
+      try {
+        const location = await geocoder.geocode(address);
+        if (location) {
+          cache[key] = location;
+          geocoded++;
+        }
+      } catch (error) {
+        console.warn(`Could not geocode ${address}:`, error);
+      }
+    }
+    if (cache[key]) {
+      locations[partner.id] = cache[key];
+    }
+  }
+
+  if (geocoded > 0) {
+    try {
+      localStorage.setItem(GEOCODE_CACHE_KEY, JSON.stringify(cache));
+    } catch (error) {
+      console.warn("Could not save the geocode cache:", error);
+    }
+  }
+
+  console.log(`Located ${Object.keys(locations).length} of ${Object.keys(partners).length} partners (${geocoded} newly geocoded with ${geocoder.label})`);
+  return locations;
+}
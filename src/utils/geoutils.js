@@ -1,26 +1,80 @@
+import { isAdoptedState } from "./adoptionStates.js";
+
+/**
+ * Bay Area county FIPS codes (state + county), keyed by county name.
+ */
+export const BAY_AREA_COUNTY_FIPS = {
+  Alameda: "06001",
+  "Contra Costa": "06013",
+  Marin: "06041",
+  Napa: "06055",
+  "San Francisco": "06075",
+  "San Mateo": "06081",
+  "Santa Clara": "06085",
+  Solano: "06095",
+  Sonoma: "06097",
+};
+
+/**
+ * Checks whether a census tract GEOID falls in one of the Bay Area counties.
+ * @param {string} geoid - 11-digit tract GEOID (state + county + tract).
+ * @returns {boolean} True if the tract is in the Bay Area.
+ */
+export const isBayAreaTract = (geoid) => {
+  return Object.values(BAY_AREA_COUNTY_FIPS).includes(String(geoid).substring(0, 5));
+};
+
+/**
+ * Returns the Bay Area county a tract is in.
+ * @param {string} geoid - Tract GEOID.
+ * @returns {string|null} County name, or null outside the Bay Area.
+ */
+export const getTractCounty = (geoid) => {
+  const fips = String(geoid).substring(0, 5);
+  const match = Object.entries(BAY_AREA_COUNTY_FIPS).find(([, countyFips]) => countyFips === fips);
+  return match ? match[0] : null;
+};
+
+/**
+ * Three-digit ZIP prefixes covering the nine Bay Area counties, for filtering
+ * ZCTAs when the exact list of Bay Area ZIP codes isn't at hand.
+ */
+export const BAY_AREA_ZIP_PREFIXES = ["940", "941", "943", "944", "945", "946", "947", "948", "949", "950", "951", "954"];
+
+/**
+ * Keeps only the Bay Area tracts or ZCTAs in a set of census records.
+ * @param {string} geography - "tract" or "zcta".
+ * @param {Object} records - Census records keyed by GEOID or ZIP code.
+ * @param {Set<string>} [zipCodes] - Exact Bay Area ZIP codes; otherwise ZCTAs are matched by prefix.
+ * @returns {Object} The Bay Area records.
+ */
+export const filterBayAreaRecords = (geography, records, zipCodes = null) => {
+  const isBayArea = geography === "tract"
+    ? (id) => isBayAreaTract(id)
+    : (id) => zipCodes
+      ? zipCodes.has(id)
+      : BAY_AREA_ZIP_PREFIXES.includes(String(id).substring(0, 3));
+
+  const filtered = {};
+  Object.keys(records).forEach((id) => {
+    if (isBayArea(id)) {
+      filtered[id] = records[id];
+    }
+  });
+  return filtered;
+};
+
 /**
  * Filters the GeoJSON features to include only those in the Bay Area counties.
  * @param {Object} caCounties - The GeoJSON object containing county data for California.
  * @returns {Object} A filtered GeoJSON object containing only Bay Area counties.
  */
 export const getBayAreaGeoJSON = (caCounties) => {
-  const bayAreaCountyFIPS = {
-    Alameda: "06001",
-    "Contra Costa": "06013",
-    Marin: "06041",
-    Napa: "06055",
-    "San Francisco": "06075",
-    "San Mateo": "06081",
-    "Santa Clara": "06085",
-    Solano: "06095",
-    Sonoma: "06097",
-  };
-
   // Filter features based on FIPS codes
   const bayAreaGeoJSON = {
     type: "FeatureCollection",
     features: caCounties.features.filter((feature) =>
-      Object.values(bayAreaCountyFIPS).includes(feature.properties.COUNTYFP)
+      Object.values(BAY_AREA_COUNTY_FIPS).includes(feature.properties.COUNTYFP)
     ),
   };
 
@@ -30,7 +84,7 @@ export const getBayAreaGeoJSON = (caCounties) => {
 /**
  * Adds adopted and not adopted properties to features for visualization.
  * @param {Object} geoJSON - The GeoJSON object containing the features.
- * @param {Object} adoptionData - An object mapping feature IDs to their adoption status.
+ * @param {Object} adoptionData - An object mapping feature IDs to their adoption status (e.g. from applyAdoptionEdits).
  * @returns {Object} A GeoJSON object with updated properties for adopted status.
  */
 export const addAdoptionStatus = (geoJSON, adoptionData) => {
@@ -46,9 +100,9 @@ export const addAdoptionStatus = (geoJSON, adoptionData) => {
       ...feature,
       properties: {
         ...feature.properties,
-        adopted: adoptedInfo.adopted,
-        lastUpdatedBy: adoptedInfo.lastUpdatedBy,
-        lastUpdateDate: adoptedInfo.lastUpdateDate,
+        adopted: adoptedInfo.adopted ?? isAdoptedState(adoptedInfo.status),
+        lastUpdatedBy: adoptedInfo.lastUpdatedBy || null,
+        lastUpdateDate: adoptedInfo.lastUpdateDate || null,
       },
     };
   });
@@ -75,3 +129,158 @@ export const filterByAdoptionStatus = (geoJSON, adoptedStatus) => {
     features: filteredFeatures,
   };
 };
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+/**
+ * Distance between two points along the earth's surface.
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number} Distance in miles.
+ */
+export const getDistanceMiles = (from, to) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Area-weighted centroid of a polygon's outer rings.
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon.
+ * @returns {Object|null} { latitude, longitude }, or null for empty geometry.
+ */
+export const getPolygonCentroid = (geometry) => {
+  const polygons = geometry.type === "MultiPolygon" ? geometry.coordinates : [geometry.coordinates];
+  let area = 0;
+  let x = 0;
+  let y = 0;
+
+  polygons.forEach(([ring = []]) => {
+    for (let i = 0; i < ring.length - 1; i++) {
+      const [x0, y0] = ring[i];
+      const [x1, y1] = ring[i + 1];
+      const cross = x0 * y1 - x1 * y0;
+      area += cross;
+      x += (x0 + x1) * cross;
+      y += (y0 + y1) * cross;
+    }
+  });
+
+  if (area === 0) return null;
+  return { latitude: y / (3 * area), longitude: x / (3 * area) };
+};
+
+/**
+ * Checks whether a point lies inside a ring (ray casting).
+ * @param {Array} point - [longitude, latitude]
+ * @param {Array} ring - Ring coordinates.
+ * @returns {boolean} True if inside.
+ */
+const isPointInRing = ([x, y], ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Checks whether a point lies inside a polygon, outside its holes.
+ * @param {Array} point - [longitude, latitude]
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon.
+ * @returns {boolean} True if inside.
+ */
+export const isPointInGeometry = (point, geometry) => {
+  const polygons = geometry.type === "MultiPolygon" ? geometry.coordinates : [geometry.coordinates];
+  return polygons.some(([outer = [], ...holes]) =>
+    isPointInRing(point, outer) && !holes.some((hole) => isPointInRing(point, hole))
+  );
+};
+
+/**
+ * Bounding box of a polygon's outer rings.
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon.
+ * @returns {Object} { xmin, ymin, xmax, ymax }
+ */
+export const getBoundingBox = (geometry) => {
+  const polygons = geometry.type === "MultiPolygon" ? geometry.coordinates : [geometry.coordinates];
+  const box = { xmin: Infinity, ymin: Infinity, xmax: -Infinity, ymax: -Infinity };
+  polygons.forEach(([outer = []]) => {
+    outer.forEach(([x, y]) => {
+      box.xmin = Math.min(box.xmin, x);
+      box.ymin = Math.min(box.ymin, y);
+      box.xmax = Math.max(box.xmax, x);
+      box.ymax = Math.max(box.ymax, y);
+    });
+  });
+  return box;
+};
+
+// Coordinates are rounded so edges shared by two tracts always match
+const EDGE_PRECISION = 6;
+
+/**
+ * Builds county outlines from tract polygons: the tract edges that no other
+ * tract of the same county shares. The outlines come as line segments, so
+ * no polygon union is needed.
+ * @param {Object} tractGeoJSON - FeatureCollection of tract Polygon/MultiPolygon features with GEOID
+ * @returns {Object} FeatureCollection with one MultiLineString per Bay Area county ({ county, fips })
+ */
+export const buildCountyOutlines = (tractGeoJSON) => {
+  // Edge key -> { count, segment } per county FIPS
+  const edgesByCounty = {};
+
+  (tractGeoJSON.features || []).forEach((feature) => {
+    const fips = String(feature.properties?.GEOID || "").substring(0, 5);
+    const geometry = feature.geometry;
+    if (!isBayAreaTract(fips) || !geometry) return;
+
+    if (!edgesByCounty[fips]) {
+      edgesByCounty[fips] = {};
+    }
+    const edges = edgesByCounty[fips];
+
+    const polygons = geometry.type === "MultiPolygon" ? geometry.coordinates : [geometry.coordinates];
+    polygons.forEach((rings) => {
+      rings.forEach((ring) => {
+        for (let i = 0; i < ring.length - 1; i++) {
+          const from = ring[i].map((value) => value.toFixed(EDGE_PRECISION)).join(",");
+          const to = ring[i + 1].map((value) => value.toFixed(EDGE_PRECISION)).join(",");
+          if (from === to) continue;
+
+          const key = from < to ? `${from};${to}` : `${to};${from}`;
+          if (edges[key]) {
+            edges[key].count++;
+          } else {
+            edges[key] = { count: 1, segment: [ring[i], ring[i + 1]] };
+          }
+        }
+      });
+    });
+  });
+
+  const countyNames = Object.fromEntries(
+    Object.entries(BAY_AREA_COUNTY_FIPS).map(([county, fips]) => [fips, county])
+  );
+
+  return {
+    type: "FeatureCollection",
+    features: Object.entries(edgesByCounty).map(([fips, edges]) => ({
+      type: "Feature",
+      properties: { county: countyNames[fips], fips },
+      geometry: {
+        type: "MultiLineString",
+        coordinates: Object.values(edges)
+          .filter((edge) => edge.count === 1)
+          .map((edge) => edge.segment),
+      },
+    })),
+  };
+};
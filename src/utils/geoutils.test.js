@@ -0,0 +1,35 @@
+import { filterBayAreaRecords, getTractCounty, getDistanceMiles, getPolygonCentroid, isPointInGeometry } from './geoutils';
+
+test('keeps Bay Area tracts by county FIPS', () => {
+  const records = { '06001400100': { a: 1 }, '06019000100': { a: 2 }, '06085500100': { a: 3 } };
+  expect(Object.keys(filterBayAreaRecords('tract', records))).toEqual(['06001400100', '06085500100']);
+});
+
+test('keeps Bay Area ZCTAs by ZIP list, or by prefix without one', () => {
+  const records = { '94601': {}, '95401': {}, '90210': {} };
+  expect(Object.keys(filterBayAreaRecords('zcta', records))).toEqual(['94601', '95401']);
+  expect(Object.keys(filterBayAreaRecords('zcta', records, new Set(['94601'])))).toEqual(['94601']);
+});
+
+test('finds the county of a tract from its GEOID', () => {
+  expect(getTractCounty('06075010100')).toBe('San Francisco');
+  expect(getTractCounty('06019000100')).toBeNull();
+});
+
+test('measures distances in miles', () => {
+  expect(getDistanceMiles({ latitude: 37.8, longitude: -122.2 }, { latitude: 37.82, longitude: -122.2 })).toBeCloseTo(1.38, 2);
+});
+
+test('finds polygon centers and points inside polygons, outside their holes', () => {
+  const square = {
+    type: 'Polygon',
+    coordinates: [
+      [[-122, 37], [-121, 37], [-121, 38], [-122, 38], [-122, 37]],
+      [[-121.6, 37.4], [-121.4, 37.4], [-121.4, 37.6], [-121.6, 37.6], [-121.6, 37.4]],
+    ],
+  };
+  expect(getPolygonCentroid(square)).toEqual({ latitude: 37.5, longitude: -121.5 });
+  expect(isPointInGeometry([-121.9, 37.1], square)).toBe(true);
+  expect(isPointInGeometry([-121.5, 37.5], square)).toBe(false);
+  expect(isPointInGeometry([-120.5, 37.5], square)).toBe(false);
+});
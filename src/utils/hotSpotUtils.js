@@ -0,0 +1,369 @@
+// src/utils/hotSpotUtils.js
+
+import axios from "axios";
+import { getCensusVariable, parseCensusNumber } from "./censusVariables";
+
+/**
+ * Local spatial statistics used to find statistically significant poverty
+ * pockets among census tracts. Neighbors are tracts sharing at least one
+ * boundary vertex (queen contiguity) in bay_area_tracts_geometry.geojson.
+ */
+
+export const HOT_SPOT_METHODS = {
+  gi: { label: "Getis-Ord Gi*" },
+  moran: { label: "Local Moran's I" },
+};
+
+// Significance level for labeling a tract; override with REACT_APP_HOT_SPOT_ALPHA
+export const HOT_SPOT_SIGNIFICANCE = parseFloat(process.env.REACT_APP_HOT_SPOT_ALPHA) || 0.05;
+
+// Permutations used for the Local Moran's I pseudo p-values
+const MORAN_PERMUTATIONS = 999;
+
+/**
+ * Hot spot labels in legend order. Gi* only produces hot and cold spots;
+ * Local Moran's I also finds outliers that differ from their neighbors.
+ */
+export const HOT_SPOT_CLASSES = {
+  hot_spot: { label: "Hot spot", color: "rgba(215, 25, 28, 0.6)" },
+  cold_spot: { label: "Cold spot", color: "rgba(44, 123, 182, 0.6)" },
+  high_low: { label: "High outlier (surrounded by low)", color: "rgba(253, 174, 97, 0.6)" },
+  low_high: { label: "Low outlier (surrounded by high)", color: "rgba(171, 217, 233, 0.6)" },
+  not_significant: { label: "Not significant", color: "rgba(230, 230, 230, 0.4)" },
+};
+
+// Fields written into the layer's census data for each analyzed tract
+export const HOT_SPOT_FIELDS = {
+  class: "HOTSPOT_CLASS",
+  statistic: "HOTSPOT_Z",
+  pValue: "HOTSPOT_P",
+  indicator: "HOTSPOT_INDICATOR",
+  method: "HOTSPOT_METHOD",
+};
+
+// Coordinates are rounded so vertices shared by two tracts always match
+const VERTEX_PRECISION = 6;
+
+/**
+ * Builds queen-contiguity neighbors from polygon features
+ * @param {Object} geojson - FeatureCollection of Polygon/MultiPolygon features
+ * @param {string} idProperty - Feature property holding the tract ID
+ * @returns {Object} Map of tract ID to an array of neighboring tract IDs
+ */
+export function buildAdjacency(geojson, idProperty = "GEOID") {
+  const tractsByVertex = {};
+  const adjacency = {};
+
+  (geojson.features || []).forEach(feature => {
+    const id = feature.properties?.[idProperty];
+    const geometry = feature.geometry;
+    if (!id || !geometry) return;
+
+    adjacency[id] = new Set();
+
+    const polygons = geometry.type === "MultiPolygon" ? geometry.coordinates : [geometry.coordinates];
+    polygons.forEach(rings => {
+      rings.forEach(ring => {
+        ring.forEach(([x, y]) => {
+          const key = `${x.toFixed(VERTEX_PRECISION)},${y.toFixed(VERTEX_PRECISION)}`;
+          if (!tractsByVertex[key]) {
+            tractsByVertex[key] = new Set();
+          }
+          tractsByVertex[key].add(id);
+        });
+      });
+    });
+  });
+
+  Object.values(tractsByVertex).forEach(ids => {
+    if (ids.size < 2) return;
+    ids.forEach(id => {
+      ids.forEach(other => {
+        if (other !== id) adjacency[id].add(other);
+      });
+    });
+  });
+
+  const result = {};
+  Object.keys(adjacency).forEach(id => {
+    result[id] = Array.from(adjacency[id]);
+  });
+  return result;
+}
+
+// The tract geometry only needs to be downloaded and processed once
+let geometryPromise = null;
+let adjacencyPromise = null;
+
+/**
+ * Loads bay_area_tracts_geometry.geojson, shared by the analyses that need tract shapes
+ * @returns {Promise<Object>} Tract FeatureCollection
+ */
+export function loadTractGeometry() {
+  if (!geometryPromise) {
+    geometryPromise = axios
+      .get(`${process.env.PUBLIC_URL}/bay_area_tracts_geometry.geojson`)
+      .then(response => response.data)
+      .catch(error => {
+        geometryPromise = null;
+        throw error;
+      });
+  }
+  return geometryPromise;
+}
+
+/**
+ * Loads tract neighbors from bay_area_tracts_geometry.geojson
+ * @returns {Promise<Object>} Map of tract ID to neighboring tract IDs
+ */
+export function loadTractAdjacency() {
+  if (!adjacencyPromise) {
+    adjacencyPromise = loadTractGeometry()
+      .then(geojson => {
+        const adjacency = buildAdjacency(geojson);
+        console.log(`Tract adjacency built for ${Object.keys(adjacency).length} tracts`);
+        return adjacency;
+      })
+      .catch(error => {
+        adjacencyPromise = null;
+        throw error;
+      });
+  }
+  return adjacencyPromise;
+}
+
+/**
+ * Two-tailed p-value of a standard normal z-score
+ * @param {number} z - z-score
+ * @returns {number} p-value
+ */
+function normalTwoTailedP(z) {
+  // Abramowitz and Stegun 7.1.26 approximation of erf
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return Math.max(0, 1 - erf);
+}
+
+/**
+ * Seeded random number generator (mulberry32) so permutation results are
+ * the same every time the analysis runs
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Calculates the Getis-Ord Gi* statistic for every tract, with binary
+ * weights that include the tract itself
+ * @param {Object} values - Map of tract ID to indicator value
+ * @param {Object} adjacency - Map of tract ID to neighboring tract IDs
+ * @returns {Object} Map of tract ID to { statistic, pValue, classKey }
+ */
+export function calculateGetisOrdGiStar(values, adjacency) {
+  const ids = Object.keys(values);
+  const n = ids.length;
+  const results = {};
+  if (n < 3) return results;
+
+  const mean = ids.reduce((sum, id) => sum + values[id], 0) / n;
+  const s = Math.sqrt(ids.reduce((sum, id) => sum + values[id] ** 2, 0) / n - mean ** 2);
+  if (!(s > 0)) return results;
+
+  ids.forEach(id => {
+    const neighbors = [id, ...(adjacency[id] || []).filter(neighbor => values[neighbor] !== undefined)];
+    const weightSum = neighbors.length;
+    const lagSum = neighbors.reduce((sum, neighbor) => sum + values[neighbor], 0);
+
+    const denominator = s * Math.sqrt((n * weightSum - weightSum ** 2) / (n - 1));
+    const z = denominator > 0 ? (lagSum - mean * weightSum) / denominator : 0;
+    const pValue = normalTwoTailedP(z);
+
+    let classKey = "not_significant";
+    if (pValue < HOT_SPOT_SIGNIFICANCE) {
+      classKey = z > 0 ? "hot_spot" : "cold_spot";
+    }
+
+    results[id] = { statistic: z, pValue, classKey };
+  });
+
+  return results;
+}
+
+/**
+ * Calculates Local Moran's I for every tract with row-standardized weights.
+ * Pseudo p-values come from conditional permutations: each tract keeps its
+ * value while its neighbors are drawn at random from the other tracts.
+ * @param {Object} values - Map of tract ID to indicator value
+ * @param {Object} adjacency - Map of tract ID to neighboring tract IDs
+ * @param {number} permutations - Number of random permutations
+ * @returns {Object} Map of tract ID to { statistic, pValue, classKey }
+ */
+export function calculateLocalMoransI(values, adjacency, permutations = MORAN_PERMUTATIONS) {
+  const ids = Object.keys(values);
+  const n = ids.length;
+  const results = {};
+  if (n < 3) return results;
+
+  const mean = ids.reduce((sum, id) => sum + values[id], 0) / n;
+  const deviations = ids.map(id => values[id] - mean);
+  const m2 = deviations.reduce((sum, d) => sum + d ** 2, 0) / n;
+  if (!(m2 > 0)) return results;
+
+  const indexById = {};
+  ids.forEach((id, index) => {
+    indexById[id] = index;
+  });
+
+  const random = createRandom(n);
+
+  ids.forEach((id, i) => {
+    const neighbors = (adjacency[id] || [])
+      .filter(neighbor => indexById[neighbor] !== undefined)
+      .map(neighbor => indexById[neighbor]);
+
+    if (neighbors.length === 0) {
+      results[id] = { statistic: 0, pValue: 1, classKey: "not_significant" };
+      return;
+    }
+
+    const k = neighbors.length;
+    const lag = neighbors.reduce((sum, j) => sum + deviations[j], 0) / k;
+    const statistic = (deviations[i] / m2) * lag;
+
+    // Count permutations at least as extreme, in the same direction
+    let extremeCount = 0;
+    for (let p = 0; p < permutations; p++) {
+      const drawn = new Set();
+      let permutedLag = 0;
+      while (drawn.size < k) {
+        const j = Math.floor(random() * n);
+        if (j !== i && !drawn.has(j)) {
+          drawn.add(j);
+          permutedLag += deviations[j];
+        }
+      }
+      const permuted = (deviations[i] / m2) * (permutedLag / k);
+      if (statistic >= 0 ? permuted >= statistic : permuted <= statistic) {
+        extremeCount++;
+      }
+    }
+    const pValue = (extremeCount + 1) / (permutations + 1);
+
+    let classKey = "not_significant";
+    if (pValue < HOT_SPOT_SIGNIFICANCE) {
+      if (statistic > 0) {
+        classKey = deviations[i] > 0 ? "hot_spot" : "cold_spot";
+      } else {
+        classKey = deviations[i] > 0 ? "high_low" : "low_high";
+      }
+    }
+
+    results[id] = { statistic, pValue, classKey };
+  });
+
+  return results;
+}
+
+/**
+ * Runs a hot spot analysis on one indicator and stores the labels in the
+ * layer's census data, replacing the results of any earlier run. Tracts
+ * without a value (missing or suppressed) are left out of the analysis.
+ * @param {Map} featureCensusData - Census data keyed by tract GEOID (from injectCensusDataIntoLayer)
+ * @param {Object} adjacency - Result of loadTractAdjacency
+ * @param {string} code - Indicator code (a catalog code or the need score)
+ * @param {string} method - Key into HOT_SPOT_METHODS
+ * @returns {Object} Count of tracts per HOT_SPOT_CLASSES key
+ */
+export function runHotSpotAnalysis(featureCensusData, adjacency, code, method) {
+  const values = {};
+  featureCensusData.forEach((record, id) => {
+    const value = parseCensusNumber(record[code]);
+    if (value !== null) {
+      values[String(id)] = value;
+    }
+  });
+
+  const results = method === "moran"
+    ? calculateLocalMoransI(values, adjacency)
+    : calculateGetisOrdGiStar(values, adjacency);
+
+  const counts = {};
+  Object.keys(HOT_SPOT_CLASSES).forEach(classKey => {
+    counts[classKey] = 0;
+  });
+
+  featureCensusData.forEach((record, id) => {
+    const result = results[String(id)];
+    const updated = { ...record };
+    Object.values(HOT_SPOT_FIELDS).forEach(field => delete updated[field]);
+
+    if (result) {
+      updated[HOT_SPOT_FIELDS.class] = result.classKey;
+      updated[HOT_SPOT_FIELDS.statistic] = result.statistic.toFixed(2);
+      updated[HOT_SPOT_FIELDS.pValue] = result.pValue.toFixed(3);
+      updated[HOT_SPOT_FIELDS.indicator] = code;
+      updated[HOT_SPOT_FIELDS.method] = method;
+      counts[result.classKey]++;
+    }
+
+    // Replace rather than mutate the record, which is shared with app state
+    featureCensusData.set(id, updated);
+  });
+
+  console.log(`${HOT_SPOT_METHODS[method].label} on ${code}:`, counts);
+
+  return counts;
+}
+
+/**
+ * Removes hot spot labels from the layer's census data
+ * @param {Map} featureCensusData - Census data keyed by tract GEOID
+ */
+export function clearHotSpotResults(featureCensusData) {
+  featureCensusData.forEach((record, id) => {
+    if (record[HOT_SPOT_FIELDS.class]) {
+      const updated = { ...record };
+      Object.values(HOT_SPOT_FIELDS).forEach(field => delete updated[field]);
+      featureCensusData.set(id, updated);
+    }
+  });
+}
+
+/**
+ * Describes a tract's hot spot label, e.g. "Hot spot (Poverty Rate, Getis-Ord Gi* z = 2.81, p = 0.005)"
+ * @param {Object} attrs - Feature attributes merged with census data
+ * @returns {string|null} Description, or null if the tract wasn't analyzed
+ */
+export function formatHotSpotLabel(attrs) {
+  const classKey = attrs?.[HOT_SPOT_FIELDS.class];
+  if (!classKey) return null;
+
+  const method = attrs[HOT_SPOT_FIELDS.method];
+  const indicator = getCensusVariable(attrs[HOT_SPOT_FIELDS.indicator]);
+  const statisticName = method === "moran" ? "I" : "z";
+
+  return `${HOT_SPOT_CLASSES[classKey].label} (${indicator?.label || attrs[HOT_SPOT_FIELDS.indicator]}, ` +
+    `${HOT_SPOT_METHODS[method].label} ${statisticName} = ${attrs[HOT_SPOT_FIELDS.statistic]}, p = ${attrs[HOT_SPOT_FIELDS.pValue]})`;
+}
+
+/**
+ * Builds the popup row for a tract's hot spot label
+ * @param {Object} attrs - Feature attributes merged with census data
+ * @returns {string} HTML fragment, empty if the tract wasn't analyzed
+ */
+export function buildHotSpotPopupRow(attrs) {
+  const label = formatHotSpotLabel(attrs);
+  if (!label) return "";
+
+  const { color } = HOT_SPOT_CLASSES[attrs[HOT_SPOT_FIELDS.class]];
+  return `<b>Hot Spot Analysis:</b> <span style="border-left: 10px solid ${color}; padding-left: 4px;">${label}</span><br>`;
+}
@@ -0,0 +1,83 @@
+import {
+  HOT_SPOT_FIELDS,
+  buildAdjacency,
+  calculateGetisOrdGiStar,
+  calculateLocalMoransI,
+  runHotSpotAnalysis,
+  clearHotSpotResults,
+  formatHotSpotLabel
+} from './hotSpotUtils';
+
+jest.mock('axios', () => ({ get: jest.fn() }));
+
+const square = (id, x) => ({
+  properties: { GEOID: id },
+  geometry: { type: 'Polygon', coordinates: [[[x, 0], [x + 1, 0], [x + 1, 1], [x, 1], [x, 0]]] },
+});
+
+// Tracts 1 to 10 in a row, each valued by its position
+const chainValues = {};
+const chainAdjacency = {};
+for (let i = 1; i <= 10; i++) {
+  chainValues[`t${i}`] = i;
+  chainAdjacency[`t${i}`] = [i > 1 && `t${i - 1}`, i < 10 && `t${i + 1}`].filter(Boolean);
+}
+
+test('builds queen contiguity from shared vertices', () => {
+  const adjacency = buildAdjacency({ features: [square('a', 0), square('b', 1), square('c', 2), square('d', 5)] });
+  expect(adjacency.a).toEqual(['b']);
+  expect(adjacency.b.sort()).toEqual(['a', 'c']);
+  expect(adjacency.d).toEqual([]);
+});
+
+test('calculates Gi* z-scores with the tract among its own neighbors', () => {
+  const results = calculateGetisOrdGiStar({ a: 1, b: 2, c: 3, d: 4 }, { a: ['b'], b: ['a', 'c'], c: ['b', 'd'], d: ['c'] });
+  expect(results.a.statistic).toBeCloseTo(-1.549, 3);
+  expect(results.b.statistic).toBeCloseTo(-1.342, 3);
+  expect(results.a.classKey).toBe('not_significant');
+});
+
+test('labels significant Gi* clusters as hot and cold spots', () => {
+  const results = calculateGetisOrdGiStar(chainValues, chainAdjacency);
+  expect(results.t10.statistic).toBeCloseTo(2.089, 3);
+  expect(results.t10.pValue).toBeLessThan(0.05);
+  expect(results.t10.classKey).toBe('hot_spot');
+  expect(results.t1.classKey).toBe('cold_spot');
+  expect(results.t5.classKey).toBe('not_significant');
+  expect(calculateGetisOrdGiStar({ a: 1, b: 1, c: 1 }, {})).toEqual({});
+});
+
+test('finds Local Moran\'s I clusters with repeatable permutation p-values', () => {
+  // Four neighboring high tracts among 26 low ones in a row, plus one isolated tract
+  const values = { h1: 100, h2: 100, h3: 100, h4: 100, lonely: 0 };
+  const adjacency = { h1: ['h2', 'h3', 'h4'], h2: ['h1', 'h3', 'h4'], h3: ['h1', 'h2', 'h4'], h4: ['h1', 'h2', 'h3'], lonely: [] };
+  for (let i = 0; i < 25; i++) {
+    values[`l${i}`] = 0;
+    adjacency[`l${i}`] = [i > 0 && `l${i - 1}`, i < 24 && `l${i + 1}`].filter(Boolean);
+  }
+
+  const results = calculateLocalMoransI(values, adjacency);
+  expect(results.h1.classKey).toBe('hot_spot');
+  expect(results.h1.pValue).toBeLessThan(0.01);
+  expect(results.l10.statistic).toBeGreaterThan(0);
+  expect(results.lonely).toEqual({ statistic: 0, pValue: 1, classKey: 'not_significant' });
+  expect(calculateLocalMoransI(values, adjacency)).toEqual(results);
+});
+
+test('stores labels for tracts with values and clears them again', () => {
+  const data = new Map(Object.entries(chainValues).map(([id, value]) => [id, { S1701_C03_001E: String(value) }]));
+  data.set('t11', { S1701_C03_001E: null });
+
+  const counts = runHotSpotAnalysis(data, chainAdjacency, 'S1701_C03_001E', 'gi');
+  expect(counts).toMatchObject({ hot_spot: 2, cold_spot: 2, not_significant: 6 });
+  expect(data.get('t10')).toMatchObject({
+    [HOT_SPOT_FIELDS.class]: 'hot_spot',
+    [HOT_SPOT_FIELDS.statistic]: '2.09',
+    [HOT_SPOT_FIELDS.method]: 'gi',
+  });
+  expect(data.get('t11')[HOT_SPOT_FIELDS.class]).toBeUndefined();
+  expect(formatHotSpotLabel(data.get('t10'))).toMatch(/^Hot spot \(.+, Getis-Ord Gi\* z = 2\.09, p = 0\.03\d\)$/);
+
+  clearHotSpotResults(data);
+  expect(data.get('t10')).toEqual({ S1701_C03_001E: '10' });
+});
@@ -0,0 +1,21 @@
+// src/utils/htmlUtils.js
+
+// Characters with a meaning in HTML text and attribute values
+const HTML_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/**
+ * Escapes free text (Sheet cells, uploaded files, adoption edits) for use in
+ * popup and report HTML, in element content or quoted attribute values
+ * @param {*} value - Text to escape; null and undefined become ""
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+  if (value === null || value === undefined) return "";
+  return String(value).replace(/[&<>"']/g, character => HTML_ENTITIES[character]);
+}
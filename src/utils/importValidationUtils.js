@@ -0,0 +1,306 @@
+// src/utils/importValidationUtils.js
+
+import { PARTNER_TYPES, getTractPartners } from "./partnerUtils";
+import {
+  ADOPTION_STATES,
+  DEFAULT_ADOPTION_STATE,
+  parseAdoptionState,
+  getRowAdoptionState,
+  parseExpiryDate
+} from "./adoptionStates";
+
+/**
+ * Checks the adoption and church spreadsheets before their data reaches the
+ * map, so data managers can fix the sheets. Each problem is reported as an
+ * issue: { severity, source, type, row, message }, where row is the
+ * spreadsheet row number (the header is row 1).
+ */
+
+export const VALIDATION_SEVERITIES = {
+  error: { label: "Error", color: "#dc3545" },
+  warning: { label: "Warning", color: "#b45309" },
+};
+
+// Spreadsheets that are checked, with the columns the app reads from them
+export const VALIDATION_SOURCES = {
+  adoption: {
+    label: "Adoption sheet",
+    requiredColumns: ["Census Tract", "Adoption Status"],
+    optionalColumns: ["Adopted by", "Adoption Expires", ...Object.values(PARTNER_TYPES).map(type => type.sheetColumn)],
+  },
+  church: {
+    label: "Church sheet",
+    requiredColumns: ["Name", "Zip Code"],
+    optionalColumns: ["Address", "Contact", "Latitude", "Longitude"],
+  },
+};
+
+const TRACT_ID_PATTERN = /^\d{11}$/;
+const ZIP_PATTERN = /^\d{5}(-\d{4})?$/;
+
+// Maximum edit distance for a header to count as a renamed column
+const RENAMED_COLUMN_DISTANCE = 2;
+
+/**
+ * Normalizes a column header for comparison ("Zip code " -> "zipcode")
+ * @param {string} header - Column header
+ * @returns {string} Lowercase header without spaces or punctuation
+ */
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Returns the spreadsheet row number of a parsed row
+ * @param {number} index - Index into the parsed rows
+ * @returns {number} Row number, counting the header as row 1
+ */
+function sheetRow(index) {
+  return index + 2;
+}
+
+/**
+ * Flags expected columns that are missing or appear under a different name
+ * @param {Array} fields - Column headers found in the sheet
+ * @param {string} source - Key of VALIDATION_SOURCES
+ * @returns {Array} Issues
+ */
+export function validateColumns(fields, source) {
+  const { requiredColumns, optionalColumns } = VALIDATION_SOURCES[source];
+  const expectedColumns = [...requiredColumns, ...optionalColumns];
+  const issues = [];
+
+  expectedColumns.forEach(column => {
+    if (fields.includes(column)) return;
+
+    const required = requiredColumns.includes(column);
+    const renamed = fields.find(field =>
+      !expectedColumns.includes(field) &&
+      editDistance(normalizeHeader(field), normalizeHeader(column)) <= RENAMED_COLUMN_DISTANCE
+    );
+
+    if (renamed) {
+      issues.push({
+        severity: required ? "error" : "warning",
+        source,
+        type: "renamed_column",
+        row: 1,
+        message: `Column "${renamed}" looks like "${column}"; rename it so the app can read it`,
+      });
+    } else if (required) {
+      issues.push({
+        severity: "error",
+        source,
+        type: "missing_column",
+        row: 1,
+        message: `Required column "${column}" is missing`,
+      });
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Checks the adoption sheet's rows. Repeated tracts conflict when their rows
+ * give different states as the map reads them, so a blank status on a tract
+ * with partners agrees with "Adopted".
+ * @param {Array} rows - Parsed rows
+ * @param {Array} tractGeoids - GEOIDs in the tract GeoJSON, or null to skip that check
+ * @param {Object} partnerModel - Partners imported from the Sheet, or null
+ * @returns {Array} Issues
+ */
+export function validateAdoptionRows(rows, tractGeoids = null, partnerModel = null) {
+  const issues = [];
+  const geoidSet = tractGeoids ? new Set(tractGeoids) : null;
+  const listedTractIds = new Set(partnerModel?.listedTractIds || []);
+  const rowsByTract = {};
+
+  rows.forEach((row, index) => {
+    const tractId = row["Census Tract"]?.trim();
+    const status = row["Adoption Status"]?.trim() || "";
+    const expires = row["Adoption Expires"]?.trim();
+
+    if (!tractId) {
+      issues.push({
+        severity: "warning",
+        source: "adoption",
+        type: "missing_value",
+        row: sheetRow(index),
+        message: "Row has no census tract and is skipped",
+      });
+      return;
+    }
+
+    if (!TRACT_ID_PATTERN.test(tractId)) {
+      issues.push({
+        severity: "error",
+        source: "adoption",
+        type: "malformed_tract",
+        row: sheetRow(index),
+        message: `Tract "${tractId}" is not an 11-digit GEOID`,
+      });
+    } else if (geoidSet && !geoidSet.has(tractId)) {
+      issues.push({
+        severity: "error",
+        source: "adoption",
+        type: "unknown_tract",
+        row: sheetRow(index),
+        message: `Tract ${tractId} does not match any tract on the map`,
+      });
+    }
+
+    // Any state in ADOPTION_STATES is understood, by key, label or Sheet value
+    if (status && !parseAdoptionState(status)) {
+      issues.push({
+        severity: "warning",
+        source: "adoption",
+        type: "unknown_status",
+        row: sheetRow(index),
+        message: `Unknown adoption status "${status}" for tract ${tractId}; it is treated as ${ADOPTION_STATES[DEFAULT_ADOPTION_STATE].label}`,
+      });
+    }
+
+    if (expires && expires !== "N/A" && !parseExpiryDate(expires)) {
+      issues.push({
+        severity: "warning",
+        source: "adoption",
+        type: "invalid_expiry",
+        row: sheetRow(index),
+        message: `Expiry date "${expires}" for tract ${tractId} is not a date; the adoption won't be flagged for renewal`,
+      });
+    }
+
+    if (!rowsByTract[tractId]) {
+      rowsByTract[tractId] = [];
+    }
+    const hasPartners = partnerModel
+      ? getTractPartners(partnerModel, tractId).length > 0 || listedTractIds.has(tractId)
+      : false;
+    rowsByTract[tractId].push({ row: sheetRow(index), status: getRowAdoptionState(status, hasPartners) });
+  });
+
+  Object.entries(rowsByTract).forEach(([tractId, tractRows]) => {
+    if (tractRows.length < 2) return;
+
+    const rowNumbers = tractRows.map(tractRow => tractRow.row).join(", ");
+    const statuses = new Set(tractRows.map(tractRow => tractRow.status));
+    issues.push(statuses.size > 1
+      ? {
+          severity: "error",
+          source: "adoption",
+          type: "duplicate_conflict",
+          row: tractRows[0].row,
+          message: `Tract ${tractId} appears in rows ${rowNumbers} with conflicting statuses`,
+        }
+      : {
+          severity: "warning",
+          source: "adoption",
+          type: "duplicate_tract",
+          row: tractRows[0].row,
+          message: `Tract ${tractId} appears in rows ${rowNumbers}`,
+        });
+  });
+
+  return issues;
+}
+
+/**
+ * Checks the church sheet's rows
+ * @param {Array} rows - Parsed rows
+ * @returns {Array} Issues
+ */
+export function validateChurchRows(rows) {
+  const issues = [];
+
+  rows.forEach((row, index) => {
+    const name = row["Name"]?.trim();
+    const zipCode = row["Zip Code"]?.toString().trim();
+
+    if (!name || !zipCode) {
+      issues.push({
+        severity: "warning",
+        source: "church",
+        type: "missing_value",
+        row: sheetRow(index),
+        message: `${name || "Unnamed church"} has no ${name ? "ZIP code" : "name"} and won't appear in ZIP popups`,
+      });
+    }
+
+    if (zipCode && !ZIP_PATTERN.test(zipCode)) {
+      issues.push({
+        severity: "error",
+        source: "church",
+        type: "malformed_zip",
+        row: sheetRow(index),
+        message: `ZIP code "${zipCode}" for ${name || "an unnamed church"} is not a 5-digit ZIP`,
+      });
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Validates both spreadsheets
+ * @param {Object} options - { adoptionRows, churchRows, tractGeoids, partnerModel }
+ * @returns {Object} { issues, counts, tractCheck } with counts per severity and whether tract IDs were checked against the map
+ */
+export function validateImports({ adoptionRows, churchRows, tractGeoids = null, partnerModel = null }) {
+  const issues = [];
+
+  [["adoption", adoptionRows], ["church", churchRows]].forEach(([source, rows]) => {
+    if (rows.length === 0) {
+      issues.push({
+        severity: "error",
+        source,
+        type: "empty_sheet",
+        row: null,
+        message: `${VALIDATION_SOURCES[source].label} has no rows or could not be loaded`,
+      });
+      return;
+    }
+
+    // Papa Parse gives every row every header, so the first row lists the columns
+    const columnIssues = validateColumns(Object.keys(rows[0]), source);
+    issues.push(...columnIssues);
+
+    // Rows can't be checked until the required columns can be read
+    if (columnIssues.some(issue => issue.severity === "error")) return;
+
+    issues.push(...(source === "adoption"
+      ? validateAdoptionRows(rows, tractGeoids, partnerModel)
+      : validateChurchRows(rows)));
+  });
+
+  const counts = { error: 0, warning: 0 };
+  issues.forEach(issue => {
+    counts[issue.severity]++;
+  });
+
+  console.log(`Import validation found ${counts.error} errors and ${counts.warning} warnings`);
+
+  return { issues, counts, tractCheck: Boolean(tractGeoids) };
+}
@@ -0,0 +1,77 @@
+import { validateColumns, validateAdoptionRows, validateChurchRows, validateImports } from './importValidationUtils';
+import { importPartnersFromSheet } from './partnerUtils';
+
+const typesOf = issues => issues.map(({ type, row }) => [type, row]);
+
+test('flags missing and renamed columns', () => {
+  const issues = validateColumns(['Census Tract', 'Adoption status ', 'Adopted by'], 'adoption');
+  expect(issues).toEqual([expect.objectContaining({ severity: 'error', type: 'renamed_column', row: 1 })]);
+  expect(issues[0].message).toContain('"Adoption status "');
+
+  expect(typesOf(validateColumns(['Name'], 'church'))).toEqual([['missing_column', 1]]);
+  expect(validateColumns(['Name', 'Zip Code'], 'church')).toEqual([]);
+});
+
+test('checks tract IDs, statuses and expiry dates with sheet row numbers', () => {
+  const rows = [
+    { 'Census Tract': '06001400100', 'Adoption Status': 'Adopted', 'Adoption Expires': '2027-01-31' },
+    { 'Census Tract': '6001400', 'Adoption Status': '' },
+    { 'Census Tract': '06001999999', 'Adoption Status': 'Maybe', 'Adoption Expires': 'next spring' },
+    { 'Census Tract': ' ', 'Adoption Status': 'Adopted' },
+  ];
+  expect(typesOf(validateAdoptionRows(rows, ['06001400100']))).toEqual([
+    ['malformed_tract', 3],
+    ['unknown_tract', 4],
+    ['unknown_status', 4],
+    ['invalid_expiry', 4],
+    ['missing_value', 5],
+  ]);
+  expect(typesOf(validateAdoptionRows(rows.slice(2, 3)))).toEqual([['unknown_status', 2], ['invalid_expiry', 2]]);
+});
+
+test('separates repeated tracts from conflicting ones', () => {
+  const row = (tract, status) => ({ 'Census Tract': tract, 'Adoption Status': status });
+  const issues = validateAdoptionRows([
+    row('06001400100', 'Adopted'), row('06001400100', 'adopted'),
+    row('06001400200', 'Adopted'), row('06001400200', 'Available'),
+  ]);
+  expect(issues.map(({ severity, type, row: sheetRow }) => [severity, type, sheetRow])).toEqual([
+    ['warning', 'duplicate_tract', 2],
+    ['error', 'duplicate_conflict', 4],
+  ]);
+  expect(issues[1].message).toBe('Tract 06001400200 appears in rows 4, 5 with conflicting statuses');
+});
+
+test('compares repeated tracts by the state the map reads from each row', () => {
+  // A blank status means adopted when the tract has partners, and not adopted otherwise
+  const rows = [
+    { 'Census Tract': '06001400200', 'Adoption Status': 'Adopted', Churches: 'Grace Fellowship' },
+    { 'Census Tract': '06001400200', 'Adoption Status': '', Churches: 'Grace Fellowship' },
+    { 'Census Tract': '06001400300', 'Adoption Status': 'Adopted', Churches: '' },
+    { 'Census Tract': '06001400300', 'Adoption Status': '', Churches: '' },
+  ];
+  const partnerModel = importPartnersFromSheet(rows, []);
+  expect(typesOf(validateAdoptionRows(rows, null, partnerModel))).toEqual([
+    ['duplicate_tract', 2],
+    ['duplicate_conflict', 4],
+  ]);
+});
+
+test('checks church names and ZIP codes', () => {
+  expect(typesOf(validateChurchRows([
+    { Name: 'Grace', 'Zip Code': '94601' },
+    { Name: 'St. Mark', 'Zip Code': '94601-1234' },
+    { Name: '', 'Zip Code': '946' },
+    { Name: 'Hope', 'Zip Code': '' },
+  ]))).toEqual([['missing_value', 4], ['malformed_zip', 4], ['missing_value', 5]]);
+});
+
+test('skips row checks of a sheet missing required columns and counts severities', () => {
+  const result = validateImports({
+    adoptionRows: [{ Tract: '123', 'Adoption Status': 'Adopted' }],
+    churchRows: [],
+  });
+  expect(typesOf(result.issues)).toEqual([['missing_column', 1], ['empty_sheet', null]]);
+  expect(result.counts).toEqual({ error: 2, warning: 0 });
+  expect(result.tractCheck).toBe(false);
+});
@@ -0,0 +1,167 @@
+// src/utils/layerUtils.js
+
+/**
+ * Layers listed in the layer panel, with the visibility, opacity and drawing
+ * order chosen there. The selected geography (tracts or ZIP codes) is the
+ * filled data layer; the other one is drawn as labeled borders only, so both
+ * geographies can be shown at once.
+ */
+
+// Layer settings and order chosen in the layer panel are kept between visits
+const LAYER_SETTINGS_STORAGE_KEY = "povertyPockets.layers";
+
+// Keys match the geographies ArcGISMap switches between. Geographies label
+// their borders with labelExpression once zoomed in past labelMinScale.
+export const MAP_LAYERS = {
+  partners: { label: "Partner Locations" },
+  counties: { label: "County Outlines" },
+  zipCodes: {
+    label: "ZIP Codes",
+    url: `${process.env.PUBLIC_URL}/BayAreaZipCodes.geojson`,
+    labelExpression: "$feature.ZIP_CODE",
+    labelMinScale: 300000,
+  },
+  censusTracts: {
+    label: "Census Tracts",
+    url: `${process.env.PUBLIC_URL}/bay_area_tracts_geometry.geojson`,
+    labelExpression: "\"Tract \" + $feature.NAME",
+    labelMinScale: 75000,
+  },
+};
+
+// Top layer first
+export const DEFAULT_LAYER_ORDER = Object.keys(MAP_LAYERS);
+
+// ZIP borders are off until chosen, so tracts aren't crossed by ZIP lines by default
+export const DEFAULT_LAYER_SETTINGS = {
+  partners: { visible: true, opacity: 1 },
+  counties: { visible: true, opacity: 1 },
+  zipCodes: { visible: false, opacity: 1, labels: true },
+  censusTracts: { visible: true, opacity: 1, labels: true },
+};
+
+/**
+ * Loads the saved layer settings and order, falling back to the defaults.
+ * The map opens on tracts, so settings saved while ZIP codes were the data
+ * layer are swapped back to their roles.
+ * @returns {Object} { settings, order } with settings keyed by layer and order top first
+ */
+export function loadLayerSettings() {
+  const settings = {};
+  Object.entries(DEFAULT_LAYER_SETTINGS).forEach(([key, defaults]) => {
+    settings[key] = { ...defaults };
+  });
+  let order = DEFAULT_LAYER_ORDER;
+
+  try {
+    const saved = JSON.parse(localStorage.getItem(LAYER_SETTINGS_STORAGE_KEY) || "{}");
+    Object.keys(settings).forEach(key => {
+      const layer = saved.settings?.[key] || {};
+      if (typeof layer.visible === "boolean") {
+        settings[key].visible = layer.visible;
+      }
+      if ("labels" in settings[key] && typeof layer.labels === "boolean") {
+        settings[key].labels = layer.labels;
+      }
+      const opacity = parseFloat(layer.opacity);
+      if (!isNaN(opacity)) {
+        settings[key].opacity = Math.min(Math.max(opacity, 0), 1);
+      }
+    });
+
+    // Keep a saved order only if it still names every layer
+    if (Array.isArray(saved.order) &&
+        saved.order.length === DEFAULT_LAYER_ORDER.length &&
+        DEFAULT_LAYER_ORDER.every(key => saved.order.includes(key))) {
+      order = saved.order;
+    }
+
+    if (saved.dataLayer === "zipCodes") {
+      return {
+        settings: swapLayerSettings(settings, "zipCodes", "censusTracts"),
+        order: swapLayers(order, "zipCodes", "censusTracts")
+      };
+    }
+  } catch (error) {
+    console.warn("Could not read saved layer settings:", error);
+  }
+
+  return { settings, order };
+}
+
+/**
+ * Saves the layer settings and order for the next visit
+ * @param {Object} layers - { settings, order }
+ * @param {string} dataLayer - Geography shown as the data layer, "censusTracts" or "zipCodes"
+ */
+export function saveLayerSettings(layers, dataLayer = "censusTracts") {
+  try {
+    localStorage.setItem(LAYER_SETTINGS_STORAGE_KEY, JSON.stringify({ ...layers, dataLayer }));
+  } catch (error) {
+    console.warn("Could not save layer settings:", error);
+  }
+}
+
+/**
+ * Moves a layer to another position in the drawing order
+ * @param {Array} order - Layer keys, top first
+ * @param {string} key - Layer to move
+ * @param {string} targetKey - Layer whose position it takes
+ * @returns {Array} New order
+ */
+export function moveLayer(order, key, targetKey) {
+  if (key === targetKey) return order;
+  const next = order.filter(other => other !== key);
+  next.splice(order.indexOf(targetKey), 0, key);
+  return next;
+}
+
+/**
+ * Swaps the drawing positions of two layers, e.g. so the geography shown as
+ * borders stays above the filled one after switching between them
+ * @param {Array} order - Layer keys, top first
+ * @param {string} key - One layer
+ * @param {string} otherKey - The other layer
+ * @returns {Array} New order
+ */
+export function swapLayers(order, key, otherKey) {
+  return order.map(layer => {
+    if (layer === key) return otherKey;
+    if (layer === otherKey) return key;
+    return layer;
+  });
+}
+
+/**
+ * Swaps the settings of two layers, so the choices made for the data
+ * geography and for the borders stay with those roles when the geographies
+ * switch places
+ * @param {Object} settings - Settings keyed by layer
+ * @param {string} key - One layer
+ * @param {string} otherKey - The other layer
+ * @returns {Object} New settings
+ */
+export function swapLayerSettings(settings, key, otherKey) {
+  return { ...settings, [key]: { ...settings[otherKey] }, [otherKey]: { ...settings[key] } };
+}
+
+/**
+ * Creates the labels of a geography drawn as borders
+ * @param {string} key - "censusTracts" or "zipCodes"
+ * @returns {Array} ArcGIS labelingInfo
+ */
+export function createBoundaryLabelingInfo(key) {
+  const { labelExpression, labelMinScale } = MAP_LAYERS[key];
+  return [{
+    labelExpressionInfo: { expression: labelExpression },
+    labelPlacement: "always-horizontal",
+    minScale: labelMinScale,
+    symbol: {
+      type: "text",
+      color: "rgb(55, 65, 81)",
+      haloColor: "white",
+      haloSize: 1.5,
+      font: { size: 10, weight: "bold" },
+    },
+  }];
+}
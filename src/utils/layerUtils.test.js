@@ -0,0 +1,44 @@
+import {
+  DEFAULT_LAYER_ORDER,
+  loadLayerSettings,
+  saveLayerSettings,
+  moveLayer,
+  swapLayers,
+  swapLayerSettings
+} from './layerUtils';
+
+beforeEach(() => localStorage.clear());
+
+test('moves a layer to the position of another', () => {
+  expect(DEFAULT_LAYER_ORDER).toEqual(['partners', 'counties', 'zipCodes', 'censusTracts']);
+  expect(moveLayer(DEFAULT_LAYER_ORDER, 'censusTracts', 'partners'))
+    .toEqual(['censusTracts', 'partners', 'counties', 'zipCodes']);
+  expect(moveLayer(DEFAULT_LAYER_ORDER, 'partners', 'zipCodes'))
+    .toEqual(['counties', 'zipCodes', 'partners', 'censusTracts']);
+});
+
+test('swaps the positions of two layers', () => {
+  expect(swapLayers(DEFAULT_LAYER_ORDER, 'censusTracts', 'zipCodes'))
+    .toEqual(['partners', 'counties', 'censusTracts', 'zipCodes']);
+});
+
+test('keeps the border choices with their role when geographies swap', () => {
+  const settings = {
+    zipCodes: { visible: false, opacity: 1, labels: false },
+    censusTracts: { visible: true, opacity: 0.6, labels: true },
+  };
+  expect(swapLayerSettings(settings, 'censusTracts', 'zipCodes')).toEqual({
+    zipCodes: { visible: true, opacity: 0.6, labels: true },
+    censusTracts: { visible: false, opacity: 1, labels: false },
+  });
+});
+
+test('reopens settings saved in the ZIP view on tracts', () => {
+  const { settings, order } = loadLayerSettings();
+  const zipView = {
+    settings: swapLayerSettings(settings, 'censusTracts', 'zipCodes'),
+    order: swapLayers(order, 'censusTracts', 'zipCodes'),
+  };
+  saveLayerSettings(zipView, 'zipCodes');
+  expect(loadLayerSettings()).toEqual({ settings, order });
+});
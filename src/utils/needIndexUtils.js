@@ -0,0 +1,155 @@
+// src/utils/needIndexUtils.js
+
+import { CENSUS_VARIABLES, NEED_SCORE_FIELD, parseCensusNumber } from "./censusVariables";
+
+// Weights chosen in the settings panel are kept between visits
+const NEED_WEIGHTS_STORAGE_KEY = "povertyPockets.needWeights";
+
+// Weights range from 0 (ignored) to this value in the settings panel
+export const MAX_NEED_WEIGHT = 5;
+
+/**
+ * Catalog indicators that can feed the need score (entries marked `need`)
+ */
+export const NEED_INDICATORS = CENSUS_VARIABLES.filter(variable => variable.need);
+
+/**
+ * Returns the default weight of every need indicator from the catalog
+ * @returns {Object} Map of variable code to weight
+ */
+export function getDefaultNeedWeights() {
+  const weights = {};
+  NEED_INDICATORS.forEach(variable => {
+    weights[variable.code] = variable.need.weight;
+  });
+  return weights;
+}
+
+/**
+ * Loads the saved need weights, falling back to the catalog defaults for
+ * indicators without a saved weight
+ * @returns {Object} Map of variable code to weight
+ */
+export function loadNeedWeights() {
+  const weights = getDefaultNeedWeights();
+
+  try {
+    const saved = JSON.parse(localStorage.getItem(NEED_WEIGHTS_STORAGE_KEY) || "{}");
+    Object.keys(weights).forEach(code => {
+      const weight = parseFloat(saved[code]);
+      if (!isNaN(weight)) {
+        weights[code] = Math.min(Math.max(weight, 0), MAX_NEED_WEIGHT);
+      }
+    });
+  } catch (error) {
+    console.warn("Could not read saved need score weights:", error);
+  }
+
+  return weights;
+}
+
+/**
+ * Saves the need weights for the next visit
+ * @param {Object} weights - Map of variable code to weight
+ */
+export function saveNeedWeights(weights) {
+  try {
+    localStorage.setItem(NEED_WEIGHTS_STORAGE_KEY, JSON.stringify(weights));
+  } catch (error) {
+    console.warn("Could not save need score weights:", error);
+  }
+}
+
+/**
+ * Ranks values as percentiles between 0 and 1; tied values share their
+ * average rank so identical values always score the same
+ * @param {Array} entries - [[id, value]] with numeric values
+ * @returns {Object} Map of id to percentile rank
+ */
+function getPercentileRanks(entries) {
+  const ranks = {};
+  if (entries.length === 0) return ranks;
+  if (entries.length === 1) {
+    ranks[entries[0][0]] = 0.5;
+    return ranks;
+  }
+
+  const sorted = [...entries].sort((a, b) => a[1] - b[1]);
+  let start = 0;
+
+  while (start < sorted.length) {
+    let end = start;
+    while (end + 1 < sorted.length && sorted[end + 1][1] === sorted[start][1]) {
+      end++;
+    }
+
+    const rank = (start + end) / 2 / (sorted.length - 1);
+    for (let i = start; i <= end; i++) {
+      ranks[sorted[i][0]] = rank;
+    }
+    start = end + 1;
+  }
+
+  return ranks;
+}
+
+/**
+ * Scores every feature of a layer from 0 (least need) to 100 (most need).
+ * Each weighted indicator is ranked as a percentile among the layer's
+ * features, inverted where lower values mean more need (e.g. median income),
+ * and the ranks are averaged by weight. Indicators a feature has no value for
+ * (missing or suppressed) are left out of its average.
+ * @param {Map} featureCensusData - Census data keyed by feature ID (from injectCensusDataIntoLayer)
+ * @param {Object} weights - Map of variable code to weight
+ * @returns {number} Number of features that received a score
+ */
+export function applyNeedScores(featureCensusData, weights) {
+  if (!featureCensusData) return 0;
+
+  const activeIndicators = NEED_INDICATORS.filter(variable => weights[variable.code] > 0);
+
+  // Percentile ranks of each active indicator, oriented so 1 is most need
+  const ranksByCode = {};
+  activeIndicators.forEach(variable => {
+    const entries = [];
+    featureCensusData.forEach((values, id) => {
+      const value = parseCensusNumber(values[variable.code]);
+      if (value !== null) {
+        entries.push([String(id), value]);
+      }
+    });
+
+    const ranks = getPercentileRanks(entries);
+    if (!variable.need.higherIsNeed) {
+      Object.keys(ranks).forEach(id => {
+        ranks[id] = 1 - ranks[id];
+      });
+    }
+    ranksByCode[variable.code] = ranks;
+  });
+
+  let scoredCount = 0;
+
+  featureCensusData.forEach((values, id) => {
+    let weightedSum = 0;
+    let weightTotal = 0;
+
+    activeIndicators.forEach(variable => {
+      const rank = ranksByCode[variable.code][String(id)];
+      if (rank !== undefined) {
+        weightedSum += rank * weights[variable.code];
+        weightTotal += weights[variable.code];
+      }
+    });
+
+    const score = weightTotal > 0 ? ((weightedSum / weightTotal) * 100).toFixed(1) : null;
+    if (score !== null) scoredCount++;
+
+    // Replace rather than mutate the record, which is shared with app state
+    featureCensusData.set(id, { ...values, [NEED_SCORE_FIELD.code]: score });
+  });
+
+  console.log(`Need scores computed for ${scoredCount} of ${featureCensusData.size} features from ${activeIndicators.length} indicators`);
+
+  return scoredCount;
+}
@@ -0,0 +1,49 @@
+import { NEED_SCORE_FIELD } from './censusVariables';
+import { MAX_NEED_WEIGHT, getDefaultNeedWeights, loadNeedWeights, saveNeedWeights, applyNeedScores } from './needIndexUtils';
+
+const scoresOf = (featureCensusData) => {
+  const scores = {};
+  featureCensusData.forEach((values, id) => {
+    scores[id] = values[NEED_SCORE_FIELD.code];
+  });
+  return scores;
+};
+
+test('ranks indicators as percentiles, tied values sharing their average rank', () => {
+  const data = new Map([
+    ['a', { S1701_C03_001E: '10' }],
+    ['b', { S1701_C03_001E: '20' }],
+    ['c', { S1701_C03_001E: '20' }],
+    ['d', { S1701_C03_001E: '40' }],
+  ]);
+  expect(applyNeedScores(data, { S1701_C03_001E: 1 })).toBe(4);
+  expect(scoresOf(data)).toEqual({ a: '0.0', b: '50.0', c: '50.0', d: '100.0' });
+});
+
+test('inverts indicators where lower values mean more need and averages by weight', () => {
+  const data = new Map([
+    ['a', { S1701_C03_001E: '10', S1901_C01_012E: '50000' }],
+    ['b', { S1701_C03_001E: '30', S1901_C01_012E: '150000' }],
+    ['c', { S1701_C03_001E: '20' }],
+  ]);
+  applyNeedScores(data, { S1701_C03_001E: 1, S1901_C01_012E: 3 });
+  // a: poverty rank 0, income rank 1 -> (0 + 3) / 4; c has no income, so poverty alone
+  expect(scoresOf(data)).toEqual({ a: '75.0', b: '25.0', c: '50.0' });
+});
+
+test('leaves features unscored without weighted values and keeps records unchanged', () => {
+  const record = { S1701_C03_001E: '10' };
+  const data = new Map([['a', record], ['b', { S1701_C03_001E: null }]]);
+  expect(applyNeedScores(data, { S1701_C03_001E: 1 })).toBe(1);
+  expect(scoresOf(data)).toEqual({ a: '50.0', b: null });
+  expect(record[NEED_SCORE_FIELD.code]).toBeUndefined();
+  expect(applyNeedScores(data, {})).toBe(0);
+});
+
+test('loads saved weights within range, defaulting the rest', () => {
+  localStorage.clear();
+  saveNeedWeights({ S1701_C03_001E: 99, S1901_C01_012E: 'x' });
+  const weights = loadNeedWeights();
+  expect(weights.S1701_C03_001E).toBe(MAX_NEED_WEIGHT);
+  expect(weights.S1901_C01_012E).toBe(getDefaultNeedWeights().S1901_C01_012E);
+});
@@ -0,0 +1,135 @@
+// src/utils/partnerLayerUtils.js
+
+import { PARTNER_TYPES, getPartnerTracts } from "./partnerUtils";
+import { escapeHtml } from "./htmlUtils";
+
+/**
+ * Point layer of partner locations: one point per located partner, with a
+ * symbol per partner type, clustered when zoomed out.
+ */
+
+// Marker per partner type
+export const PARTNER_SYMBOLS = {
+  church: { color: "rgb(124, 58, 237)", style: "circle" },
+  nonprofit: { color: "rgb(14, 165, 233)", style: "diamond" },
+  business: { color: "rgb(234, 88, 12)", style: "square" },
+};
+
+// Points are clustered when zoomed out beyond this scale (about city level)
+export const PARTNER_CLUSTER_MAX_SCALE = 50000;
+
+export const PARTNER_LAYER_FIELDS = [
+  { name: "ObjectID", type: "oid" },
+  { name: "partnerId", type: "string" },
+  { name: "name", type: "string" },
+  { name: "type", type: "string" },
+  { name: "tractCount", type: "integer" },
+];
+
+/**
+ * Builds a marker symbol for a partner type
+ * @param {string} type - Key of PARTNER_TYPES
+ * @returns {Object} ArcGIS simple-marker symbol
+ */
+function createPartnerSymbol(type) {
+  const { color, style } = PARTNER_SYMBOLS[type] || PARTNER_SYMBOLS.church;
+  return {
+    type: "simple-marker",
+    style,
+    color,
+    size: 10,
+    outline: { color: "white", width: 1 },
+  };
+}
+
+/**
+ * Builds one point graphic per located partner
+ * @param {Object} partnerModel - Partner model
+ * @param {Object} locations - { latitude, longitude } keyed by partner ID (from locatePartners)
+ * @returns {Array} Graphics for the layer's source
+ */
+export function createPartnerGraphics(partnerModel, locations) {
+  return Object.values(partnerModel.partners)
+    .filter(partner => locations[partner.id])
+    .map((partner, index) => ({
+      geometry: {
+        type: "point",
+        latitude: locations[partner.id].latitude,
+        longitude: locations[partner.id].longitude,
+      },
+      attributes: {
+        ObjectID: index + 1,
+        partnerId: partner.id,
+        name: partner.name,
+        type: partner.type,
+        tractCount: getPartnerTracts(partnerModel, partner.id).length,
+      },
+    }));
+}
+
+/**
+ * Creates a renderer with one symbol and legend entry per partner type
+ * @returns {Object} ArcGIS renderer object
+ */
+export function createPartnerRenderer() {
+  return {
+    type: "unique-value",
+    field: "type",
+    legendOptions: { title: "Partners" },
+    defaultSymbol: createPartnerSymbol("church"),
+    uniqueValueInfos: Object.entries(PARTNER_TYPES).map(([type, { pluralLabel }]) => ({
+      value: type,
+      label: pluralLabel,
+      symbol: createPartnerSymbol(type),
+    })),
+  };
+}
+
+/**
+ * Creates the clustering for the layer; clusters show their partner count
+ * @returns {Object} ArcGIS cluster feature reduction
+ */
+export function createPartnerClusterReduction() {
+  return {
+    type: "cluster",
+    clusterRadius: "60px",
+    maxScale: PARTNER_CLUSTER_MAX_SCALE,
+    popupTemplate: {
+      title: "Partners",
+      content: "{cluster_count} partners in this area. Zoom in to see each one.",
+    },
+    labelingInfo: [{
+      deconflictionStrategy: "none",
+      labelExpressionInfo: { expression: "Text($feature.cluster_count, '#,###')" },
+      symbol: {
+        type: "text",
+        color: "white",
+        font: { weight: "bold", size: "11px" },
+      },
+      labelPlacement: "center-center",
+    }],
+  };
+}
+
+/**
+ * Builds the popup content for a partner point
+ * @param {Object} partner - Partner from the partner model
+ * @param {Array} tractIds - Tracts the partner has adopted
+ * @param {boolean} highlighted - Whether those tracts are highlighted on the map
+ * @returns {string} HTML content
+ */
+export function createPartnerPopupHtml(partner, tractIds, highlighted) {
+  const details = [
+    `<b>Type:</b> ${PARTNER_TYPES[partner.type]?.label || partner.type}`,
+    partner.contact && `<b>Contact:</b> ${escapeHtml(partner.contact)}`,
+    partner.address && `<b>Address:</b> ${escapeHtml([partner.address, partner.zip].filter(Boolean).join(", "))}`,
+    `<b>Adopted tracts:</b> ${tractIds.length > 0 ? tractIds.join(", ") : "None"}${highlighted && tractIds.length > 0 ? " (highlighted on the map)" : ""}`,
+  ].filter(Boolean);
+
+  return `
+    <div style="text-align: left;">
+      <h3>${escapeHtml(partner.name)}</h3>
+      ${details.join("<br>")}
+    </div>
+  `;
+}
@@ -0,0 +1,260 @@
+// src/utils/partnerUtils.js
+
+import { escapeHtml } from "./htmlUtils";
+
+/**
+ * Partner model: churches, non-profits and local businesses that adopt
+ * tracts. Partners are kept by ID with their details, and `links` pairs
+ * partners with tracts (many-to-many). The model is imported from the
+ * adoption Sheet's partner columns and the church directory, then in-app
+ * adoption edits are applied on top.
+ */
+
+// Partner types, the Sheet column listing them and the adoption edit field that sets them
+export const PARTNER_TYPES = {
+  church: { label: "Church", pluralLabel: "Churches", sheetColumn: "Churches", editField: "churches" },
+  nonprofit: { label: "Non-Profit", pluralLabel: "Non-Profits", sheetColumn: "Non-Profits", editField: "nonProfits" },
+  business: { label: "Local Business", pluralLabel: "Local Businesses", sheetColumn: "Local Business", editField: "localBusiness" },
+};
+
+// Tract IDs sometimes appear in the partner columns; they are not partner names
+const TRACT_ID_PATTERN = /^\d{11}$/;
+
+/**
+ * Creates a stable partner ID from its type and name
+ * @param {string} type - Key of PARTNER_TYPES
+ * @param {string} name - Partner name
+ * @returns {string} ID such as "church-grace-fellowship"
+ */
+export function createPartnerId(type, name) {
+  const slug = String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+  return `${type}-${slug}`;
+}
+
+/**
+ * Splits a comma-separated partner cell into partner names and tract IDs
+ * @param {string} cell - Cell text, e.g. "Grace Church, 06001400100"
+ * @returns {Object} { names, tractIds }
+ */
+export function splitPartnerCell(cell) {
+  const names = [];
+  const tractIds = [];
+
+  String(cell || "").split(",").forEach(token => {
+    const value = token.trim();
+    if (!value || value.toUpperCase() === "N/A") return;
+    if (TRACT_ID_PATTERN.test(value)) {
+      tractIds.push(value);
+    } else {
+      names.push(value);
+    }
+  });
+
+  return { names, tractIds };
+}
+
+/**
+ * Returns the first non-empty value among several possible column names
+ * @param {Object} row - CSV row
+ * @param {Array} columns - Column names to try
+ * @returns {string|null} Trimmed value
+ */
+function pickColumn(row, columns) {
+  for (const column of columns) {
+    const value = row[column];
+    if (value !== undefined && value !== null && String(value).trim()) {
+      return String(value).trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * Parses a coordinate cell
+ * @param {string} value - Cell text
+ * @returns {number|null} Coordinate, or null when blank or not a number
+ */
+function parseCoordinate(value) {
+  const coordinate = parseFloat(value);
+  return isNaN(coordinate) ? null : coordinate;
+}
+
+/**
+ * Adds a partner to the model, or fills in missing details of an existing one
+ * @param {Object} model - Partner model
+ * @param {string} type - Key of PARTNER_TYPES
+ * @param {string} name - Partner name
+ * @param {Object} details - { contact, address, zip, latitude, longitude }
+ * @returns {string} Partner ID
+ */
+function addPartner(model, type, name, details = {}) {
+  const id = createPartnerId(type, name);
+  const partner = model.partners[id] || {
+    id, name, type, contact: null, address: null, zip: null, latitude: null, longitude: null
+  };
+
+  model.partners[id] = {
+    ...partner,
+    contact: partner.contact || details.contact || null,
+    address: partner.address || details.address || null,
+    zip: partner.zip || details.zip || null,
+    latitude: partner.latitude ?? details.latitude ?? null,
+    longitude: partner.longitude ?? details.longitude ?? null,
+  };
+
+  return id;
+}
+
+/**
+ * Links a partner to a tract unless the link already exists
+ * @param {Object} model - Partner model
+ * @param {string} partnerId - Partner ID
+ * @param {string} tractId - Tract GEOID
+ */
+function linkPartner(model, partnerId, tractId) {
+  const exists = model.links.some(link => link.partnerId === partnerId && link.tractId === tractId);
+  if (!exists) {
+    model.links.push({ partnerId, tractId });
+  }
+}
+
+/**
+ * Imports partners from the adoption Sheet and the church directory. Each name
+ * in a row's partner columns becomes a partner linked to the row's tract.
+ * @param {Array} povertyRows - Adoption Sheet rows ("Census Tract", "Churches", ...)
+ * @param {Array} churchRows - Church directory rows ("Name", "Zip Code", ...)
+ * @returns {Object} { partners, links, listedTractIds } where listedTractIds holds tracts whose own row lists their ID
+ */
+export function importPartnersFromSheet(povertyRows, churchRows = []) {
+  const model = { partners: {}, links: [], listedTractIds: [] };
+
+  // The church directory supplies addresses, contacts and coordinates, even for churches not yet linked
+  churchRows.forEach(row => {
+    const name = pickColumn(row, ["Name"]);
+    if (!name) return;
+
+    addPartner(model, "church", name, {
+      contact: pickColumn(row, ["Contact", "Contact Name", "Email", "Phone"]),
+      address: pickColumn(row, ["Address", "Street Address"]),
+      zip: pickColumn(row, ["Zip Code", "ZIP", "Zip"]),
+      latitude: parseCoordinate(pickColumn(row, ["Latitude", "Lat"])),
+      longitude: parseCoordinate(pickColumn(row, ["Longitude", "Lon", "Lng"])),
+    });
+  });
+
+  povertyRows.forEach(row => {
+    const tractId = row["Census Tract"]?.trim();
+    if (!tractId) return;
+
+    Object.entries(PARTNER_TYPES).forEach(([type, { sheetColumn }]) => {
+      const { names, tractIds } = splitPartnerCell(row[sheetColumn]);
+
+      names.forEach(name => linkPartner(model, addPartner(model, type, name), tractId));
+
+      if (tractIds.includes(tractId) && !model.listedTractIds.includes(tractId)) {
+        model.listedTractIds.push(tractId);
+      }
+    });
+  });
+
+  console.log(`Imported ${Object.keys(model.partners).length} partners with ${model.links.length} tract links`);
+
+  return model;
+}
+
+/**
+ * Applies in-app adoption edits to the partner model. An edit that sets a
+ * partner field replaces the tract's partners of that type.
+ * @param {Object} model - Partner model from importPartnersFromSheet
+ * @param {Object} adoptionEdits - Edit records keyed by tract ID (from fetchAdoptionEdits)
+ * @returns {Object} New partner model
+ */
+export function applyPartnerEdits(model, adoptionEdits) {
+  const next = { ...model, partners: { ...model.partners }, links: [...model.links] };
+
+  Object.values(adoptionEdits || {}).forEach(edit => {
+    Object.entries(PARTNER_TYPES).forEach(([type, { editField }]) => {
+      if (edit[editField] === undefined) return;
+
+      next.links = next.links.filter(link =>
+        link.tractId !== edit.tractId || next.partners[link.partnerId]?.type !== type
+      );
+      splitPartnerCell(edit[editField]).names.forEach(name =>
+        linkPartner(next, addPartner(next, type, name), edit.tractId)
+      );
+    });
+  });
+
+  return next;
+}
+
+/**
+ * Returns the partners linked to a tract
+ * @param {Object} model - Partner model
+ * @param {string} tractId - Tract GEOID
+ * @param {string} type - Optional key of PARTNER_TYPES to filter by
+ * @returns {Array} Partners
+ */
+export function getTractPartners(model, tractId, type = null) {
+  if (!model) return [];
+
+  return model.links
+    .filter(link => link.tractId === String(tractId))
+    .map(link => model.partners[link.partnerId])
+    .filter(partner => partner && (!type || partner.type === type));
+}
+
+/**
+ * Returns the tracts a partner is linked to
+ * @param {Object} model - Partner model
+ * @param {string} partnerId - Partner ID
+ * @returns {Array} Tract GEOIDs
+ */
+export function getPartnerTracts(model, partnerId) {
+  if (!model) return [];
+  return model.links.filter(link => link.partnerId === partnerId).map(link => link.tractId);
+}
+
+/**
+ * Returns the partners located in a ZIP code
+ * @param {Object} model - Partner model
+ * @param {string} zipCode - ZIP code
+ * @param {string} type - Optional key of PARTNER_TYPES to filter by
+ * @returns {Array} Partners
+ */
+export function getZipPartners(model, zipCode, type = null) {
+  if (!model || !zipCode) return [];
+
+  return Object.values(model.partners).filter(partner =>
+    partner.zip === String(zipCode) && (!type || partner.type === type)
+  );
+}
+
+/**
+ * Joins partner names for display or for an edit field
+ * @param {Array} partners - Partners
+ * @returns {string} Comma-separated names, empty when there are none
+ */
+export function formatPartnerNames(partners) {
+  return partners.map(partner => partner.name).join(", ");
+}
+
+/**
+ * Builds the HTML for a partner list in a popup, with contact details on hover.
+ * Names and details come from the Sheet or an uploaded file, so they are escaped.
+ * @param {Array} partners - Partners
+ * @returns {string} HTML fragment, "N/A" when there are none
+ */
+export function createPartnerListHtml(partners) {
+  if (partners.length === 0) return "N/A";
+
+  return partners.map(partner => {
+    const details = [partner.contact, partner.address, partner.zip].filter(Boolean).join(", ");
+    return details
+      ? `<span title="${escapeHtml(details)}" style="text-decoration: underline dotted;">${escapeHtml(partner.name)}</span>`
+      : escapeHtml(partner.name);
+  }).join(", ");
+}
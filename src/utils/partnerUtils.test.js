@@ -0,0 +1,13 @@
+import { createPartnerListHtml } from './partnerUtils';
+
+test('escapes partner names and contact details in popup lists', () => {
+  const html = createPartnerListHtml([
+    { name: '<img src=x onerror=alert(1)>', contact: '" onmouseover="alert(1)', address: '1 Main St', zip: '94601' },
+    { name: 'Grace & Co' },
+  ]);
+  expect(html).not.toContain('<img');
+  expect(html).not.toContain('" onmouseover');
+  expect(html).toContain('title="&quot; onmouseover=&quot;alert(1), 1 Main St, 94601"');
+  expect(html).toContain('&lt;img src=x onerror=alert(1)&gt;</span>');
+  expect(html).toContain(', Grace &amp; Co');
+});
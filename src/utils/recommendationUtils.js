@@ -0,0 +1,205 @@
+// src/utils/recommendationUtils.js
+
+import {
+  NEED_SCORE_FIELD,
+  getCensusVariable,
+  formatVariableValue,
+  parseCensusNumber
+} from "./censusVariables";
+import { normalizeTractGeoid, normalizeZipCode } from "./censusDataUtils";
+import { applyNeedScores } from "./needIndexUtils";
+import { isAdoptedState } from "./adoptionStates";
+import { PARTNER_TYPES, getTractPartners, formatPartnerNames } from "./partnerUtils";
+import { getDistanceMiles, getPolygonCentroid } from "./geoutils";
+
+/**
+ * Suggests tracts for a partner to adopt: unadopted tracts near the partner,
+ * ranked by need and distance, favoring areas with few adoptions so far.
+ * Each suggestion carries the reasons it was made.
+ */
+
+// Tracts farther than this from the partner are not suggested
+export const RECOMMENDATION_RADIUS_MILES = parseFloat(process.env.REACT_APP_RECOMMENDATION_RADIUS_MILES) || 5;
+
+// Adopted tracts within this distance of a suggestion count as already served
+export const NEARBY_ADOPTION_MILES = 1;
+
+// Suggestions returned per partner
+export const RECOMMENDATION_COUNT = 5;
+
+// How much need, closeness and nearby adoptions move a tract up or down the list
+const RANKING_WEIGHTS = {
+  need: 0.6,
+  distance: 0.4,
+  nearbyAdopted: 0.2,
+};
+
+// Nearby adopted tracts beyond this don't lower a suggestion further
+const MAX_NEARBY_ADOPTED = 5;
+
+// Indicators quoted in each suggestion's reasons
+const EXPLAINED_INDICATORS = ["S1701_C03_001E", "S1901_C01_012E", "DP03_0009PE"];
+
+/**
+ * Builds the center point of every tract
+ * @param {Object} geojson - Tract FeatureCollection (from loadTractGeometry)
+ * @param {string} idProperty - Feature property holding the tract ID
+ * @returns {Object} { latitude, longitude } keyed by tract GEOID
+ */
+export function buildTractCentroids(geojson, idProperty = "GEOID") {
+  const centroids = {};
+  (geojson.features || []).forEach(feature => {
+    const id = feature.properties?.[idProperty];
+    if (!id || !feature.geometry) return;
+    const centroid = getPolygonCentroid(feature.geometry);
+    if (centroid) {
+      centroids[normalizeTractGeoid(id)] = centroid;
+    }
+  });
+  return centroids;
+}
+
+/**
+ * Finds where a partner is: its own location when it has one, otherwise the
+ * middle of the tracts in its ZIP code, or the center of the ZIP code's
+ * boundary when the crosswalk doesn't list it
+ * @param {Object} partner - Partner from the partner model
+ * @param {Object} partnerLocations - Locations keyed by partner ID (from locatePartners)
+ * @param {Object} tractCentroids - Result of buildTractCentroids
+ * @param {Object} crosswalk - Tract-to-ZIP crosswalk, or null
+ * @param {Object} zipCentroids - ZIP code centers (from buildZipCentroids), or null
+ * @returns {Object|null} { latitude, longitude, source: "location" | "zip" }, or null when unknown
+ */
+export function getPartnerOrigin(partner, partnerLocations, tractCentroids, crosswalk, zipCentroids = null) {
+  const location = partnerLocations[partner.id];
+  if (location) {
+    return { ...location, source: "location" };
+  }
+
+  const zip = normalizeZipCode(partner.zip);
+  const parts = (crosswalk?.[zip] || []).filter(({ tract }) => tractCentroids[tract]);
+  const totalRatio = parts.reduce((sum, { ratio }) => sum + ratio, 0);
+  if (totalRatio === 0) {
+    return zipCentroids?.[zip] ? { ...zipCentroids[zip], source: "zip" } : null;
+  }
+
+  return {
+    latitude: parts.reduce((sum, { tract, ratio }) => sum + tractCentroids[tract].latitude * ratio, 0) / totalRatio,
+    longitude: parts.reduce((sum, { tract, ratio }) => sum + tractCentroids[tract].longitude * ratio, 0) / totalRatio,
+    source: "zip",
+  };
+}
+
+/**
+ * Builds the reasons shown with a suggestion
+ * @param {Object} candidate - { distance, needScore, values, nearbyAdopted }
+ * @param {Object} origin - Result of getPartnerOrigin
+ * @returns {Array} Reason sentences
+ */
+function explainRecommendation({ distance, needScore, values, nearbyAdopted }, origin) {
+  const reasons = [];
+
+  if (needScore !== null) {
+    reasons.push(`Need score ${needScore.toFixed(0)} of 100 with the current weights`);
+  }
+
+  const indicators = EXPLAINED_INDICATORS
+    .map(code => getCensusVariable(code))
+    .filter(variable => variable && parseCensusNumber(values[variable.code]) !== null)
+    .map(variable => `${variable.label.toLowerCase()} ${formatVariableValue(variable, values[variable.code])}`);
+  if (indicators.length > 0) {
+    reasons.push(`Census: ${indicators.join(", ")}`);
+  }
+
+  const from = origin.source === "zip" ? "the partner's ZIP code" : "the partner";
+  reasons.push(`${distance.toFixed(1)} miles from ${from}`);
+
+  reasons.push(nearbyAdopted === 0
+    ? `No adopted tracts within ${NEARBY_ADOPTION_MILES} mile`
+    : `${nearbyAdopted} adopted tract${nearbyAdopted === 1 ? "" : "s"} within ${NEARBY_ADOPTION_MILES} mile already`);
+
+  return reasons;
+}
+
+/**
+ * Suggests unadopted tracts for a partner. Tracts within
+ * RECOMMENDATION_RADIUS_MILES are ranked by need score and closeness, and
+ * moved down when tracts around them are already adopted.
+ * @param {Object} options - { partner, partnerLocations, tractCentroids, crosswalk, zipCentroids,
+ *   censusTractData, adoptionStatusMap, needWeights }
+ * @returns {Object} { origin, recommendations } with origin null when the partner can't be placed;
+ *   each recommendation is { tractId, score, distance, needScore, nearbyAdopted, reasons }
+ */
+export function recommendTracts({
+  partner,
+  partnerLocations,
+  tractCentroids,
+  crosswalk,
+  zipCentroids,
+  censusTractData,
+  adoptionStatusMap,
+  needWeights
+}) {
+  const origin = getPartnerOrigin(partner, partnerLocations, tractCentroids, crosswalk, zipCentroids);
+  if (!origin) return { origin: null, recommendations: [] };
+
+  // Score a copy so the app's census records are left alone
+  const tractData = new Map();
+  Object.entries(censusTractData || {}).forEach(([geoid, values]) => {
+    tractData.set(normalizeTractGeoid(geoid), values);
+  });
+  applyNeedScores(tractData, needWeights);
+
+  const adoptedCentroids = Object.keys(tractCentroids)
+    .filter(tractId => isAdoptedState(adoptionStatusMap[tractId]?.status))
+    .map(tractId => tractCentroids[tractId]);
+
+  const candidates = Object.entries(tractCentroids)
+    .filter(([tractId]) => !isAdoptedState(adoptionStatusMap[tractId]?.status))
+    .map(([tractId, centroid]) => ({ tractId, centroid, distance: getDistanceMiles(origin, centroid) }))
+    .filter(({ distance }) => distance <= RECOMMENDATION_RADIUS_MILES);
+
+  const recommendations = candidates.map(({ tractId, centroid, distance }) => {
+    const values = tractData.get(tractId) || {};
+    const needScore = parseCensusNumber(values[NEED_SCORE_FIELD.code]);
+    const nearbyAdopted = adoptedCentroids
+      .filter(adopted => getDistanceMiles(centroid, adopted) <= NEARBY_ADOPTION_MILES)
+      .length;
+
+    const score =
+      RANKING_WEIGHTS.need * ((needScore ?? 0) / 100) +
+      RANKING_WEIGHTS.distance * (1 - distance / RECOMMENDATION_RADIUS_MILES) -
+      RANKING_WEIGHTS.nearbyAdopted * (Math.min(nearbyAdopted, MAX_NEARBY_ADOPTED) / MAX_NEARBY_ADOPTED);
+
+    const candidate = { tractId, score, distance, needScore, nearbyAdopted };
+    return { ...candidate, reasons: explainRecommendation({ ...candidate, values }, origin) };
+  });
+
+  recommendations.sort((a, b) => b.score - a.score);
+
+  console.log(`Ranked ${recommendations.length} unadopted tracts within ${RECOMMENDATION_RADIUS_MILES} miles of ${partner.name}`);
+
+  return { origin, recommendations: recommendations.slice(0, RECOMMENDATION_COUNT) };
+}
+
+/**
+ * Builds the adoption edit for an accepted suggestion: the tract becomes
+ * adopted by the partner, which is added to the tract's partners
+ * @param {Object} recommendation - Suggestion from recommendTracts
+ * @param {Object} partner - Partner accepting it
+ * @param {Object} partnerModel - Partner model
+ * @returns {Object} Change for saveAdoption
+ */
+export function createRecommendationChange(recommendation, partner, partnerModel) {
+  const { editField } = PARTNER_TYPES[partner.type];
+  const partners = getTractPartners(partnerModel, recommendation.tractId, partner.type)
+    .filter(existing => existing.id !== partner.id);
+
+  return {
+    tractId: recommendation.tractId,
+    status: "adopted",
+    adoptedBy: partner.name,
+    [editField]: formatPartnerNames([...partners, partner]),
+    note: `Accepted suggestion for ${partner.name}: ${recommendation.reasons.join("; ")}`,
+  };
+}
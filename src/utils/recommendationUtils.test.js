@@ -0,0 +1,56 @@
+import { getPartnerOrigin, recommendTracts } from './recommendationUtils';
+
+jest.mock('axios', () => ({ get: jest.fn() }));
+
+const partner = { id: 'church-grace', name: 'Grace', type: 'church', zip: '94601' };
+const zipCentroids = { '94601': { latitude: 37.8, longitude: -122.2 } };
+const tractCentroids = {
+  '06001400100': { latitude: 37.8, longitude: -122.2 },
+  '06001400200': { latitude: 37.82, longitude: -122.2 },
+  '06001400300': { latitude: 37.95, longitude: -122.2 },
+  '06001400400': { latitude: 37.805, longitude: -122.2 },
+};
+const censusTractData = {
+  '06001400100': { S1701_C03_001E: '10' },
+  '06001400200': { S1701_C03_001E: '40' },
+  '06001400300': { S1701_C03_001E: '50' },
+  '06001400400': { S1701_C03_001E: '30' },
+};
+const options = {
+  partner,
+  partnerLocations: {},
+  tractCentroids,
+  crosswalk: null,
+  zipCentroids,
+  censusTractData,
+  adoptionStatusMap: { '06001400400': { status: 'adopted' } },
+  needWeights: { S1701_C03_001E: 1 },
+};
+
+test('places a partner by location, then crosswalk tracts, then ZIP center', () => {
+  const location = { latitude: 37.7, longitude: -122.1 };
+  expect(getPartnerOrigin(partner, { 'church-grace': location }, tractCentroids, null, zipCentroids))
+    .toEqual({ ...location, source: 'location' });
+
+  const crosswalk = { '94601': [{ tract: '06001400100', ratio: 0.75 }, { tract: '06001400200', ratio: 0.25 }] };
+  const fromCrosswalk = getPartnerOrigin(partner, {}, tractCentroids, crosswalk, zipCentroids);
+  expect(fromCrosswalk.latitude).toBeCloseTo(37.805);
+  expect(fromCrosswalk.source).toBe('zip');
+
+  expect(getPartnerOrigin({ ...partner, zip: '94601-1234' }, {}, tractCentroids, null, zipCentroids))
+    .toEqual({ ...zipCentroids['94601'], source: 'zip' });
+  expect(getPartnerOrigin(partner, {}, tractCentroids, null, null)).toBeNull();
+});
+
+test('ranks unadopted tracts in range by need, distance and nearby adoptions', () => {
+  const { origin, recommendations } = recommendTracts(options);
+  expect(origin.source).toBe('zip');
+  expect(recommendations.map(({ tractId }) => tractId)).toEqual(['06001400200', '06001400100']);
+  expect(recommendations[0].needScore).toBeCloseTo(66.7);
+  expect(recommendations[1]).toMatchObject({ needScore: 0, nearbyAdopted: 1 });
+  expect(recommendations[0].reasons).toContain("1.4 miles from the partner's ZIP code");
+});
+
+test('suggests nothing for a partner that cannot be placed', () => {
+  expect(recommendTracts({ ...options, zipCentroids: null })).toEqual({ origin: null, recommendations: [] });
+});
@@ -0,0 +1,440 @@
+// src/utils/rendererUtils.js
+
+import {
+  NEED_SCORE_FIELD,
+  CENSUS_VALUE_STATES,
+  CENSUS_VALUE_STATE_LABELS,
+  getCensusVariable,
+  getCensusValueState,
+  parseCensusNumber,
+  formatVariableValue,
+  isChangeImprovement
+} from "./censusVariables";
+import { HOT_SPOT_CLASSES, HOT_SPOT_FIELDS, HOT_SPOT_METHODS } from "./hotSpotUtils";
+import {
+  CLASSIFICATION_METHODS,
+  DEFAULT_CLASSIFICATION_METHOD,
+  DEFAULT_CLASS_COUNT,
+  classifyValues,
+  getClassIndex
+} from "./classificationUtils";
+import {
+  BIVARIATE_ADOPTION_MEASURES,
+  BIVARIATE_COLORS,
+  NEED_CLASS_LABELS,
+  getBivariateClassValue
+} from "./bivariateUtils";
+
+// Outline shared by every polygon renderer
+const POLYGON_OUTLINE = {
+  color: "black",
+  width: 0.5,
+};
+
+/**
+ * Builds a simple-fill symbol with the standard polygon outline
+ * @param {string} color - CSS color for the fill
+ * @returns {Object} ArcGIS simple-fill symbol
+ */
+export function createFillSymbol(color) {
+  return {
+    type: "simple-fill",
+    color,
+    outline: POLYGON_OUTLINE,
+  };
+}
+
+/**
+ * Creates a unique-value renderer that colors features by a class computed
+ * in JavaScript. Census values aren't stored as layer fields, so the class of
+ * every feature ID is embedded in an Arcade expression; this keeps one
+ * uniqueValueInfo (and one legend entry) per class rather than per feature.
+ * @param {Object} options
+ * @param {string} options.idField - Layer field holding the feature ID (e.g. "GEOID")
+ * @param {Object} options.classById - Map of feature ID to class key
+ * @param {Array} options.classes - [{ value, label, color }] in legend order
+ * @param {string} options.title - Legend title
+ * @param {string} options.defaultColor - Fill for features without a class
+ * @param {string} options.defaultLabel - Legend label for features without a class
+ * @returns {Object} ArcGIS renderer object
+ */
+export function createClassRenderer({
+  idField,
+  classById,
+  classes,
+  title,
+  defaultColor = "rgba(200, 200, 200, 0.3)",
+  defaultLabel = "No data",
+}) {
+  const expression = `
+    var classes = ${JSON.stringify(classById)};
+    var id = Text($feature.${idField});
+    return IIf(HasKey(classes, id), classes[id], null);
+  `;
+
+  return {
+    type: "unique-value",
+    valueExpression: expression,
+    valueExpressionTitle: title,
+    defaultSymbol: createFillSymbol(defaultColor),
+    defaultLabel,
+    uniqueValueInfos: classes.map(({ value, label, color }) => ({
+      value,
+      label,
+      symbol: createFillSymbol(color),
+    })),
+  };
+}
+
+/**
+ * Legend class for features whose value was suppressed by the Census Bureau,
+ * shown separately from features with no data at all
+ */
+export const SUPPRESSED_DATA_CLASS = {
+  value: CENSUS_VALUE_STATES.SUPPRESSED,
+  label: CENSUS_VALUE_STATE_LABELS[CENSUS_VALUE_STATES.SUPPRESSED],
+  color: "rgba(120, 120, 120, 0.5)",
+};
+
+/**
+ * Returns whether a census field was suppressed or is not applicable for a
+ * feature, i.e. whether it belongs in SUPPRESSED_DATA_CLASS
+ * @param {Object} values - Census values of one feature
+ * @param {string} code - Field code
+ * @returns {boolean} True if the value is suppressed
+ */
+export function isSuppressedValue(values, code) {
+  const state = getCensusValueState(code, values);
+  return state === CENSUS_VALUE_STATES.SUPPRESSED || state === CENSUS_VALUE_STATES.NOT_APPLICABLE;
+}
+
+// Diverging colors for change-over-time classes, from much worse to much better
+const CHANGE_CLASS_COLORS = {
+  much_worse: "rgba(215, 48, 39, 0.6)",
+  worse: "rgba(252, 141, 89, 0.5)",
+  stable: "rgba(220, 220, 220, 0.4)",
+  better: "rgba(145, 207, 96, 0.5)",
+  much_better: "rgba(26, 152, 80, 0.6)",
+};
+
+/**
+ * Creates a diverging choropleth for a change-over-time field. Classes are
+ * relative to the largest change on the layer: within 10% of it counts as
+ * stable and beyond 50% as a large change, in the direction that the source
+ * indicator treats as better or worse.
+ * @param {Map} featureCensusData - Census data keyed by feature ID (from injectCensusDataIntoLayer)
+ * @param {string} idField - Layer field holding the feature ID
+ * @param {string} changeCode - Change field code (from CENSUS_CHANGE_FIELDS)
+ * @returns {Object} ArcGIS renderer object
+ */
+export function createChangeRenderer(featureCensusData, idField, changeCode) {
+  const field = getCensusVariable(changeCode);
+  const changes = new Map();
+  const suppressedIds = [];
+
+  featureCensusData.forEach((values, id) => {
+    const change = parseCensusNumber(values[changeCode]);
+    if (change !== null) {
+      changes.set(String(id), change);
+    } else if (isSuppressedValue(values, changeCode)) {
+      suppressedIds.push(String(id));
+    }
+  });
+
+  const maxChange = Math.max(0, ...Array.from(changes.values()).map(Math.abs));
+  const stableLimit = maxChange * 0.1;
+  const largeLimit = maxChange * 0.5;
+
+  const classById = {};
+  changes.forEach((change, id) => {
+    if (Math.abs(change) <= stableLimit) {
+      classById[id] = "stable";
+    } else if (isChangeImprovement(field, change)) {
+      classById[id] = Math.abs(change) >= largeLimit ? "much_better" : "better";
+    } else {
+      classById[id] = Math.abs(change) >= largeLimit ? "much_worse" : "worse";
+    }
+  });
+  suppressedIds.forEach(id => {
+    classById[id] = SUPPRESSED_DATA_CLASS.value;
+  });
+
+  const format = value => formatVariableValue(field, field.unit === "percent" ? value.toFixed(1) : Math.round(value));
+  const stableText = `within ±${format(stableLimit).replace(/^[-+]/, "")}`;
+
+  console.log(`Created change renderer for ${changeCode} with ${changes.size} classified features`);
+
+  return createClassRenderer({
+    idField,
+    classById,
+    title: field.label,
+    defaultLabel: "No comparable data",
+    classes: [
+      { value: "much_worse", label: "Much worse", color: CHANGE_CLASS_COLORS.much_worse },
+      { value: "worse", label: "Worse", color: CHANGE_CLASS_COLORS.worse },
+      { value: "stable", label: `Little change (${stableText})`, color: CHANGE_CLASS_COLORS.stable },
+      { value: "better", label: "Better", color: CHANGE_CLASS_COLORS.better },
+      { value: "much_better", label: "Much better", color: CHANGE_CLASS_COLORS.much_better },
+      SUPPRESSED_DATA_CLASS,
+    ],
+  });
+}
+
+// Sequential colors for need score classes, from least to most need
+const NEED_SCORE_CLASSES = [
+  { value: "need_1", label: "0–20 (lowest need)", color: "rgba(255, 255, 178, 0.6)" },
+  { value: "need_2", label: "20–40", color: "rgba(254, 204, 92, 0.6)" },
+  { value: "need_3", label: "40–60", color: "rgba(253, 141, 60, 0.6)" },
+  { value: "need_4", label: "60–80", color: "rgba(240, 59, 32, 0.6)" },
+  { value: "need_5", label: "80–100 (highest need)", color: "rgba(189, 0, 38, 0.7)" },
+];
+
+/**
+ * Creates a choropleth of the 0–100 need score in five equal bands
+ * @param {Map} featureCensusData - Census data keyed by feature ID, scored by applyNeedScores
+ * @param {string} idField - Layer field holding the feature ID
+ * @returns {Object} ArcGIS renderer object
+ */
+export function createNeedScoreRenderer(featureCensusData, idField) {
+  const classById = {};
+
+  featureCensusData.forEach((values, id) => {
+    const score = parseCensusNumber(values[NEED_SCORE_FIELD.code]);
+    if (score !== null) {
+      const band = Math.min(Math.floor(score / 20), NEED_SCORE_CLASSES.length - 1);
+      classById[String(id)] = NEED_SCORE_CLASSES[band].value;
+    }
+  });
+
+  console.log(`Created need score renderer with ${Object.keys(classById).length} scored features`);
+
+  return createClassRenderer({
+    idField,
+    classById,
+    title: NEED_SCORE_FIELD.label,
+    defaultLabel: "Not scored",
+    classes: NEED_SCORE_CLASSES,
+  });
+}
+
+/**
+ * Creates a renderer coloring tracts by their hot spot label
+ * @param {Map} featureCensusData - Census data keyed by tract GEOID, labeled by runHotSpotAnalysis
+ * @param {string} idField - Layer field holding the tract GEOID
+ * @param {Object} config - { code, method } of the analysis, for the legend title
+ * @returns {Object} ArcGIS renderer object
+ */
+export function createHotSpotRenderer(featureCensusData, idField, config) {
+  const classById = {};
+
+  featureCensusData.forEach((values, id) => {
+    if (values[HOT_SPOT_FIELDS.class]) {
+      classById[String(id)] = values[HOT_SPOT_FIELDS.class];
+    }
+  });
+
+  const indicator = getCensusVariable(config.code);
+
+  return createClassRenderer({
+    idField,
+    classById,
+    title: `${HOT_SPOT_METHODS[config.method].label}: ${indicator?.label || config.code}`,
+    defaultLabel: "Not analyzed (no data)",
+    classes: Object.entries(HOT_SPOT_CLASSES)
+      .filter(([value]) => config.method === "moran" || !["high_low", "low_high"].includes(value))
+      .map(([value, { label, color }]) => ({ value, label, color })),
+  });
+}
+
+/**
+ * Sequential color ramps for census choropleths, as RGB stops from the
+ * lowest to the highest class
+ */
+export const COLOR_RAMPS = {
+  yellowRed: { label: "Yellow to red", stops: [[255, 255, 178], [254, 178, 76], [240, 59, 32], [189, 0, 38]] },
+  blues: { label: "Blues", stops: [[239, 243, 255], [107, 174, 214], [33, 113, 181], [8, 48, 107]] },
+  greens: { label: "Greens", stops: [[237, 248, 233], [116, 196, 118], [35, 139, 69], [0, 68, 27]] },
+  purples: { label: "Purples", stops: [[242, 240, 247], [158, 154, 200], [106, 81, 163], [63, 0, 125]] },
+  viridis: { label: "Viridis", stops: [[253, 231, 37], [53, 183, 121], [49, 104, 142], [68, 1, 84]] },
+};
+
+export const DEFAULT_COLOR_RAMP = "yellowRed";
+
+/**
+ * Picks evenly spaced colors along a ramp
+ * @param {string} ramp - Key of COLOR_RAMPS
+ * @param {number} count - Number of colors
+ * @param {number} opacity - Fill opacity
+ * @returns {Array} CSS rgba colors from low to high
+ */
+export function getRampColors(ramp, count, opacity = 0.65) {
+  const { stops } = COLOR_RAMPS[ramp] || COLOR_RAMPS[DEFAULT_COLOR_RAMP];
+
+  return Array.from({ length: count }, (_, index) => {
+    const position = count === 1 ? 0 : (index / (count - 1)) * (stops.length - 1);
+    const lower = Math.min(Math.floor(position), stops.length - 2);
+    const fraction = position - lower;
+    const [r, g, b] = stops[lower].map((channel, i) => Math.round(channel + (stops[lower + 1][i] - channel) * fraction));
+    return `rgba(${r}, ${g}, ${b}, ${opacity})`;
+  });
+}
+
+/**
+ * Rounds a class bound for display in the units of its variable
+ * @param {Object} variable - Catalog entry
+ * @param {number} value - Class bound
+ * @returns {string} Display value
+ */
+function formatClassBound(variable, value) {
+  return formatVariableValue(variable, variable.unit === "percent" || variable.unit === "score"
+    ? value.toFixed(1)
+    : Math.round(value).toLocaleString());
+}
+
+/**
+ * Creates a class-breaks choropleth of a census indicator. Classes are
+ * computed from the values on the layer with the chosen classification
+ * method and colored along the chosen ramp.
+ * @param {Map} featureCensusData - Census data keyed by feature ID (from injectCensusDataIntoLayer)
+ * @param {string} idField - Layer field holding the feature ID
+ * @param {string} code - Variable code from the census catalog
+ * @param {Object} settings - { method, ramp, classCount }
+ * @returns {Object} ArcGIS renderer object
+ */
+export function createChoroplethRenderer(featureCensusData, idField, code, {
+  method = DEFAULT_CLASSIFICATION_METHOD,
+  ramp = DEFAULT_COLOR_RAMP,
+  classCount = DEFAULT_CLASS_COUNT,
+} = {}) {
+  const variable = getCensusVariable(code) || NEED_SCORE_FIELD;
+  const values = new Map();
+  const suppressedIds = [];
+
+  featureCensusData.forEach((attrs, id) => {
+    const value = parseCensusNumber(attrs[code]);
+    if (value !== null) {
+      values.set(String(id), value);
+    } else if (isSuppressedValue(attrs, code)) {
+      suppressedIds.push(String(id));
+    }
+  });
+
+  const breaks = classifyValues(Array.from(values.values()), method, classCount);
+  const colors = getRampColors(ramp, breaks.length);
+
+  const classById = {};
+  values.forEach((value, id) => {
+    classById[id] = `class_${getClassIndex(breaks, value)}`;
+  });
+  suppressedIds.forEach(id => {
+    classById[id] = SUPPRESSED_DATA_CLASS.value;
+  });
+
+  console.log(`Created ${CLASSIFICATION_METHODS[method]?.label} choropleth for ${code} with ${breaks.length} classes`);
+
+  return createClassRenderer({
+    idField,
+    classById,
+    title: `${variable.label} – ${CLASSIFICATION_METHODS[method]?.label}`,
+    classes: [
+      ...breaks.map(({ min, max }, index) => ({
+        value: `class_${index}`,
+        label: `${formatClassBound(variable, min)} – ${formatClassBound(variable, max)}`,
+        color: colors[index],
+      })),
+      SUPPRESSED_DATA_CLASS,
+    ],
+  });
+}
+
+/**
+ * Creates the need-versus-adoption renderer with one class per grid cell
+ * @param {Object} classification - Result of classifyBivariate
+ * @param {string} idField - Layer field holding the tract GEOID
+ * @param {Object} options - { needCode, adoptionMeasure }
+ * @returns {Object} ArcGIS renderer object
+ */
+export function createBivariateRenderer(classification, idField, { needCode, adoptionMeasure }) {
+  const variable = getCensusVariable(needCode) || NEED_SCORE_FIELD;
+  const adoption = BIVARIATE_ADOPTION_MEASURES[adoptionMeasure];
+
+  // Legend order: most need first, and within it least adoption first
+  const classes = [];
+  [2, 1, 0].forEach(needClass => {
+    [0, 1, 2].forEach(adoptionClass => {
+      classes.push({
+        value: getBivariateClassValue(needClass, adoptionClass),
+        label: `${NEED_CLASS_LABELS[needClass]}, ${adoption.classes[adoptionClass].toLowerCase()}`,
+        color: BIVARIATE_COLORS[adoptionClass][needClass],
+      });
+    });
+  });
+
+  return createClassRenderer({
+    idField,
+    classById: classification.classById,
+    title: `${variable.label} vs. ${adoption.label.toLowerCase()}`,
+    classes,
+  });
+}
+
+/**
+ * Creates a renderer drawing only polygon borders, for a geography shown
+ * over the filled data layer
+ * @param {string} label - Legend label
+ * @returns {Object} ArcGIS renderer object
+ */
+export function createBoundaryRenderer(label) {
+  return {
+    type: "simple",
+    label,
+    symbol: {
+      type: "simple-fill",
+      color: "rgba(0, 0, 0, 0)",
+      outline: { color: "rgb(55, 65, 81)", width: 1.5 },
+    },
+  };
+}
+
+/**
+ * Creates the renderer for county outline lines
+ * @returns {Object} ArcGIS renderer object
+ */
+export function createCountyOutlineRenderer() {
+  return {
+    type: "simple",
+    label: "County boundary",
+    symbol: {
+      type: "simple-line",
+      color: "rgb(30, 41, 59)",
+      width: 2.5,
+    },
+  };
+}
+
+/**
+ * Lists the legend entries of a renderer built by this app
+ * @param {Object} renderer - ArcGIS renderer object
+ * @returns {Object} { title, items: [{ label, color, outline, symbolType }] }, with the default symbol last
+ */
+export function getRendererLegend(renderer) {
+  const toItem = (label, symbol) => ({
+    label,
+    color: symbol.color,
+    outline: symbol.outline?.color || null,
+    symbolType: symbol.type,
+  });
+
+  if (renderer.type === "simple") {
+    return { title: null, items: [toItem(renderer.label || "", renderer.symbol)] };
+  }
+  if (renderer.type !== "unique-value") {
+    return { title: null, items: [] };
+  }
+
+  const items = renderer.uniqueValueInfos.map(({ label, symbol }) => toItem(label, symbol));
+  if (renderer.defaultSymbol && renderer.defaultLabel) {
+    items.push(toItem(renderer.defaultLabel, renderer.defaultSymbol));
+  }
+  return { title: renderer.valueExpressionTitle || renderer.legendOptions?.title || null, items };
+}
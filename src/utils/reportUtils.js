@@ -2,6 +2,28 @@
  * Utility functions for generating reports from ArcGIS features
  */
 
+import {
+  CENSUS_DATASETS,
+  CURRENT_ACS_VINTAGE,
+  CV_RELIABILITY_THRESHOLD,
+  getCensusDisplayFields,
+  getCensusVariable,
+  getMoeCode,
+  getVintageCode,
+  getStatusCode,
+  getCensusValueState,
+  parseCensusNumber,
+  CENSUS_VALUE_STATES,
+  formatVariableValue,
+  formatVariableWithMoe,
+  combineSumMoes,
+  calculateCoefficientOfVariation
+} from "./censusVariables";
+import { HOT_SPOT_CLASSES, HOT_SPOT_FIELDS, formatHotSpotLabel } from "./hotSpotUtils";
+import { BAY_AREA_COUNTY_FIPS } from "./geoutils";
+import { UNKNOWN_COUNTY, getFeatureCounty } from "./countyUtils";
+import { isAdoptedState } from "./adoptionStates";
+
 /**
  * Formats census data for report display
  * @param {Object} attributes - Feature attributes from ArcGIS feature
@@ -10,15 +32,35 @@
 export const formatCensusData = (attributes) => {
     if (!attributes) return {};
     
+    // Census indicators come from the variable catalog, shown as "value ± moe",
+    // followed by their change since the baseline vintage
+    const censusFieldMappings = {};
+    const hiddenCensusFields = new Set();
+    getCensusDisplayFields().forEach(variable => {
+      censusFieldMappings[variable.code] = {
+        label: variable.label,
+        format: () => formatVariableWithMoe(variable, attributes)
+      };
+      hiddenCensusFields.add(getStatusCode(variable.code));
+      if (variable.moe) {
+        hiddenCensusFields.add(getMoeCode(variable.code));
+      }
+      if (variable.trend) {
+        CENSUS_DATASETS[variable.dataset].vintages
+          .filter(vintage => vintage !== CURRENT_ACS_VINTAGE)
+          .forEach(vintage => {
+            hiddenCensusFields.add(getVintageCode(variable.code, vintage));
+            hiddenCensusFields.add(getStatusCode(getVintageCode(variable.code, vintage)));
+          });
+      }
+    });
+    
     // Define known fields and their readable labels
     const fieldMappings = {
-      // Population data (2020 Decennial Census)
-      P1_001N: { label: "Total Population", format: value => value || "N/A" },
+      ...censusFieldMappings,
       
-      // American Community Survey fields (DP03, DP02, etc)
-      DP03_0004PE: { label: "Employment Rate", format: value => value ? `${value}%` : "N/A" },
-      DP02_0001E: { label: "Total Households", format: value => value || "N/A" },
-      S1901_C01_012E: { label: "Median Household Income", format: value => value ? `$${value}` : "N/A" },
+      // Hot spot analysis label, when an analysis has been run
+      [HOT_SPOT_FIELDS.class]: { label: "Hot Spot Analysis", format: () => formatHotSpotLabel(attributes) },
       
       // Geographic identifiers
       GEOID: { label: "Census GEOID", format: value => value || "N/A" },
@@ -35,9 +77,13 @@ export const formatCensusData = (attributes) => {
     // Build formatted data object
     const formattedData = {};
     
-    // First add known fields in a specific order
+    // First add known fields in a specific order; suppressed census values
+    // are null but still listed so the report shows "Data suppressed"
     Object.keys(fieldMappings).forEach(key => {
-      if (attributes[key] !== undefined && attributes[key] !== null) {
+      if (
+        (attributes[key] !== undefined && attributes[key] !== null) ||
+        attributes[getStatusCode(key)]
+      ) {
         const { label, format } = fieldMappings[key];
         formattedData[label] = format(attributes[key]);
       }
@@ -48,6 +94,8 @@ export const formatCensusData = (attributes) => {
       // Skip fields already processed and system fields
       if (
         fieldMappings[key] || 
+        hiddenCensusFields.has(key) || 
+        Object.values(HOT_SPOT_FIELDS).includes(key) || 
         key.startsWith('__') || 
         ['OBJECTID', 'FID', 'Shape', 'SHAPE'].includes(key)
       ) {
@@ -101,50 +149,61 @@ export const formatCensusData = (attributes) => {
     }
     
     // Fields that should be summed
-    const sumFields = ["P1_001N", "DP02_0001E"];
+    const sumFields = getCensusDisplayFields()
+      .filter(variable => variable.aggregate === "sum")
+      .map(variable => variable.code);
     
     // Fields where we want the average
-    const avgFields = ["DP03_0004PE", "S1901_C01_012E"];
+    const avgFields = getCensusDisplayFields()
+      .filter(variable => variable.aggregate === "avg")
+      .map(variable => variable.code);
     
     const totals = {};
     const counts = {};
+    const moes = {};
+    const suppressedCounts = {};
     
-    // Initialize totals and counts
+    // Initialize totals, counts, margins of error and suppressed counts
     sumFields.forEach(field => {
       totals[field] = 0;
       counts[field] = 0;
+      moes[field] = [];
+      suppressedCounts[field] = 0;
     });
     
     avgFields.forEach(field => {
       totals[field] = 0;
       counts[field] = 0;
+      moes[field] = [];
+      suppressedCounts[field] = 0;
     });
     
+    // Adds one feature's value to the running totals; suppressed values are
+    // counted separately rather than summed or averaged in
+    const addFieldValue = (attrs, field) => {
+      const value = parseCensusNumber(attrs[field]);
+      if (value !== null) {
+        totals[field] += value;
+        counts[field]++;
+        moes[field].push(attrs[getMoeCode(field)]);
+        return;
+      }
+      
+      const state = getCensusValueState(field, attrs);
+      if (state === CENSUS_VALUE_STATES.SUPPRESSED || state === CENSUS_VALUE_STATES.NOT_APPLICABLE) {
+        suppressedCounts[field]++;
+      }
+    };
+    
     // Calculate sums and counts
     features.forEach(feature => {
       const attrs = feature.attributes || {};
       
       // Process sum fields
-      sumFields.forEach(field => {
-        if (attrs[field] !== undefined && attrs[field] !== null) {
-          const value = parseFloat(attrs[field]);
-          if (!isNaN(value)) {
-            totals[field] += value;
-            counts[field]++;
-          }
-        }
-      });
+      sumFields.forEach(field => addFieldValue(attrs, field));
       
       // Process average fields
-      avgFields.forEach(field => {
-        if (attrs[field] !== undefined && attrs[field] !== null) {
-          const value = parseFloat(attrs[field]);
-          if (!isNaN(value)) {
-            totals[field] += value;
-            counts[field]++;
-          }
-        }
-      });
+      avgFields.forEach(field => addFieldValue(attrs, field));
     });
     
     // Format the results with readable labels
@@ -152,43 +211,115 @@ export const formatCensusData = (attributes) => {
       featureCount: features.length,
     };
     
-    // Calculate and format sums
+    // Count hot spot labels when a hot spot analysis has been run
+    features.forEach(feature => {
+      const classKey = feature.attributes?.[HOT_SPOT_FIELDS.class];
+      if (classKey) {
+        const label = `${HOT_SPOT_CLASSES[classKey].label} Tracts`;
+        result[label] = (result[label] || 0) + 1;
+      }
+    });
+    
+    // Adds the combined margin of error and a reliability flag for an aggregate
+    const addMoeToResult = (variable, label, estimate, moe) => {
+      if (!variable.moe || moe === null) return;
+      
+      result[`${label} Margin of Error`] = `± ${formatVariableValue(
+        variable,
+        variable.unit === "percent" ? moe.toFixed(1) : Math.round(moe)
+      )}`;
+      
+      const cv = calculateCoefficientOfVariation(estimate, moe);
+      if (cv !== null && cv > CV_RELIABILITY_THRESHOLD) {
+        result[`${label} Reliability`] = `Unreliable (CV ${cv.toFixed(0)}%)`;
+      }
+    };
+    
+    // Notes how many features were left out of an aggregate because the
+    // Census Bureau suppressed their value
+    const addSuppressedToResult = (field, label) => {
+      if (suppressedCounts[field] === 0) return;
+      
+      if (counts[field] === 0) {
+        result[label] = "Data suppressed";
+      } else {
+        const count = suppressedCounts[field];
+        result[`${label} Data Suppressed`] = `${count} feature${count === 1 ? "" : "s"} excluded`;
+      }
+    };
+    
+    // Calculate and format sums; MOEs combine as root-sum-of-squares
     sumFields.forEach(field => {
       if (counts[field] > 0) {
-        const label = field === "P1_001N" 
-          ? "Total Population" 
-          : field === "DP02_0001E" 
-            ? "Total Households" 
-            : field;
-            
-        result[label] = Math.round(totals[field]);
+        const variable = getCensusVariable(field);
+        result[variable.label] = Math.round(totals[field]);
+        addMoeToResult(variable, variable.label, totals[field], combineSumMoes(moes[field]));
       }
+      addSuppressedToResult(field, getCensusVariable(field).label);
     });
     
     // Calculate and format averages
     avgFields.forEach(field => {
       if (counts[field] > 0) {
         const avg = totals[field] / counts[field];
+        const variable = getCensusVariable(field);
+        const label = `Average ${variable.label}`;
         
-        const label = field === "DP03_0004PE" 
-          ? "Average Employment Rate" 
-          : field === "S1901_C01_012E" 
-            ? "Average Median Household Income" 
-            : `Average ${field}`;
-        
-        if (field === "DP03_0004PE") {
+        if (variable.signed) {
+          result[label] = formatVariableValue(
+            variable,
+            variable.unit === "percent" ? avg.toFixed(1) : Math.round(avg)
+          );
+        } else if (variable.unit === "percent") {
           result[label] = `${avg.toFixed(1)}%`;
-        } else if (field === "S1901_C01_012E") {
+        } else if (variable.unit === "currency") {
           result[label] = `$${Math.round(avg).toLocaleString()}`;
+        } else if (variable.unit === "score") {
+          result[label] = formatVariableValue(variable, avg.toFixed(1));
         } else {
           result[label] = avg.toFixed(2);
         }
+        
+        // The MOE of a mean is the MOE of the sum divided by the count
+        const sumMoe = combineSumMoes(moes[field]);
+        addMoeToResult(variable, label, avg, sumMoe === null ? null : sumMoe / counts[field]);
       }
+      addSuppressedToResult(field, `Average ${getCensusVariable(field).label}`);
     });
     
     return result;
   };
   
+  /**
+   * Rolls selected features up by county for the selection report
+   * @param {Array} features - Features with census values in their attributes
+   * @param {Object} zipCounties - Result of buildZipCounties, or null
+   * @param {Object} adoptionStatusMap - Adoption status keyed by tract
+   * @returns {Array} [{ county, featureCount, adoptedTracts, totals }] in county order,
+   *   with totals from calculateTotals
+   */
+  export const summarizeCountyRollup = (features, zipCounties, adoptionStatusMap = {}) => {
+    const groups = {};
+    features.forEach(feature => {
+      const county = getFeatureCounty(feature.attributes, zipCounties) || UNKNOWN_COUNTY;
+      if (!groups[county]) {
+        groups[county] = [];
+      }
+      groups[county].push(feature);
+    });
+    
+    return [...Object.keys(BAY_AREA_COUNTY_FIPS), UNKNOWN_COUNTY]
+      .filter(county => groups[county])
+      .map(county => ({
+        county,
+        featureCount: groups[county].length,
+        adoptedTracts: groups[county]
+          .filter(feature => isAdoptedState(adoptionStatusMap[feature.attributes.GEOID]?.status))
+          .length,
+        totals: calculateTotals(groups[county]),
+      }));
+  };
+  
   export default {
     formatCensusData,
     getFeatureName,
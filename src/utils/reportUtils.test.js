@@ -0,0 +1,22 @@
+import { summarizeCountyRollup } from './reportUtils';
+import { UNKNOWN_COUNTY } from './countyUtils';
+
+jest.mock('axios', () => ({ get: jest.fn() }));
+
+test('rolls features up by county, unknown counties last', () => {
+  const zipCounties = { '94601': ['Contra Costa', 'Alameda'] };
+  const features = [
+    { attributes: { GEOID: '06013300100' } },
+    { attributes: { GEOID: '06001400100' } },
+    { attributes: { ZIP_CODE: 94601 } },
+    { attributes: { ZIP_CODE: '99999' } },
+  ];
+
+  const rollup = summarizeCountyRollup(features, zipCounties, { '06013300100': { status: 'adopted' } });
+  expect(rollup.map(({ county, featureCount, adoptedTracts }) => [county, featureCount, adoptedTracts])).toEqual([
+    ['Alameda', 1, 0],
+    ['Contra Costa', 2, 1],
+    [UNKNOWN_COUNTY, 1, 0],
+  ]);
+  expect(rollup[1].totals.featureCount).toBe(2);
+});
@@ -1,9 +1,40 @@
+import { getCensusDisplayFields, parseCensusNumber } from "./censusVariables";
+
+/**
+ * Parses a numeric search value with an optional comparison operator
+ * (e.g. "50000", ">= 20", "<-5")
+ * @param {string} searchValue - Raw search input
+ * @returns {Object|null} { operator, operand }, or null if not numeric
+ */
+export const parseNumericSearchValue = (searchValue) => {
+  const match = String(searchValue).trim().match(/^(>=|<=|>|<|=)?\s*([-+]?\d*\.?\d+)$/);
+  if (!match) return null;
+  return { operator: match[1] || "=", operand: parseFloat(match[2]) };
+};
+
+/**
+ * Compares a value against a parsed numeric search
+ * @param {number} value - Value to test
+ * @param {Object} criteria - { operator, operand } from parseNumericSearchValue
+ * @returns {boolean} True if the value matches
+ */
+const matchesNumericSearch = (value, { operator, operand }) => {
+  switch (operator) {
+    case ">": return value > operand;
+    case ">=": return value >= operand;
+    case "<": return value < operand;
+    case "<=": return value <= operand;
+    default: return value === operand;
+  }
+};
+
 export const performSearch = async ({
   view,
   geoJsonLayer,
   searchField,
   searchValue,
   setSearchValue, // Added parameter to clear the input field
+  filterWhere, // Optional where clause limiting the search, e.g. to a county
 }) => {
   try {
     console.log("Starting search for:", searchValue, "in field:", searchField);
@@ -19,14 +50,46 @@ export const performSearch = async ({
     // Sanitize inputs and build proper query
     const sanitizedValue = searchValue.replace(/'/g, "''"); // Escape single quotes
     
-    // Determine if we need quotes based on field type
-    const numericFields = ["P1_001N", "DP03_0004PE", "DP02_0001E", "S1901_C01_012E"];
+    // Census fields aren't stored on the layer, so resolve them against the
+    // census data injected by injectCensusDataIntoLayer and query by ID
+    const numericFields = getCensusDisplayFields().map(variable => variable.code);
     if (numericFields.includes(searchField)) {
-      query.where = `${searchField} = ${sanitizedValue}`;
+      const criteria = parseNumericSearchValue(searchValue);
+      if (!criteria) {
+        return { success: false, message: "Please enter a number, optionally prefixed with >, >=, < or <=." };
+      }
+      
+      const censusData = geoJsonLayer.featureCensusData;
+      const idField = geoJsonLayer.censusIdField;
+      if (!censusData || !idField) {
+        return { success: false, message: "Census data is still loading. Please try again shortly." };
+      }
+      
+      // Suppressed and missing values never match a numeric search
+      const matchingIds = [];
+      censusData.forEach((values, id) => {
+        const value = parseCensusNumber(values[searchField]);
+        if (value !== null && matchesNumericSearch(value, criteria)) {
+          matchingIds.push(String(id).replace(/'/g, "''"));
+        }
+      });
+      
+      console.log(`${matchingIds.length} features match ${searchField} ${criteria.operator} ${criteria.operand}`);
+      
+      if (matchingIds.length === 0) {
+        console.warn("No matching result found.");
+        return { success: false, message: "No matching result found." };
+      }
+      
+      query.where = `${idField} IN (${matchingIds.map(id => `'${id}'`).join(",")})`;
     } else {
       query.where = `${searchField} = '${sanitizedValue}'`;
     }
     
+    if (filterWhere) {
+      query.where = `(${filterWhere}) AND (${query.where})`;
+    }
+    
     query.returnGeometry = true;
     query.outFields = ["*"];
     